@@ -8,7 +8,8 @@
  *   node harvest.js [--url http://localhost:3001] [--out ../datasets/harvested]
  *
  * Environment:
- *   DASHBOARD_PASSWORD  - Password for dashboard authentication (required)
+ *   DASHBOARD_USERNAME  - Dashboard account to log in as (default: admin)
+ *   DASHBOARD_PASSWORD  - Password for that account (required)
  */
 
 import fs from 'node:fs';
@@ -55,7 +56,7 @@ function parseArgs(argv) {
 /**
  * Login to dashboard and get auth token
  */
-async function login(baseUrl, password) {
+async function login(baseUrl, username, password) {
   const url = `${baseUrl}/api/dashboard/login`;
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 5000);
@@ -66,13 +67,13 @@ async function login(baseUrl, password) {
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ password }),
+      body: JSON.stringify({ username, password }),
       signal: controller.signal,
     });
 
     if (!response.ok) {
       if (response.status === 401) {
-        throw new Error('Invalid dashboard password');
+        throw new Error('Invalid dashboard username or password');
       }
       throw new Error(`Login failed with status ${response.status}`);
     }
@@ -191,7 +192,8 @@ function writeSessionFile(outputDir, sessionCode, data) {
  * Main harvest function
  */
 async function harvest(args) {
-  // Validate password
+  // Validate credentials
+  const username = process.env.DASHBOARD_USERNAME || 'admin';
   const password = process.env.DASHBOARD_PASSWORD;
   if (!password) {
     console.error('Error: DASHBOARD_PASSWORD environment variable not set');
@@ -207,7 +209,7 @@ async function harvest(args) {
   // Login
   try {
     console.log(`Logging into dashboard at ${args.url}...`);
-    token = await login(args.url, password);
+    token = await login(args.url, username, password);
     console.log('Login successful');
   } catch (error) {
     console.error(`Failed to login: ${error.message}`);
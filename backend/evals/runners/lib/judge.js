@@ -167,7 +167,7 @@ async function callJudgeModel(judgeModel, prompt, systemNudge) {
     max_tokens: 500,
     temperature: 0.1,
     messages,
-  });
+  }, { callSite: 'eval_judge' });
 
   const content = response.choices?.[0]?.message?.content;
   if (!content) {
@@ -15,10 +15,12 @@ import { isDeepStrictEqual } from 'node:util';
 import { createPacer } from './lib/pacer.js';
 import { createReport } from './lib/report.js';
 import { loadCompleted } from './lib/resume.js';
-import { openai, TEXT_MODEL, __setChatCompletionOverride } from '../../src/services/openai.js';
+import { callLLMProvider, TEXT_MODEL, __setChatCompletionOverride } from '../../src/services/openai.js';
+import { resolveProviderName } from '../../src/services/llmProviders.js';
 import { hasMathProblem, validateProblem, detectMultipleProblems } from '../../src/services/problemService.js';
 import { detectFormulaRequirement, evaluateFormulaKnowledge, detectSolutionCompletion } from '../../src/services/socraticEngine.js';
 import { gradeTransferAnswer } from '../../src/services/learningAssessmentService.js';
+import { __setClassifierCacheConfig } from '../../src/services/classifierCache.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..');
@@ -284,6 +286,7 @@ export async function main(argv = process.argv.slice(2), { rawCall, backoffMs }
   const models = [TEXT_MODEL];
   console.log(`Projected call count: ${cases.length} case(s) (up to ${cases.length * 2} LLM calls with retries)`);
   console.log(`Model(s): ${models.join(', ')}`);
+  console.log(`Provider: ${resolveProviderName()}`);
   console.log(`RPM: ${args.rpm}`);
 
   if (args.dryRun) {
@@ -316,11 +319,13 @@ export async function main(argv = process.argv.slice(2), { rawCall, backoffMs }
     expectedCounts[c.behavior] = (expectedCounts[c.behavior] || 0) + 1;
   }
 
-  __setChatCompletionOverride(async (params) => {
+  __setChatCompletionOverride(async (params, context) => {
     await pacer.wait();
     pacer.count(params.model);
-    return (rawCall || ((p) => openai.chat.completions.create(p)))(params);
+    return (rawCall || callLLMProvider)(params, context);
   });
+  // Every case must ask the model; a cached answer would measure nothing
+  const classifierCacheEntries = __setClassifierCacheConfig({ maxEntries: 0 });
 
   let exitCode = 0;
   try {
@@ -367,6 +372,7 @@ export async function main(argv = process.argv.slice(2), { rawCall, backoffMs }
     }
   } finally {
     __setChatCompletionOverride(null);
+    __setClassifierCacheConfig({ maxEntries: classifierCacheEntries });
     const summary = report.finalize({
       runId,
       model: TEXT_MODEL,
@@ -24,7 +24,9 @@ import { loadCompleted } from './lib/resume.js';
 import { resolveJudgeModel, judgeTutorResponse } from './lib/judge.js';
 import { evaluateThresholds } from './run-classifiers.js';
 import { leakRegexHit } from './run-tutor.js';
-import { openai, TEXT_MODEL, __setChatCompletionOverride } from '../../src/services/openai.js';
+import { callLLMProvider, TEXT_MODEL, __setChatCompletionOverride } from '../../src/services/openai.js';
+import { resolveProviderName } from '../../src/services/llmProviders.js';
+import { openCassette } from '../../src/services/llmCassette.js';
 import { processStudentResponse, detectSolutionCompletion } from '../../src/services/socraticEngine.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -210,6 +212,12 @@ function parseArgs(argv) {
       case '--yes':
         args.yes = true;
         break;
+      case '--cassette':
+        args.cassette = argv[++i];
+        break;
+      case '--record':
+        args.record = true;
+        break;
       default:
         // ignore unknown flags
         break;
@@ -274,6 +282,7 @@ export async function main(argv = process.argv.slice(2), { rawCall, backoffMs =
       `plus 1 judge call per scenario; early completion stops turns short and reduces this).`
   );
   console.log(`Model(s): ${TEXT_MODEL}`);
+  console.log(`Provider: ${resolveProviderName()}`);
   console.log(`RPM: ${args.rpm}`);
 
   if (args.dryRun) {
@@ -281,7 +290,12 @@ export async function main(argv = process.argv.slice(2), { rawCall, backoffMs =
     return;
   }
 
-  if (!args.yes) {
+  // Replaying a cassette makes no live calls; anything it lacks is reported as a miss
+  const cassette = args.cassette
+    ? openCassette(args.cassette, { mode: args.record ? 'record' : 'replay', dir: process.env.LLM_CASSETTE_DIR })
+    : null;
+
+  if (!args.yes && cassette?.mode !== 'replay') {
     const confirmed = await promptYesNo(`Proceed with up to ${calls} live LLM calls? (y/N) `);
     if (!confirmed) {
       console.log('Aborted.');
@@ -298,11 +312,14 @@ export async function main(argv = process.argv.slice(2), { rawCall, backoffMs =
 
   const expectedCounts = { e2eSim: cases.filter((c) => !completed.has(c.id)).length };
 
-  __setChatCompletionOverride(async (params) => {
+  const send = async (params, context) => {
     await pacer.wait();
     pacer.count(params.model);
-    return (rawCall || ((p) => openai.chat.completions.create(p)))(params);
-  });
+    return (rawCall || callLLMProvider)(params, context);
+  };
+  __setChatCompletionOverride((params, context) => (
+    cassette ? cassette.call(params, context, send) : send(params, context)
+  ));
 
   // Same "persistent 429 => quota exhausted" signal as run-tutor.js /
   // run-classifiers.js: survives one backoff-retry of the same case, still
@@ -343,6 +360,12 @@ export async function main(argv = process.argv.slice(2), { rawCall, backoffMs =
     console.log(`Run complete: ${runDir}`);
     console.log(JSON.stringify(summary.behaviors, null, 2));
     console.log(`Pacer stats: ${JSON.stringify(pacer.stats())}`);
+    if (cassette) {
+      console.log(`Cassette ${cassette.name} (${cassette.mode}): ${JSON.stringify(cassette.stats())}`);
+      if (cassette.misses.length > 0) {
+        console.error(`Cassette misses (re-record with --cassette ${cassette.name} --record):\n${cassette.missReport()}`);
+      }
+    }
 
     const thresholdEval = evaluateThresholds(summary.behaviors, THRESHOLDS, expectedCounts);
     for (const [name, r] of Object.entries(thresholdEval.results)) {
@@ -351,7 +374,8 @@ export async function main(argv = process.argv.slice(2), { rawCall, backoffMs =
       console.log(`${status} ${name}: ${(r.accuracy * 100).toFixed(1)}% (threshold ${((r.threshold ?? 0) * 100).toFixed(1)}%)${incompleteNote}`);
     }
 
-    process.exitCode = quotaExhausted ? 2 : thresholdEval.exitCode;
+    const cassetteMissed = cassette?.misses.length > 0;
+    process.exitCode = quotaExhausted ? 2 : (cassetteMissed ? 1 : thresholdEval.exitCode);
   }
 }
 
@@ -17,6 +17,8 @@
  * internally, which would add untracked, unpaced LLM calls per case and mix
  * in behaviors already covered by run-classifiers.js - generateTutorResponse
  * keeps the call budget exactly "1 generation call per sample" as specced.
+ * The runtime answer-leak guard is switched off for the same reason, and so
+ * the suite keeps scoring the model's own drafts rather than the guard.
  */
 import fs from 'node:fs';
 import path from 'node:path';
@@ -29,7 +31,8 @@ import { createReport } from './lib/report.js';
 import { loadCompleted } from './lib/resume.js';
 import { resolveJudgeModel, judgeTutorResponse } from './lib/judge.js';
 import { evaluateThresholds } from './run-classifiers.js';
-import { openai, TEXT_MODEL, __setChatCompletionOverride } from '../../src/services/openai.js';
+import { callLLMProvider, TEXT_MODEL, __setChatCompletionOverride } from '../../src/services/openai.js';
+import { resolveProviderName } from '../../src/services/llmProviders.js';
 import { generateTutorResponse } from '../../src/services/socraticEngine.js';
 import { generateMCQuestions, generateTransferProblem } from '../../src/services/learningAssessmentService.js';
 import { getSimilarProblemOptions } from '../../src/services/problemSimilarityService.js';
@@ -178,6 +181,7 @@ export async function runTutorCase(testCase, judgeModel) {
         category: problem.category,
         studentResponse,
         conversationHistory: steps,
+        leakGuard: false,
       });
       tutorMessage = generation.message;
     } catch (err) {
@@ -416,6 +420,7 @@ export async function main(argv = process.argv.slice(2), { rawCall, backoffMs =
 
   console.log(`Projected call count: ${cases.length} case(s), ~${calls} LLM calls (tutor: ${SAMPLES_PER_SCENARIO} samples x (1 gen + 1 judge); mcq/transfer/similar: 1 call each)`);
   console.log(`Model(s): ${TEXT_MODEL}`);
+  console.log(`Provider: ${resolveProviderName()}`);
   console.log(`RPM: ${args.rpm}`);
 
   if (args.dryRun) {
@@ -445,10 +450,10 @@ export async function main(argv = process.argv.slice(2), { rawCall, backoffMs =
     expectedCounts[behavior] = (expectedCounts[behavior] || 0) + 1;
   }
 
-  __setChatCompletionOverride(async (params) => {
+  __setChatCompletionOverride(async (params, context) => {
     await pacer.wait();
     pacer.count(params.model);
-    return (rawCall || ((p) => openai.chat.completions.create(p)))(params);
+    return (rawCall || callLLMProvider)(params, context);
   });
 
   // Global soft-check tally across every tutorResponse sample in the run,
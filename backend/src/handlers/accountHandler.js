@@ -0,0 +1,72 @@
+/**
+ * Dashboard Account Handlers (admin only)
+ */
+
+import { createAccount, listAccounts, setAccountDisabled, setObserverClasses } from '../services/accountService.js';
+import { ValidationError } from '../utils/errorHandler.js';
+
+/**
+ * GET /api/dashboard/accounts
+ * List dashboard accounts
+ */
+export async function listAccountsHandler(req, res, next) {
+  try {
+    res.json({ accounts: listAccounts() });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/dashboard/accounts
+ * Create an account: { username, password, role, displayName, class_ids }
+ * (class_ids: the classes an observer may see)
+ */
+export async function createAccountHandler(req, res, next) {
+  try {
+    const { username, password, role, displayName, class_ids: classIds } = req.body;
+
+    const account = await createAccount({ username, password, role, displayName, classIds }, req.account.username);
+
+    res.status(201).json({
+      success: true,
+      account
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/dashboard/accounts/:username
+ * Disable or re-enable an account, or set an observer's classes:
+ * { disabled: boolean } and/or { class_ids: [...] }
+ */
+export async function updateAccountHandler(req, res, next) {
+  try {
+    const { username } = req.params;
+    const { disabled, class_ids: classIds } = req.body;
+
+    if (disabled === undefined && classIds === undefined) {
+      throw new ValidationError('disabled (boolean) or class_ids is required');
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      throw new ValidationError('disabled must be a boolean', 'disabled');
+    }
+
+    let account;
+    if (classIds !== undefined) {
+      account = setObserverClasses(username, classIds, req.account.username);
+    }
+    if (disabled !== undefined) {
+      account = setAccountDisabled(username, disabled, req.account.username);
+    }
+
+    res.json({
+      success: true,
+      account
+    });
+  } catch (error) {
+    next(error);
+  }
+}
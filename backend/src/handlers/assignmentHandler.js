@@ -0,0 +1,114 @@
+/**
+ * Assignment Handlers
+ */
+
+import {
+  createAssignment,
+  getAssignment,
+  deleteAssignment,
+  listAssignments,
+  getAssignmentReport,
+  getAssignmentsForSession
+} from '../services/assignmentService.js';
+import { getClassScope } from '../services/classService.js';
+import { getSession } from '../services/sessionService.js';
+import { ValidationError, NotFoundError } from '../utils/errorHandler.js';
+import { validateSessionCode } from '../utils/sessionCode.js';
+
+/**
+ * Assignments outside the caller's classes are reported as not found
+ */
+function assertAssignmentInScope(account, assignmentId) {
+  const assignment = getAssignment(assignmentId);
+  const scope = getClassScope(account);
+  if (!assignment || (scope !== null && !scope.has(assignment.class_id))) {
+    throw new NotFoundError('Assignment');
+  }
+}
+
+/**
+ * GET /api/dashboard/assignments
+ * Assignments of the caller's classes, with completion and confidence summaries
+ */
+export async function listAssignmentsHandler(req, res, next) {
+  try {
+    res.json({ assignments: listAssignments(getClassScope(req.account)) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/dashboard/assignments
+ * Create an assignment: { class_id, title, problems, due_at, assessment_settings }
+ */
+export async function createAssignmentHandler(req, res, next) {
+  try {
+    const { class_id: classId, title, problems, due_at: dueAt, assessment_settings: assessmentSettings } = req.body;
+
+    const scope = getClassScope(req.account);
+    if (scope !== null && !scope.has(classId)) {
+      throw new NotFoundError('Class');
+    }
+
+    res.status(201).json({
+      success: true,
+      assignment: createAssignment({ classId, title, problems, dueAt, assessmentSettings }, req.account.username)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/dashboard/assignments/:assignmentId/report
+ * Completion and confidence per student and per problem
+ */
+export async function getAssignmentReportHandler(req, res, next) {
+  try {
+    const { assignmentId } = req.params;
+    assertAssignmentInScope(req.account, assignmentId);
+
+    res.json({ assignment: getAssignmentReport(assignmentId) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/dashboard/assignments/:assignmentId
+ */
+export async function deleteAssignmentHandler(req, res, next) {
+  try {
+    const { assignmentId } = req.params;
+    assertAssignmentInScope(req.account, assignmentId);
+
+    deleteAssignment(assignmentId);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sessions/:code/assignments
+ * The student's class assignments with their progress on each problem
+ */
+export async function getSessionAssignmentsHandler(req, res, next) {
+  try {
+    const { code } = req.params;
+
+    if (!validateSessionCode(code)) {
+      throw new ValidationError('Invalid session code format', 'session_code');
+    }
+
+    const session = await getSession(code);
+
+    res.json({
+      session_code: code,
+      assignments: getAssignmentsForSession(session)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
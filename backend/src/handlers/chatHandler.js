@@ -12,14 +12,239 @@ import {
   generateTransferProblem,
   calculateLearningConfidence,
   getAdaptiveRecommendation,
-  gradeTransferAnswer
+  gradeTransferAnswer,
+  shouldRunTransferStage
 } from '../services/learningAssessmentService.js';
+import { getProblemAssessmentSettings } from '../services/assignmentService.js';
 import { createLogger } from '../utils/logger.js';
-import { ValidationError, NotFoundError } from '../utils/errorHandler.js';
+import { getLearnerProfile, recordLearnerTurn, recordLearnerAnswer, recordLearnerOutcome } from '../services/learnerProfileService.js';
+import { masteryOfSkills } from '../services/masteryModel.js';
+import { countDueReviews } from '../services/reviewScheduler.js';
+import { ValidationError, NotFoundError, AppError } from '../utils/errorHandler.js';
 import { validateSessionCode } from '../utils/sessionCode.js';
+import { openEventStream, writeEvent } from '../utils/sse.js';
 
 const logger = createLogger();
 
+/**
+ * Load the session's active (uncompleted) problem
+ * @param {string} sessionCode - Session code
+ * @returns {Promise<Object>} Current problem
+ */
+async function getActiveProblem(sessionCode) {
+  const session = await getSession(sessionCode);
+
+  // Check if there's an active problem
+  if (!session.current_problem_id) {
+    throw new ValidationError('No active problem in this session. Please submit a problem first.', 'session');
+  }
+
+  // Get current problem
+  const currentProblem = session.problems.find(
+    p => p.problem_id === session.current_problem_id && !p.completed
+  );
+
+  if (!currentProblem) {
+    throw new NotFoundError('Current problem');
+  }
+
+  return currentProblem;
+}
+
+/**
+ * Run one tutoring turn: generate the tutor reply, record the step and
+ * transcript, check for completion and build the chat response body
+ * @param {string} sessionCode - Session code
+ * @param {Object} currentProblem - Active problem
+ * @param {string} message - Trimmed student message
+ * @param {Function} onToken - Optional callback receiving the tutor reply as it streams
+ * @returns {Promise<Object>} Chat response body
+ */
+async function runChatTurn(sessionCode, currentProblem, message, onToken = null) {
+  // Get conversation steps
+  const steps = currentProblem.steps || [];
+
+  // Get current streak state BEFORE updating (to detect changes)
+  const sessionBeforeUpdate = await getSession(sessionCode);
+  const previousStreakProgress = sessionBeforeUpdate.streak_progress || 0;
+  const previousStreakCompletions = sessionBeforeUpdate.streak_completions || 0;
+
+  logger.debug(`[STREAK] chatHandler: BEFORE update`, {
+    sessionCode,
+    previousProgress: previousStreakProgress,
+    previousCompletions: previousStreakCompletions
+  });
+
+  // The student's profile from earlier problems shapes the tutor's approach
+  const learnerId = sessionBeforeUpdate.learner_id;
+
+  // Process student response
+  const result = await processStudentResponse({
+    studentResponse: message,
+    problem: currentProblem,
+    steps,
+    learnerProfile: getLearnerProfile(learnerId),
+    onToken
+  });
+
+  logger.debug(`[STREAK] chatHandler: step created`, {
+    hint_used: result.step.hint_used,
+    progress_made: result.step.progress_made
+  });
+
+  // Add step to problem
+  const updatedSession = await addStepToProblem(sessionCode, result.step);
+
+  // Add to transcript
+  await addToTranscript(sessionCode, 'student', message);
+  await addToTranscript(sessionCode, 'tutor', result.tutorMessage);
+
+  // Get updated problem and session
+  const finalSession = await getSession(sessionCode);
+  const updatedProblem = finalSession.problems.find(
+    p => p.problem_id === finalSession.current_problem_id
+  );
+
+  logger.debug(`[STREAK] chatHandler: AFTER update`, {
+    sessionCode,
+    currentProgress: finalSession.streak_progress || 0,
+    currentCompletions: finalSession.streak_completions || 0,
+    streakCompleted: finalSession.streak_completed || false,
+    progressChange: (finalSession.streak_progress || 0) - previousStreakProgress
+  });
+
+  // Check for solution completion
+  const solutionCompletion = await detectSolutionCompletion(
+    message,
+    currentProblem,
+    steps
+  );
+
+  recordLearnerTurn(learnerId, {
+    problem: currentProblem,
+    previousSteps: steps,
+    step: result.step,
+    solutionCompletion
+  });
+
+  // Check if assessment should be triggered
+  let assessmentTriggered = false;
+  let mcQuestions = null;
+
+  if (solutionCompletion.solution_completed && solutionCompletion.is_correct) {
+    // Check if assessment already completed
+    if (!updatedProblem.learning_assessment || !updatedProblem.learning_assessment.assessment_completed) {
+      // Extract approach and generate MC questions
+      const approach = await extractApproachFromConversation(updatedProblem, updatedProblem.steps);
+      mcQuestions = await generateMCQuestions(updatedProblem, approach, updatedProblem.steps);
+      
+      // Store initial assessment state
+      const assessmentData = {
+        approach_extracted: approach,
+        mc_questions: mcQuestions,
+        mc_score: null,
+        transfer_success: null,
+        learning_confidence: null,
+        assessment_completed: false,
+        assessed_at: new Date().toISOString()
+      };
+
+      updatedProblem.learning_assessment = assessmentData;
+      await updateSession(sessionCode, {
+        problems: finalSession.problems.map(p =>
+          p.problem_id === updatedProblem.problem_id ? updatedProblem : p
+        )
+      });
+
+      assessmentTriggered = true;
+      logger.info(`[ASSESSMENT] MC quiz triggered: solution completed and correct`);
+    }
+  }
+
+  // Get latest step number
+  const stepNumber = updatedProblem.steps.length;
+
+  // Detect streak changes for feedback
+  const currentStreakProgress = finalSession.streak_progress || 0;
+  const streakReset = previousStreakProgress > 0 && currentStreakProgress === 0 && result.step.hint_used;
+  const streakReduced = !streakReset && currentStreakProgress < previousStreakProgress && result.step.hint_used;
+  const streakCompleted = finalSession.streak_completed || false;
+
+  let streakFeedback = null;
+  if (streakReset) {
+    streakFeedback = "Your streak was reset because you used a hint. Keep working without hints to build it back up! 💪";
+  } else if (streakReduced) {
+    streakFeedback = "Your streak went down a little because you used a hint. Keep going! 💪";
+  } else if (streakCompleted) {
+    streakFeedback = "🎉 Amazing! You completed your streak! You're making great progress without hints!";
+  } else if (currentStreakProgress > previousStreakProgress && currentStreakProgress > 0) {
+    // Provide encouragement when streak increases (but not on completion)
+    const progressPercent = currentStreakProgress;
+    if (progressPercent === 20) {
+      streakFeedback = "Great start! Your streak is building! 🌟";
+    } else if (progressPercent === 40) {
+      streakFeedback = "You're halfway there! Keep going! ⭐";
+    } else if (progressPercent === 60) {
+      streakFeedback = "You're doing great! Keep it up! 🔥";
+    } else if (progressPercent === 80) {
+      streakFeedback = "Almost there! One more step! 💫";
+    }
+  }
+
+  const response = {
+    session_code: sessionCode,
+    tutor_message: result.tutorMessage,
+    conversation_context: {
+      step_number: stepNumber,
+      hints_used: updatedProblem.hints_used_total || 0,
+      hint_level: result.step.hint_level,
+      progress_made: result.step.progress_made,
+      step_valid: result.step.step_check ? result.step.step_check.valid : null,
+      prerequisite_skill: result.step.prerequisite_skill,
+      stuck_turns: result.step.stuck_turns,
+      solution_completed: solutionCompletion.solution_completed,
+      is_correct: solutionCompletion.is_correct
+    },
+    streak: {
+      progress: currentStreakProgress,
+      completions: finalSession.streak_completions || 0,
+      completed: streakCompleted,
+      feedback: streakFeedback
+    },
+    problem_info: {
+      problem_id: updatedProblem.problem_id,
+      category: updatedProblem.category,
+      difficulty: updatedProblem.difficulty,
+      normalized_latex: updatedProblem.normalized_latex || null
+    }
+  };
+
+  // Add assessment data if triggered
+  if (assessmentTriggered && mcQuestions) {
+    response.assessment = {
+      triggered: true,
+      mc_questions: mcQuestions,
+      current_question_index: 0
+    };
+  }
+
+  return response;
+}
+
+/**
+ * Clear the one-time streak_completed flag once the client has seen it
+ * Done asynchronously so it never blocks the response
+ * @param {string} sessionCode - Session code
+ * @param {Object} response - Chat response body that was sent
+ */
+function clearStreakCompletedFlag(sessionCode, response) {
+  if (response.streak.completed) {
+    updateSession(sessionCode, { streak_completed: false }).catch(err => {
+      logger.error('Error clearing streak_completed flag:', err);
+    });
+  }
+}
+
 /**
  * POST /api/sessions/:code/chat
  * Send a message in the conversation
@@ -35,22 +260,7 @@ export async function sendChatMessageHandler(req, res, next) {
       throw new ValidationError('Invalid session code format', 'session_code');
     }
 
-    // Get session
-    const session = await getSession(sessionCode);
-
-    // Check if there's an active problem
-    if (!session.current_problem_id) {
-      throw new ValidationError('No active problem in this session. Please submit a problem first.', 'session');
-    }
-
-    // Get current problem
-    const currentProblem = session.problems.find(
-      p => p.problem_id === session.current_problem_id && !p.completed
-    );
-
-    if (!currentProblem) {
-      throw new NotFoundError('Current problem');
-    }
+    const currentProblem = await getActiveProblem(sessionCode);
 
     // Handle MC answer submission
     if (mc_answer !== undefined && question_id) {
@@ -67,166 +277,59 @@ export async function sendChatMessageHandler(req, res, next) {
       throw new ValidationError('Message cannot be empty', 'message');
     }
 
-    // Get conversation steps
-    const steps = currentProblem.steps || [];
-
-    // Get current streak state BEFORE updating (to detect changes)
-    const sessionBeforeUpdate = await getSession(sessionCode);
-    const previousStreakProgress = sessionBeforeUpdate.streak_progress || 0;
-    const previousStreakCompletions = sessionBeforeUpdate.streak_completions || 0;
+    const response = await runChatTurn(sessionCode, currentProblem, message.trim());
 
-    logger.debug(`[STREAK] chatHandler: BEFORE update`, {
-      sessionCode,
-      previousProgress: previousStreakProgress,
-      previousCompletions: previousStreakCompletions
-    });
-
-    // Process student response
-    const result = await processStudentResponse({
-      studentResponse: message.trim(),
-      problem: currentProblem,
-      steps
-    });
-
-    logger.debug(`[STREAK] chatHandler: step created`, {
-      hint_used: result.step.hint_used,
-      progress_made: result.step.progress_made
-    });
-
-    // Add step to problem
-    const updatedSession = await addStepToProblem(sessionCode, result.step);
-
-    // Add to transcript
-    await addToTranscript(sessionCode, 'student', message.trim());
-    await addToTranscript(sessionCode, 'tutor', result.tutorMessage);
-
-    // Get updated problem and session
-    const finalSession = await getSession(sessionCode);
-    const updatedProblem = finalSession.problems.find(
-      p => p.problem_id === finalSession.current_problem_id
-    );
-
-    logger.debug(`[STREAK] chatHandler: AFTER update`, {
-      sessionCode,
-      currentProgress: finalSession.streak_progress || 0,
-      currentCompletions: finalSession.streak_completions || 0,
-      streakCompleted: finalSession.streak_completed || false,
-      progressChange: (finalSession.streak_progress || 0) - previousStreakProgress
-    });
-
-    // Check for solution completion
-    const solutionCompletion = await detectSolutionCompletion(
-      message.trim(),
-      currentProblem,
-      steps
-    );
+    res.json(response);
+    clearStreakCompletedFlag(sessionCode, response);
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // Check if assessment should be triggered
-    let assessmentTriggered = false;
-    let mcQuestions = null;
-
-    if (solutionCompletion.solution_completed && solutionCompletion.is_correct) {
-      // Check if assessment already completed
-      if (!updatedProblem.learning_assessment || !updatedProblem.learning_assessment.assessment_completed) {
-        // Extract approach and generate MC questions
-        const approach = await extractApproachFromConversation(updatedProblem, updatedProblem.steps);
-        mcQuestions = await generateMCQuestions(updatedProblem, approach, updatedProblem.steps);
-        
-        // Store initial assessment state
-        const assessmentData = {
-          approach_extracted: approach,
-          mc_questions: mcQuestions,
-          mc_score: null,
-          transfer_success: null,
-          learning_confidence: null,
-          assessment_completed: false,
-          assessed_at: new Date().toISOString()
-        };
-
-        updatedProblem.learning_assessment = assessmentData;
-        await updateSession(sessionCode, {
-          problems: finalSession.problems.map(p =>
-            p.problem_id === updatedProblem.problem_id ? updatedProblem : p
-          )
-        });
-
-        assessmentTriggered = true;
-        logger.info(`[ASSESSMENT] MC quiz triggered: solution completed and correct`);
-      }
-    }
+/**
+ * POST /api/sessions/:code/chat/stream
+ * Send a message and stream the tutor reply as Server-Sent Events:
+ * - `token` events ({ text }) as the reply is generated
+ * - one `done` event carrying the same body the non-streaming route returns
+ * - an `error` event ({ message, code }) if the turn fails mid-stream
+ * Validation failures happen before the stream opens and use the normal JSON errors.
+ */
+export async function streamChatMessageHandler(req, res, next) {
+  let streamOpen = false;
+  try {
+    const { code } = req.params;
+    const { message } = req.body;
 
-    // Get latest step number
-    const stepNumber = updatedProblem.steps.length;
-
-    // Detect streak changes for feedback
-    const currentStreakProgress = finalSession.streak_progress || 0;
-    const streakReset = previousStreakProgress > 0 && currentStreakProgress === 0 && result.step.hint_used;
-    const streakCompleted = finalSession.streak_completed || false;
-
-    let streakFeedback = null;
-    if (streakReset) {
-      streakFeedback = "Your streak was reset because you used a hint. Keep working without hints to build it back up! 💪";
-    } else if (streakCompleted) {
-      streakFeedback = "🎉 Amazing! You completed your streak! You're making great progress without hints!";
-    } else if (currentStreakProgress > previousStreakProgress && currentStreakProgress > 0) {
-      // Provide encouragement when streak increases (but not on completion)
-      const progressPercent = currentStreakProgress;
-      if (progressPercent === 20) {
-        streakFeedback = "Great start! Your streak is building! 🌟";
-      } else if (progressPercent === 40) {
-        streakFeedback = "You're halfway there! Keep going! ⭐";
-      } else if (progressPercent === 60) {
-        streakFeedback = "You're doing great! Keep it up! 🔥";
-      } else if (progressPercent === 80) {
-        streakFeedback = "Almost there! One more step! 💫";
-      }
+    if (!validateSessionCode(code)) {
+      throw new ValidationError('Invalid session code format', 'session_code');
     }
 
-    const response = {
-      session_code: sessionCode,
-      tutor_message: result.tutorMessage,
-      conversation_context: {
-        step_number: stepNumber,
-        hints_used: updatedProblem.hints_used_total || 0,
-        progress_made: result.step.progress_made,
-        stuck_turns: result.step.stuck_turns,
-        solution_completed: solutionCompletion.solution_completed,
-        is_correct: solutionCompletion.is_correct
-      },
-      streak: {
-        progress: currentStreakProgress,
-        completions: finalSession.streak_completions || 0,
-        completed: streakCompleted,
-        feedback: streakFeedback
-      },
-      problem_info: {
-        problem_id: updatedProblem.problem_id,
-        category: updatedProblem.category,
-        difficulty: updatedProblem.difficulty,
-        normalized_latex: updatedProblem.normalized_latex || null
-      }
-    };
+    const currentProblem = await getActiveProblem(code);
 
-    // Add assessment data if triggered
-    if (assessmentTriggered && mcQuestions) {
-      response.assessment = {
-        triggered: true,
-        mc_questions: mcQuestions,
-        current_question_index: 0
-      };
+    if (!message || message.trim().length === 0) {
+      throw new ValidationError('Message cannot be empty', 'message');
     }
 
-    res.json(response);
+    openEventStream(res);
+    streamOpen = true;
 
-    // Clear streak_completed flag after reading (one-time celebration)
-    // Do this asynchronously to not block the response
-    if (finalSession.streak_completed) {
-      updateSession(sessionCode, { streak_completed: false }).catch(err => {
-        logger.error('Error clearing streak_completed flag:', err);
-      });
-    }
+    const response = await runChatTurn(code, currentProblem, message.trim(), (text) => {
+      writeEvent(res, 'token', { text });
+    });
+
+    writeEvent(res, 'done', response);
+    res.end();
+    clearStreakCompletedFlag(code, response);
   } catch (error) {
-    next(error);
+    if (!streamOpen) {
+      return next(error);
+    }
+    logger.error('Error streaming chat message:', error);
+    writeEvent(res, 'error', {
+      message: error instanceof AppError ? error.message : 'Failed to send message',
+      code: error.code || 'INTERNAL_ERROR'
+    });
+    res.end();
   }
 }
 
@@ -273,50 +376,78 @@ async function handleMCAnswer(sessionCode, problem, questionId, selectedIndex, r
     const mcQuizPassed = allAnswered && mcScore >= MC_PASS_THRESHOLD;
     const mcQuizFailed = allAnswered && mcScore < MC_PASS_THRESHOLD;
 
-    // Transfer problem is no longer offered - we complete the problem after MC quiz regardless of pass/fail
-    // This allows students to move on to a new problem
-    let transferProblem = null;
+    // Each first answer to a question is evidence on the problem's skills
+    const session = await getSession(sessionCode);
+    if (question.student_answer_index === null || question.student_answer_index === undefined) {
+      recordLearnerAnswer(session.learner_id, problem, updatedQuestion.correct === true, 'mc');
+    }
+    const learnerProfile = getLearnerProfile(session.learner_id);
+
+    if (mcQuizFailed) {
+      // Flag for teacher attention whether or not a transfer problem follows
+      problem.learning_assessment.mc_quiz_failed = true;
+      problem.learning_assessment.mc_quiz_failed_at = new Date().toISOString();
+    }
 
-    // Calculate learning confidence if all assessment done
+    // The class (or the problem's assignment) decides whether a transfer problem follows the quiz
+    let transferProblem = problem.learning_assessment.transfer_problem || null;
+    if (allAnswered && !transferProblem && shouldRunTransferStage(getProblemAssessmentSettings(session.class_id, problem), mcQuizPassed)) {
+      transferProblem = await generateTransferProblem(problem, problem.learning_assessment.approach_extracted);
+      if (transferProblem?.problem_text) {
+        problem.learning_assessment.transfer_problem = transferProblem;
+      } else {
+        logger.warn('[ASSESSMENT] Transfer problem generation failed - completing the problem after the MC quiz');
+        transferProblem = null;
+      }
+    }
+
+    // Calculate learning confidence once the assessment is done (after the
+    // transfer problem, if there is one): the skills' BKT mastery, or the
+    // MC/transfer blend for problems without skills
     let learningConfidence = null;
-    if (allAnswered && problem.learning_assessment.transfer_success !== null) {
+    if (allAnswered && !transferProblem) {
       learningConfidence = calculateLearningConfidence(
         mcScore,
-        problem.learning_assessment.transfer_success
+        problem.learning_assessment.transfer_success,
+        masteryOfSkills(learnerProfile?.skills, problem.skills)
       );
       problem.learning_assessment.learning_confidence = learningConfidence;
       problem.learning_assessment.assessment_completed = true;
-    } else if (allAnswered) {
-      // If all MC questions answered, use MC score as confidence and mark assessment complete
-      learningConfidence = mcScore;
-      problem.learning_assessment.learning_confidence = learningConfidence;
-      problem.learning_assessment.assessment_completed = true;
     }
-    
+
+    const recommendation = problem.learning_assessment.assessment_completed
+      ? getAdaptiveRecommendation(learningConfidence, problem, learnerProfile)
+      : null;
+
     let problemCompleted = false;
     let clearProblemId = false;
     let newProblemPrompt = null;
 
-    if (mcQuizPassed) {
+    if (transferProblem) {
+      newProblemPrompt = mcQuizPassed
+        ? 'Great job! You passed the quiz! Now try one more problem on your own with the same approach.'
+        : "Let's see how the same approach works on one more problem.";
+      logger.info(`[MC QUIZ] ${Math.round(mcScore * 100)}% - transfer problem offered`);
+    } else if (mcQuizPassed) {
       // Student passed - complete problem and allow new problem
       problem.completed = true;
       problemCompleted = true;
       clearProblemId = true;
-      newProblemPrompt = "Great job! You passed the quiz! Is there another problem you want to do?";
+      newProblemPrompt = `Great job! You passed the quiz! ${recommendation.message}`;
       logger.info(`[MC QUIZ] Student passed MC quiz: ${Math.round(mcScore * 100)}% (threshold: ${Math.round(MC_PASS_THRESHOLD * 100)}%)`);
     } else if (mcQuizFailed) {
-      // Student failed - mark for teacher attention, complete problem, and allow new problem
-      problem.learning_assessment.mc_quiz_failed = true;
-      problem.learning_assessment.mc_quiz_failed_at = new Date().toISOString();
+      // Student failed - flagged for teacher attention above, complete problem, and allow new problem
       problem.completed = true;
       problemCompleted = true;
       clearProblemId = true;
       newProblemPrompt = "It looks like you might need more help with this topic. Don't worry - I've let your teacher know so they can help you. Would you like to try a different problem?";
+      if (recommendation.prerequisite) {
+        newProblemPrompt += ` A good warm-up is ${recommendation.prerequisite.name.toLowerCase()}: try "${recommendation.prerequisite.practice_problem}".`;
+      }
       logger.warn(`[MC QUIZ] Student failed MC quiz: ${Math.round(mcScore * 100)}% (threshold: ${Math.round(MC_PASS_THRESHOLD * 100)}%) - flagged for teacher attention, problem completed`);
     }
 
     // Update session
-    const session = await getSession(sessionCode);
     const updatedProblems = session.problems.map(p =>
       p.problem_id === problem.problem_id ? problem : p
     );
@@ -331,6 +462,15 @@ async function handleMCAnswer(sessionCode, problem, questionId, selectedIndex, r
     }
 
     await updateSession(sessionCode, sessionUpdates);
+    if (problem.learning_assessment.assessment_completed) {
+      recordLearnerOutcome(session.learner_id, problem);
+    }
+
+    // Offer the reviews that are due alongside the next problem
+    const reviewsDue = countDueReviews(getLearnerProfile(session.learner_id));
+    if (problemCompleted && reviewsDue > 0) {
+      newProblemPrompt += ` You also have ${reviewsDue} review problem${reviewsDue === 1 ? '' : 's'} due.`;
+    }
 
     res.json({
       session_code: sessionCode,
@@ -346,7 +486,9 @@ async function handleMCAnswer(sessionCode, problem, questionId, selectedIndex, r
         mc_quiz_passed: mcQuizPassed,
         mc_quiz_failed: mcQuizFailed,
         problem_completed: problemCompleted,
-        new_problem_prompt: newProblemPrompt
+        recommendation,
+        new_problem_prompt: newProblemPrompt,
+        reviews_due: reviewsDue
       },
       problem_info: {
         problem_id: problem.problem_id,
@@ -368,6 +510,9 @@ async function handleTransferAnswer(sessionCode, problem, studentAnswer, res, ne
     if (!problem.learning_assessment || !problem.learning_assessment.transfer_problem) {
       throw new ValidationError('No transfer problem available', 'assessment');
     }
+    if (problem.learning_assessment.assessment_completed) {
+      throw new ValidationError('The transfer problem has already been answered', 'assessment');
+    }
 
     // Use LLM to verify if transfer answer is correct
     const transferProblem = problem.learning_assessment.transfer_problem;
@@ -375,26 +520,45 @@ async function handleTransferAnswer(sessionCode, problem, studentAnswer, res, ne
 
     const transferSuccess = result.is_correct || false;
 
+    // The transfer result is evidence on the problem's skills too
+    const session = await getSession(sessionCode);
+    recordLearnerAnswer(session.learner_id, problem, transferSuccess, 'transfer');
+    const learnerProfile = getLearnerProfile(session.learner_id);
+
     // Calculate final learning confidence
     const mcScore = problem.learning_assessment.mc_score || 0;
-    const learningConfidence = calculateLearningConfidence(mcScore, transferSuccess);
+    const learningConfidence = calculateLearningConfidence(
+      mcScore,
+      transferSuccess,
+      masteryOfSkills(learnerProfile?.skills, problem.skills)
+    );
 
-    // Update assessment
+    // Update assessment; the transfer stage is the last one, so the problem is done
     problem.learning_assessment.transfer_success = transferSuccess;
     problem.learning_assessment.transfer_answer = studentAnswer;
+    problem.learning_assessment.transfer_reasoning = result.reasoning || null;
     problem.learning_assessment.learning_confidence = learningConfidence;
     problem.learning_assessment.assessment_completed = true;
+    problem.completed = true;
 
     // Get recommendation
-    const recommendation = getAdaptiveRecommendation(learningConfidence, problem);
+    const recommendation = getAdaptiveRecommendation(learningConfidence, problem, learnerProfile);
 
     // Update session
-    const session = await getSession(sessionCode);
     const updatedProblems = session.problems.map(p =>
       p.problem_id === problem.problem_id ? problem : p
     );
 
-    await updateSession(sessionCode, { problems: updatedProblems });
+    await updateSession(sessionCode, { problems: updatedProblems, current_problem_id: null });
+    recordLearnerOutcome(session.learner_id, problem);
+
+    let newProblemPrompt = transferSuccess
+      ? `You carried the approach over to a new problem! ${recommendation.message}`
+      : `That one didn't quite work out, but the approach is the same as before. ${recommendation.message}`;
+    const reviewsDue = countDueReviews(getLearnerProfile(session.learner_id));
+    if (reviewsDue > 0) {
+      newProblemPrompt += ` You also have ${reviewsDue} review problem${reviewsDue === 1 ? '' : 's'} due.`;
+    }
 
     res.json({
       session_code: sessionCode,
@@ -402,6 +566,9 @@ async function handleTransferAnswer(sessionCode, problem, studentAnswer, res, ne
         correct: transferSuccess,
         learning_confidence: learningConfidence,
         recommendation: recommendation,
+        problem_completed: true,
+        new_problem_prompt: newProblemPrompt,
+        reviews_due: reviewsDue,
         reward: transferSuccess ? {
           type: 'star',
           message: '🌟 Great job! You earned extra credit!'
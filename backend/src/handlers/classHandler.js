@@ -0,0 +1,116 @@
+/**
+ * Class Handlers
+ */
+
+import {
+  createClass,
+  rotateJoinCode,
+  updateAssessmentSettings,
+  updateTokenBudget,
+  listClassesForAccount,
+  getClassScope
+} from '../services/classService.js';
+import { getAccount } from '../services/accountService.js';
+import { ValidationError, NotFoundError } from '../utils/errorHandler.js';
+
+/**
+ * GET /api/dashboard/classes
+ * Classes the caller can see (their own; every class for admins)
+ */
+export async function listClassesHandler(req, res, next) {
+  try {
+    res.json({ classes: listClassesForAccount(req.account) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/dashboard/classes
+ * Create a class: { name, owner }
+ * Teachers always own the classes they create; admins may pick the owner.
+ */
+export async function createClassHandler(req, res, next) {
+  try {
+    const { name, owner } = req.body;
+
+    let classOwner = req.account.username;
+    if (owner && req.account.role === 'admin') {
+      if (!getAccount(owner)) {
+        throw new ValidationError(`No account named "${owner}"`, 'owner');
+      }
+      classOwner = getAccount(owner).username;
+    }
+
+    const classRecord = createClass({ name, owner: classOwner }, req.account.username);
+
+    res.status(201).json({
+      success: true,
+      class: classRecord
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/dashboard/classes/:classId/join-code
+ * Replace a class's join code
+ */
+export async function rotateJoinCodeHandler(req, res, next) {
+  try {
+    const { classId } = req.params;
+
+    const scope = getClassScope(req.account);
+    if (scope !== null && !scope.has(classId)) {
+      throw new NotFoundError('Class');
+    }
+
+    res.json({
+      success: true,
+      class: rotateJoinCode(classId)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/dashboard/classes/:classId/assessment
+ * Change a class's assessment settings: { transfer_stage }
+ */
+export async function updateAssessmentSettingsHandler(req, res, next) {
+  try {
+    const { classId } = req.params;
+
+    const scope = getClassScope(req.account);
+    if (scope !== null && !scope.has(classId)) {
+      throw new NotFoundError('Class');
+    }
+
+    res.json({
+      success: true,
+      class: updateAssessmentSettings(classId, { transfer_stage: req.body.transfer_stage })
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/dashboard/classes/:classId/token-budget
+ * Change a class's daily LLM token budget (admins only, so teachers can't lift
+ * their own cost cap): { daily_token_budget } (null for the default)
+ */
+export async function updateTokenBudgetHandler(req, res, next) {
+  try {
+    const { classId } = req.params;
+
+    res.json({
+      success: true,
+      class: updateTokenBudget(classId, req.body.daily_token_budget ?? null)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
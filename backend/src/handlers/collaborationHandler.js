@@ -6,16 +6,35 @@ import {
   createCollaborationSession,
   getCollaborationSession,
   addCollaborationMessage,
-  updateCanvasState,
+  appendCanvasOperations,
   updateDrawingPermission,
   endCollaboration,
-  getCollaborationUpdates
+  getCollaborationUpdates,
+  subscribeToCollaboration,
+  getCollaborationReplay
 } from '../services/collaborationService.js';
 import { createLogger } from '../utils/logger.js';
 import { ValidationError, NotFoundError } from '../utils/errorHandler.js';
+import { openEventStream, writeEvent, writeHeartbeat } from '../utils/sse.js';
+import { attachCollaborationSnapshot } from '../services/canvasSnapshotService.js';
+import { getClassScope, assertSessionInScope } from '../services/classService.js';
 
 const logger = createLogger();
 
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Dashboard routes only reach rooms opened for a student in the caller's classes
+ */
+async function assertCollaborationInScope(collabSessionId, account) {
+  const collaboration = await getCollaborationSession(collabSessionId);
+  try {
+    assertSessionInScope(collaboration.student_session_id, getClassScope(account));
+  } catch (error) {
+    throw new NotFoundError('Collaboration session');
+  }
+}
+
 /**
  * POST /api/dashboard/sessions/:studentSessionId/collaboration/start
  * Teacher starts collaboration
@@ -29,6 +48,8 @@ export async function startCollaborationHandler(req, res, next) {
       throw new ValidationError('problemText and selectedProblemId are required');
     }
 
+    assertSessionInScope(studentSessionId, getClassScope(req.account));
+
     const collaborationSession = await createCollaborationSession(
       studentSessionId,
       selectedProblemId,
@@ -107,23 +128,38 @@ export async function sendCollaborationMessageHandler(req, res, next) {
   }
 }
 
+/**
+ * Parse a non-negative integer version from a request parameter (default 0)
+ */
+function parseVersion(value, field) {
+  if (value === undefined || value === null || value === '') return 0;
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new ValidationError(`${field} must be a non-negative integer`, field);
+  }
+  return version;
+}
+
 /**
  * POST /api/collaboration/:collabSessionId/canvas
- * Update canvas state
+ * Append canvas operations and receive the ones this client hasn't seen
+ * Body: { operations: [{ id, type, data }], since: lastAppliedVersion }
  */
 export async function updateCanvasHandler(req, res, next) {
+  const { collabSessionId } = req.params;
   try {
-    const { collabSessionId } = req.params;
-    const { canvasState } = req.body;
+    const { operations } = req.body;
 
-    if (canvasState === undefined) {
-      throw new ValidationError('canvasState is required');
+    if (operations === undefined) {
+      throw new ValidationError('operations is required');
     }
 
-    const updatedSession = await updateCanvasState(collabSessionId, canvasState);
+    const since = parseVersion(req.body.since, 'since');
+    const delta = await appendCanvasOperations(collabSessionId, operations, since);
+
     res.json({
       success: true,
-      canvas_state: updatedSession.canvas_state
+      ...delta
     });
   } catch (error) {
     logger.error(`Error updating canvas for ${collabSessionId}:`, error);
@@ -144,7 +180,8 @@ export async function getCollaborationUpdatesHandler(req, res, next) {
       throw new ValidationError('since query parameter is required (ISO timestamp)');
     }
 
-    const updates = await getCollaborationUpdates(collabSessionId, since);
+    const canvasSince = parseVersion(req.query.canvas_since, 'canvas_since');
+    const updates = await getCollaborationUpdates(collabSessionId, since, canvasSince);
 
     res.json(updates);
   } catch (error) {
@@ -152,6 +189,48 @@ export async function getCollaborationUpdatesHandler(req, res, next) {
   }
 }
 
+/**
+ * GET /api/collaboration/:collabSessionId/events
+ * Server-Sent Events stream of room changes: message, canvas, permission, status.
+ * Opens with a `ready` snapshot so reconnecting clients can resync; closes after
+ * the room ends. Clients that can't hold the stream open fall back to /updates.
+ */
+export async function streamCollaborationEventsHandler(req, res, next) {
+  let session;
+  try {
+    // Validate before opening the stream so errors still go out as JSON
+    session = await getCollaborationSession(req.params.collabSessionId);
+  } catch (error) {
+    return next(error);
+  }
+
+  const collabSessionId = session.collaboration_session_id;
+  openEventStream(res);
+  writeEvent(res, 'ready', {
+    status: session.status,
+    student_can_draw: session.student_can_draw
+  });
+
+  if (session.status !== 'active') {
+    res.end();
+    return;
+  }
+
+  const unsubscribe = subscribeToCollaboration(collabSessionId, ({ event, data }) => {
+    writeEvent(res, event, data);
+    if (event === 'status' && data.status !== 'active') {
+      res.end();
+    }
+  });
+  const heartbeat = setInterval(() => writeHeartbeat(res), HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.debug(`Collaboration event stream closed: ${collabSessionId}`);
+  });
+}
+
 /**
  * PUT /api/collaboration/:collabSessionId/drawing-permission
  * Toggle student drawing permission
@@ -199,3 +278,40 @@ export async function endCollaborationHandler(req, res, next) {
   }
 }
 
+
+/**
+ * POST /api/dashboard/collaboration/:collabSessionId/snapshot
+ * Render an ended collaboration's canvas to SVG/PNG and attach it to the student's problem
+ */
+export async function exportCollaborationSnapshotHandler(req, res, next) {
+  try {
+    const { collabSessionId } = req.params;
+
+    await assertCollaborationInScope(collabSessionId, req.account);
+    const result = await attachCollaborationSnapshot(collabSessionId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/dashboard/collaboration/:collabSessionId/replay
+ * Time-ordered chat messages and canvas operations for the dashboard player
+ */
+export async function getCollaborationReplayHandler(req, res, next) {
+  try {
+    const { collabSessionId } = req.params;
+
+    await assertCollaborationInScope(collabSessionId, req.account);
+    const replay = await getCollaborationReplay(collabSessionId);
+
+    res.json(replay);
+  } catch (error) {
+    next(error);
+  }
+}
@@ -3,10 +3,13 @@
  */
 
 import { generateDashboardToken } from '../middleware/auth.js';
+import { authenticateAccount } from '../services/accountService.js';
 import { getAggregateStats, getAllSessionsWithStats, getSessionDetails } from '../services/dashboardService.js';
 import { getSession, updateSession, deleteSession } from '../services/sessionService.js';
 import { collectMLData } from '../services/mlDataService.js';
 import { getSimilarProblemOptions } from '../services/problemSimilarityService.js';
+import { getClassScope, assertSessionInScope } from '../services/classService.js';
+import { getUsageReport } from '../services/llmUsageService.js';
 import { createLogger } from '../utils/logger.js';
 import { ValidationError, NotFoundError } from '../utils/errorHandler.js';
 
@@ -14,35 +17,37 @@ const logger = createLogger();
 
 /**
  * POST /api/dashboard/login
- * Login with dashboard password
+ * Login with a teacher account
  */
 export async function loginHandler(req, res, next) {
   try {
-    const { password } = req.body;
+    const { username, password } = req.body;
 
+    if (!username) {
+      throw new ValidationError('Username is required', 'username');
+    }
     if (!password) {
       throw new ValidationError('Password is required', 'password');
     }
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      throw new ValidationError('Username and password must be strings');
+    }
 
+    let account;
     try {
-      const token = generateDashboardToken(password);
-      
-      logger.info('Dashboard login successful');
-      res.json({
-        success: true,
-        token,
-        expiresIn: 24 * 60 * 60 * 1000 // 24 hours in milliseconds
-      });
+      account = await authenticateAccount(username, password);
     } catch (error) {
-      // Invalid password
-      logger.warn('Dashboard login failed: invalid password');
-      res.status(401).json({
-        error: {
-          message: 'Invalid password',
-          code: 'AUTH_ERROR'
-        }
-      });
+      logger.warn(`Dashboard login failed for "${username}": ${error.message}`);
+      throw error;
     }
+
+    logger.info(`Dashboard login successful: ${account.username} (${account.role})`);
+    res.json({
+      success: true,
+      token: generateDashboardToken(account),
+      account,
+      expiresIn: 24 * 60 * 60 * 1000 // 24 hours in milliseconds
+    });
   } catch (error) {
     next(error);
   }
@@ -50,24 +55,37 @@ export async function loginHandler(req, res, next) {
 
 /**
  * GET /api/dashboard/stats/aggregate
- * Get aggregate statistics across all sessions
+ * Get aggregate statistics across the sessions in the caller's classes
  */
 export async function getAggregateStatsHandler(req, res, next) {
   try {
-    const stats = await getAggregateStats();
+    const stats = await getAggregateStats(getClassScope(req.account));
     res.json(stats);
   } catch (error) {
     next(error);
   }
 }
 
+/**
+ * GET /api/dashboard/usage?days=7
+ * LLM token and cost usage of the caller's classes: totals, per model, per
+ * feature, per day, per class (with today's budget) and the top sessions
+ */
+export async function getUsageReportHandler(req, res, next) {
+  try {
+    res.json(getUsageReport(getClassScope(req.account), { days: req.query.days }));
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * GET /api/dashboard/sessions
- * Get all sessions with statistics
+ * Get the sessions in the caller's classes with statistics
  */
 export async function getAllSessionsHandler(req, res, next) {
   try {
-    const sessions = await getAllSessionsWithStats();
+    const sessions = await getAllSessionsWithStats(getClassScope(req.account));
     res.json({ sessions });
   } catch (error) {
     next(error);
@@ -81,7 +99,7 @@ export async function getAllSessionsHandler(req, res, next) {
 export async function getSessionDetailsHandler(req, res, next) {
   try {
     const { code } = req.params;
-    const session = await getSessionDetails(code);
+    const session = await getSessionDetails(code, getClassScope(req.account));
 
     if (!session) {
       throw new NotFoundError('Session');
@@ -119,6 +137,7 @@ export async function updateProblemTagsHandler(req, res, next) {
     }
 
     // Get session
+    assertSessionInScope(code, getClassScope(req.account));
     const session = await getSession(code);
     
     // Find the problem
@@ -173,6 +192,7 @@ export async function deleteSessionHandler(req, res, next) {
   try {
     const { code } = req.params;
 
+    assertSessionInScope(code, getClassScope(req.account));
     await deleteSession(code);
 
     logger.info(`Session ${code} deleted by dashboard user`);
@@ -200,6 +220,7 @@ export async function getSimilarProblemsHandler(req, res, next) {
     }
 
     // Get the student session
+    assertSessionInScope(studentSessionId, getClassScope(req.account));
     const session = await getSession(studentSessionId);
     
     // Find the problem
@@ -1,3 +1,6 @@
+import { TEXT_MODEL, VISION_MODEL, modelChain } from '../services/openai.js';
+import { getModelHealth } from '../services/modelHealth.js';
+
 /**
  * Health check handler - Lambda-compatible
  * This structure allows easy migration to Lambda functions
@@ -22,3 +25,24 @@ export function healthExpressRoute(req, res) {
   res.status(result.statusCode).json(JSON.parse(result.body));
 }
 
+
+/**
+ * Model health for monitoring: circuit state, recent failures and latency of
+ * every model in the text and vision fallback chains
+ * GET /health/models
+ * Responds 503 when every model of a chain has its circuit open
+ */
+export function modelHealthHandler(req, res) {
+  const chains = { text: modelChain(TEXT_MODEL), vision: modelChain(VISION_MODEL) };
+  const models = getModelHealth([...chains.text, ...chains.vision]);
+  const stateOf = Object.fromEntries(models.map(m => [m.model, m.state]));
+
+  const unavailable = Object.values(chains).some(chain => chain.every(model => stateOf[model] === 'open'));
+  const degraded = models.some(m => m.state !== 'closed');
+  res.status(unavailable ? 503 : 200).json({
+    status: unavailable ? 'unavailable' : degraded ? 'degraded' : 'ok',
+    timestamp: new Date().toISOString(),
+    chains,
+    models
+  });
+}
@@ -7,7 +7,10 @@ import { getSession, addProblemToSession, addToTranscript, updateSession } from
 import { extractTextFromImage, detectMultipleProblems, detectAndExtractWordProblem } from '../services/imageService.js';
 import { processProblem, detectMultipleProblems as detectMultipleProblemsText, hasMathProblem, validateMultipleProblems, validateProblem } from '../services/problemService.js';
 import { generateInitialPrompt } from '../services/socraticEngine.js';
+import { getLearnerProfile } from '../services/learnerProfileService.js';
 import { collectMLData } from '../services/mlDataService.js';
+import { getReviewQueue } from '../services/problemSimilarityService.js';
+import { getAssignedProblemText } from '../services/assignmentService.js';
 import { createLogger } from '../utils/logger.js';
 import { ValidationError, NotFoundError } from '../utils/errorHandler.js';
 import { validateSessionCode } from '../utils/sessionCode.js';
@@ -204,7 +207,7 @@ export async function submitProblemHandler(req, res, next) {
     );
 
     // Generate initial tutor prompt
-    const tutorPrompt = await generateInitialPrompt(currentProblem);
+    const tutorPrompt = await generateInitialPrompt(currentProblem, getLearnerProfile(updatedSession.learner_id));
 
     // Add to transcript
     await addToTranscript(sessionCode, 'student', rawProblemText);
@@ -275,26 +278,32 @@ export async function submitProblemHandler(req, res, next) {
 
 /**
  * POST /api/sessions/:code/problems/select
- * Select and process a problem from multiple detected problems
+ * Select and process a problem from multiple detected problems, or start a
+ * problem of one of the class's assignments ({ assignment_id, problem_index })
  */
 export async function selectProblemHandler(req, res, next) {
   try {
     const { code } = req.params;
-    const { problemText, imageKey } = req.body;
+    const { imageKey, assignment_id: assignmentId, problem_index: problemIndex } = req.body;
 
     if (!validateSessionCode(code)) {
       throw new ValidationError('Invalid session code format', 'session_code');
     }
 
+    // Get session
+    const session = await getSession(code);
+
+    // Assignment problems were written by the teacher and skip validation
+    const problemText = assignmentId
+      ? getAssignedProblemText(session, assignmentId, problemIndex)
+      : req.body.problemText;
+
     if (!problemText || problemText.trim().length === 0) {
       throw new ValidationError('Problem text is required', 'problemText');
     }
 
-    // Get session
-    const session = await getSession(code);
-
     // Validate the selected problem
-    const validation = await validateProblem(problemText.trim());
+    const validation = assignmentId ? { valid: true } : await validateProblem(problemText.trim());
     if (!validation.valid) {
       return res.status(400).json({
         error: 'invalid_problem',
@@ -309,6 +318,11 @@ export async function selectProblemHandler(req, res, next) {
     // Process the selected problem
     const processedProblem = await processProblem(problemText.trim());
 
+    if (assignmentId) {
+      processedProblem.assignment_id = assignmentId;
+      processedProblem.assignment_position = Number(problemIndex);
+    }
+
     // Add image info if available
     if (imageKey) {
       processedProblem.image_url = null;
@@ -324,7 +338,7 @@ export async function selectProblemHandler(req, res, next) {
     );
 
     // Generate initial tutor prompt
-    const tutorPrompt = await generateInitialPrompt(currentProblem);
+    const tutorPrompt = await generateInitialPrompt(currentProblem, getLearnerProfile(updatedSession.learner_id));
 
     // Add to transcript
     await addToTranscript(code, 'student', problemText.trim());
@@ -376,3 +390,28 @@ export async function selectProblemHandler(req, res, next) {
   }
 }
 
+
+/**
+ * GET /api/sessions/:code/reviews
+ * The student's due reviews, each with a review problem to submit. Reviews
+ * without a stored review problem get one generated by the LLM here.
+ */
+export async function getReviewProblemsHandler(req, res, next) {
+  try {
+    const { code } = req.params;
+
+    if (!validateSessionCode(code)) {
+      throw new ValidationError('Invalid session code format', 'session_code');
+    }
+
+    const session = await getSession(code);
+    const queue = await getReviewQueue(session.learner_id);
+
+    res.json({
+      session_code: code,
+      ...queue
+    });
+  } catch (error) {
+    next(error);
+  }
+}
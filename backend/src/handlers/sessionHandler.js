@@ -4,12 +4,40 @@
 
 import { createSession, getSession } from '../services/sessionService.js';
 import { createLogger } from '../utils/logger.js';
-import { ValidationError, NotFoundError } from '../utils/errorHandler.js';
+import { AppError, ValidationError, NotFoundError } from '../utils/errorHandler.js';
 import { validateSessionCode } from '../utils/sessionCode.js';
-import { validateSchoolCode } from '../middleware/auth.js';
+import { resolveJoinCode } from '../services/classService.js';
+import { getLearnerProfile, linkSessionToLearner } from '../services/learnerProfileService.js';
+import { countDueReviews } from '../services/reviewScheduler.js';
 
 const logger = createLogger();
 
+/**
+ * Class code from a request; school_code is still accepted from older clients
+ */
+function classCodeFrom(source) {
+  return source.class_code || source.school_code;
+}
+
+/**
+ * Problem as returned to the student: the checker's canonical answer stays server-side
+ */
+function toStudentProblem(problem) {
+  const visible = { ...problem };
+  delete visible.canonical_answer;
+  return visible;
+}
+
+/**
+ * Sessions can only be resumed with the code of the class they were started in
+ * Sessions from before classes existed have no class_id and resume with any code.
+ */
+function assertSessionInClass(session, classRecord) {
+  if (session.class_id && session.class_id !== classRecord.class_id) {
+    throw new AppError('This session belongs to a different class', 403, 'CLASS_MISMATCH');
+  }
+}
+
 /**
  * GET /api/sessions/:code
  * Get session details
@@ -17,25 +45,26 @@ const logger = createLogger();
 export async function getSessionHandler(req, res, next) {
   try {
     const { code } = req.params;
-    const { school_code } = req.query;
 
-    // Validate school code
-    validateSchoolCode(school_code);
+    const classRecord = resolveJoinCode(classCodeFrom(req.query));
 
     if (!validateSessionCode(code)) {
       throw new ValidationError('Invalid session code format', 'session_code');
     }
 
     const session = await getSession(code);
+    assertSessionInClass(session, classRecord);
 
     res.json({
       session_code: session.session_code,
       created_at: session.created_at,
-      problems: session.problems || [],
+      class_id: session.class_id || null,
+      problems: (session.problems || []).map(toStudentProblem),
       current_problem_id: session.current_problem_id || null,
       transcript: session.transcript || [],
       collaboration_requested: session.collaboration_requested || false,
-      collaboration_session_id: session.collaboration_session_id || null
+      collaboration_session_id: session.collaboration_session_id || null,
+      reviews_due: countDueReviews(getLearnerProfile(session.learner_id))
     });
   } catch (error) {
     next(error);
@@ -45,16 +74,20 @@ export async function getSessionHandler(req, res, next) {
 /**
  * POST /api/sessions
  * Create new session or get existing session
+ * A new session joins the learner profile of the session code the student
+ * tried to resume (if it had expired) or of previous_session_code, so the
+ * profile follows the student across session codes.
  */
 export async function createOrGetSessionHandler(req, res, next) {
   try {
-    const { session_code, school_code } = req.body;
+    const { session_code, previous_session_code } = req.body;
+    const classCode = classCodeFrom(req.body);
 
-    // Validate school code (required for both new and resume)
-    if (!school_code) {
-      throw new ValidationError('School code is required', 'school_code');
+    // Class code is required for both new and resume; it decides the session's class
+    if (!classCode) {
+      throw new ValidationError('Class code is required', 'class_code');
     }
-    validateSchoolCode(school_code);
+    const classRecord = resolveJoinCode(classCode);
 
     // If session code provided, try to get existing session
     if (session_code) {
@@ -64,14 +97,19 @@ export async function createOrGetSessionHandler(req, res, next) {
 
       try {
         const session = await getSession(session_code);
+        assertSessionInClass(session, classRecord);
+        // Sessions from before learner profiles get one on their first resume
+        const profile = linkSessionToLearner(session);
         return res.json({
           session_code: session.session_code,
           created_at: session.created_at,
-          problems: session.problems || [],
+          class_id: session.class_id || null,
+          problems: (session.problems || []).map(toStudentProblem),
           current_problem_id: session.current_problem_id || null,
           transcript: session.transcript || [],
           collaboration_requested: session.collaboration_requested || false,
-          collaboration_session_id: session.collaboration_session_id || null
+          collaboration_session_id: session.collaboration_session_id || null,
+          reviews_due: countDueReviews(profile)
         });
       } catch (error) {
         if (error instanceof NotFoundError) {
@@ -85,14 +123,19 @@ export async function createOrGetSessionHandler(req, res, next) {
     }
 
     // Create new session
-    const session = await createSession();
+    const session = await createSession(null, { classId: classRecord.class_id });
+    const previousCode = session_code ||
+      (validateSessionCode(previous_session_code) ? previous_session_code : null);
+    const profile = linkSessionToLearner(session, previousCode);
 
     res.status(201).json({
       session_code: session.session_code,
       created_at: session.created_at,
+      class_id: session.class_id,
       problems: [],
       current_problem_id: null,
-      transcript: []
+      transcript: [],
+      reviews_due: countDueReviews(profile)
     });
   } catch (error) {
     next(error);
@@ -3,9 +3,15 @@
  * - perIpLimiter: express-rate-limit, 10 requests/minute per IP.
  * - dailyCapGuard: in-process, date-keyed daily request counter.
  *   Counter resets on process restart by design (in-memory, no persistence).
+ * - classTokenBudgetGuard: throttles a class that has used its daily LLM
+ *   token budget, and attributes the request's LLM calls to its session.
  */
 
 import rateLimit from 'express-rate-limit';
+import { usageContextForSession, isOverTokenBudget, runWithUsageContext } from '../services/llmUsageService.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger();
 
 export const perIpLimiter = rateLimit({
   windowMs: 60_000,
@@ -42,6 +48,22 @@ export function dailyCapGuard(req, res, next) {
   next();
 }
 
+/**
+ * Refuse requests from a class past today's token budget; otherwise run the
+ * rest of the request with its LLM usage attributed to the session (from
+ * :code, or :studentSessionId on dashboard routes) and its class
+ */
+export function classTokenBudgetGuard(req, res, next) {
+  const context = usageContextForSession(req.params.code || req.params.studentSessionId);
+
+  if (isOverTokenBudget(context.class_id)) {
+    logger.metric('LLMUsage.BudgetThrottled', 1, 'Count', { class_id: context.class_id });
+    return res.status(429).json({ error: "Your class has used today's AI budget, please try again tomorrow." });
+  }
+
+  runWithUsageContext(context, next);
+}
+
 /**
  * Test hook: reset the daily counter and optionally override the cap.
  */
@@ -1,135 +1,131 @@
 /**
  * Authentication Middleware
- * Validates dashboard token for protected routes
+ * Validates dashboard tokens (per-account, role-aware) for protected routes
  */
 
 import '../config/env.js';
 import { createLogger } from '../utils/logger.js';
 import { AppError } from '../utils/errorHandler.js';
+import { getAccount } from '../services/accountService.js';
 import crypto from 'crypto';
 
 const logger = createLogger();
 
-// Get password dynamically to ensure Parameter Store values are loaded
-function getDashboardPassword() {
-  return process.env.DASHBOARD_PASSWORD;
-}
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+let generatedSecret = null;
 
-// Get session password (school code) dynamically
-function getSessionPassword() {
-  return process.env.SESSION_PASSWORD;
+// Read dynamically so Parameter Store values are picked up. Without
+// SESSION_SECRET, sign with a per-process random secret rather than a
+// well-known default: tokens then just stop working after a restart.
+function getTokenSecret() {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+  if (!generatedSecret) {
+    logger.warn('SESSION_SECRET not set - dashboard tokens are signed with a random per-process secret');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
 }
 
-const TOKEN_SECRET = process.env.SESSION_SECRET || 'default-secret-change-in-production';
+function sign(payload) {
+  return crypto
+    .createHmac('sha256', getTokenSecret())
+    .update(JSON.stringify(payload))
+    .digest('hex');
+}
 
 /**
- * Generate a simple token for dashboard authentication
- * @param {string} password - The password to verify
- * @returns {string} JWT-like token
+ * Generate a signed dashboard token carrying the account's identity
+ * @param {Object} account - Authenticated account ({ username, role })
+ * @returns {string} Token
  */
-export function generateDashboardToken(password) {
-  const expectedPassword = getDashboardPassword();
-  
-  if (!expectedPassword) {
-    logger.error('DASHBOARD_PASSWORD not set in environment variables');
-    throw new AppError('Dashboard authentication not configured', 500, 'CONFIG_ERROR');
-  }
-  
-  if (password !== expectedPassword) {
-    throw new AppError('Invalid password', 401, 'AUTH_ERROR');
-  }
-
-  // Create a simple signed token (not JWT, but similar concept)
+export function generateDashboardToken(account) {
   const payload = {
     type: 'dashboard',
+    sub: account.username,
+    role: account.role,
     timestamp: Date.now(),
-    expires: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
+    expires: Date.now() + TOKEN_TTL_MS
   };
 
-  const signature = crypto
-    .createHmac('sha256', TOKEN_SECRET)
-    .update(JSON.stringify(payload))
-    .digest('hex');
-
-  const token = Buffer.from(JSON.stringify({ payload, signature })).toString('base64');
-  return token;
+  return Buffer.from(JSON.stringify({ payload, signature: sign(payload) })).toString('base64');
 }
 
 /**
- * Verify dashboard token
+ * Verify a dashboard token
  * @param {string} token - Token to verify
- * @returns {boolean} True if valid
+ * @returns {Object|null} Token payload if the signature is valid and unexpired
  */
 export function verifyDashboardToken(token) {
   try {
     const decoded = JSON.parse(Buffer.from(token, 'base64').toString());
     const { payload, signature } = decoded;
 
-    // Check expiration
-    if (payload.expires < Date.now()) {
-      return false;
+    if (!payload || payload.type !== 'dashboard' || !payload.sub || payload.expires < Date.now()) {
+      return null;
     }
 
-    // Verify signature
-    const expectedSignature = crypto
-      .createHmac('sha256', TOKEN_SECRET)
-      .update(JSON.stringify(payload))
-      .digest('hex');
-
-    return signature === expectedSignature && payload.type === 'dashboard';
+    const expected = Buffer.from(sign(payload), 'hex');
+    const actual = Buffer.from(String(signature), 'hex');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+    return payload;
   } catch (error) {
     logger.debug('Token verification failed:', error);
-    return false;
+    return null;
   }
 }
 
+function rejectAuth(res, status, message, code) {
+  return res.status(status).json({
+    error: {
+      message,
+      code
+    }
+  });
+}
+
 /**
- * Middleware to require dashboard authentication
+ * Middleware factory requiring a dashboard token from an active account,
+ * optionally limited to some roles. Sets req.account ({ username, role, ... }).
+ * The account is re-read on every request so disabling it or changing its
+ * role takes effect immediately, not when the token expires.
+ * @param {...string} roles - Allowed roles (none = any role)
+ * @returns {Function} Express middleware
  */
-export function requireDashboardAuth(req, res, next) {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      error: {
-        message: 'Authentication required',
-        code: 'AUTH_REQUIRED'
-      }
-    });
-  }
+export function requireDashboardRole(...roles) {
+  return function dashboardAuth(req, res, next) {
+    const authHeader = req.headers.authorization;
 
-  const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return rejectAuth(res, 401, 'Authentication required', 'AUTH_REQUIRED');
+    }
 
-  if (!verifyDashboardToken(token)) {
-    return res.status(401).json({
-      error: {
-        message: 'Invalid or expired token',
-        code: 'AUTH_INVALID'
-      }
-    });
-  }
+    const payload = verifyDashboardToken(authHeader.substring(7)); // Remove 'Bearer ' prefix
+    const account = payload && getAccount(payload.sub);
+
+    if (!account || account.disabled) {
+      return rejectAuth(res, 401, 'Invalid or expired token', 'AUTH_INVALID');
+    }
 
-  // Token is valid, proceed
-  next();
+    if (roles.length > 0 && !roles.includes(account.role)) {
+      logger.warn(`Dashboard access denied: ${account.username} (${account.role}) ${req.method} ${req.path}`);
+      return rejectAuth(res, 403, 'Your account does not have access to this action', 'FORBIDDEN');
+    }
+
+    req.account = {
+      username: account.username,
+      display_name: account.display_name,
+      role: account.role,
+      class_ids: account.class_ids || []
+    };
+    next();
+  };
 }
 
 /**
- * Validate school code (session password)
- * @param {string} schoolCode - The school code to validate
- * @throws {AppError} If school code is invalid or not configured
+ * Middleware to require dashboard authentication (any role)
  */
-export function validateSchoolCode(schoolCode) {
-  const expectedCode = getSessionPassword();
-  
-  if (!expectedCode) {
-    logger.error('SESSION_PASSWORD not set in environment variables');
-    throw new AppError('School code authentication not configured', 500, 'CONFIG_ERROR');
-  }
-  
-  if (!schoolCode || schoolCode !== expectedCode) {
-    throw new AppError('Invalid school code', 401, 'AUTH_ERROR');
-  }
-  
-  return true;
-}
-
+export const requireDashboardAuth = requireDashboardRole();
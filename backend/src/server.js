@@ -7,8 +7,9 @@ import cors from 'cors';
 import { createLogger } from './utils/logger.js';
 import { handleError } from './utils/errorHandler.js';
 import { getSessionHandler, createOrGetSessionHandler } from './handlers/sessionHandler.js';
-import { submitProblemHandler, selectProblemHandler } from './handlers/problemHandler.js';
-import { sendChatMessageHandler } from './handlers/chatHandler.js';
+import { submitProblemHandler, selectProblemHandler, getReviewProblemsHandler } from './handlers/problemHandler.js';
+import { sendChatMessageHandler, streamChatMessageHandler } from './handlers/chatHandler.js';
+import { modelHealthHandler } from './handlers/health.js';
 import { upload, validateUpload } from './middleware/upload.js';
 import { 
   loginHandler, 
@@ -17,7 +18,8 @@ import {
   getSessionDetailsHandler,
   updateProblemTagsHandler,
   deleteSessionHandler,
-  getSimilarProblemsHandler
+  getSimilarProblemsHandler,
+  getUsageReportHandler
 } from './handlers/dashboardHandler.js';
 import {
   startCollaborationHandler,
@@ -25,16 +27,42 @@ import {
   sendCollaborationMessageHandler,
   updateCanvasHandler,
   getCollaborationUpdatesHandler,
+  streamCollaborationEventsHandler,
   updateDrawingPermissionHandler,
-  endCollaborationHandler
+  endCollaborationHandler,
+  exportCollaborationSnapshotHandler,
+  getCollaborationReplayHandler
 } from './handlers/collaborationHandler.js';
-import { requireDashboardAuth } from './middleware/auth.js';
-import { perIpLimiter, dailyCapGuard } from './middleware/abuseGuards.js';
+import {
+  listAccountsHandler,
+  createAccountHandler,
+  updateAccountHandler
+} from './handlers/accountHandler.js';
+import {
+  listClassesHandler,
+  createClassHandler,
+  rotateJoinCodeHandler,
+  updateAssessmentSettingsHandler,
+  updateTokenBudgetHandler
+} from './handlers/classHandler.js';
+import {
+  listAssignmentsHandler,
+  createAssignmentHandler,
+  getAssignmentReportHandler,
+  deleteAssignmentHandler,
+  getSessionAssignmentsHandler
+} from './handlers/assignmentHandler.js';
+import { requireDashboardAuth, requireDashboardRole } from './middleware/auth.js';
+import { perIpLimiter, dailyCapGuard, classTokenBudgetGuard } from './middleware/abuseGuards.js';
+import { startExpirySweeper } from './services/expirySweeper.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const logger = createLogger();
-const llmGuards = [perIpLimiter, dailyCapGuard];
+// classTokenBudgetGuard comes last: it sets the async context that
+// attributes the handler's LLM calls, which multer's stream callbacks drop
+const llmGuards = [perIpLimiter, dailyCapGuard, classTokenBudgetGuard];
+const llmUploadGuards = [perIpLimiter, dailyCapGuard, upload.single('image'), classTokenBudgetGuard];
 
 // Render sits behind a proxy - required for express-rate-limit to see real client IPs
 app.set('trust proxy', 1);
@@ -73,6 +101,7 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
+app.get('/health/models', modelHealthHandler);
 
 // API routes
 // Session routes
@@ -80,30 +109,59 @@ app.get('/api/sessions/:code', getSessionHandler);
 app.post('/api/sessions', ...llmGuards, createOrGetSessionHandler);
 
 // Problem routes (with optional image upload)
-app.post('/api/sessions/:code/problems', ...llmGuards, upload.single('image'), submitProblemHandler);
+app.post('/api/sessions/:code/problems', ...llmUploadGuards, submitProblemHandler);
 app.post('/api/sessions/:code/problems/select', ...llmGuards, selectProblemHandler);
+// A GET, but it generates a review problem (an LLM call) for each due review
+// that doesn't have one yet, so it takes the same guards as the LLM routes
+app.get('/api/sessions/:code/reviews', ...llmGuards, getReviewProblemsHandler);
+app.get('/api/sessions/:code/assignments', getSessionAssignmentsHandler);
 
 // Chat routes
 app.post('/api/sessions/:code/chat', ...llmGuards, sendChatMessageHandler);
+app.post('/api/sessions/:code/chat/stream', ...llmGuards, streamChatMessageHandler);
 
 // Dashboard routes
 // Login (no auth required)
 app.post('/api/dashboard/login', loginHandler);
 
 // Protected dashboard routes (require authentication)
+// Any role (observers included) can read; changes need a teacher or admin
+const requireTeacher = requireDashboardRole('admin', 'teacher');
 app.get('/api/dashboard/stats/aggregate', requireDashboardAuth, getAggregateStatsHandler);
+app.get('/api/dashboard/usage', requireDashboardAuth, getUsageReportHandler);
 app.get('/api/dashboard/sessions', requireDashboardAuth, getAllSessionsHandler);
 app.get('/api/dashboard/sessions/:code', requireDashboardAuth, getSessionDetailsHandler);
-app.get('/api/dashboard/sessions/:studentSessionId/similar-problems', requireDashboardAuth, ...llmGuards, getSimilarProblemsHandler);
-app.put('/api/dashboard/sessions/:code/problems/:problemId', requireDashboardAuth, updateProblemTagsHandler);
-app.delete('/api/dashboard/sessions/:code', requireDashboardAuth, deleteSessionHandler);
+app.get('/api/dashboard/sessions/:studentSessionId/similar-problems', requireTeacher, ...llmGuards, getSimilarProblemsHandler);
+app.put('/api/dashboard/sessions/:code/problems/:problemId', requireTeacher, updateProblemTagsHandler);
+app.delete('/api/dashboard/sessions/:code', requireTeacher, deleteSessionHandler);
+
+// Classes: sessions and stats above are scoped to the caller's classes
+app.get('/api/dashboard/classes', requireDashboardAuth, listClassesHandler);
+app.post('/api/dashboard/classes', requireTeacher, createClassHandler);
+app.post('/api/dashboard/classes/:classId/join-code', requireTeacher, rotateJoinCodeHandler);
+app.put('/api/dashboard/classes/:classId/assessment', requireTeacher, updateAssessmentSettingsHandler);
+app.put('/api/dashboard/classes/:classId/token-budget', requireDashboardRole('admin'), updateTokenBudgetHandler);
+
+// Assignments: problem sets for a class, with per-student completion reports
+app.get('/api/dashboard/assignments', requireDashboardAuth, listAssignmentsHandler);
+app.post('/api/dashboard/assignments', requireTeacher, createAssignmentHandler);
+app.get('/api/dashboard/assignments/:assignmentId/report', requireDashboardAuth, getAssignmentReportHandler);
+app.delete('/api/dashboard/assignments/:assignmentId', requireTeacher, deleteAssignmentHandler);
+
+// Account management (admin only)
+app.get('/api/dashboard/accounts', requireDashboardRole('admin'), listAccountsHandler);
+app.post('/api/dashboard/accounts', requireDashboardRole('admin'), createAccountHandler);
+app.patch('/api/dashboard/accounts/:username', requireDashboardRole('admin'), updateAccountHandler);
 
 // Collaboration routes
-app.post('/api/dashboard/sessions/:studentSessionId/collaboration/start', requireDashboardAuth, startCollaborationHandler);
+app.post('/api/dashboard/sessions/:studentSessionId/collaboration/start', requireTeacher, startCollaborationHandler);
+app.post('/api/dashboard/collaboration/:collabSessionId/snapshot', requireTeacher, exportCollaborationSnapshotHandler);
+app.get('/api/dashboard/collaboration/:collabSessionId/replay', requireDashboardAuth, getCollaborationReplayHandler);
 app.get('/api/collaboration/:collabSessionId', getCollaborationHandler);
 app.post('/api/collaboration/:collabSessionId/message', sendCollaborationMessageHandler);
 app.post('/api/collaboration/:collabSessionId/canvas', updateCanvasHandler);
 app.get('/api/collaboration/:collabSessionId/updates', getCollaborationUpdatesHandler);
+app.get('/api/collaboration/:collabSessionId/events', streamCollaborationEventsHandler);
 app.put('/api/collaboration/:collabSessionId/drawing-permission', updateDrawingPermissionHandler);
 app.post('/api/collaboration/:collabSessionId/end', endCollaborationHandler);
 
@@ -132,6 +190,7 @@ if (process.env.NODE_ENV !== 'test') {
     logger.info(`Server running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   });
+  startExpirySweeper();
 }
 
 export default app;
@@ -0,0 +1,254 @@
+/**
+ * Teacher Account Service
+ * Dashboard accounts kept in the session store under ACCOUNT#<username>.
+ * Passwords are stored as scrypt hashes; roles gate what each account can do:
+ * - admin: everything, including managing accounts
+ * - teacher: review sessions, edit tags, run collaborations
+ * - observer: read-only access to stats, sessions and replays
+ */
+
+import '../config/env.js';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { sessionStore } from './memoryStore.js';
+import { getClass } from './classService.js';
+import { createLogger } from '../utils/logger.js';
+import { AppError, ValidationError, ConflictError, NotFoundError } from '../utils/errorHandler.js';
+
+const logger = createLogger();
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['admin', 'teacher', 'observer'];
+
+const ACCOUNT_KEY_PREFIX = 'ACCOUNT#';
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,40}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Verified against when the username is unknown, so a login takes as long
+// whether or not the account exists
+const DUMMY_PASSWORD_HASH = `${'0'.repeat(32)}:${'0'.repeat(KEY_LENGTH * 2)}`;
+
+function accountKey(username) {
+  return `${ACCOUNT_KEY_PREFIX}${username}`;
+}
+
+function normalizeUsername(username) {
+  return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+/**
+ * Account fields safe to return from the API (never the password hash)
+ */
+function toPublicAccount(account) {
+  return {
+    username: account.username,
+    display_name: account.display_name,
+    role: account.role,
+    disabled: account.disabled === true,
+    created_at: account.created_at,
+    created_by: account.created_by || null,
+    ...(account.role === 'observer' ? { class_ids: account.class_ids || [] } : {})
+  };
+}
+
+/**
+ * Validate the classes assigned to an observer
+ * @param {Array<string>} classIds - Class IDs
+ * @returns {Array<string>} The IDs without repeats
+ * @throws {ValidationError} If it isn't a list of existing classes
+ */
+function validateClassIds(classIds) {
+  if (!Array.isArray(classIds) || classIds.some(id => typeof id !== 'string')) {
+    throw new ValidationError('class_ids must be a list of class IDs', 'class_ids');
+  }
+  const unique = [...new Set(classIds)];
+  const unknown = unique.find(id => !getClass(id));
+  if (unknown) {
+    throw new ValidationError(`Unknown class "${unknown}"`, 'class_ids');
+  }
+  return unique;
+}
+
+/**
+ * Hash a password as salt:hash (hex)
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash produced by hashPassword
+ * @param {string} password - Plain-text password
+ * @param {string} encoded - Stored salt:hash
+ * @returns {Promise<boolean>} True if it matches
+ */
+export async function verifyPassword(password, encoded) {
+  const [saltHex, hashHex] = (encoded || '').split(':');
+  if (!saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Get a stored account record (including its hash) or null
+ * @param {string} username - Username
+ * @returns {Object|null} Account record
+ */
+export function getAccount(username) {
+  return sessionStore.get(accountKey(normalizeUsername(username)));
+}
+
+/**
+ * Create a dashboard account
+ * @param {Object} params
+ * @param {string} params.username - Lowercase letters, digits, '.', '_' or '-' (3-40 chars)
+ * @param {string} params.password - At least 8 characters
+ * @param {string} params.role - One of ROLES
+ * @param {string} params.displayName - Name shown in the dashboard (defaults to username)
+ * @param {Array<string>} params.classIds - Classes an observer may see (observers only)
+ * @param {string|null} createdBy - Username of the admin creating it
+ * @returns {Promise<Object>} Public account fields
+ */
+export async function createAccount({ username, password, role, displayName, classIds }, createdBy = null) {
+  const normalized = normalizeUsername(username);
+
+  if (!USERNAME_PATTERN.test(normalized)) {
+    throw new ValidationError('username must be 3-40 characters of letters, digits, ".", "_" or "-"', 'username');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'password');
+  }
+  if (!ROLES.includes(role)) {
+    throw new ValidationError(`role must be one of: ${ROLES.join(', ')}`, 'role');
+  }
+  if (classIds != null && role !== 'observer') {
+    throw new ValidationError('Only observers are assigned classes; teachers see the classes they own', 'class_ids');
+  }
+  const assignedClasses = role === 'observer' ? validateClassIds(classIds ?? []) : null;
+  if (getAccount(normalized)) {
+    throw new ConflictError(`Account "${normalized}" already exists`);
+  }
+
+  const account = {
+    session_code: accountKey(normalized), // Store primary key
+    record_type: 'account',
+    username: normalized,
+    display_name: (typeof displayName === 'string' && displayName.trim()) || normalized,
+    role,
+    password_hash: await hashPassword(password),
+    disabled: false,
+    created_at: new Date().toISOString(),
+    created_by: createdBy,
+    ...(assignedClasses ? { class_ids: assignedClasses } : {})
+  };
+
+  sessionStore.put(account.session_code, account);
+  logger.info(`Dashboard account created: ${normalized} (${role})${createdBy ? ` by ${createdBy}` : ''}`);
+  return toPublicAccount(account);
+}
+
+/**
+ * List all dashboard accounts
+ * @returns {Array} Public account fields, sorted by username
+ */
+export function listAccounts() {
+  return sessionStore.scanAll()
+    .filter(item => item.record_type === 'account')
+    .map(toPublicAccount)
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * Disable or re-enable an account
+ * Tokens are checked against the account on every request, so disabling
+ * locks the account out immediately.
+ * @param {string} username - Account to change
+ * @param {boolean} disabled - New state
+ * @param {string|null} changedBy - Admin making the change
+ * @returns {Object} Public account fields
+ */
+export function setAccountDisabled(username, disabled, changedBy = null) {
+  const account = getAccount(username);
+  if (!account) {
+    throw new NotFoundError('Account');
+  }
+  if (disabled && account.username === changedBy) {
+    throw new ValidationError('You cannot disable your own account', 'disabled');
+  }
+
+  const updated = sessionStore.merge(account.session_code, { disabled: disabled === true });
+  logger.info(`Dashboard account ${disabled ? 'disabled' : 'enabled'}: ${account.username}${changedBy ? ` by ${changedBy}` : ''}`);
+  return toPublicAccount(updated);
+}
+
+/**
+ * Set the classes an observer may see
+ * Observers own no classes, so this is their whole dashboard scope.
+ * @param {string} username - Observer account
+ * @param {Array<string>} classIds - Class IDs (replaces the current list)
+ * @param {string|null} changedBy - Admin making the change
+ * @returns {Object} Public account fields
+ */
+export function setObserverClasses(username, classIds, changedBy = null) {
+  const account = getAccount(username);
+  if (!account) {
+    throw new NotFoundError('Account');
+  }
+  if (account.role !== 'observer') {
+    throw new ValidationError('Only observers are assigned classes; teachers see the classes they own', 'class_ids');
+  }
+
+  const updated = sessionStore.merge(account.session_code, { class_ids: validateClassIds(classIds) });
+  logger.info(`Observer ${account.username} assigned classes [${updated.class_ids.join(', ')}]${changedBy ? ` by ${changedBy}` : ''}`);
+  return toPublicAccount(updated);
+}
+
+/**
+ * Create the bootstrap admin from ADMIN_USERNAME / ADMIN_PASSWORD if no admin exists yet
+ * DASHBOARD_PASSWORD is accepted in place of ADMIN_PASSWORD so existing
+ * deployments keep a way in after upgrading.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Promise<Object|null>} The created admin, or null if none was needed/configured
+ */
+export async function ensureBootstrapAdmin(env = process.env) {
+  const password = env.ADMIN_PASSWORD || env.DASHBOARD_PASSWORD;
+  if (!password) return null;
+  if (listAccounts().some(account => account.role === 'admin')) return null;
+
+  const username = env.ADMIN_USERNAME || 'admin';
+  if (getAccount(username)) return null;
+
+  const admin = await createAccount({ username, password, role: 'admin', displayName: 'Administrator' });
+  logger.info(`Bootstrap admin account "${admin.username}" created from environment`);
+  return admin;
+}
+
+/**
+ * Check a username/password pair
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} Public account fields
+ * @throws {AppError} 401 for bad credentials, 403 for a disabled account
+ */
+export async function authenticateAccount(username, password) {
+  await ensureBootstrapAdmin();
+
+  const account = getAccount(username);
+  const valid = typeof password === 'string'
+    && await verifyPassword(password, account ? account.password_hash : DUMMY_PASSWORD_HASH);
+  if (!account || !valid) {
+    throw new AppError('Invalid username or password', 401, 'AUTH_ERROR');
+  }
+  if (account.disabled) {
+    throw new AppError('Account is disabled', 403, 'ACCOUNT_DISABLED');
+  }
+
+  return toPublicAccount(account);
+}
@@ -0,0 +1,544 @@
+/**
+ * Answer Checker
+ * Deterministic verification of student answers, used by
+ * detectSolutionCompletion before it falls back to the LLM.
+ *
+ * When a problem is accepted, computeCanonicalAnswer reads its normalized
+ * LaTeX and, if it's an arithmetic expression or an equation that is linear
+ * in the unknown, stores the answer on the problem:
+ *   { type: 'value', variable, value }        - e.g. 2x + 3 = 21 → x = 9
+ *   { type: 'solve', variable, equation }     - e.g. solve 2x + y = 5 for y
+ * checkAnswer then decides student replies exactly: 9/1, 9.0, "x = 9" and
+ * "the answer is 9" all match 9; "y = -2x + 5" and "5 - 2x" both solve the
+ * literal equation. Anything it can't decide returns null so the caller asks
+ * the LLM instead.
+ *
+ * checkStep does the same for intermediate work: each equation the student
+ * writes is compared with their last valid one (3x = 27 follows from
+ * 3x - 7 = 20), which sets progress_made on the step and tells the tutor
+ * whether the step was valid and why.
+ */
+
+import {
+  latexToPlain,
+  parseStatement,
+  parseExpression,
+  variablesOf,
+  hasOperation,
+  evaluate,
+  rational,
+  subtract,
+  divide,
+  isZero,
+  valuesEqual,
+  formatValue,
+  toNumber
+} from '../utils/mathExpression.js';
+
+// Problems with more prose than this and no equation are treated as word
+// problems, whose numbers the checker can't safely turn into an answer
+const MAX_PROSE_WORDS_FOR_ARITHMETIC = 6;
+
+// Fixed sample points for the other variables of a literal equation; exact
+// rationals, chosen to avoid the 0/1 values where wrong answers coincide
+const SAMPLE_POINTS = [
+  [3n, 7n], [-5n, 2n], [11n, 3n], [13n, 5n], [-7n, 4n]
+].map(([n, d]) => rational(n, d));
+
+// Lead-ins students put before a final answer ("the answer is 9")
+const FINAL_ANSWER_LEAD_INS = [
+  /^(?:so|ok|okay|well|um+|hmm+|then|yes|yeah)[,\s]+/,
+  /^(?:i think|i believe|maybe)\s+/,
+  /^(?:the\s+)?(?:final\s+)?(?:answer|solution|result)\s*(?:is|=|:)\s*/,
+  /^(?:it's|it is|its|i got|i get|that's|that is|that makes|equals)\s+/
+];
+
+const PROSE_WORD = /\b(?!(?:sqrt|abs|pi)\b)[a-zA-Z]{2,}\b/g;
+
+// Words that make prose part of the math ("15% of 80", "half of 3 + 5",
+// "7 times 8"); splitting on them would drop the operation they carry
+const OPERATION_WORD = /\b(?:of|times|percent|per|half|halves|twice|double|triple|thirds?|quarters?|squared|cubed|plus|minus|divided|multiplied|over|sum|product|difference|quotient|less|more|increased|decreased|reduced)\b/i;
+
+// "Solve for y: 2x + y = 5" or "Solve 2x + y = 5 for y"
+const UNKNOWN_HINTS = [/solve\s+for\s+\$?([a-z])\b/i, /\bfor\s+\$?([a-z])\$?\s*[.?!]?\s*$/i];
+
+const CLAUSE_BREAK = /[:;?!]|\.(?!\d)|,(?!\d{3})/;
+
+function tryParse(text) {
+  try {
+    return parseStatement(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+function tryEvaluate(node, env) {
+  try {
+    return evaluate(node, env);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Split a problem statement into the math fragments between its words
+ * @returns {Array<{text: string, clause: string}>} Fragments with the clause they came from
+ */
+function mathSegments(plain) {
+  return plain
+    .split(CLAUSE_BREAK)
+    .flatMap(clause => clause.split(PROSE_WORD).map(part => ({ text: part.trim(), clause })))
+    .filter(segment => segment.text);
+}
+
+/**
+ * Whether the words of a clause take part in its math: an operation word,
+ * or prose between two numbers ("2/3 of 12", "What is 15% of 80")
+ */
+function proseCarriesMath(clause) {
+  if (OPERATION_WORD.test(clause)) return true;
+  const numericFragments = clause.split(PROSE_WORD).filter(part => /\d/.test(part));
+  return numericFragments.length > 1;
+}
+
+/**
+ * Sample assignments for the given variables, one per sample point
+ */
+function sampleEnvs(names) {
+  if (names.length === 0) return [{}];
+  return SAMPLE_POINTS.map((point, i) => Object.fromEntries(
+    names.map((name, j) => [name, SAMPLE_POINTS[(i + j) % SAMPLE_POINTS.length]])
+  ));
+}
+
+/**
+ * lhs - rhs for an equation's sides, or null if it can't be evaluated there
+ */
+function difference([lhs, rhs], env) {
+  const left = tryEvaluate(lhs, env);
+  const right = tryEvaluate(rhs, env);
+  return left === null || right === null ? null : subtract(left, right);
+}
+
+/**
+ * lhs - rhs at variable = 1, 2, 3, 4 with the other variables fixed by env
+ */
+function differencesAlong(sides, variable, env) {
+  const values = [1, 2, 3, 4].map(t => difference(sides, { ...env, [variable]: rational(BigInt(t)) }));
+  return values.some(v => v === null) ? null : values;
+}
+
+/**
+ * Root of lhs - rhs = 0 in `variable` at env, if the equation is linear there
+ * @returns {Object|null} Root, or null if not linear (or constant) in variable
+ */
+function rootAt(sides, variable, env) {
+  const values = differencesAlong(sides, variable, env);
+  if (!values) return null;
+
+  const slope = subtract(values[1], values[0]);
+  const linear = valuesEqual(subtract(values[2], values[1]), slope) &&
+    valuesEqual(subtract(values[3], values[2]), slope);
+  if (!linear || isZero(slope)) return null;
+
+  // f(t) = slope * (t - 1) + f(1)  →  t = 1 - f(1) / slope
+  return subtract(rational(1n), divide(values[0], slope));
+}
+
+/**
+ * Solve lhs - rhs = 0 for `variable` if it's linear in it
+ * Checked at several points for the other variables, so a*x + b with a or b
+ * depending on them still counts; a must be non-zero everywhere.
+ * @returns {Object|null} Root as a value (only when there are no other variables)
+ *   or true for a linear literal equation; null if not linear
+ */
+function linearRoot(lhs, rhs, variable, others) {
+  let root = null;
+  for (const env of sampleEnvs(others)) {
+    root = rootAt([lhs, rhs], variable, env);
+    if (root === null) return null;
+  }
+  return others.length === 0 ? root : true;
+}
+
+/**
+ * Find the equation or arithmetic expression a problem is about
+ * @param {string} normalizedLatex - Problem as produced by normalizeToLaTeX
+ * @param {string} rawInput - Original problem text (used for "solve for y" and "... for y" hints)
+ * @returns {Object|null} { kind: 'equation', text, sides, variable } (variable
+ *   is null when the unknown isn't clear) or { kind: 'expression', text, sides };
+ *   null for word problems and anything with several equations
+ */
+function findProblemStatement(normalizedLatex, rawInput = '') {
+  if (!normalizedLatex && !rawInput) return null;
+
+  const plain = latexToPlain(normalizedLatex || rawInput);
+  const hinted = [rawInput, plain]
+    .flatMap(text => UNKNOWN_HINTS.map(pattern => text.match(pattern)?.[1]))
+    .find(Boolean)?.toLowerCase() || null;
+  const parsed = mathSegments(plain)
+    .map(segment => ({ ...segment, sides: tryParse(segment.text) }))
+    .filter(segment => segment.sides);
+
+  const equations = parsed.filter(segment => segment.sides.length > 1);
+
+  if (equations.length === 1 && equations[0].sides.length === 2) {
+    const { text, sides, clause } = equations[0];
+    if (proseCarriesMath(clause)) return null;
+    const variables = variablesOf({ type: 'bin', left: sides[0], right: sides[1] });
+    const variable = hinted && variables.includes(hinted)
+      ? hinted
+      : variables.length === 1 ? variables[0] : null;
+    return { kind: 'equation', text, sides, variable };
+  }
+
+  if (equations.length > 0) return null;
+
+  const proseWords = (plain.match(PROSE_WORD) || []).length;
+  const expressions = parsed.filter(segment => hasOperation(segment.sides[0]));
+  if (expressions.length !== 1 || proseWords > MAX_PROSE_WORDS_FOR_ARITHMETIC) return null;
+  if (variablesOf(expressions[0].sides[0]).length > 0) return null;
+  if (proseCarriesMath(expressions[0].clause)) return null;
+
+  return { kind: 'expression', text: expressions[0].text, sides: expressions[0].sides };
+}
+
+/**
+ * Work out the answer to a problem from its normalized LaTeX
+ * @param {string} normalizedLatex - Problem as produced by normalizeToLaTeX
+ * @param {string} rawInput - Original problem text (used for "solve for y" and "... for y" hints)
+ * @returns {Object|null} Canonical answer, or null when the problem isn't one
+ *   the checker can solve (word problems, non-linear equations, ...)
+ */
+export function computeCanonicalAnswer(normalizedLatex, rawInput = '') {
+  const statement = findProblemStatement(normalizedLatex, rawInput);
+  if (!statement) return null;
+
+  if (statement.kind === 'equation') {
+    const { variable, sides: [lhs, rhs] } = statement;
+    if (!variable) return null;
+
+    const others = variablesOf({ type: 'bin', left: lhs, right: rhs }).filter(name => name !== variable);
+    const root = linearRoot(lhs, rhs, variable, others);
+    if (root === null) return null;
+
+    return others.length === 0
+      ? { type: 'value', variable, value: formatValue(root) }
+      : { type: 'solve', variable, equation: statement.text };
+  }
+
+  const value = tryEvaluate(statement.sides[0], {});
+  return value === null ? null : { type: 'value', variable: null, value: formatValue(value) };
+}
+
+/**
+ * Pull the answer out of a student reply
+ * @returns {{sides: Array, explicit: boolean, text: string}|null} Parsed statement,
+ *   whether the student marked it as their final answer and the math as typed;
+ *   null if it isn't pure math
+ */
+function parseStudentAnswer(studentResponse) {
+  let text = String(studentResponse || '').trim().toLowerCase().replace(/[.!?]+$/, '').trim();
+  let explicit = false;
+
+  let stripped = true;
+  while (stripped) {
+    stripped = false;
+    for (const pattern of FINAL_ANSWER_LEAD_INS) {
+      const next = text.replace(pattern, '');
+      if (next !== text) {
+        explicit = explicit || /answer|solution|result|got|get|equals|makes/.test(text.slice(0, text.length - next.length));
+        text = next.trim();
+        stripped = true;
+      }
+    }
+  }
+
+  // "x is 9" reads the same as "x = 9"
+  text = text.replace(/^([a-z])\s+is\s+/, '$1 = ');
+
+  const sides = tryParse(latexToPlain(text));
+  if (!sides) return null;
+  return { sides, explicit, text };
+}
+
+function decided(solutionCompleted, isCorrect, reasoning) {
+  return { solution_completed: solutionCompleted, is_correct: isCorrect, reasoning };
+}
+
+/**
+ * Decimal places typed for a bare decimal answer like "0.33" or "-2.5", else 0
+ */
+function decimalPlaces(node) {
+  const inner = node.type === 'neg' ? node.arg : node;
+  if (inner.type !== 'num' || !inner.text) return 0;
+  return inner.text.split('.')[1]?.length || 0;
+}
+
+/**
+ * A decimal counts as the rational answer when it's that answer correctly
+ * rounded to the places typed (at least 2, so 0.3 isn't accepted for 1/3)
+ */
+function roundsTo(studentValue, expected, places) {
+  if (places < 2) return false;
+  const tolerance = 0.5 * 10 ** -places + 1e-12;
+  return Math.abs(toNumber(studentValue) - toNumber(expected)) <= tolerance;
+}
+
+/**
+ * Decide whether a student reply is a correct final answer
+ * @param {string} studentResponse - What the student typed
+ * @param {Object|null} canonicalAnswer - From computeCanonicalAnswer
+ * @returns {Object|null} { solution_completed, is_correct, reasoning }, or null
+ *   when the checker can't decide (the caller should ask the LLM)
+ */
+export function checkAnswer(studentResponse, canonicalAnswer) {
+  if (!canonicalAnswer) return null;
+
+  const answer = parseStudentAnswer(studentResponse);
+  if (!answer) return null;
+
+  const { variable } = canonicalAnswer;
+  const { sides } = answer;
+  let explicit = answer.explicit;
+  let expression = sides[0];
+
+  if (sides.length > 1) {
+    const first = sides[0];
+    const last = sides[sides.length - 1];
+    if (first.type === 'var') {
+      // "x = 9", or a worked chain "x = 18/2 = 9"
+      if (variable && first.name !== variable) return null;
+      expression = last;
+      explicit = true;
+    } else if (last.type === 'var' && sides.length === 2) {
+      if (variable && last.name !== variable) return null;
+      expression = first;
+      explicit = true;
+    } else if (sides.every(side => variablesOf(side).length === 0)) {
+      // "18 / 2 = 9": the student's result is the last side
+      expression = last;
+    } else {
+      return variable && sides.some(side => variablesOf(side).includes(variable))
+        ? decided(false, false, `Still an equation in ${variable}`)
+        : null;
+    }
+  }
+
+  const used = variablesOf(expression);
+
+  if (canonicalAnswer.type === 'value') {
+    if (used.length > 0) {
+      return variable && used.includes(variable)
+        ? decided(false, false, `Answer still contains ${variable}`)
+        : null;
+    }
+
+    const expected = tryEvaluate(parseExpression(canonicalAnswer.value), {});
+    const given = tryEvaluate(expression, {});
+    if (expected === null || given === null) return null;
+
+    if (valuesEqual(given, expected) || roundsTo(given, expected, decimalPlaces(expression))) {
+      return decided(true, true, `Matches the expected answer ${canonicalAnswer.value}`);
+    }
+    // A different bare number may just answer the tutor's last sub-question
+    return explicit
+      ? decided(true, false, `Expected ${canonicalAnswer.value}`)
+      : null;
+  }
+
+  if (canonicalAnswer.type === 'solve') {
+    const [lhs, rhs] = tryParse(canonicalAnswer.equation) || [];
+    if (!lhs || !rhs) return null;
+    if (used.includes(variable)) {
+      return decided(false, false, `Answer still contains ${variable}`);
+    }
+
+    const others = variablesOf({ type: 'bin', left: lhs, right: rhs }).filter(name => name !== variable);
+    if (used.some(name => !others.includes(name))) return null;
+
+    // Substitute the student's expression for the unknown at several points
+    const satisfies = sampleEnvs(others).every(env => {
+      const value = tryEvaluate(expression, env);
+      if (value === null) return false;
+      const left = tryEvaluate(lhs, { ...env, [variable]: value });
+      const right = tryEvaluate(rhs, { ...env, [variable]: value });
+      return left !== null && right !== null && valuesEqual(left, right);
+    });
+
+    if (satisfies) {
+      return decided(true, true, `Solves ${canonicalAnswer.equation} for ${variable}`);
+    }
+    return explicit ? decided(true, false, `Doesn't solve ${canonicalAnswer.equation} for ${variable}`) : null;
+  }
+
+  return null;
+}
+
+// ── Step checking ───────────────────────────────────────────────────────
+
+/**
+ * The equation or expression the student is currently working on: their
+ * latest valid rewrite, or the problem itself
+ */
+function currentState(statement, steps) {
+  for (let i = steps.length - 1; i >= 0; i--) {
+    const state = steps[i]?.step_check?.valid ? steps[i].step_check.state : null;
+    const sides = state ? tryParse(state) : null;
+    if (sides && sides.length === statement.sides.length) return { text: state, sides };
+  }
+  return { text: statement.text, sides: statement.sides };
+}
+
+/**
+ * @param {string|null} error - For invalid steps, what went wrong: 'arithmetic'
+ *   (a false numeric statement) or 'equation' (not equivalent to the last one)
+ */
+function stepResult(valid, state, reasoning, error = null) {
+  return valid ? { valid, state, reasoning } : { valid, state, reasoning, error };
+}
+
+/**
+ * Compare two equations by their solution sets
+ * Equivalent if lhs - rhs of one is a constant multiple of the other's (what
+ * doing the same thing to both sides produces) or both are linear in the
+ * unknown with the same root; not equivalent if either one's root fails the
+ * other. Anything else (squaring, dividing by the unknown, ...) is undecided.
+ * @returns {Object|null} Step result, or null if undecided
+ */
+function compareEquations(current, step, variable) {
+  const variables = variablesOf({
+    type: 'bin',
+    left: { type: 'bin', left: current.sides[0], right: current.sides[1] },
+    right: { type: 'bin', left: step.sides[0], right: step.sides[1] }
+  });
+
+  // Same thing done to both sides: (lhs - rhs) scaled by a non-zero constant
+  let ratio = null;
+  const proportional = sampleEnvs(variables).every(env => {
+    const before = difference(current.sides, env);
+    const after = difference(step.sides, env);
+    if (before === null || after === null) return false;
+    if (isZero(before) || isZero(after)) return isZero(before) && isZero(after);
+    const scale = divide(before, after);
+    ratio = ratio ?? scale;
+    return valuesEqual(scale, ratio);
+  });
+  if (proportional && ratio !== null) {
+    return stepResult(true, step.text, `${step.text} follows from ${current.text}`);
+  }
+
+  const unknown = variable || (variables.length === 1 ? variables[0] : null);
+  if (!unknown) return null;
+  const others = variables.filter(name => name !== unknown);
+
+  for (const env of sampleEnvs(others)) {
+    const after = differencesAlong(step.sides, unknown, env);
+    if (after && after.every(value => valuesEqual(value, after[0]))) {
+      // No unknown left: "0 = 5" is never true; "5 = 5" says nothing new
+      return isZero(after[0])
+        ? null
+        : stepResult(false, null, `${step.text} is never true, so it can't follow from ${current.text}`, 'equation');
+    }
+
+    const stepRoot = rootAt(step.sides, unknown, env);
+    if (stepRoot !== null) {
+      const check = { ...env, [unknown]: stepRoot };
+      const left = tryEvaluate(current.sides[0], check);
+      const right = tryEvaluate(current.sides[1], check);
+      if (left !== null && right !== null && !valuesEqual(left, right)) {
+        const solved = step.sides[0].type === 'var' && variablesOf(step.sides[1]).length === 0;
+        return stepResult(false, null, others.length > 0
+          ? `${step.text} isn't equivalent to ${current.text}`
+          : `${solved ? `With ${step.text},` : `${step.text} gives ${unknown} = ${formatValue(stepRoot)}, but then`} ${current.text} would read ${formatValue(left)} = ${formatValue(right)}`, 'equation');
+      }
+    }
+
+    const currentRoot = rootAt(current.sides, unknown, env);
+    if (currentRoot !== null) {
+      const lost = difference(step.sides, { ...env, [unknown]: currentRoot });
+      if (lost !== null && !isZero(lost)) {
+        return stepResult(false, null, `${step.text} isn't equivalent to ${current.text}`, 'equation');
+      }
+      if (stepRoot !== null) continue;
+    }
+    return null;
+  }
+  return stepResult(true, step.text, `${step.text} follows from ${current.text}`);
+}
+
+/**
+ * Check whether a line of student work is a valid step
+ * Used on every chat turn for algebra and arithmetic problems: an equation is
+ * compared with the current state of the problem (3x = 27 follows from
+ * 3x - 7 = 20), an arithmetic rewrite with the value of the expression, and
+ * a bit of number work ("27 / 3 = 8") on its own.
+ * @param {string} studentResponse - What the student typed
+ * @param {Object} problem - Problem record (normalized_latex, raw_input)
+ * @param {Array} steps - Previous steps; the latest valid step_check.state is
+ *   the equation the student is working from
+ * @returns {Object|null} { valid, state, reasoning } (plus error on invalid
+ *   steps) where state is the student's statement when it becomes the new
+ *   current state; null when the reply isn't math the checker can judge
+ *   (prose, a bare number, ...)
+ */
+export function checkStep(studentResponse, problem, steps = []) {
+  const statement = findProblemStatement(problem?.normalized_latex, problem?.raw_input);
+  if (!statement) return null;
+
+  const answer = parseStudentAnswer(studentResponse);
+  if (!answer) return null;
+
+  const current = currentState(statement, steps);
+  let { text, sides } = answer;
+
+  if (sides.every(side => variablesOf(side).length === 0)) {
+    const values = sides.map(side => tryEvaluate(side, {}));
+    if (values.some(v => v === null)) return null;
+
+    const mismatch = values.findIndex((v, i) => i > 0 && !valuesEqual(v, values[i - 1]));
+    if (mismatch > 0) {
+      return stepResult(false, null, `${text} is false: the sides work out to ${formatValue(values[mismatch - 1])} and ${formatValue(values[mismatch])}`, 'arithmetic');
+    }
+
+    if (statement.kind === 'expression') {
+      // A bare number may answer the tutor's sub-question; completion detection decides it
+      if (sides.length === 1 && !hasOperation(sides[0])) return null;
+      const expected = tryEvaluate(current.sides[0], {});
+      if (expected === null) return null;
+      if (valuesEqual(values[values.length - 1], expected)) {
+        return stepResult(true, sides.length === 1 ? text : null, `${text} equals ${current.text}`);
+      }
+      if (sides.length === 1) {
+        return stepResult(false, null, `${text} doesn't equal ${current.text}`, 'arithmetic');
+      }
+    }
+
+    // Correct number work on the side
+    return sides.length > 1 ? stepResult(true, null, `${text} is correct arithmetic`) : null;
+  }
+
+  if (statement.kind !== 'equation') return null;
+
+  // "x = 18/2 = 9": the numeric tail must agree with itself
+  if (sides.length > 2) {
+    const tail = sides.slice(1);
+    if (tail.some(side => variablesOf(side).length > 0)) return null;
+    const values = tail.map(side => tryEvaluate(side, {}));
+    if (values.some(v => v === null)) return null;
+    if (values.some(v => !valuesEqual(v, values[0]))) {
+      return stepResult(false, null, `${text} is false: the numbers on the right don't agree`, 'arithmetic');
+    }
+    sides = [sides[0], sides[sides.length - 1]];
+    const parts = text.split('=');
+    text = `${parts[0].trim()} = ${parts[parts.length - 1].trim()}`;
+  }
+  if (sides.length !== 2) return null;
+
+  const known = new Set(variablesOf({ type: 'bin', left: current.sides[0], right: current.sides[1] }));
+  if (variablesOf({ type: 'bin', left: sides[0], right: sides[1] }).some(name => !known.has(name))) {
+    return null;
+  }
+
+  return compareEquations(current, { text, sides }, statement.variable);
+}
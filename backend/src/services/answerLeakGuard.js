@@ -0,0 +1,180 @@
+/**
+ * Answer Leak Guard
+ * Runtime enforcement of the tutor's "never give direct answers" rule.
+ * generateTutorResponse checks each drafted reply against the problem's
+ * canonical answer (from answerChecker.js) before it reaches the student:
+ * a draft that states the answer ("x = 9", "18 / 2 = 9", "the answer is 56",
+ * "y = 5 - 2x") is regenerated, and redacted if the rewrite leaks too.
+ * Once the student has given the correct answer themselves the tutor is free
+ * to repeat it, so the guard switches off.
+ */
+
+import { latexToPlain, parseExpression, evaluate, valuesEqual } from '../utils/mathExpression.js';
+import { checkAnswer } from './answerChecker.js';
+
+// Words (or =) that assert the value that follows: "is 9", "= 9", "get 9"
+const ASSERTION_BEFORE = /(?:=|≈|\b(?:is|equals|makes|gives|get|gets|got|be|to)|:)\s*$/i;
+
+// Numbers, decimals and fractions standing on their own (not part of 2x, 1.5 or 90)
+const NUMBER = /(?<![\w.])-?\d+(?:\.\d+)?(?:\s*\/\s*\d+)?(?![\w]|\.\d)/g;
+
+const SENTENCE_END = /[.!?\n]\s/g;
+
+export const REDACTED_FALLBACK = "Let's keep working through it together. What do you think the next step should be?";
+
+function tryValue(text) {
+  try {
+    return evaluate(parseExpression(text), {});
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find a value answer stated in plain text
+ */
+function findValueLeak(plain, canonicalAnswer, problemPlain) {
+  const expected = tryValue(canonicalAnswer.value);
+  if (expected === null) return null;
+
+  // If the answer's number is already in the problem, only the explicit
+  // "x = 9" / "answer is 9" forms count, not every "= 9"
+  const inProblem = [...problemPlain.matchAll(NUMBER)].some(m => {
+    const value = tryValue(m[0]);
+    return value !== null && valuesEqual(value, expected);
+  });
+  const explicitBefore = new RegExp(
+    `(?:${canonicalAnswer.variable ? `\\b${canonicalAnswer.variable}\\s*(?:=|is|equals)|` : ''}\\b(?:answer|solution|result)\\s*(?:is|=|:|would be|should be))\\s*$`,
+    'i'
+  );
+
+  for (const match of plain.matchAll(NUMBER)) {
+    const before = plain.slice(Math.max(0, match.index - 30), match.index);
+    if (!(inProblem ? explicitBefore : ASSERTION_BEFORE).test(before)) continue;
+
+    const value = tryValue(match[0]);
+    if (value !== null && valuesEqual(value, expected)) {
+      return { excerpt: `${before.trim().split(/\s+/).slice(-3).join(' ')} ${match[0]}`.trim() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a literal-equation answer ("y = 5 - 2x") stated in plain text
+ */
+function findSolveLeak(plain, canonicalAnswer) {
+  const { variable } = canonicalAnswer;
+  const pattern = new RegExp(`\\b${variable}\\s*=\\s*([^,;?!\\n]+)`, 'gi');
+
+  for (const match of plain.matchAll(pattern)) {
+    // Try the longest run of words after "y =" that parses as the answer
+    const words = match[1].replace(/\.(\s|$).*/, '').trim().split(/\s+/);
+    for (let length = words.length; length > 0; length--) {
+      const candidate = `${variable} = ${words.slice(0, length).join(' ')}`;
+      if (checkAnswer(candidate, canonicalAnswer)?.is_correct) {
+        return { excerpt: candidate };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a tutor message states the answer
+ * @param {string} message - Drafted tutor message
+ * @param {Object|null} canonicalAnswer - From computeCanonicalAnswer
+ * @param {string} problemText - Problem text (numbers already in it are treated
+ *   more leniently)
+ * @returns {{excerpt: string}|null} The leaking fragment, or null if none
+ */
+export function findAnswerLeak(message, canonicalAnswer, problemText = '') {
+  if (!message || !canonicalAnswer) return null;
+
+  const plain = latexToPlain(message).replace(/\*\*/g, '');
+  if (canonicalAnswer.type === 'value') {
+    return findValueLeak(plain, canonicalAnswer, latexToPlain(problemText || ''));
+  }
+  if (canonicalAnswer.type === 'solve') {
+    return findSolveLeak(plain, canonicalAnswer);
+  }
+  return null;
+}
+
+/**
+ * Whether the student has already given the correct answer themselves
+ * @param {Array<string>} studentReplies - Everything the student has typed on this problem
+ * @param {Object|null} canonicalAnswer - From computeCanonicalAnswer
+ * @returns {boolean}
+ */
+export function studentHasGivenAnswer(studentReplies, canonicalAnswer) {
+  if (!canonicalAnswer) return false;
+  return studentReplies.some(reply => checkAnswer(reply, canonicalAnswer)?.is_correct === true);
+}
+
+/**
+ * Drop the sentences of a message that state the answer
+ * @param {string} message - Tutor message
+ * @param {Object} canonicalAnswer - From computeCanonicalAnswer
+ * @param {string} problemText - Problem text
+ * @returns {string} Message without leaking sentences (REDACTED_FALLBACK if nothing is left)
+ */
+export function redactAnswerLeak(message, canonicalAnswer, problemText = '') {
+  // Keep each sentence's trailing whitespace so paragraphs survive
+  const sentences = message.match(/[^.!?\n]*(?:[.!?]+|\n|$)\s*/g).filter(Boolean);
+  const kept = sentences
+    .filter(sentence => !findAnswerLeak(sentence, canonicalAnswer, problemText))
+    .join('')
+    .trim();
+  return kept || REDACTED_FALLBACK;
+}
+
+/**
+ * Wrap a streaming token callback so the answer is never streamed
+ * Words are forwarded as they arrive; from the first digit or "=" of a
+ * sentence on, text is held until the sentence ends and then checked together
+ * with what was already shown. After the first leak nothing more is forwarded
+ * (the final, guarded message replaces the streamed text on the client).
+ * @param {Function} onToken - Callback to forward text to
+ * @param {Function} isLeak - (textSoFar) => boolean
+ * @returns {{push: Function, flush: Function}} push(text) per token; flush() at the end
+ */
+export function createGuardedStream(onToken, isLeak) {
+  let shown = '';
+  let pending = '';
+  let blocked = false;
+
+  const release = (text) => {
+    if (blocked || !text) return;
+    if (isLeak(shown + text)) {
+      blocked = true;
+      return;
+    }
+    shown += text;
+    onToken(text);
+  };
+
+  return {
+    push(text) {
+      if (blocked) return;
+      pending += text;
+
+      let cut = 0;
+      for (const match of pending.matchAll(SENTENCE_END)) {
+        cut = match.index + match[0].length;
+      }
+      release(pending.slice(0, cut));
+
+      // Text before any number or "=" can't state the answer
+      pending = pending.slice(cut);
+      const risky = pending.search(/[\d=]/);
+      const safe = risky === -1 ? pending.length : risky;
+      release(pending.slice(0, safe));
+      pending = pending.slice(safe);
+    },
+    flush() {
+      release(pending);
+      pending = '';
+    }
+  };
+}
@@ -0,0 +1,340 @@
+/**
+ * Assignment Service
+ * Teacher-authored problem sets, kept in the session store under
+ * ASSIGNMENT#<assignment_id>. An assignment belongs to one class and holds an
+ * ordered list of problems, an optional due date and optional assessment
+ * settings that override the class's for its problems. Students of the class
+ * see its problems when they can start a new one; a problem started from an
+ * assignment carries assignment_id and assignment_position, which is how
+ * completion and confidence are reported back per student (grouped by
+ * learner profile, so it spans all of a student's sessions).
+ */
+
+import '../config/env.js';
+import crypto from 'crypto';
+import { sessionStore } from './memoryStore.js';
+import { getClass, getAssessmentSettings, TRANSFER_STAGE_MODES } from './classService.js';
+import { createLogger } from '../utils/logger.js';
+import { ValidationError, NotFoundError } from '../utils/errorHandler.js';
+
+const logger = createLogger();
+
+const ASSIGNMENT_KEY_PREFIX = 'ASSIGNMENT#';
+const MAX_TITLE_LENGTH = 100;
+const MAX_PROBLEMS = 20;
+const MAX_PROBLEM_LENGTH = 500;
+
+function assignmentKey(assignmentId) {
+  return `${ASSIGNMENT_KEY_PREFIX}${assignmentId}`;
+}
+
+/**
+ * Assignment fields returned from the API
+ */
+function toPublicAssignment(assignment) {
+  return {
+    assignment_id: assignment.assignment_id,
+    class_id: assignment.class_id,
+    title: assignment.title,
+    problems: assignment.problems,
+    due_at: assignment.due_at,
+    assessment_settings: assignment.assessment_settings,
+    created_at: assignment.created_at,
+    created_by: assignment.created_by
+  };
+}
+
+/**
+ * Due date first (undated last), then oldest first
+ */
+function byDueDate(a, b) {
+  if (a.due_at !== b.due_at) {
+    if (!a.due_at) return 1;
+    if (!b.due_at) return -1;
+    return a.due_at.localeCompare(b.due_at);
+  }
+  return a.created_at.localeCompare(b.created_at);
+}
+
+function validateAssessmentSettings(settings) {
+  if (settings === undefined || settings === null) return null;
+  if (typeof settings !== 'object' || !TRANSFER_STAGE_MODES.includes(settings.transfer_stage)) {
+    throw new ValidationError(`assessment_settings.transfer_stage must be one of: ${TRANSFER_STAGE_MODES.join(', ')}`, 'assessment_settings');
+  }
+  return { transfer_stage: settings.transfer_stage };
+}
+
+/**
+ * Get an assignment record or null
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Object|null} Assignment record
+ */
+export function getAssignment(assignmentId) {
+  if (typeof assignmentId !== 'string' || !assignmentId) return null;
+  return sessionStore.get(assignmentKey(assignmentId));
+}
+
+/**
+ * Create an assignment
+ * @param {Object} params
+ * @param {string} params.classId - Class the assignment is for
+ * @param {string} params.title - Title shown to students
+ * @param {Array<string>} params.problems - Problem texts, in order
+ * @param {string|null} params.dueAt - Due date (ISO 8601), optional
+ * @param {Object|null} params.assessmentSettings - { transfer_stage } overriding the class's, optional
+ * @param {string|null} createdBy - Username of the account creating it
+ * @returns {Object} Public assignment fields
+ */
+export function createAssignment({ classId, title, problems, dueAt = null, assessmentSettings = null }, createdBy = null) {
+  if (!getClass(classId)) {
+    throw new NotFoundError('Class');
+  }
+
+  const trimmedTitle = typeof title === 'string' ? title.trim() : '';
+  if (!trimmedTitle || trimmedTitle.length > MAX_TITLE_LENGTH) {
+    throw new ValidationError(`title must be 1-${MAX_TITLE_LENGTH} characters`, 'title');
+  }
+
+  const problemTexts = Array.isArray(problems)
+    ? problems.map(p => (typeof p === 'string' ? p.trim() : '')).filter(Boolean)
+    : [];
+  if (problemTexts.length === 0 || problemTexts.length > MAX_PROBLEMS) {
+    throw new ValidationError(`An assignment needs 1-${MAX_PROBLEMS} problems`, 'problems');
+  }
+  if (problemTexts.some(p => p.length > MAX_PROBLEM_LENGTH)) {
+    throw new ValidationError(`Problems must be at most ${MAX_PROBLEM_LENGTH} characters`, 'problems');
+  }
+
+  let due = null;
+  if (dueAt) {
+    const parsed = new Date(dueAt);
+    if (Number.isNaN(parsed.getTime())) {
+      throw new ValidationError('due_at must be a date', 'due_at');
+    }
+    due = parsed.toISOString();
+  }
+
+  const assignmentId = `ASG${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  const assignment = {
+    session_code: assignmentKey(assignmentId), // Store primary key
+    record_type: 'assignment',
+    assignment_id: assignmentId,
+    class_id: classId,
+    title: trimmedTitle,
+    problems: problemTexts.map((problemText, position) => ({ position, problem_text: problemText })),
+    due_at: due,
+    assessment_settings: validateAssessmentSettings(assessmentSettings),
+    created_at: new Date().toISOString(),
+    created_by: createdBy
+  };
+
+  sessionStore.put(assignment.session_code, assignment);
+  logger.info(`Assignment created: ${assignmentId} "${trimmedTitle}" for class ${classId} (${problemTexts.length} problems)`);
+  return toPublicAssignment(assignment);
+}
+
+/**
+ * Delete an assignment
+ * Problems students already started from it keep their assignment_id.
+ * @param {string} assignmentId - Assignment ID
+ */
+export function deleteAssignment(assignmentId) {
+  const assignment = getAssignment(assignmentId);
+  if (!assignment) {
+    throw new NotFoundError('Assignment');
+  }
+  sessionStore.delete(assignment.session_code);
+  logger.info(`Assignment deleted: ${assignmentId}`);
+}
+
+/**
+ * Assignments of the classes in a scope
+ * @param {Set<string>|null} scope - Class IDs (from getClassScope); null for all
+ * @returns {Array<Object>} Assignment records, by due date
+ */
+function assignmentsInScope(scope) {
+  return sessionStore.scanAll()
+    .filter(item => item.record_type === 'assignment' && (scope === null || scope.has(item.class_id)))
+    .sort(byDueDate);
+}
+
+/**
+ * Assessment settings for a problem: its assignment's override, else its class's
+ * @param {string|null} classId - Class of the session
+ * @param {Object} problem - Problem (assignment_id if started from an assignment)
+ * @returns {Object} { transfer_stage }
+ */
+export function getProblemAssessmentSettings(classId, problem) {
+  return {
+    ...getAssessmentSettings(classId),
+    ...getAssignment(problem?.assignment_id)?.assessment_settings
+  };
+}
+
+/**
+ * Each student's best attempt at each problem of an assignment
+ * Students are keyed by learner profile; sessions without one count on their own.
+ * @returns {Map<string, Map<number, Object>>} student key -> position -> { completed, confidence }
+ */
+function collectAttempts(assignment) {
+  const attempts = new Map();
+  sessionStore.scanAll()
+    .filter(item => !item.record_type && item.class_id === assignment.class_id)
+    .forEach(session => {
+      const studentKey = session.learner_id || session.session_code;
+      (session.problems || [])
+        .filter(p => p.assignment_id === assignment.assignment_id)
+        .forEach(problem => {
+          const byPosition = attempts.get(studentKey) || new Map();
+          const confidence = problem.learning_assessment?.assessment_completed
+            ? problem.learning_assessment.learning_confidence
+            : null;
+          const previous = byPosition.get(problem.assignment_position);
+          const attempt = {
+            completed: !!problem.completed || !!previous?.completed,
+            confidence: typeof confidence === 'number'
+              ? Math.max(confidence, previous?.confidence ?? 0)
+              : previous?.confidence ?? null
+          };
+          byPosition.set(problem.assignment_position, attempt);
+          attempts.set(studentKey, byPosition);
+        });
+    });
+  return attempts;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Completion and confidence per student and per problem of an assignment
+ * Students are the class's learner profiles, plus anyone else who started it.
+ * @param {Object} assignment - Assignment record
+ * @returns {Object} Report
+ */
+function buildReport(assignment) {
+  const attempts = collectAttempts(assignment);
+  const roster = new Map(
+    sessionStore.scanAll()
+      .filter(item => item.record_type === 'learner' && item.class_id === assignment.class_id)
+      .map(profile => [profile.learner_id, profile.session_codes || []])
+  );
+  attempts.forEach((_, studentKey) => {
+    if (!roster.has(studentKey)) roster.set(studentKey, [studentKey]);
+  });
+
+  const students = [...roster].map(([studentKey, sessionCodes]) => {
+    const byPosition = attempts.get(studentKey) || new Map();
+    const problems = assignment.problems.map(({ position }) => ({
+      position,
+      started: byPosition.has(position),
+      completed: byPosition.get(position)?.completed || false,
+      confidence: byPosition.get(position)?.confidence ?? null
+    }));
+    const completed = problems.filter(p => p.completed).length;
+    return {
+      student_id: studentKey,
+      session_codes: sessionCodes,
+      started: byPosition.size > 0,
+      completed,
+      finished: completed === assignment.problems.length,
+      average_confidence: average(problems.map(p => p.confidence).filter(c => c !== null)),
+      problems
+    };
+  }).sort((a, b) => b.completed - a.completed || a.student_id.localeCompare(b.student_id));
+
+  const perProblem = assignment.problems.map(({ position, problem_text: problemText }) => {
+    const attemptsAt = students.map(s => s.problems[position]);
+    return {
+      position,
+      problem_text: problemText,
+      completed_by: attemptsAt.filter(p => p.completed).length,
+      average_confidence: average(attemptsAt.map(p => p.confidence).filter(c => c !== null))
+    };
+  });
+
+  const totalSlots = students.length * assignment.problems.length;
+  return {
+    students: students.length,
+    students_started: students.filter(s => s.started).length,
+    students_finished: students.filter(s => s.finished).length,
+    completion_rate: totalSlots > 0 ? students.reduce((sum, s) => sum + s.completed, 0) / totalSlots : 0,
+    average_confidence: average(students.map(s => s.average_confidence).filter(c => c !== null)),
+    problems: perProblem,
+    by_student: students
+  };
+}
+
+/**
+ * Assignments visible to a dashboard account, with a completion summary each
+ * @param {Set<string>|null} scope - Class IDs; null for all
+ * @returns {Array<Object>} Public assignment fields plus report (without by_student)
+ */
+export function listAssignments(scope) {
+  return assignmentsInScope(scope).map(assignment => {
+    const { by_student: _byStudent, ...summary } = buildReport(assignment);
+    return { ...toPublicAssignment(assignment), class_name: getClass(assignment.class_id)?.name || null, report: summary };
+  });
+}
+
+/**
+ * One assignment with its full per-student report
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Object} Public assignment fields plus report
+ */
+export function getAssignmentReport(assignmentId) {
+  const assignment = getAssignment(assignmentId);
+  if (!assignment) {
+    throw new NotFoundError('Assignment');
+  }
+  return { ...toPublicAssignment(assignment), report: buildReport(assignment) };
+}
+
+/**
+ * A student's assignments, with their own progress on each problem
+ * @param {Object} session - Student session (class_id, learner_id)
+ * @returns {Array<Object>} { assignment_id, title, due_at, overdue, completed, problems: [{ position, problem_text, completed }] }
+ */
+export function getAssignmentsForSession(session) {
+  if (!session?.class_id) return [];
+  const now = new Date().toISOString();
+  const studentKey = session.learner_id || session.session_code;
+
+  return assignmentsInScope(new Set([session.class_id])).map(assignment => {
+    const byPosition = collectAttempts(assignment).get(studentKey) || new Map();
+    const problems = assignment.problems.map(({ position, problem_text: problemText }) => ({
+      position,
+      problem_text: problemText,
+      completed: byPosition.get(position)?.completed || false
+    }));
+    const completed = problems.filter(p => p.completed).length;
+    return {
+      assignment_id: assignment.assignment_id,
+      title: assignment.title,
+      due_at: assignment.due_at,
+      overdue: !!assignment.due_at && assignment.due_at < now && completed < problems.length,
+      completed,
+      problems
+    };
+  });
+}
+
+/**
+ * Problem text of an assignment problem a session may start
+ * @param {Object} session - Student session
+ * @param {string} assignmentId - Assignment ID
+ * @param {number} position - Problem position
+ * @returns {string} Problem text
+ * @throws {NotFoundError} Unknown assignment, another class's, or no such problem
+ */
+export function getAssignedProblemText(session, assignmentId, position) {
+  const assignment = getAssignment(assignmentId);
+  const problem = assignment?.class_id === session.class_id
+    ? assignment.problems.find(p => p.position === Number(position))
+    : null;
+  if (!problem) {
+    throw new NotFoundError('Assignment problem');
+  }
+  return problem.problem_text;
+}
@@ -0,0 +1,148 @@
+/**
+ * Canvas Operation Log
+ * Pure helpers for the collaboration canvas' append-only operation log.
+ *
+ * Stored shape (collaboration session's canvas_state):
+ *   { operations: [{ id, type, data, seq, at }], version, base_version }
+ * - seq: server-assigned sequence number; version is the last seq handed out
+ * - at: ISO time the server accepted the operation (used by session replay)
+ * - base_version: everything at or below it has been dropped by the size
+ *   cap, so a caller whose since < base_version must rebuild from the full
+ *   log instead of applying a delta
+ *
+ * Operation types: 'draw' (line segment), 'clear' (wipes everything before
+ * it), 'undo' (hides data.target_id).
+ */
+
+import { ValidationError } from '../utils/errorHandler.js';
+
+export const OPERATION_TYPES = ['draw', 'clear', 'undo'];
+export const MAX_OPERATIONS_PER_REQUEST = 1000;
+export const MAX_LOG_OPERATIONS = 5000;
+
+/**
+ * Turn whatever is stored in canvas_state into a well-formed log
+ * Older rooms stored a client snapshot ({ operations, version: Date.now() })
+ * without seqs; those are renumbered in order.
+ * @param {Object|null} canvasState - Stored canvas_state
+ * @returns {{operations: Array, version: number, base_version: number}} Log
+ */
+export function normalizeCanvasLog(canvasState) {
+  if (!canvasState || !Array.isArray(canvasState.operations)) {
+    return { operations: [], version: 0, base_version: 0 };
+  }
+  if (Number.isInteger(canvasState.base_version)) {
+    return canvasState;
+  }
+
+  const operations = canvasState.operations
+    .filter(op => op && typeof op.id === 'string')
+    .map((op, index) => ({ ...op, seq: index + 1 }));
+  return { operations, version: operations.length, base_version: 0 };
+}
+
+/**
+ * Check a batch of client operations before merging
+ * @param {Array} operations - Operations posted by a client
+ * @throws {ValidationError} If the batch or any operation is malformed
+ */
+export function validateOperations(operations) {
+  if (!Array.isArray(operations)) {
+    throw new ValidationError('operations must be an array', 'operations');
+  }
+  if (operations.length > MAX_OPERATIONS_PER_REQUEST) {
+    throw new ValidationError(`At most ${MAX_OPERATIONS_PER_REQUEST} operations per request`, 'operations');
+  }
+
+  operations.forEach((op, index) => {
+    if (!op || typeof op.id !== 'string' || op.id.length === 0 || op.id.length > 100) {
+      throw new ValidationError(`operations[${index}].id must be a non-empty string`, 'operations');
+    }
+    if (!OPERATION_TYPES.includes(op.type)) {
+      throw new ValidationError(`operations[${index}].type must be one of ${OPERATION_TYPES.join(', ')}`, 'operations');
+    }
+    if (op.data !== undefined && (op.data === null || typeof op.data !== 'object')) {
+      throw new ValidationError(`operations[${index}].data must be an object`, 'operations');
+    }
+    if (op.type === 'undo' && typeof op.data?.target_id !== 'string') {
+      throw new ValidationError(`operations[${index}].data.target_id is required for undo`, 'operations');
+    }
+  });
+}
+
+/**
+ * Append operations to the log, assigning seqs
+ * Ids already in the log are skipped, so a client retrying a batch is harmless.
+ * Operations before a 'clear' are kept so replay can show them; only past
+ * MAX_LOG_OPERATIONS are the oldest dropped, which moves base_version forward.
+ * @param {Object} log - Normalized log
+ * @param {Array} incoming - Validated operations
+ * @param {Date} now - Acceptance time stamped on new operations
+ * @returns {{log: Object, accepted: Array, compacted: boolean}} New log, newly
+ *   accepted operations (with seq), and whether anything was dropped
+ */
+export function mergeOperations(log, incoming, now = new Date()) {
+  const knownIds = new Set(log.operations.map(op => op.id));
+  let operations = [...log.operations];
+  let version = log.version;
+  let baseVersion = log.base_version;
+  const accepted = [];
+
+  const at = now.toISOString();
+
+  incoming.forEach(op => {
+    if (knownIds.has(op.id)) return;
+    knownIds.add(op.id);
+
+    version += 1;
+    const stored = { id: op.id, type: op.type, data: op.data || {}, seq: version, at };
+    accepted.push(stored);
+    operations.push(stored);
+  });
+
+  if (operations.length > MAX_LOG_OPERATIONS) {
+    operations = operations.slice(-MAX_LOG_OPERATIONS);
+    baseVersion = operations[0].seq - 1;
+  }
+
+  return {
+    log: { operations, version, base_version: baseVersion },
+    accepted,
+    compacted: baseVersion !== log.base_version
+  };
+}
+
+/**
+ * Draw operations still on screen: everything after the last clear, minus
+ * the ones an undo has targeted (mirrors CollaborationCanvas' replay)
+ * @param {Object} log - Normalized log
+ * @returns {Array} Visible 'draw' operations in log order
+ */
+export function visibleOperations(log) {
+  const { operations } = log;
+  const undone = new Set(
+    operations.filter(op => op.type === 'undo').map(op => op.data?.target_id)
+  );
+  const lastClear = operations.map(op => op.type).lastIndexOf('clear');
+  return operations
+    .slice(lastClear + 1)
+    .filter(op => op.type === 'draw' && !undone.has(op.id));
+}
+
+/**
+ * Operations a caller at `since` hasn't seen
+ * When since predates base_version (or is ahead of the log, e.g. after a
+ * restart of the memory store) the whole log comes back with reset: true.
+ * @param {Object} log - Normalized log
+ * @param {number} since - Last version the caller has applied
+ * @param {Set<string>} excludeIds - Ids the caller already has (its own batch)
+ * @returns {{operations: Array, version: number, reset: boolean}} Delta
+ */
+export function operationsSince(log, since, excludeIds = new Set()) {
+  const reset = since < log.base_version || since > log.version;
+  const operations = reset
+    ? log.operations
+    : log.operations.filter(op => op.seq > since && !excludeIds.has(op.id));
+
+  return { operations, version: log.version, reset };
+}
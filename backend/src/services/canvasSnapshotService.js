@@ -0,0 +1,194 @@
+/**
+ * Canvas Snapshot Service
+ * Renders a collaboration room's canvas operation log to SVG and PNG and
+ * attaches the result to the student's problem record, so teachers can review
+ * whiteboard work from the dashboard without replaying it in a browser.
+ */
+
+import '../config/env.js';
+import { createLogger } from '../utils/logger.js';
+import { ConflictError, NotFoundError } from '../utils/errorHandler.js';
+import { encodePNG } from '../utils/png.js';
+import { normalizeCanvasLog, visibleOperations } from './canvasOperationLog.js';
+import { getCollaborationSession } from './collaborationService.js';
+import { withSessionRetry } from './sessionService.js';
+
+const logger = createLogger();
+
+// Same drawing surface as CollaborationCanvas
+export const CANVAS_WIDTH = 800;
+export const CANVAS_HEIGHT = 600;
+
+const DEFAULT_COLOR = '#000000';
+const DEFAULT_LINE_WIDTH = 3;
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Pull a drawable segment out of an operation, or null if its data is unusable
+ * Colors are limited to hex so nothing client-supplied reaches the SVG unescaped.
+ */
+function toSegment(operation) {
+  const data = operation.data || {};
+  const coords = [data.x0, data.y0, data.x1, data.y1].map(Number);
+  if (coords.some(n => !Number.isFinite(n))) return null;
+
+  const lineWidth = Number(data.lineWidth);
+  return {
+    x0: coords[0],
+    y0: coords[1],
+    x1: coords[2],
+    y1: coords[3],
+    color: HEX_COLOR.test(data.color) ? data.color.toLowerCase() : DEFAULT_COLOR,
+    lineWidth: Number.isFinite(lineWidth) && lineWidth > 0 ? Math.min(lineWidth, 50) : DEFAULT_LINE_WIDTH
+  };
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Render the visible strokes of a canvas log to SVG
+ * Consecutive segments that continue one another with the same pen are joined
+ * into one path, which keeps a freehand stroke to a single element.
+ * @param {Object|null} canvasState - Stored canvas_state
+ * @returns {string} SVG document
+ */
+export function renderCanvasToSVG(canvasState) {
+  const segments = visibleOperations(normalizeCanvasLog(canvasState)).map(toSegment).filter(Boolean);
+
+  const paths = [];
+  segments.forEach(seg => {
+    const last = paths[paths.length - 1];
+    const continues = last &&
+      last.color === seg.color &&
+      last.lineWidth === seg.lineWidth &&
+      last.endX === seg.x0 &&
+      last.endY === seg.y0;
+
+    if (continues) {
+      last.d += ` L${round(seg.x1)} ${round(seg.y1)}`;
+    } else {
+      paths.push({
+        color: seg.color,
+        lineWidth: seg.lineWidth,
+        d: `M${round(seg.x0)} ${round(seg.y0)} L${round(seg.x1)} ${round(seg.y1)}`
+      });
+    }
+    paths[paths.length - 1].endX = seg.x1;
+    paths[paths.length - 1].endY = seg.y1;
+  });
+
+  const body = paths
+    .map(p => `<path d="${p.d}" stroke="${p.color}" stroke-width="${p.lineWidth}"/>`)
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CANVAS_WIDTH}" height="${CANVAS_HEIGHT}" viewBox="0 0 ${CANVAS_WIDTH} ${CANVAS_HEIGHT}">` +
+    `<rect width="100%" height="100%" fill="#ffffff"/>` +
+    `<g fill="none" stroke-linecap="round" stroke-linejoin="round">${body}</g>` +
+    `</svg>`;
+}
+
+function parseHexColor(color) {
+  const hex = color.length === 4
+    ? color.slice(1).split('').map(c => c + c).join('')
+    : color.slice(1);
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Rasterise one segment as a round-capped thick line
+ * Every pixel in the segment's bounding box within lineWidth/2 of it is painted.
+ */
+function paintSegment(rgb, seg) {
+  const radius = seg.lineWidth / 2;
+  const [r, g, b] = parseHexColor(seg.color);
+  const dx = seg.x1 - seg.x0;
+  const dy = seg.y1 - seg.y0;
+  const lengthSq = dx * dx + dy * dy;
+
+  const minX = Math.max(0, Math.floor(Math.min(seg.x0, seg.x1) - radius));
+  const maxX = Math.min(CANVAS_WIDTH - 1, Math.ceil(Math.max(seg.x0, seg.x1) + radius));
+  const minY = Math.max(0, Math.floor(Math.min(seg.y0, seg.y1) - radius));
+  const maxY = Math.min(CANVAS_HEIGHT - 1, Math.ceil(Math.max(seg.y0, seg.y1) + radius));
+
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      // Distance from the pixel centre to the closest point on the segment
+      const px = x + 0.5;
+      const py = y + 0.5;
+      const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - seg.x0) * dx + (py - seg.y0) * dy) / lengthSq));
+      const cx = seg.x0 + t * dx - px;
+      const cy = seg.y0 + t * dy - py;
+      if (cx * cx + cy * cy <= radius * radius) {
+        const offset = (y * CANVAS_WIDTH + x) * 3;
+        rgb[offset] = r;
+        rgb[offset + 1] = g;
+        rgb[offset + 2] = b;
+      }
+    }
+  }
+}
+
+/**
+ * Render the visible strokes of a canvas log to PNG
+ * @param {Object|null} canvasState - Stored canvas_state
+ * @returns {Buffer} PNG file contents
+ */
+export function renderCanvasToPNG(canvasState) {
+  const rgb = Buffer.alloc(CANVAS_WIDTH * CANVAS_HEIGHT * 3, 0xff);
+  visibleOperations(normalizeCanvasLog(canvasState))
+    .map(toSegment)
+    .filter(Boolean)
+    .forEach(seg => paintSegment(rgb, seg));
+  return encodePNG(CANVAS_WIDTH, CANVAS_HEIGHT, rgb);
+}
+
+/**
+ * Render an ended collaboration's canvas and attach it to the student's problem
+ * The snapshot lands in problem.whiteboard_snapshots; exporting the same room
+ * again replaces its earlier snapshot.
+ * @param {string} collabSessionId - Collaboration session ID
+ * @returns {Promise<Object>} { student_session_id, problem_id, snapshot }
+ */
+export async function attachCollaborationSnapshot(collabSessionId) {
+  const collaboration = await getCollaborationSession(collabSessionId);
+
+  if (collaboration.status === 'active') {
+    throw new ConflictError('Collaboration must end before its canvas can be exported');
+  }
+
+  const canvasState = collaboration.canvas_state;
+  const snapshot = {
+    collaboration_session_id: collabSessionId,
+    created_at: new Date().toISOString(),
+    width: CANVAS_WIDTH,
+    height: CANVAS_HEIGHT,
+    stroke_count: visibleOperations(normalizeCanvasLog(canvasState)).length,
+    svg: renderCanvasToSVG(canvasState),
+    png_base64: renderCanvasToPNG(canvasState).toString('base64')
+  };
+
+  const problemId = collaboration.selected_problem_id;
+  await withSessionRetry(collaboration.student_session_id, (session) => {
+    const problems = [...(session.problems || [])];
+    const index = problems.findIndex(p => p.problem_id === problemId);
+    if (index === -1) {
+      throw new NotFoundError('Problem');
+    }
+
+    const snapshots = (problems[index].whiteboard_snapshots || [])
+      .filter(s => s.collaboration_session_id !== collabSessionId);
+    problems[index] = { ...problems[index], whiteboard_snapshots: [...snapshots, snapshot] };
+    return { problems };
+  });
+
+  logger.metric('Collaboration.SnapshotExported', 1, 'Count');
+  logger.info(`Canvas snapshot of ${collabSessionId} attached to ${collaboration.student_session_id}/${problemId}`);
+
+  return {
+    student_session_id: collaboration.student_session_id,
+    problem_id: problemId,
+    snapshot
+  };
+}
@@ -0,0 +1,294 @@
+/**
+ * Class Service
+ * Classrooms kept in the session store under CLASS#<class_id>. Each class has
+ * a join code students enter to start or resume a session (replacing the old
+ * single SESSION_PASSWORD school code) and an owning teacher account. Student
+ * sessions are tagged with class_id on creation, and dashboard views are
+ * scoped to the classes the requesting account owns (admins see everything).
+ */
+
+import '../config/env.js';
+import crypto from 'crypto';
+import { sessionStore } from './memoryStore.js';
+import { createLogger } from '../utils/logger.js';
+import { AppError, ValidationError, NotFoundError } from '../utils/errorHandler.js';
+
+const logger = createLogger();
+
+const CLASS_KEY_PREFIX = 'CLASS#';
+// No 0/O or 1/I so codes read cleanly off a whiteboard
+const JOIN_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+const MAX_NAME_LENGTH = 100;
+
+// When the transfer stage of the learning assessment follows the MC quiz
+export const TRANSFER_STAGE_MODES = ['always', 'on_mc_pass', 'on_mc_fail', 'never'];
+export const DEFAULT_ASSESSMENT_SETTINGS = { transfer_stage: 'always' };
+
+function classKey(classId) {
+  return `${CLASS_KEY_PREFIX}${classId}`;
+}
+
+function generateJoinCode() {
+  const bytes = crypto.randomBytes(JOIN_CODE_LENGTH);
+  return Array.from(bytes, b => JOIN_CODE_CHARS[b % JOIN_CODE_CHARS.length]).join('');
+}
+
+/**
+ * Class fields returned from the API
+ */
+function toPublicClass(classRecord) {
+  return {
+    class_id: classRecord.class_id,
+    name: classRecord.name,
+    join_code: classRecord.join_code,
+    owner: classRecord.owner,
+    created_at: classRecord.created_at,
+    created_by: classRecord.created_by || null,
+    assessment_settings: { ...DEFAULT_ASSESSMENT_SETTINGS, ...classRecord.assessment_settings },
+    daily_token_budget: classRecord.daily_token_budget ?? null
+  };
+}
+
+/**
+ * All stored class records
+ * @returns {Array} Class records
+ */
+function allClasses() {
+  return sessionStore.scanAll().filter(item => item.record_type === 'class');
+}
+
+/**
+ * Get a class record or null
+ * @param {string} classId - Class ID
+ * @returns {Object|null} Class record
+ */
+export function getClass(classId) {
+  if (typeof classId !== 'string' || !classId) return null;
+  return sessionStore.get(classKey(classId));
+}
+
+/**
+ * Find the class a join code belongs to
+ * Generated codes are matched case-insensitively; the legacy SESSION_PASSWORD
+ * class keeps its exact code.
+ * @param {string} joinCode - Code entered by the student
+ * @returns {Object|null} Class record
+ */
+export function findClassByJoinCode(joinCode) {
+  if (typeof joinCode !== 'string' || !joinCode.trim()) return null;
+  const code = joinCode.trim();
+  return allClasses().find(c => c.join_code === code || c.join_code === code.toUpperCase()) || null;
+}
+
+/**
+ * Create a class
+ * @param {Object} params
+ * @param {string} params.name - Class name shown on the dashboard
+ * @param {string} params.owner - Username of the owning teacher
+ * @param {string} params.joinCode - Explicit join code (defaults to a generated one)
+ * @param {string|null} createdBy - Username of the account creating it
+ * @returns {Object} Public class fields
+ */
+export function createClass({ name, owner, joinCode }, createdBy = null) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`name must be 1-${MAX_NAME_LENGTH} characters`, 'name');
+  }
+  if (typeof owner !== 'string' || !owner) {
+    throw new ValidationError('owner is required', 'owner');
+  }
+
+  let code = joinCode;
+  if (!code) {
+    do {
+      code = generateJoinCode();
+    } while (findClassByJoinCode(code));
+  } else if (findClassByJoinCode(code)) {
+    throw new ValidationError('Join code is already in use', 'join_code');
+  }
+
+  const classId = `CLS${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  const classRecord = {
+    session_code: classKey(classId), // Store primary key
+    record_type: 'class',
+    class_id: classId,
+    name: trimmedName,
+    join_code: code,
+    owner,
+    created_at: new Date().toISOString(),
+    created_by: createdBy
+  };
+
+  sessionStore.put(classRecord.session_code, classRecord);
+  logger.info(`Class created: ${classId} "${trimmedName}" owned by ${owner}`);
+  return toPublicClass(classRecord);
+}
+
+/**
+ * Give a class a fresh join code (e.g. after it leaked)
+ * Existing sessions stay in the class; only new joins need the new code.
+ * @param {string} classId - Class ID
+ * @returns {Object} Public class fields
+ */
+export function rotateJoinCode(classId) {
+  const classRecord = getClass(classId);
+  if (!classRecord) {
+    throw new NotFoundError('Class');
+  }
+
+  let code;
+  do {
+    code = generateJoinCode();
+  } while (findClassByJoinCode(code));
+
+  const updated = sessionStore.merge(classRecord.session_code, { join_code: code });
+  logger.info(`Join code rotated for class ${classId}`);
+  return toPublicClass(updated);
+}
+
+/**
+ * Assessment settings of a class, with defaults for anything unset
+ * Sessions outside any class (from before classes) get the defaults.
+ * @param {string|null} classId - Class ID
+ * @returns {Object} { transfer_stage }
+ */
+export function getAssessmentSettings(classId) {
+  return { ...DEFAULT_ASSESSMENT_SETTINGS, ...getClass(classId)?.assessment_settings };
+}
+
+/**
+ * Change a class's assessment settings
+ * @param {string} classId - Class ID
+ * @param {Object} settings
+ * @param {string} settings.transfer_stage - One of TRANSFER_STAGE_MODES
+ * @returns {Object} Public class fields
+ */
+export function updateAssessmentSettings(classId, { transfer_stage: transferStage } = {}) {
+  const classRecord = getClass(classId);
+  if (!classRecord) {
+    throw new NotFoundError('Class');
+  }
+  if (!TRANSFER_STAGE_MODES.includes(transferStage)) {
+    throw new ValidationError(`transfer_stage must be one of: ${TRANSFER_STAGE_MODES.join(', ')}`, 'transfer_stage');
+  }
+
+  const updated = sessionStore.merge(classRecord.session_code, {
+    assessment_settings: { ...classRecord.assessment_settings, transfer_stage: transferStage }
+  });
+  logger.info(`Assessment settings updated for class ${classId}: transfer_stage=${transferStage}`);
+  return toPublicClass(updated);
+}
+
+/**
+ * Change how many LLM tokens a class may use per (UTC) day
+ * Past it, its students' LLM requests are throttled until the next day
+ * (llmUsageService.js).
+ * @param {string} classId - Class ID
+ * @param {number|null} dailyTokenBudget - Positive whole number, or null for the CLASS_DAILY_TOKEN_BUDGET default
+ * @returns {Object} Public class fields
+ */
+export function updateTokenBudget(classId, dailyTokenBudget) {
+  const classRecord = getClass(classId);
+  if (!classRecord) {
+    throw new NotFoundError('Class');
+  }
+  if (dailyTokenBudget !== null && !(Number.isInteger(dailyTokenBudget) && dailyTokenBudget > 0)) {
+    throw new ValidationError('daily_token_budget must be a positive whole number or null', 'daily_token_budget');
+  }
+
+  const updated = sessionStore.merge(classRecord.session_code, { daily_token_budget: dailyTokenBudget });
+  logger.info(`Daily token budget updated for class ${classId}: ${dailyTokenBudget ?? 'default'}`);
+  return toPublicClass(updated);
+}
+
+/**
+ * Create the legacy class for SESSION_PASSWORD if it's set and no class uses it yet
+ * Keeps the school code existing deployments hand out working after upgrading;
+ * it's owned by the bootstrap admin.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object|null} The created class, or null if none was needed/configured
+ */
+export function ensureLegacyClass(env = process.env) {
+  const code = env.SESSION_PASSWORD;
+  if (!code || findClassByJoinCode(code)) return null;
+
+  return createClass({ name: 'Default class', owner: env.ADMIN_USERNAME || 'admin', joinCode: code });
+}
+
+/**
+ * Resolve a student's join code to their class
+ * @param {string} joinCode - Code entered by the student
+ * @returns {Object} Class record
+ * @throws {AppError} 401 if no class has that code
+ */
+export function resolveJoinCode(joinCode) {
+  ensureLegacyClass();
+
+  const classRecord = findClassByJoinCode(joinCode);
+  if (!classRecord) {
+    throw new AppError('Invalid class code', 401, 'AUTH_ERROR');
+  }
+  return classRecord;
+}
+
+/**
+ * Which classes a dashboard account may see: teachers the classes they own,
+ * observers the classes an admin assigned them
+ * @param {Object} account - req.account ({ username, role, class_ids })
+ * @returns {Set<string>|null} Class IDs, or null for no restriction (admins)
+ */
+export function getClassScope(account) {
+  if (account?.role === 'admin') return null;
+  if (account?.role === 'observer') {
+    return new Set((account.class_ids || []).filter(classId => getClass(classId)));
+  }
+  return new Set(
+    allClasses().filter(c => c.owner === account?.username).map(c => c.class_id)
+  );
+}
+
+/**
+ * Whether a session falls inside a class scope
+ * @param {Object} session - Session record
+ * @param {Set<string>|null} scope - From getClassScope
+ * @returns {boolean}
+ */
+export function isSessionInScope(session, scope) {
+  return scope === null || (!!session?.class_id && scope.has(session.class_id));
+}
+
+/**
+ * Throw unless a session exists and falls inside the scope
+ * Out-of-scope sessions are reported as missing so other classes' session
+ * codes can't be probed.
+ * @param {string} sessionCode - Session code
+ * @param {Set<string>|null} scope - From getClassScope
+ * @throws {NotFoundError}
+ */
+export function assertSessionInScope(sessionCode, scope) {
+  const session = sessionStore.get(sessionCode);
+  if (!session || !isSessionInScope(session, scope)) {
+    throw new NotFoundError('Session');
+  }
+}
+
+/**
+ * Classes visible to an account, with how many sessions each has
+ * @param {Object} account - req.account
+ * @returns {Array} Public class fields plus session_count, sorted by name
+ */
+export function listClassesForAccount(account) {
+  const scope = getClassScope(account);
+  const counts = new Map();
+  sessionStore.scanAll().forEach(item => {
+    if (item.class_id && !item.record_type) {
+      counts.set(item.class_id, (counts.get(item.class_id) || 0) + 1);
+    }
+  });
+
+  return allClasses()
+    .filter(c => scope === null || scope.has(c.class_id))
+    .map(c => ({ ...toPublicClass(c), session_count: counts.get(c.class_id) || 0 }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
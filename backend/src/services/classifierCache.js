@@ -0,0 +1,177 @@
+/**
+ * Classifier Cache
+ * Content-addressed cache of the low-temperature classifier calls
+ * (hasMathProblem, validateProblem, detectMultipleProblems, normalizeToLaTeX,
+ * detectFormulaRequirement), so a resubmitted problem, or one picked from the
+ * multi-problem list, costs no LLM quota. Entries are keyed by a hash of the
+ * classifier, the provider and model that would answer it, and the input text
+ * with whitespace collapsed, and are kept in the session store under
+ * CLASSIFIER_CACHE#<classifier>#<hash> so the file store keeps them across
+ * restarts.
+ *
+ * Entries expire after CLASSIFIER_CACHE_TTL_SECONDS (default 7 days), via the
+ * same expires_at TTL as sessions so the expiry sweeper reclaims them; past
+ * CLASSIFIER_CACHE_MAX_ENTRIES (default 2000; 0 turns the cache off) the
+ * least recently used are evicted. Only answers are cached: a classifier
+ * whose LLM call fails falls back as before and is asked again next time.
+ */
+
+import '../config/env.js';
+import crypto from 'crypto';
+import { sessionStore } from './memoryStore.js';
+import { TEXT_MODEL } from './openai.js';
+import { resolveProviderName } from './llmProviders.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger();
+
+const CACHE_KEY_PREFIX = 'CLASSIFIER_CACHE#';
+const RECORD_TYPE = 'classifier_cache';
+
+function parsePositive(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+let ttlSeconds = parsePositive(process.env.CLASSIFIER_CACHE_TTL_SECONDS, 7 * 24 * 60 * 60);
+let maxEntries = parsePositive(process.env.CLASSIFIER_CACHE_MAX_ENTRIES, 2000);
+let nowFn = () => new Date();
+
+// Cached keys, least recently used first. Hits only reorder this in-process
+// index, so after a restart it is loaded from the store in creation order.
+// The expiry sweeper deletes expired entries behind its back; dropSweptKeys
+// catches up before the index is counted.
+let index = null;
+const counts = { hits: 0, misses: 0 };
+
+function nowSeconds() {
+  return Math.floor(nowFn().getTime() / 1000);
+}
+
+function normalizeInput(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value ?? null;
+}
+
+function cacheKey(classifier, inputs) {
+  const material = JSON.stringify({
+    provider: resolveProviderName(classifier),
+    model: TEXT_MODEL,
+    inputs: inputs.map(normalizeInput)
+  });
+  return `${CACHE_KEY_PREFIX}${classifier}#${crypto.createHash('sha256').update(material).digest('hex').slice(0, 32)}`;
+}
+
+function loadIndex() {
+  if (!index) {
+    index = new Map(
+      sessionStore.scanAll()
+        .filter(item => item.record_type === RECORD_TYPE)
+        .sort((a, b) => a.expires_at - b.expires_at)
+        .map(item => [item.session_code, item.classifier])
+    );
+  }
+  return index;
+}
+
+function dropSweptKeys(entries) {
+  for (const key of entries.keys()) {
+    if (!sessionStore.get(key)) entries.delete(key);
+  }
+}
+
+function evict(key) {
+  sessionStore.delete(key);
+  index.delete(key);
+}
+
+/**
+ * Answer a classifier call from the cache, or compute and cache it
+ * @param {string} classifier - Classifier name, also its LLM call site (e.g. 'has_math_problem')
+ * @param {Array} inputs - What the answer depends on (texts are compared with whitespace collapsed)
+ * @param {Function} compute - async () => result; a throw is passed on and nothing is cached
+ * @returns {Promise<*>} The (possibly cached) result
+ */
+export async function cachedClassifierCall(classifier, inputs, compute) {
+  if (maxEntries === 0) {
+    return compute();
+  }
+
+  const entries = loadIndex();
+  const key = cacheKey(classifier, inputs);
+  const record = sessionStore.get(key);
+
+  if (record && record.expires_at > nowSeconds()) {
+    counts.hits++;
+    logger.metric('ClassifierCache.Hit', 1, 'Count', { classifier });
+    entries.delete(key);
+    entries.set(key, classifier);
+    return record.result;
+  }
+  if (record) {
+    evict(key);
+  }
+
+  counts.misses++;
+  logger.metric('ClassifierCache.Miss', 1, 'Count', { classifier });
+  const result = await compute();
+
+  const now = nowSeconds();
+  sessionStore.put(key, {
+    session_code: key, // Store primary key
+    record_type: RECORD_TYPE,
+    classifier,
+    result,
+    created_at: nowFn().toISOString(),
+    expires_at: now + ttlSeconds // Unix timestamp for TTL
+  });
+  entries.delete(key);
+  entries.set(key, classifier);
+
+  if (entries.size > maxEntries) {
+    dropSweptKeys(entries);
+  }
+  while (entries.size > maxEntries) {
+    const [oldest] = entries.keys();
+    evict(oldest);
+    logger.metric('ClassifierCache.Evicted', 1, 'Count');
+  }
+  return result;
+}
+
+/**
+ * Hit/miss counts since start, and how many entries are cached
+ * @returns {Object} { hits, misses, entries }
+ */
+export function getClassifierCacheStats() {
+  const entries = loadIndex();
+  dropSweptKeys(entries);
+  return { ...counts, entries: entries.size };
+}
+
+/**
+ * Drop every cached classifier answer (e.g. after changing a classifier prompt)
+ * @returns {number} Entries removed
+ */
+export function clearClassifierCache() {
+  const keys = [...loadIndex().keys()];
+  keys.forEach(evict);
+  counts.hits = 0;
+  counts.misses = 0;
+  if (keys.length > 0) {
+    logger.info(`Classifier cache cleared (${keys.length} entries)`);
+  }
+  return keys.length;
+}
+
+/**
+ * Test hook: override the TTL, the size bound and the clock
+ * @param {Object} config - { ttlSeconds, maxEntries, now } (now: clock function, null for the real one)
+ * @returns {number} The size bound before this call, to restore it
+ */
+export function __setClassifierCacheConfig(config = {}) {
+  const previousMaxEntries = maxEntries;
+  if ('ttlSeconds' in config) ttlSeconds = config.ttlSeconds;
+  if ('maxEntries' in config) maxEntries = config.maxEntries;
+  if ('now' in config) nowFn = config.now || (() => new Date());
+  return previousMaxEntries;
+}
@@ -4,14 +4,46 @@
  */
 
 import '../config/env.js';
+import { EventEmitter } from 'node:events';
 import { sessionStore } from './memoryStore.js';
 import { createLogger } from '../utils/logger.js';
 import { NotFoundError, AWSError } from '../utils/errorHandler.js';
 import { generateSessionCode } from '../utils/sessionCode.js';
 import { getSession, updateSession } from './sessionService.js';
+import {
+  normalizeCanvasLog,
+  validateOperations,
+  mergeOperations,
+  operationsSince
+} from './canvasOperationLog.js';
 
 const logger = createLogger();
 
+// Live-update bus: one event name per collaboration room, consumed by the SSE route
+const collaborationEvents = new EventEmitter();
+collaborationEvents.setMaxListeners(0); // Every open teacher/student tab adds a listener
+
+/**
+ * Push a change to everyone subscribed to a collaboration room
+ * @param {string} collabSessionId - Collaboration session ID
+ * @param {string} event - 'message', 'canvas' (operation delta), 'permission' or 'status'
+ * @param {Object} data - Event payload
+ */
+function publishCollaborationEvent(collabSessionId, event, data) {
+  collaborationEvents.emit(collabSessionId, { event, data });
+}
+
+/**
+ * Subscribe to live changes in a collaboration room
+ * @param {string} collabSessionId - Collaboration session ID
+ * @param {Function} listener - Called with { event, data } after each write
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToCollaboration(collabSessionId, listener) {
+  collaborationEvents.on(collabSessionId, listener);
+  return () => collaborationEvents.off(collabSessionId, listener);
+}
+
 /**
  * Generate collaboration session ID
  * Format: COLLAB followed by 6 alphanumeric characters
@@ -141,10 +173,9 @@ export async function getCollaborationSession(collabSessionId) {
  * @param {string} collabSessionId - Collaboration session ID
  * @param {string} speaker - 'teacher' or 'student'
  * @param {string} message - Message content
- * @param {Object|null} canvasState - Optional canvas state update
  * @returns {Promise<Object>} Updated collaboration session
  */
-export async function addCollaborationMessage(collabSessionId, speaker, message, canvasState = null) {
+export async function addCollaborationMessage(collabSessionId, speaker, message) {
   if (speaker !== 'teacher' && speaker !== 'student') {
     throw new Error('Speaker must be "teacher" or "student"');
   }
@@ -154,35 +185,54 @@ export async function addCollaborationMessage(collabSessionId, speaker, message,
   const messageEntry = {
     speaker,
     message,
-    timestamp: new Date().toISOString(),
-    canvas_update: canvasState || null
+    timestamp: new Date().toISOString()
   };
 
-  const updatedMessages = [...(session.messages || []), messageEntry];
-
-  // Update canvas state if provided
-  const updates = {
-    messages: updatedMessages
-  };
-
-  if (canvasState !== null) {
-    updates.canvas_state = canvasState;
-  }
-
-  return await updateCollaborationSession(collabSessionId, updates);
+  const updated = await updateCollaborationSession(collabSessionId, {
+    messages: [...(session.messages || []), messageEntry]
+  });
+  publishCollaborationEvent(collabSessionId, 'message', { message: messageEntry });
+  return updated;
 }
 
 /**
- * Update canvas state
+ * Merge a client's canvas operations into the room's operation log
+ * Teacher and student post only their new operations; the server assigns
+ * seqs, so concurrent strokes from both sides all land.
  * @param {string} collabSessionId - Collaboration session ID
- * @param {Object} canvasState - Fabric.js canvas state JSON
- * @returns {Promise<Object>} Updated collaboration session
+ * @param {Array} operations - New operations from the caller ({ id, type, data })
+ * @param {number} since - Last log version the caller has applied
+ * @returns {Promise<Object>} { operations, version, reset, accepted } where
+ *   operations are the ones the caller hasn't seen (the whole log when reset)
+ *   and accepted maps the caller's operation ids to their seqs
  */
-export async function updateCanvasState(collabSessionId, canvasState) {
-  const result = await updateCollaborationSession(collabSessionId, {
-    canvas_state: canvasState
-  });
-  return result;
+export async function appendCanvasOperations(collabSessionId, operations, since = 0) {
+  validateOperations(operations);
+  await getCollaborationSession(collabSessionId);
+
+  // Read, merge and write with no await in between so two posts racing each
+  // other can't drop one side's operations
+  const current = normalizeCanvasLog(sessionStore.get(collabSessionId).canvas_state);
+  const { log, accepted, compacted } = mergeOperations(current, operations);
+
+  if (accepted.length > 0) {
+    try {
+      sessionStore.merge(collabSessionId, { canvas_state: log });
+    } catch (error) {
+      logger.error('Error updating canvas operations:', error);
+      throw new AWSError('Failed to update canvas operations', error);
+    }
+
+    publishCollaborationEvent(collabSessionId, 'canvas', compacted
+      ? { operations: log.operations, version: log.version, reset: true }
+      : { operations: accepted, version: log.version, reset: false });
+  }
+
+  const postedIds = new Set(operations.map(op => op.id));
+  return {
+    ...operationsSince(log, since, postedIds),
+    accepted: log.operations.filter(op => postedIds.has(op.id)).map(({ id, seq }) => ({ id, seq }))
+  };
 }
 
 /**
@@ -192,9 +242,11 @@ export async function updateCanvasState(collabSessionId, canvasState) {
  * @returns {Promise<Object>} Updated collaboration session
  */
 export async function updateDrawingPermission(collabSessionId, studentCanDraw) {
-  return await updateCollaborationSession(collabSessionId, {
+  const updated = await updateCollaborationSession(collabSessionId, {
     student_can_draw: studentCanDraw === true
   });
+  publishCollaborationEvent(collabSessionId, 'permission', { student_can_draw: updated.student_can_draw });
+  return updated;
 }
 
 /**
@@ -243,17 +295,23 @@ export async function endCollaboration(collabSessionId) {
     // Don't fail the whole operation if this fails
   }
 
+  publishCollaborationEvent(collabSessionId, 'status', {
+    status: updatedSession.status,
+    ended_at: updatedSession.ended_at
+  });
+
   logger.info(`Collaboration session ended: ${collabSessionId}`);
   return updatedSession;
 }
 
 /**
- * Get updates since a timestamp (for polling)
+ * Get updates since a timestamp (polling fallback for clients without the event stream)
  * @param {string} collabSessionId - Collaboration session ID
  * @param {string} sinceTimestamp - ISO timestamp to get updates since
- * @returns {Promise<Object>} Updates object with messages and canvas state
+ * @param {number} canvasSince - Last canvas log version the caller has applied
+ * @returns {Promise<Object>} Updates object with messages and the canvas operation delta
  */
-export async function getCollaborationUpdates(collabSessionId, sinceTimestamp) {
+export async function getCollaborationUpdates(collabSessionId, sinceTimestamp, canvasSince = 0) {
   const session = await getCollaborationSession(collabSessionId);
   
   // Filter messages since timestamp
@@ -267,9 +325,49 @@ export async function getCollaborationUpdates(collabSessionId, sinceTimestamp) {
 
   return {
     messages,
-    canvas_state: session.canvas_state,
+    canvas: operationsSince(normalizeCanvasLog(session.canvas_state), canvasSince),
     student_can_draw: session.student_can_draw,
     status: session.status
   };
 }
 
+
+/**
+ * Build a replay timeline of a collaboration
+ * Chat messages and canvas operations are interleaved by time; operations
+ * stored before they carried a timestamp are placed at the room's start.
+ * @param {string} collabSessionId - Collaboration session ID
+ * @returns {Promise<Object>} Room summary plus time-ordered events
+ */
+export async function getCollaborationReplay(collabSessionId) {
+  const session = await getCollaborationSession(collabSessionId);
+  const log = normalizeCanvasLog(session.canvas_state);
+
+  const messageEvents = (session.messages || []).map(msg => ({
+    type: 'message',
+    at: msg.timestamp,
+    speaker: msg.speaker,
+    message: msg.message
+  }));
+  const canvasEvents = log.operations.map(op => ({
+    type: 'canvas',
+    at: op.at || session.created_at,
+    operation: op
+  }));
+
+  // Array.prototype.sort is stable, so same-time events keep message-then-seq order
+  const events = [...messageEvents, ...canvasEvents]
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return {
+    collaboration_session_id: session.collaboration_session_id,
+    student_session_id: session.student_session_id,
+    problem_text: session.problem_text,
+    status: session.status,
+    started_at: session.created_at,
+    ended_at: session.ended_at || null,
+    // Operations the size cap dropped can't be replayed
+    canvas_truncated: log.base_version > 0,
+    events
+  };
+}
@@ -5,18 +5,27 @@
 
 import '../config/env.js';
 import { sessionStore } from './memoryStore.js';
+import { isSessionInScope } from './classService.js';
+import { getHintRung } from './hintLadder.js';
+import { getSkill } from './skillGraph.js';
+import { getLearnerProfile, summarizeLearnerProfile } from './learnerProfileService.js';
+import { MASTERED } from './masteryModel.js';
+import { getDueReviews, countDueReviews } from './reviewScheduler.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger();
 
 /**
  * Get all sessions from the in-memory store
+ * @param {Set<string>|null} scope - Class IDs to include (from getClassScope); null for all
  * @returns {Promise<Array>} Array of session objects
  */
-export async function getAllSessions() {
+export async function getAllSessions(scope = null) {
   const now = Math.floor(Date.now() / 1000);
   const sessions = sessionStore.scanAll().filter(
-    session => !session.expires_at || session.expires_at >= now
+    session => !session.record_type &&
+      (!session.expires_at || session.expires_at >= now) &&
+      isSessionInScope(session, scope)
   );
 
   logger.info(`Retrieved ${sessions.length} active sessions`);
@@ -25,10 +34,11 @@ export async function getAllSessions() {
 
 /**
  * Compute aggregate statistics from all sessions
+ * @param {Set<string>|null} scope - Class IDs to include; null for all
  * @returns {Promise<Object>} Aggregate stats object
  */
-export async function getAggregateStats() {
-  const sessions = await getAllSessions();
+export async function getAggregateStats(scope = null) {
+  const sessions = await getAllSessions(scope);
 
   const stats = {
     totalSessions: sessions.length,
@@ -62,7 +72,9 @@ export async function getAggregateStats() {
       transferSuccessRate: 0,
       mcAverageScore: 0,
       mcQuizFailures: 0 // MC quizzes failed (< 67%)
-    }
+    },
+    // Per-skill BKT mastery across the learner profiles in scope
+    skills: []
   };
 
   const learningConfidences = [];
@@ -155,15 +167,48 @@ export async function getAggregateStats() {
     stats.learning.transferSuccessRate = transferSuccessCount / transferTotalCount;
   }
 
+  stats.skills = getSkillMasteryStats(scope);
+
   return stats;
 }
 
+/**
+ * Mastery of each skill across learner profiles, weakest first
+ * @param {Set<string>|null} scope - Class IDs to include; null for all
+ * @returns {Array<Object>} { skill_id, name, learners, average_mastery, mastered }
+ */
+function getSkillMasteryStats(scope) {
+  const bySkill = {};
+  sessionStore.scanAll()
+    .filter(item => item.record_type === 'learner' && isSessionInScope(item, scope))
+    .forEach(profile => {
+      Object.entries(profile.skills || {}).forEach(([skillId, entry]) => {
+        if (typeof entry.p_mastery !== 'number') return;
+        const skill = bySkill[skillId] || (bySkill[skillId] = { total: 0, learners: 0, mastered: 0 });
+        skill.learners++;
+        skill.total += entry.p_mastery;
+        if (entry.p_mastery >= MASTERED) skill.mastered++;
+      });
+    });
+
+  return Object.entries(bySkill)
+    .map(([skillId, { total, learners, mastered }]) => ({
+      skill_id: skillId,
+      name: getSkill(skillId)?.name || skillId,
+      learners,
+      average_mastery: total / learners,
+      mastered
+    }))
+    .sort((a, b) => a.average_mastery - b.average_mastery);
+}
+
 /**
  * Get all sessions with their statistics
+ * @param {Set<string>|null} scope - Class IDs to include; null for all
  * @returns {Promise<Array>} Array of session objects with computed stats
  */
-export async function getAllSessionsWithStats() {
-  const sessions = await getAllSessions();
+export async function getAllSessionsWithStats(scope = null) {
+  const sessions = await getAllSessions(scope);
 
   return sessions.map(session => {
     const problems = session.problems || [];
@@ -171,8 +216,10 @@ export async function getAllSessionsWithStats() {
     const sessionStats = {
       session_code: session.session_code,
       created_at: session.created_at,
+      class_id: session.class_id || null,
       problems_count: problems.length,
       hints_used_total: 0,
+      reviews_due: countDueReviews(getLearnerProfile(session.learner_id)),
       categories: {},
       difficulties: {},
       learning: {
@@ -242,24 +289,32 @@ export async function getAllSessionsWithStats() {
 /**
  * Get specific session details
  * @param {string} sessionCode - Session code
- * @returns {Promise<Object>} Session object with full details
+ * @param {Set<string>|null} scope - Class IDs the caller may see; null for all
+ * @returns {Promise<Object|null>} Session object with full details (null if missing or out of scope)
  */
-export async function getSessionDetails(sessionCode) {
+export async function getSessionDetails(sessionCode, scope = null) {
   const sessions = await getAllSessions();
   const session = sessions.find(s => s.session_code === sessionCode);
 
-  if (!session) {
+  if (!session || !isSessionInScope(session, scope)) {
     return null;
   }
 
+  // Collaboration rooms opened for this student, grouped under the problem they were started from
+  const collaborations = sessions.filter(s => s.collaboration_session_id && s.student_session_id === sessionCode);
+
   // Transform problems to match the structure expected by frontend
   const problems = (session.problems || []).map(p => {
     const assessment = p.learning_assessment || {};
+    const snapshots = p.whiteboard_snapshots || [];
     return {
       problem_id: p.problem_id,
       category: p.category || p.problem_info?.category || 'other',
       difficulty: p.difficulty || p.problem_info?.difficulty || 'unknown',
+      skills: (p.skills || []).map(id => ({ skill_id: id, name: getSkill(id)?.name || id })),
       hints_used: p.hints_used_total || 0,
+      hint_level: p.hint_level || 0, // Highest hint ladder rung the student needed (0 = none)
+      hint_level_label: p.hint_level ? getHintRung(p.hint_level).label : null,
       created_at: p.created_at,
       completed: p.completed || false,
       learning_assessment: assessment.assessment_completed ? {
@@ -270,7 +325,17 @@ export async function getSessionDetails(sessionCode) {
         transfer_problem: assessment.transfer_problem,
         mc_quiz_failed: assessment.mc_quiz_failed || false,
         mc_quiz_failed_at: assessment.mc_quiz_failed_at || null
-      } : null
+      } : null,
+      collaborations: collaborations
+        .filter(c => c.selected_problem_id === p.problem_id)
+        .map(c => ({
+          collaboration_session_id: c.collaboration_session_id,
+          status: c.status,
+          created_at: c.created_at,
+          ended_at: c.ended_at || null,
+          snapshot_attached: snapshots.some(s => s.collaboration_session_id === c.collaboration_session_id)
+        })),
+      whiteboard_snapshots: snapshots
     };
   });
 
@@ -278,10 +343,41 @@ export async function getSessionDetails(sessionCode) {
     session_code: session.session_code,
     created_at: session.created_at,
     expires_at: session.expires_at,
+    class_id: session.class_id || null,
     current_problem_id: session.current_problem_id,
     problems: problems,
     transcript: session.transcript || [],
-    transcript_length: (session.transcript || []).length
+    transcript_length: (session.transcript || []).length,
+    // The student's profile across all their sessions (null for sessions that never linked one)
+    learner_profile: describeProfileForDashboard(getLearnerProfile(session.learner_id))
+  };
+}
+
+/**
+ * Profile summary with the skill estimates listed by name, weakest first
+ * @param {Object|null} profile - Learner profile
+ * @returns {Object|null} Summary for the session details view
+ */
+function describeProfileForDashboard(profile) {
+  const summary = summarizeLearnerProfile(profile);
+  if (!summary) return null;
+
+  return {
+    ...summary,
+    reviews_due: getDueReviews(profile).map(review => ({
+      skill_id: review.skill_id,
+      name: getSkill(review.skill_id)?.name || review.skill_id,
+      due_at: review.due_at
+    })),
+    skills: Object.entries(summary.skills)
+      .filter(([, entry]) => typeof entry.p_mastery === 'number')
+      .map(([skillId, entry]) => ({
+        skill_id: skillId,
+        name: getSkill(skillId)?.name || skillId,
+        p_mastery: entry.p_mastery,
+        observations: entry.observations || 0
+      }))
+      .sort((a, b) => a.p_mastery - b.p_mastery)
   };
 }
 
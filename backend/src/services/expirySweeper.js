@@ -0,0 +1,105 @@
+/**
+ * Expiry Sweeper
+ * Periodically deletes sessions and collaboration rooms whose expires_at TTL
+ * has passed. getSession/getCollaborationSession already refuse expired items;
+ * this reclaims them from the store so they don't accumulate forever.
+ */
+
+import '../config/env.js';
+import { sessionStore } from './memoryStore.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger();
+
+const parsedInterval = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 10);
+const DEFAULT_INTERVAL_MS = Number.isFinite(parsedInterval) && parsedInterval > 0 ? parsedInterval : 10 * 60 * 1000;
+
+let nowFn = () => new Date();
+let timer = null;
+
+function isCollaborationKey(key) {
+  return typeof key === 'string' && key.startsWith('COLLAB');
+}
+
+/**
+ * Delete every expired session plus the collaboration rooms linked to it
+ * A room goes when its own TTL has passed or when the student session it
+ * belongs to is being purged in the same sweep.
+ * @param {Object} store - Store to sweep (defaults to the shared sessionStore)
+ * @returns {{sessions: number, collaborations: number}} Reclaimed item counts
+ */
+export function sweepExpired(store = sessionStore) {
+  const now = Math.floor(nowFn().getTime() / 1000);
+  const items = store.scanAll();
+  const isExpired = item => Boolean(item.expires_at) && item.expires_at < now;
+
+  const expiredStudentCodes = new Set(
+    items
+      .filter(item => !isCollaborationKey(item.session_code) && isExpired(item))
+      .map(item => item.session_code)
+  );
+
+  let sessions = 0;
+  let collaborations = 0;
+
+  items.forEach(item => {
+    const key = item.session_code;
+    if (!key) return;
+
+    if (isCollaborationKey(key)) {
+      if (isExpired(item) || expiredStudentCodes.has(item.student_session_id)) {
+        store.delete(key);
+        collaborations++;
+      }
+    } else if (expiredStudentCodes.has(key)) {
+      store.delete(key);
+      sessions++;
+    }
+  });
+
+  logger.metric('Sweeper.ExpiredSessions', sessions, 'Count');
+  logger.metric('Sweeper.ExpiredCollaborations', collaborations, 'Count');
+  if (sessions > 0 || collaborations > 0) {
+    logger.info(`Expiry sweep reclaimed ${sessions} sessions and ${collaborations} collaboration rooms`);
+  }
+
+  return { sessions, collaborations };
+}
+
+/**
+ * Start sweeping on an interval (no-op if already running)
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * @param {number} intervalMs - Sweep interval (default EXPIRY_SWEEP_INTERVAL_MS or 10 minutes)
+ */
+export function startExpirySweeper(intervalMs = DEFAULT_INTERVAL_MS) {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    try {
+      sweepExpired();
+    } catch (error) {
+      logger.error('Expiry sweep failed:', error);
+    }
+  }, intervalMs);
+  timer.unref();
+
+  logger.info(`Expiry sweeper started (every ${intervalMs}ms)`);
+}
+
+/**
+ * Stop the interval started by startExpirySweeper
+ */
+export function stopExpirySweeper() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Test hook: inject a clock function for simulating the passage of time.
+ * Pass null to restore the real clock.
+ */
+export function __setNow(fn) {
+  nowFn = fn || (() => new Date());
+}
@@ -0,0 +1,115 @@
+/**
+ * File-backed Store
+ * Same get/put/merge/delete/scanAll contract as createStore() in memoryStore.js,
+ * but every write is appended to a JSON-lines log so data survives a restart.
+ *
+ * Reads are served from an in-memory Map rebuilt by replaying the log on
+ * startup. Writes stay synchronous (appendFileSync) so callers keep the same
+ * call shape as the Map store. The log is compacted on open once it holds
+ * noticeably more lines than live keys.
+ */
+
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger();
+
+// Rewrite the log on open when it has this many times more lines than live
+// keys (and at least COMPACT_MIN_LINES lines - tiny logs aren't worth it).
+const COMPACT_RATIO = 2;
+const COMPACT_MIN_LINES = 100;
+
+/**
+ * Replay a JSON-lines log into a Map
+ * A torn last line (crash mid-append) or any other unparseable line is
+ * skipped with a warning rather than failing startup.
+ * @param {string} filePath - Log file path
+ * @returns {{data: Map, lineCount: number}} Replayed state and number of log lines
+ */
+function replayLog(filePath) {
+  const data = new Map();
+  if (!fs.existsSync(filePath)) {
+    return { data, lineCount: 0 };
+  }
+
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim().length > 0);
+
+  lines.forEach((line, index) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      logger.warn(`Skipping unparseable store log line ${index + 1} in ${filePath}`);
+      return;
+    }
+
+    if (entry.op === 'put') {
+      data.set(entry.key, entry.item);
+    } else if (entry.op === 'delete') {
+      data.delete(entry.key);
+    }
+  });
+
+  return { data, lineCount: lines.length };
+}
+
+/**
+ * Create a file-backed store
+ * @param {string} filePath - Path of the JSON-lines log (parent dirs are created)
+ * @returns {Object} Store with get/put/merge/delete/scanAll (plus compact)
+ */
+export function createFileStore(filePath) {
+  fs.mkdirSync(dirname(filePath), { recursive: true });
+
+  const { data, lineCount } = replayLog(filePath);
+
+  const append = (entry) => {
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+  };
+
+  // Write the live state to a temp file, then rename over the log so a crash
+  // mid-compaction leaves the old (longer but complete) log in place.
+  const compact = () => {
+    const tmpPath = join(dirname(filePath), `.${Date.now()}.compact.tmp`);
+    const body = [...data.entries()]
+      .map(([key, item]) => `${JSON.stringify({ op: 'put', key, item })}\n`)
+      .join('');
+    fs.writeFileSync(tmpPath, body);
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  if (lineCount >= COMPACT_MIN_LINES && lineCount > data.size * COMPACT_RATIO) {
+    compact();
+    logger.info(`Compacted store log ${filePath}: ${lineCount} lines → ${data.size}`);
+  }
+
+  logger.info(`File store opened at ${filePath} with ${data.size} items`);
+
+  return {
+    get(key) {
+      return data.has(key) ? structuredClone(data.get(key)) : null;
+    },
+    put(key, item) {
+      const copy = structuredClone(item);
+      append({ op: 'put', key, item: copy });
+      data.set(key, copy);
+    },
+    merge(key, updates) {
+      const existing = data.has(key) ? data.get(key) : {};
+      const merged = structuredClone({ ...existing, ...updates });
+      append({ op: 'put', key, item: merged });
+      data.set(key, merged);
+      return structuredClone(merged);
+    },
+    delete(key) {
+      if (!data.has(key)) return;
+      append({ op: 'delete', key });
+      data.delete(key);
+    },
+    scanAll() {
+      return [...data.values()].map((item) => structuredClone(item));
+    },
+    compact,
+  };
+}
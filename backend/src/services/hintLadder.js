@@ -0,0 +1,59 @@
+/**
+ * Hint Ladder
+ * Graded hints for a stuck student. Each hint given on a problem climbs one
+ * rung (nudge → strategic hint → worked sub-step → bottom-out example); the
+ * highest rung reached is kept on the problem as hint_level so teachers can
+ * see how much help a student needed. Higher rungs cost more of the streak.
+ */
+
+export const HINT_LADDER = [
+  {
+    level: 1,
+    name: 'nudge',
+    label: 'Nudge',
+    streakPenalty: 20,
+    instruction: 'Give a gentle nudge: point their attention to the relevant part of the problem or ask a narrower question. Do not name the method yet.'
+  },
+  {
+    level: 2,
+    name: 'strategic',
+    label: 'Strategic hint',
+    streakPenalty: 40,
+    instruction: 'Give a strategic hint: name the strategy or operation to use next (for example "undo the addition first") without carrying it out.'
+  },
+  {
+    level: 3,
+    name: 'worked_substep',
+    label: 'Worked sub-step',
+    streakPenalty: 60,
+    instruction: 'Work through only the next sub-step for them, explaining why it works, then ask them to do the following step themselves.'
+  },
+  {
+    level: 4,
+    name: 'bottom_out',
+    label: 'Bottom-out example',
+    streakPenalty: 100,
+    instruction: 'Give a bottom-out hint: walk through a fully worked example of a similar problem with different numbers, then ask them to apply the same steps to their problem. Do not solve their problem.'
+  }
+];
+
+export const MAX_HINT_LEVEL = HINT_LADDER.length;
+
+/**
+ * Ladder rung for a level
+ * @param {number} level - Hint level (1-4); out-of-range values are clamped
+ * @returns {Object} Rung ({ level, name, label, streakPenalty, instruction })
+ */
+export function getHintRung(level) {
+  const clamped = Math.min(Math.max(Math.trunc(level) || 1, 1), MAX_HINT_LEVEL);
+  return HINT_LADDER[clamped - 1];
+}
+
+/**
+ * The level the next hint on a problem should be given at
+ * @param {Object} problem - Problem record (hint_level is the highest rung reached so far)
+ * @returns {number} Next hint level
+ */
+export function nextHintLevel(problem) {
+  return Math.min((problem?.hint_level || 0) + 1, MAX_HINT_LEVEL);
+}
@@ -195,7 +195,7 @@ If this is a PURE MATH PROBLEM (just equations, numbers, and mathematical expres
       ],
       max_tokens: 500,
       temperature: 0.3
-    });
+    }, { callSite: 'word_problem' });
 
     const responseText = response.choices[0]?.message?.content?.trim() || '';
     
@@ -263,7 +263,7 @@ export async function extractTextWithVision(imageBuffer) {
         }
       ],
       max_tokens: 1000
-    });
+    }, { callSite: 'vision_ocr' });
 
     const latency = Date.now() - startTime;
     const text = response.choices[0]?.message?.content?.trim() || '';
@@ -370,7 +370,7 @@ If there are MULTIPLE problems, respond with each problem on a new line numbered
       ],
       max_tokens: 1000,
       temperature: 0.3
-    });
+    }, { callSite: 'split_problems' });
 
     const responseText = response.choices[0]?.message?.content?.trim() || '';
     
@@ -0,0 +1,351 @@
+/**
+ * Learner Profile Service
+ * A profile per student, kept in the session store under LEARNER#<learner_id>
+ * and shared by every session the student starts or resumes. Sessions carry
+ * learner_id; the profile lists the session codes it has seen, so a student
+ * who types an old (even expired) session code on "Start New Session" or
+ * "Resume Session" carries on with the same profile.
+ *
+ * The profile accumulates, per student:
+ * - mastery per problem category (assessment confidence, smoothed) and per
+ *   skill (BKT mastery probability from masteryModel.js, updated on every
+ *   step, hint, MC answer and transfer result)
+ * - recurring misconceptions (invalid algebra steps, arithmetic slips and
+ *   wrong final answers, from the symbolic checkers)
+ * - which explanation style tends to unstick them (own reasoning, strategy
+ *   hints, worked examples)
+ * - hint dependence (share of turns that needed a hint, highest rungs)
+ * - when each skill is next due for review (reviewScheduler.js)
+ * generateTutorResponse gets a short summary of it, and
+ * getAdaptiveRecommendation weighs a problem's score against it.
+ */
+
+import '../config/env.js';
+import crypto from 'crypto';
+import { sessionStore } from './memoryStore.js';
+import { createLogger } from '../utils/logger.js';
+import { getHintRung } from './hintLadder.js';
+import { observeSkills } from './masteryModel.js';
+import { scheduleReviews } from './reviewScheduler.js';
+
+const logger = createLogger();
+
+const LEARNER_KEY_PREFIX = 'LEARNER#';
+// Weight of the newest assessment in a category's mastery
+const MASTERY_SMOOTHING = 0.5;
+// Observations needed before a style or hint dependence is reported
+const MIN_STYLE_EVIDENCE = 3;
+const MIN_HINT_EVIDENCE = 5;
+const RECURRING_MISCONCEPTION_COUNT = 2;
+const MAX_SESSION_CODES = 100;
+
+export const MISCONCEPTIONS = {
+  equation: 'Steps that change the equation (not doing the same thing to both sides)',
+  arithmetic: 'Arithmetic slips',
+  wrong_answer: 'Wrong final answers'
+};
+
+export const EXPLANATION_STYLES = {
+  socratic: 'working it out from guiding questions',
+  strategy: 'being told which strategy to use',
+  worked_example: 'seeing a worked step or example first'
+};
+
+function learnerKey(learnerId) {
+  return `${LEARNER_KEY_PREFIX}${learnerId}`;
+}
+
+/**
+ * Get a learner profile or null
+ * @param {string} learnerId - Learner ID
+ * @returns {Object|null} Profile record
+ */
+export function getLearnerProfile(learnerId) {
+  if (typeof learnerId !== 'string' || !learnerId) return null;
+  return sessionStore.get(learnerKey(learnerId));
+}
+
+function createLearnerProfile(classId) {
+  const learnerId = `LRN${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  const now = new Date().toISOString();
+  const profile = {
+    session_code: learnerKey(learnerId), // Store primary key
+    record_type: 'learner',
+    learner_id: learnerId,
+    class_id: classId || null,
+    created_at: now,
+    updated_at: now,
+    session_codes: [],
+    mastery: {},
+    skills: {},
+    misconceptions: {},
+    explanation_styles: {},
+    hint_stats: { turns: 0, hinted_turns: 0, max_level: 0 },
+    reviews: {}
+  };
+  sessionStore.put(profile.session_code, profile);
+  logger.info(`Learner profile created: ${learnerId}`);
+  return profile;
+}
+
+/**
+ * Profile that has seen a session code, in the same class
+ */
+function findLearnerBySessionCode(sessionCode, classId) {
+  if (!sessionCode) return null;
+  return sessionStore.scanAll().find(item =>
+    item.record_type === 'learner' &&
+    (item.session_codes || []).includes(sessionCode) &&
+    (item.class_id || null) === (classId || null)
+  ) || null;
+}
+
+/**
+ * Apply changes to a profile (read-modify-write; the store calls are synchronous)
+ */
+function updateProfile(learnerId, mutate) {
+  const profile = getLearnerProfile(learnerId);
+  if (!profile) return null;
+  mutate(profile);
+  profile.updated_at = new Date().toISOString();
+  sessionStore.put(profile.session_code, profile);
+  return profile;
+}
+
+/**
+ * Attach a session to its student's profile
+ * Reuses the profile of the earlier session the student named (if it's in the
+ * same class), else creates a new one; sets learner_id on the session.
+ * @param {Object} session - Session record
+ * @param {string|null} previousSessionCode - A session code the student used before
+ * @returns {Object} Learner profile
+ */
+export function linkSessionToLearner(session, previousSessionCode = null) {
+  let profile = getLearnerProfile(session.learner_id);
+
+  if (!profile && previousSessionCode && previousSessionCode !== session.session_code) {
+    const previous = sessionStore.get(previousSessionCode);
+    const sameClass = (previous?.class_id || null) === (session.class_id || null);
+    profile = (previous && !previous.record_type && sameClass && getLearnerProfile(previous.learner_id)) ||
+      findLearnerBySessionCode(previousSessionCode, session.class_id);
+  }
+  if (!profile) {
+    profile = findLearnerBySessionCode(session.session_code, session.class_id) || createLearnerProfile(session.class_id);
+  }
+
+  if (session.learner_id !== profile.learner_id) {
+    sessionStore.merge(session.session_code, { learner_id: profile.learner_id });
+    logger.info(`Session ${session.session_code} linked to learner ${profile.learner_id}`);
+  }
+  if (!profile.session_codes.includes(session.session_code)) {
+    profile = updateProfile(profile.learner_id, p => {
+      p.session_codes = [...p.session_codes, session.session_code].slice(-MAX_SESSION_CODES);
+    });
+  }
+  return profile;
+}
+
+/**
+ * Explanation style a hint rung corresponds to (no hint: the student's own reasoning)
+ */
+function styleForHint(hintLevel) {
+  if (!hintLevel) return 'socratic';
+  const { name } = getHintRung(hintLevel);
+  if (name === 'nudge') return 'socratic';
+  return name === 'strategic' ? 'strategy' : 'worked_example';
+}
+
+function noteMisconception(profile, kind, category, example) {
+  const entry = profile.misconceptions[kind] || { count: 0, categories: {} };
+  entry.count += 1;
+  entry.categories[category] = (entry.categories[category] || 0) + 1;
+  entry.last_example = example || entry.last_example || null;
+  entry.last_seen = new Date().toISOString();
+  profile.misconceptions[kind] = entry;
+}
+
+function masteryEntry(bucket, key) {
+  bucket[key] = bucket[key] || { attempts: 0, completed: 0, assessed: 0, level: null };
+  return bucket[key];
+}
+
+/**
+ * Record one chat turn on the student's profile
+ * @param {string} learnerId - Learner ID (no-op if missing)
+ * @param {Object} turn
+ * @param {Object} turn.problem - Problem the turn was on
+ * @param {Array} turn.previousSteps - Steps before this turn
+ * @param {Object} turn.step - The new step (hint_used, hint_level, progress_made, step_check)
+ * @param {Object} turn.solutionCompletion - Result of detectSolutionCompletion
+ * @returns {Object|null} Updated profile
+ */
+export function recordLearnerTurn(learnerId, { problem, previousSteps = [], step, solutionCompletion = null }) {
+  const category = problem?.category || 'other';
+
+  return updateProfile(learnerId, profile => {
+    profile.skills = profile.skills || {};
+    const skills = problem?.skills || [];
+    if (!previousSteps.some(s => s.student_response)) {
+      masteryEntry(profile.mastery, category).attempts += 1;
+      skills.forEach(skillId => {
+        profile.skills[skillId] = profile.skills[skillId] || { attempts: 0, completed: 0 };
+        profile.skills[skillId].attempts += 1;
+      });
+    }
+
+    // Every turn is evidence on the problem's skills: a hint counts against
+    // mastery, otherwise whether the step moved the problem forward
+    observeSkills(profile.skills, skills, !step.hint_used && !!step.progress_made, step.hint_used ? 'hint' : 'step');
+
+    profile.hint_stats.turns += 1;
+    if (step.hint_used) {
+      profile.hint_stats.hinted_turns += 1;
+      profile.hint_stats.max_level = Math.max(profile.hint_stats.max_level, step.hint_level || 1);
+    }
+
+    // What got them moving: the help given on the turn before a step forward
+    if (step.progress_made) {
+      const previous = previousSteps[previousSteps.length - 1];
+      const style = styleForHint(previous?.hint_used ? previous.hint_level || 1 : null);
+      profile.explanation_styles[style] = (profile.explanation_styles[style] || 0) + 1;
+    }
+
+    if (step.step_check && !step.step_check.valid && step.step_check.error) {
+      noteMisconception(profile, step.step_check.error, category, step.step_check.reasoning);
+    }
+    if (solutionCompletion?.solution_completed && !solutionCompletion.is_correct) {
+      noteMisconception(profile, 'wrong_answer', category, step.student_response);
+    }
+  });
+}
+
+/**
+ * Record an MC answer or transfer result on the student's skills
+ * @param {string} learnerId - Learner ID (no-op if missing)
+ * @param {Object} problem - Problem the question was about (its skills are updated)
+ * @param {boolean} correct - Whether the answer was correct
+ * @param {string} kind - 'mc' or 'transfer'
+ * @returns {Object|null} Updated profile
+ */
+export function recordLearnerAnswer(learnerId, problem, correct, kind) {
+  return updateProfile(learnerId, profile => {
+    profile.skills = profile.skills || {};
+    observeSkills(profile.skills, problem?.skills, correct, kind);
+  });
+}
+
+/**
+ * Record a finished assessment on the student's profile
+ * @param {string} learnerId - Learner ID (no-op if missing)
+ * @param {Object} problem - Problem with a completed learning_assessment
+ * @returns {Object|null} Updated profile
+ */
+export function recordLearnerOutcome(learnerId, problem) {
+  const confidence = problem?.learning_assessment?.learning_confidence;
+  return updateProfile(learnerId, profile => {
+    const entry = masteryEntry(profile.mastery, problem?.category || 'other');
+    if (problem.completed) {
+      entry.completed += 1;
+      profile.skills = profile.skills || {};
+      (problem.skills || []).forEach(skillId => {
+        if (profile.skills[skillId]) profile.skills[skillId].completed += 1;
+      });
+    }
+    if (typeof confidence === 'number' && !Number.isNaN(confidence)) {
+      entry.assessed += 1;
+      entry.level = entry.level === null
+        ? confidence
+        : MASTERY_SMOOTHING * confidence + (1 - MASTERY_SMOOTHING) * entry.level;
+    }
+    profile.reviews = scheduleReviews(profile.reviews || {}, problem);
+  });
+}
+
+/**
+ * Keep generated review problems on their review entries
+ * @param {string} learnerId - Learner ID (no-op if missing)
+ * @param {Object} problemsBySkill - { [skillId]: problem text }
+ * @returns {Object|null} Updated profile
+ */
+export function recordReviewProblems(learnerId, problemsBySkill) {
+  return updateProfile(learnerId, profile => {
+    Object.entries(problemsBySkill).forEach(([skillId, problemText]) => {
+      if (profile.reviews?.[skillId]) profile.reviews[skillId].review_problem = problemText;
+    });
+  });
+}
+
+/**
+ * Derived view of a profile: mastery, recurring misconceptions, preferred
+ * style and hint dependence
+ * @param {Object|null} profile - Learner profile
+ * @returns {Object|null} Summary, or null without a profile
+ */
+export function summarizeLearnerProfile(profile) {
+  if (!profile) return null;
+
+  const misconceptions = Object.entries(profile.misconceptions || {})
+    .filter(([, entry]) => entry.count >= RECURRING_MISCONCEPTION_COUNT)
+    .sort(([, a], [, b]) => b.count - a.count)
+    .map(([kind, entry]) => ({
+      kind,
+      label: MISCONCEPTIONS[kind] || kind,
+      count: entry.count,
+      categories: entry.categories,
+      example: entry.last_example || null
+    }));
+
+  const styles = Object.entries(profile.explanation_styles || {}).sort(([, a], [, b]) => b - a);
+  const styleTotal = styles.reduce((sum, [, count]) => sum + count, 0);
+  const preferredStyle = styleTotal >= MIN_STYLE_EVIDENCE ? styles[0][0] : null;
+
+  const { turns = 0, hinted_turns: hintedTurns = 0, max_level: maxLevel = 0 } = profile.hint_stats || {};
+  const hintRate = turns > 0 ? hintedTurns / turns : 0;
+  let hintDependence = null;
+  if (turns >= MIN_HINT_EVIDENCE) {
+    hintDependence = hintRate >= 0.3 ? 'high' : hintRate >= 0.1 ? 'moderate' : 'low';
+  }
+
+  return {
+    learner_id: profile.learner_id,
+    sessions: (profile.session_codes || []).length,
+    mastery: profile.mastery || {},
+    skills: profile.skills || {},
+    misconceptions,
+    preferred_style: preferredStyle,
+    hint_dependence: hintDependence,
+    hint_rate: Math.round(hintRate * 100) / 100,
+    max_hint_level: maxLevel
+  };
+}
+
+/**
+ * Short profile briefing for the tutor prompt
+ * @param {Object|null} profile - Learner profile
+ * @param {string} category - Category of the current problem
+ * @returns {string|null} Briefing, or null when there's nothing worth saying yet
+ */
+export function describeLearnerProfile(profile, category) {
+  const summary = summarizeLearnerProfile(profile);
+  if (!summary) return null;
+
+  const lines = [];
+  const mastery = summary.mastery[category];
+  if (mastery?.level !== null && mastery?.level !== undefined) {
+    lines.push(`- ${category} mastery: ${Math.round(mastery.level * 100)}% over ${mastery.assessed} assessed problem(s)`);
+  } else if (mastery?.attempts > 1) {
+    lines.push(`- Has started ${mastery.attempts} ${category} problems before`);
+  }
+  summary.misconceptions.forEach(m => {
+    lines.push(`- Recurring: ${m.label.toLowerCase()} (${m.count} times)${m.example ? `, e.g. "${m.example}"` : ''}`);
+  });
+  if (summary.preferred_style) {
+    lines.push(`- Usually gets unstuck by ${EXPLANATION_STYLES[summary.preferred_style]}`);
+  }
+  if (summary.hint_dependence) {
+    lines.push(`- Hint dependence: ${summary.hint_dependence} (${Math.round(summary.hint_rate * 100)}% of turns needed a hint)`);
+  }
+
+  if (lines.length === 0) return null;
+  return `What we know about this student from earlier problems:\n${lines.join('\n')}\nUse this to pitch your questions: keep steps small where mastery is low or hints are relied on, watch for the recurring mistakes, and lean on the style that works for them - without mentioning this profile.`;
+}
@@ -8,6 +8,9 @@ import { createChatCompletion, TEXT_MODEL } from './openai.js';
 import { createLogger } from '../utils/logger.js';
 import { OpenAIError } from '../utils/errorHandler.js';
 import { parseLLMJson } from '../utils/parseLLMJson.js';
+import { summarizeLearnerProfile } from './learnerProfileService.js';
+import { findPrerequisiteGap } from './skillGraph.js';
+import { masteryOfSkills, masteryBand } from './masteryModel.js';
 
 const logger = createLogger();
 
@@ -50,7 +53,7 @@ Respond with ONLY a brief description of the approach (1-2 sentences max).`;
       ],
       max_tokens: 300,
       temperature: 0.3
-    });
+    }, { callSite: 'extract_approach' });
 
     const approach = response.choices[0]?.message?.content?.trim() || 'Problem-solving approach';
     logger.debug(`Extracted approach: ${approach.substring(0, 50)}...`);
@@ -130,7 +133,7 @@ Respond with ONLY a JSON array with 2-3 questions in this exact format:
       ],
       max_tokens: 800,
       temperature: 0.7
-    });
+    }, { callSite: 'mc_questions' });
 
     const content = response.choices[0]?.message?.content?.trim() || '[]';
     const questions = parseLLMJson(content);
@@ -241,7 +244,7 @@ Respond with ONLY the problem text, nothing else.`;
       ],
       max_tokens: 400,
       temperature: 0.7
-    });
+    }, { callSite: 'transfer_problem' });
 
     const transferProblemText = response.choices[0]?.message?.content?.trim() || '';
     
@@ -290,19 +293,42 @@ Determine if the student's answer is correct. Respond with ONLY a JSON object:
     ],
     max_tokens: 300,
     temperature: 0.3
-  });
+  }, { callSite: 'transfer_grade' });
 
   const content = response.choices[0]?.message?.content?.trim() || '{}';
   return parseLLMJson(content);
 }
 
+/**
+ * Whether the transfer stage follows a finished MC quiz
+ * @param {Object} settings - Class assessment settings (getAssessmentSettings)
+ * @param {boolean} mcQuizPassed - Whether the quiz was passed
+ * @returns {boolean}
+ */
+export function shouldRunTransferStage(settings, mcQuizPassed) {
+  switch (settings?.transfer_stage) {
+    case 'always': return true;
+    case 'on_mc_pass': return mcQuizPassed;
+    case 'on_mc_fail': return !mcQuizPassed;
+    default: return false;
+  }
+}
+
 /**
  * Calculate learning confidence score
+ * The BKT mastery of the problem's skills (masteryModel.js), once the MC and
+ * transfer answers have been observed, is the confidence. Problems without
+ * skills (or students without a profile) fall back to the MC/transfer blend.
  * @param {number} mcScore - MC quiz score (0-1)
  * @param {boolean|null} transferSuccess - Transfer problem success (true/false/null)
+ * @param {number|null} skillMastery - From masteryOfSkills, or null
  * @returns {number} Learning confidence score (0-1)
  */
-export function calculateLearningConfidence(mcScore, transferSuccess) {
+export function calculateLearningConfidence(mcScore, transferSuccess, skillMastery = null) {
+  if (typeof skillMastery === 'number') {
+    return skillMastery;
+  }
+
   if (transferSuccess === null || transferSuccess === undefined) {
     // Only MC available (transfer skipped or not offered)
     return mcScore;
@@ -312,31 +338,71 @@ export function calculateLearningConfidence(mcScore, transferSuccess) {
   return (mcScore * 0.6) + (transferSuccess ? 0.4 : 0);
 }
 
+const RECOMMENDATIONS = {
+  continue: {
+    action: 'continue',
+    message: "Excellent! You've really mastered this approach! Ready to try another problem?",
+    suggestPractice: false
+  },
+  optional_practice: {
+    action: 'optional_practice',
+    message: "Good progress! A bit more practice will make this solid. Want to try another similar problem?",
+    suggestPractice: true
+  },
+  recommend_practice: {
+    action: 'recommend_practice',
+    message: "Let's practice this approach with one more problem to strengthen your understanding!",
+    suggestPractice: true
+  }
+};
+
+const BAND_ACTIONS = {
+  mastered: 'continue',
+  developing: 'optional_practice',
+  needs_practice: 'recommend_practice'
+};
+
+const FOCUS_PHRASES = {
+  equation: 'doing the same thing to both sides',
+  arithmetic: 'checking the arithmetic in each step',
+  wrong_answer: 'checking your answer before you finish'
+};
+
 /**
  * Get adaptive recommendation based on confidence
+ * With a learner profile, the BKT mastery of the problem's skills decides
+ * (the weakest skill: mastered, developing or needs practice); the 0.8/0.5
+ * confidence cutoffs only apply to problems without skills. A recurring
+ * misconception is named as the focus for practice. When practice is
+ * recommended, the nearest unmastered prerequisite skill of the problem comes
+ * with a warm-up problem.
  * @param {number} confidence - Learning confidence score
  * @param {Object} problem - Problem object
- * @returns {Object} Recommendation with action and message
+ * @param {Object|null} learnerProfile - Profile from learnerProfileService
+ * @returns {Object} Recommendation with action, message, mastery (or null)
+ *   and optional focus and prerequisite
  */
-export function getAdaptiveRecommendation(confidence, problem) {
-  if (confidence >= 0.8) {
-    return {
-      action: 'continue',
-      message: "Excellent! You've really mastered this approach! Ready to try another problem?",
-      suggestPractice: false
-    };
-  } else if (confidence >= 0.5) {
-    return {
-      action: 'optional_practice',
-      message: "Good progress! A bit more practice will make this solid. Want to try another similar problem?",
-      suggestPractice: true
-    };
-  } else {
-    return {
-      action: 'recommend_practice',
-      message: "Let's practice this approach with one more problem to strengthen your understanding!",
-      suggestPractice: true
-    };
+export function getAdaptiveRecommendation(confidence, problem, learnerProfile = null) {
+  const mastery = masteryOfSkills(learnerProfile?.skills, problem?.skills);
+  const action = mastery !== null
+    ? BAND_ACTIONS[masteryBand(mastery)]
+    : confidence >= 0.8 ? 'continue' : confidence >= 0.5 ? 'optional_practice' : 'recommend_practice';
+
+  const summary = summarizeLearnerProfile(learnerProfile);
+  const focus = summary?.misconceptions.find(m => m.categories[problem?.category]) || null;
+  const recommendation = { ...RECOMMENDATIONS[action], mastery };
+  if (focus && action !== 'continue') {
+    recommendation.focus = focus.kind;
+    recommendation.message += ` Let's keep an eye on ${FOCUS_PHRASES[focus.kind] || 'the mistakes that keep coming up'}.`;
+  }
+
+  const prerequisite = action === 'recommend_practice'
+    ? findPrerequisiteGap(problem?.skills, learnerProfile)
+    : null;
+  if (prerequisite) {
+    recommendation.prerequisite = prerequisite;
+    recommendation.message += ` A warm-up on ${prerequisite.name.toLowerCase()} could help first: try "${prerequisite.practice_problem}".`;
   }
+  return recommendation;
 }
 
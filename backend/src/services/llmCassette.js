@@ -0,0 +1,202 @@
+/**
+ * LLM Cassettes
+ * Record-and-replay of LLM calls, so tests, eval runs and offline demos get
+ * the same answers every time without the network. A cassette is a JSON file
+ * (<dir>/<name>.json) of responses keyed by a hash of the normalised request
+ * messages: roles and text with whitespace collapsed, images reduced to a
+ * hash of their data. Model and sampling settings are not part of the key, so
+ * a recording survives a fallback retry or a model swap.
+ *
+ *   replay  answer from the cassette; a call it has no recording for fails
+ *           with CassetteMissError (never reaches the provider)
+ *   record  call the provider and save every response, replacing old ones
+ *   auto    replay what is recorded, record the rest
+ *
+ * Misses are logged with the call site and a prompt excerpt and kept on the
+ * cassette (cassette.misses, cassette.missReport()), since most call sites
+ * catch LLM errors and fall back quietly. Activate one with useCassette() in
+ * openai.js, or LLM_CASSETTE_MODE / LLM_CASSETTE / LLM_CASSETTE_DIR.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../utils/logger.js';
+import { ValidationError, CassetteMissError } from '../utils/errorHandler.js';
+
+const logger = createLogger();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CASSETTE_MODES = ['replay', 'record', 'auto'];
+export const DEFAULT_CASSETTE_DIR = path.join(__dirname, '../../evals/cassettes');
+const CASSETTE_VERSION = 1;
+const EXCERPT_LENGTH = 120;
+
+function normalizeText(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function hashOf(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Messages as they are keyed and stored
+ * @param {Array<Object>} messages - OpenAI chat messages
+ * @returns {Array<Object>} { role, content } with normalised text; image parts become { image: 'sha256:...' }
+ */
+export function normalizeMessages(messages = []) {
+  return messages.map(({ role, content }) => ({
+    role,
+    content: Array.isArray(content)
+      ? content.map(part => (part.type === 'text'
+        ? { text: normalizeText(part.text) }
+        : { image: `sha256:${hashOf(part.image_url?.url || '').slice(0, 16)}` }))
+      : normalizeText(content)
+  }));
+}
+
+/**
+ * Cassette key of a request
+ * @param {Array<Object>} messages - OpenAI chat messages
+ * @returns {string} 16 hex characters
+ */
+export function cassetteKey(messages) {
+  return hashOf(JSON.stringify(normalizeMessages(messages))).slice(0, 16);
+}
+
+function excerptOf(messages) {
+  const last = normalizeMessages(messages).at(-1)?.content;
+  const text = Array.isArray(last) ? last.map(part => part.text || '[image]').join(' ') : last || '';
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}...` : text;
+}
+
+function isStream(value) {
+  return !!value && typeof value[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Pass a chunk stream through unchanged and record the assembled completion
+ * once it ends
+ */
+async function* recordingStream(stream, model, onComplete) {
+  let content = '';
+  let finishReason = null;
+  let usage;
+  for await (const chunk of stream) {
+    const choice = chunk.choices?.[0];
+    if (choice?.delta?.content) content += choice.delta.content;
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+    if (chunk.model) model = chunk.model;
+    if (chunk.usage) usage = chunk.usage;
+    yield chunk;
+  }
+  onComplete({
+    model,
+    choices: [{ message: { role: 'assistant', content }, finish_reason: finishReason }],
+    usage
+  });
+}
+
+/**
+ * Open (or start) a cassette
+ * @param {string} name - Cassette name; the file is <dir>/<name>.json
+ * @param {Object} options
+ * @param {string} options.mode - 'replay', 'record' or 'auto'
+ * @param {string} options.dir - Directory of cassette files
+ * @returns {Object} Cassette: call(params, context, send), misses, stats(), missReport()
+ */
+export function openCassette(name, { mode = 'replay', dir = DEFAULT_CASSETTE_DIR } = {}) {
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new ValidationError(`Cassette mode must be one of: ${CASSETTE_MODES.join(', ')}`, 'mode');
+  }
+  if (!name || /[\\/]/.test(name)) {
+    throw new ValidationError('Cassette name must be a plain file name', 'name');
+  }
+
+  const filePath = path.join(dir || DEFAULT_CASSETTE_DIR, `${name}.json`);
+  const entries = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8')).entries || {}
+    : {};
+  const counts = { hits: 0, misses: 0, recorded: 0 };
+  const misses = [];
+
+  const save = (key, params, callSite, response) => {
+    entries[key] = {
+      call_site: callSite,
+      model: params.model,
+      messages: normalizeMessages(params.messages),
+      response: { model: response.model, choices: response.choices, usage: response.usage }
+    };
+    const sorted = Object.fromEntries(Object.keys(entries).sort().map(k => [k, entries[k]]));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify({ version: CASSETTE_VERSION, entries: sorted }, null, 2)}\n`);
+    counts.recorded++;
+    logger.metric('LLMCassette.Recorded', 1, 'Count');
+  };
+
+  const cassette = {
+    name,
+    mode,
+    path: filePath,
+    misses,
+
+    /**
+     * Answer a call from the cassette, or send it on (record / auto)
+     * @param {Object} params - OpenAI chat completion params
+     * @param {Object} context - { callSite }
+     * @param {Function} send - (params, context) => provider response
+     */
+    async call(params, context = {}, send) {
+      const callSite = context.callSite || null;
+      const key = cassetteKey(params.messages);
+
+      if (mode !== 'record' && entries[key]) {
+        counts.hits++;
+        logger.metric('LLMCassette.Hit', 1, 'Count');
+        // Streamed requests get the plain completion; createChatCompletion emits it as one token
+        return structuredClone(entries[key].response);
+      }
+
+      if (mode === 'replay') {
+        const miss = { key, call_site: callSite, model: params.model, excerpt: excerptOf(params.messages) };
+        misses.push(miss);
+        counts.misses++;
+        logger.metric('LLMCassette.Miss', 1, 'Count');
+        logger.error(`[CASSETTE MISS] ${name}: no recording for ${callSite || 'unnamed call'} (${key}): "${miss.excerpt}"`);
+        throw new CassetteMissError(
+          `Cassette "${name}" has no recording for ${callSite || 'this call'} (key ${key}). Re-record with LLM_CASSETTE_MODE=record.`,
+          miss
+        );
+      }
+
+      const response = await send(params, context);
+      if (isStream(response)) {
+        return recordingStream(response, params.model, full => save(key, params, callSite, full));
+      }
+      if (response?.choices?.[0]?.message?.content) {
+        save(key, params, callSite, response);
+      }
+      return response;
+    },
+
+    stats() {
+      return { ...counts, entries: Object.keys(entries).length };
+    },
+
+    /**
+     * One line per miss, for test failures and runner summaries
+     * @returns {string} Empty when nothing missed
+     */
+    missReport() {
+      return misses
+        .map(miss => `${miss.call_site || 'unnamed call'} (${miss.key}): "${miss.excerpt}"`)
+        .join('\n');
+    }
+  };
+
+  logger.info(`LLM cassette "${name}" opened in ${mode} mode (${Object.keys(entries).length} recordings): ${filePath}`);
+  return cassette;
+}
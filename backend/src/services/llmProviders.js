@@ -0,0 +1,149 @@
+/**
+ * LLM Provider Registry
+ * Every completion goes through a provider: an object with
+ * createChatCompletion(params, { callSite }) that answers OpenAI-shaped
+ * requests (and, for params.stream, an async iterable of OpenAI-shaped
+ * chunks). Built in:
+ *
+ *   openrouter         OpenAI SDK against OpenRouter (OPENROUTER_API_KEY) - the default
+ *   openai_compatible  OpenAI SDK against any OpenAI-compatible API (LLM_BASE_URL, LLM_API_KEY)
+ *   local              Deterministic scripted stub, no network (localLLMProvider.js)
+ *
+ * Providers are chosen per call site: createChatCompletion callers name
+ * theirs (e.g. 'validate_problem', 'tutor_response', 'vision_ocr'), and
+ * LLM_PROVIDER_<CALL_SITE> (e.g. LLM_PROVIDER_VISION_OCR=openrouter) wins
+ * over LLM_PROVIDER. The model ids in TEXT_MODEL / VISION_MODEL are passed
+ * through as-is, so they must be ids the chosen provider knows.
+ */
+
+import '../config/env.js';
+import OpenAI from 'openai';
+import { createLocalProvider } from './localLLMProvider.js';
+import { createLogger } from '../utils/logger.js';
+import { OpenAIError } from '../utils/errorHandler.js';
+
+const logger = createLogger();
+
+export const DEFAULT_PROVIDER = 'openrouter';
+
+/**
+ * Provider backed by the OpenAI SDK; the client is created on first use so
+ * Parameter Store values have time to load
+ * @param {Object} options
+ * @param {string} options.name - Provider name (for logs)
+ * @param {Function} options.baseURL - () => base URL
+ * @param {Function} options.apiKey - () => API key
+ * @param {Function} options.validate - () => throws OpenAIError if misconfigured
+ * @returns {Object} Provider (createChatCompletion, validateConfig, client)
+ */
+export function createOpenAICompatibleProvider({ name, baseURL, apiKey, validate }) {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      if (!apiKey()) {
+        logger.warn(`${name}: no API key found in environment variables`);
+        // In production, Parameter Store might still be loading
+        // Allow client creation but it will fail on actual API calls
+      }
+      client = new OpenAI({
+        baseURL: baseURL(),
+        apiKey: apiKey() || 'unset',
+        // Fail fast: createChatCompletion moves down its ordered fallback
+        // chain itself (skipping models whose circuit is open); the SDK's
+        // default internal retries (2x with backoff) would run on every model
+        // in the chain and balloon worst-case latency on free-tier 429s.
+        maxRetries: 0
+      });
+    }
+    return client;
+  };
+
+  return {
+    name,
+    get client() {
+      return getClient();
+    },
+    createChatCompletion: (params) => getClient().chat.completions.create(params),
+    validateConfig: validate
+  };
+}
+
+const providers = new Map();
+
+providers.set('openrouter', createOpenAICompatibleProvider({
+  name: 'openrouter',
+  baseURL: () => 'https://openrouter.ai/api/v1',
+  apiKey: () => process.env.OPENROUTER_API_KEY,
+  validate: () => {
+    if (!process.env.OPENROUTER_API_KEY) {
+      throw new OpenAIError('OPENROUTER_API_KEY is required');
+    }
+  }
+}));
+
+providers.set('openai_compatible', createOpenAICompatibleProvider({
+  name: 'openai_compatible',
+  baseURL: () => process.env.LLM_BASE_URL,
+  apiKey: () => process.env.LLM_API_KEY,
+  validate: () => {
+    if (!process.env.LLM_BASE_URL) {
+      throw new OpenAIError('LLM_BASE_URL is required for the openai_compatible provider');
+    }
+  }
+}));
+
+providers.set('local', createLocalProvider({ scriptPath: () => process.env.LLM_LOCAL_SCRIPT }));
+
+/**
+ * Register (or replace) a provider
+ * @param {string} name - Name used in LLM_PROVIDER / LLM_PROVIDER_<CALL_SITE>
+ * @param {Object} provider - { createChatCompletion(params, { callSite }), validateConfig?() }
+ */
+export function registerProvider(name, provider) {
+  if (!provider || typeof provider.createChatCompletion !== 'function') {
+    throw new OpenAIError(`Provider "${name}" must implement createChatCompletion`);
+  }
+  providers.set(name, provider);
+}
+
+/**
+ * Names of the registered providers
+ * @returns {Array<string>}
+ */
+export function listProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Provider name configured for a call site
+ * @param {string|null} callSite - e.g. 'tutor_response'
+ * @returns {string} Provider name
+ */
+export function resolveProviderName(callSite = null) {
+  const perCallSite = callSite ? process.env[`LLM_PROVIDER_${callSite.toUpperCase()}`] : null;
+  return perCallSite || process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+}
+
+/**
+ * Provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ * @throws {OpenAIError} Unknown provider
+ */
+export function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new OpenAIError(`Unknown LLM provider "${name}" (registered: ${listProviders().join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Provider configured for a call site
+ * @param {string|null} callSite - e.g. 'tutor_response'
+ * @returns {Object} Provider
+ */
+export function getProviderForCallSite(callSite = null) {
+  return getProvider(resolveProviderName(callSite));
+}
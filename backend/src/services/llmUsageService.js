@@ -0,0 +1,315 @@
+/**
+ * LLM Usage Service
+ * Token and cost accounting for every createChatCompletion attempt. Each
+ * attempt (including an empty first answer and the fallback-model retry
+ * after it) records its prompt/completion tokens, the model that answered,
+ * whether it was the fallback, and the call site that asked. Usage is rolled
+ * up in the session store:
+ *
+ *   LLM_USAGE#SESSION#<session_code>        all-time, per student session
+ *   LLM_USAGE#CLASS#<class_id>#<YYYY-MM-DD>  per class per (UTC) day
+ *   LLM_USAGE#DAY#<YYYY-MM-DD>              everything, including calls outside a session
+ *
+ * Calls learn their session from an async context set around LLM-triggering
+ * requests (runWithUsageContext, done by classTokenBudgetGuard), so call
+ * sites don't pass it along. A class whose tokens today reach its daily
+ * budget (class setting, else CLASS_DAILY_TOKEN_BUDGET) is throttled by that
+ * guard until the next UTC day.
+ *
+ * Costs use LLM_MODEL_PRICES, a JSON object of USD per million tokens:
+ * {"<model>": {"prompt": 0.15, "completion": 0.6}}. Unpriced models cost 0.
+ */
+
+import '../config/env.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { sessionStore } from './memoryStore.js';
+import { getClass, isSessionInScope } from './classService.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger();
+
+const USAGE_KEY_PREFIX = 'LLM_USAGE#';
+const RECORD_TYPE = 'llm_usage';
+const MAX_REPORT_DAYS = 90;
+const TOP_SESSIONS = 20;
+
+const parsedBudget = parseInt(process.env.CLASS_DAILY_TOKEN_BUDGET, 10);
+let defaultDailyBudget = Number.isFinite(parsedBudget) && parsedBudget > 0 ? parsedBudget : null;
+let nowFn = () => new Date();
+
+const usageContext = new AsyncLocalStorage();
+
+function parsePrices(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.warn(`LLM_MODEL_PRICES is not valid JSON, costs will read 0: ${error.message}`);
+    return {};
+  }
+}
+
+let prices = parsePrices(process.env.LLM_MODEL_PRICES);
+
+function dateKey(date = nowFn()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function sessionUsageKey(sessionCode) {
+  return `${USAGE_KEY_PREFIX}SESSION#${sessionCode}`;
+}
+
+function classUsageKey(classId, day) {
+  return `${USAGE_KEY_PREFIX}CLASS#${classId}#${day}`;
+}
+
+function dayUsageKey(day) {
+  return `${USAGE_KEY_PREFIX}DAY#${day}`;
+}
+
+function emptyTotals() {
+  return { calls: 0, fallback_calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+}
+
+function addTotals(totals, entry) {
+  totals.calls += entry.calls;
+  totals.fallback_calls += entry.fallback_calls;
+  totals.prompt_tokens += entry.prompt_tokens;
+  totals.completion_tokens += entry.completion_tokens;
+  totals.total_tokens += entry.total_tokens;
+  // Rounded to micro-dollars so repeated float additions stay readable
+  totals.cost_usd = Math.round((totals.cost_usd + entry.cost_usd) * 1e6) / 1e6;
+  return totals;
+}
+
+function addBreakdown(breakdown, name, entry) {
+  breakdown[name] = addTotals(breakdown[name] || emptyTotals(), entry);
+}
+
+function costOf(model, promptTokens, completionTokens) {
+  const price = prices[model];
+  if (!price) return 0;
+  return ((price.prompt || 0) * promptTokens + (price.completion || 0) * completionTokens) / 1e6;
+}
+
+function addToRecord(key, fields, entry, model, feature) {
+  const record = sessionStore.get(key) || {
+    session_code: key,
+    record_type: RECORD_TYPE,
+    ...fields,
+    ...emptyTotals(),
+    by_model: {},
+    by_feature: {}
+  };
+  addTotals(record, entry);
+  addBreakdown(record.by_model, model, entry);
+  addBreakdown(record.by_feature, feature, entry);
+  record.updated_at = nowFn().toISOString();
+  sessionStore.put(key, record);
+}
+
+/**
+ * Run fn with LLM calls attributed to a session and class
+ * @param {Object} context - { session_code, class_id } (either may be null)
+ * @param {Function} fn
+ * @returns {*} What fn returns
+ */
+export function runWithUsageContext(context, fn) {
+  return usageContext.run(context, fn);
+}
+
+/**
+ * Usage context of a session code: the session and the class it belongs to
+ * @param {string|null} sessionCode - Session code (unknown codes give an empty context)
+ * @returns {Object} { session_code, class_id }
+ */
+export function usageContextForSession(sessionCode) {
+  const session = sessionCode ? sessionStore.get(sessionCode) : null;
+  if (!session || session.record_type) {
+    return { session_code: null, class_id: null };
+  }
+  return { session_code: session.session_code, class_id: session.class_id || null };
+}
+
+/**
+ * Record the usage of one completion attempt (called by createChatCompletion)
+ * @param {Object} call
+ * @param {string|null} call.callSite - Originating feature, e.g. 'tutor_response'
+ * @param {string} call.requestedModel - Model the caller asked for
+ * @param {string} call.model - Model this attempt went to (the fallback model on a retry)
+ * @param {boolean} call.fallback - Whether this was the fallback-model retry
+ * @param {Object} call.usage - OpenAI usage ({ prompt_tokens, completion_tokens, total_tokens })
+ * @returns {Object} The recorded entry
+ */
+export function recordLLMUsage({ callSite = null, requestedModel, model, fallback = false, usage = {} }) {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  const answeredBy = model || requestedModel || 'unknown';
+  const entry = {
+    calls: 1,
+    fallback_calls: fallback ? 1 : 0,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage?.total_tokens || promptTokens + completionTokens,
+    cost_usd: costOf(answeredBy, promptTokens, completionTokens)
+  };
+  const feature = callSite || 'unknown';
+  const { session_code: sessionCode = null, class_id: classId = null } = usageContext.getStore() || {};
+  const day = dateKey();
+
+  try {
+    addToRecord(dayUsageKey(day), { usage_scope: 'day', date: day }, entry, answeredBy, feature);
+    if (classId) {
+      addToRecord(classUsageKey(classId, day), { usage_scope: 'class_day', class_id: classId, date: day }, entry, answeredBy, feature);
+    }
+    if (sessionCode) {
+      addToRecord(sessionUsageKey(sessionCode), { usage_scope: 'session', student_session_id: sessionCode, class_id: classId }, entry, answeredBy, feature);
+    }
+  } catch (error) {
+    // Accounting must never fail the call it accounts for
+    logger.error('Failed to record LLM usage:', error);
+  }
+
+  logger.metric('LLMUsage.Tokens', entry.total_tokens, 'Count', { call_site: feature, model: answeredBy });
+  if (fallback) {
+    logger.metric('LLMUsage.FallbackCall', 1, 'Count', { call_site: feature, model: answeredBy });
+  }
+  return entry;
+}
+
+/**
+ * All-time usage of a student session
+ * @param {string} sessionCode - Session code
+ * @returns {Object|null} Totals with by_model and by_feature, or null if it made no LLM calls
+ */
+export function getSessionUsage(sessionCode) {
+  return sessionStore.get(sessionUsageKey(sessionCode));
+}
+
+/**
+ * A class's daily token budget: its own setting, else CLASS_DAILY_TOKEN_BUDGET
+ * @param {string} classId - Class ID
+ * @returns {number|null} Tokens per UTC day, or null for no limit
+ */
+export function getDailyTokenBudget(classId) {
+  const own = getClass(classId)?.daily_token_budget;
+  return Number.isInteger(own) && own > 0 ? own : defaultDailyBudget;
+}
+
+/**
+ * Tokens a class has used today (UTC)
+ * @param {string} classId - Class ID
+ * @returns {number}
+ */
+export function getClassTokensToday(classId) {
+  return sessionStore.get(classUsageKey(classId, dateKey()))?.total_tokens || 0;
+}
+
+/**
+ * Whether a class has used up today's token budget
+ * @param {string|null} classId - Class ID
+ * @returns {boolean} false for sessions outside a class and classes without a budget
+ */
+export function isOverTokenBudget(classId) {
+  if (!classId) return false;
+  const budget = getDailyTokenBudget(classId);
+  return budget !== null && getClassTokensToday(classId) >= budget;
+}
+
+/**
+ * Usage report for the dashboard
+ * Admins also see calls made outside any class (evals, connection tests) in
+ * the totals; teachers see only their classes.
+ * @param {Set<string>|null} scope - From getClassScope
+ * @param {Object} options
+ * @param {number} options.days - How many UTC days back, today included (1-90, default 7)
+ * @returns {Object} { days, since, totals, by_model, by_feature, by_day, classes, sessions }
+ */
+export function getUsageReport(scope, { days = 7 } = {}) {
+  const dayCount = Math.min(Math.max(parseInt(days, 10) || 7, 1), MAX_REPORT_DAYS);
+  const today = dateKey();
+  const since = dateKey(new Date(new Date(`${today}T00:00:00Z`).getTime() - (dayCount - 1) * 86_400_000));
+  const inWindow = record => record.date >= since && record.date <= today;
+  const inScope = classId => scope === null || (!!classId && scope.has(classId));
+
+  const records = sessionStore.scanAll().filter(item => item.record_type === RECORD_TYPE);
+  const classDays = records.filter(r => r.usage_scope === 'class_day' && inWindow(r) && inScope(r.class_id));
+  // Admins read the all-calls day records; teachers only what their classes used
+  const sourceDays = scope === null
+    ? records.filter(r => r.usage_scope === 'day' && inWindow(r))
+    : classDays;
+
+  const totals = emptyTotals();
+  const byModel = {};
+  const byFeature = {};
+  const byDay = {};
+  sourceDays.forEach(record => {
+    addTotals(totals, record);
+    Object.entries(record.by_model).forEach(([model, entry]) => addBreakdown(byModel, model, entry));
+    Object.entries(record.by_feature).forEach(([feature, entry]) => addBreakdown(byFeature, feature, entry));
+    addBreakdown(byDay, record.date, record);
+  });
+
+  const classTotals = new Map();
+  classDays.forEach(record => {
+    classTotals.set(record.class_id, addTotals(classTotals.get(record.class_id) || emptyTotals(), record));
+  });
+  sessionStore.scanAll()
+    .filter(item => item.record_type === 'class' && inScope(item.class_id))
+    .forEach(item => {
+      if (!classTotals.has(item.class_id)) classTotals.set(item.class_id, emptyTotals());
+    });
+
+  const classes = [...classTotals.entries()].map(([classId, classTotal]) => {
+    const budget = getDailyTokenBudget(classId);
+    const tokensToday = getClassTokensToday(classId);
+    return {
+      class_id: classId,
+      name: getClass(classId)?.name || classId,
+      ...classTotal,
+      tokens_today: tokensToday,
+      daily_token_budget: budget,
+      throttled: budget !== null && tokensToday >= budget
+    };
+  }).sort((a, b) => b.total_tokens - a.total_tokens || a.name.localeCompare(b.name));
+
+  const sessions = records
+    .filter(r => r.usage_scope === 'session' && isSessionInScope(r, scope))
+    .sort((a, b) => b.total_tokens - a.total_tokens)
+    .slice(0, TOP_SESSIONS)
+    .map(record => ({
+      session_code: record.student_session_id,
+      class_id: record.class_id,
+      ...addTotals(emptyTotals(), record),
+      by_model: record.by_model,
+      by_feature: record.by_feature,
+      last_call_at: record.updated_at
+    }));
+
+  return {
+    days: dayCount,
+    since,
+    totals,
+    by_model: byModel,
+    by_feature: byFeature,
+    by_day: byDay,
+    classes,
+    sessions
+  };
+}
+
+/**
+ * Test hook: inject a clock function (null restores the real clock)
+ */
+export function __setNow(fn) {
+  nowFn = fn || (() => new Date());
+}
+
+/**
+ * Test hook: override CLASS_DAILY_TOKEN_BUDGET and LLM_MODEL_PRICES
+ * @param {Object} config - { defaultDailyBudget, prices }
+ */
+export function __setUsageConfig(config = {}) {
+  if ('defaultDailyBudget' in config) defaultDailyBudget = config.defaultDailyBudget;
+  if ('prices' in config) prices = config.prices || {};
+}
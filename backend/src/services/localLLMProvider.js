@@ -0,0 +1,184 @@
+/**
+ * Local LLM Provider
+ * Deterministic stand-in for a real model, so the backend and the eval
+ * runners run with no network (LLM_PROVIDER=local). Each request is answered
+ * from, in order:
+ *
+ *   1. the script: entries { call_site?, model?, match?, content } or
+ *      { ..., status } (throws an error with that status, e.g. 429 to
+ *      exercise fallbacks); the first entry whose call_site and model equal
+ *      the request's and whose match (a substring, or "/regex/flags") occurs
+ *      in the prompt wins. Loaded from LLM_LOCAL_SCRIPT (a JSON array) or
+ *      passed in directly.
+ *   2. a canned reply per call site, shaped like what its parser expects
+ *      (VALID for validate_problem, a JSON quiz for mc_questions, ...).
+ *   3. "OK".
+ *
+ * Token usage is estimated at four characters per token.
+ */
+
+import fs from 'fs';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger();
+
+const FALLBACK_RESPONSE = 'OK';
+const TUTOR_QUESTION = 'What do you think the first step should be?';
+
+/**
+ * Text of a quoted field in a prompt, e.g. Problem: "2x + 3 = 7"
+ */
+function quotedField(prompt, label) {
+  const match = prompt.match(new RegExp(`${label}: "([\\s\\S]*?)"(?:\\n|$)`));
+  return match ? match[1] : '';
+}
+
+/**
+ * Text of an unquoted one-line field in a prompt, e.g. Original problem: 2x + 3 = 7
+ */
+function lineField(prompt, label) {
+  const match = prompt.match(new RegExp(`${label}: (.+)`));
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * The same problem with every whole number increased by `by`
+ */
+function withShiftedNumbers(text, by) {
+  return text.replace(/\d+/g, n => String(Number(n) + by));
+}
+
+const MC_QUIZ = [
+  {
+    question: 'How did we solve this problem?',
+    options: ['One step at a time', 'By guessing', 'By drawing a picture', 'By skipping steps'],
+    correct_answer_index: 0
+  },
+  {
+    question: 'What did we do first?',
+    options: ['Looked at what the problem asks', 'Wrote the answer', 'Added every number', 'Nothing'],
+    correct_answer_index: 0
+  },
+  {
+    question: 'Why does checking the answer help?',
+    options: ['It shows the answer fits the problem', 'It makes the problem longer', 'It changes the answer', 'It does not help'],
+    correct_answer_index: 0
+  }
+];
+
+/**
+ * Canned replies per call site, by the prompt
+ */
+const DEFAULT_RESPONSES = {
+  normalize_latex: prompt => quotedField(prompt, 'Problem'),
+  detect_multiple_problems: prompt => `SINGLE: ${quotedField(prompt, 'Text')}`,
+  split_problems: prompt => `SINGLE: ${quotedField(prompt, 'Text')}`,
+  has_math_problem: () => 'YES',
+  validate_problem: () => 'VALID',
+  word_problem: prompt => `MATH_PROBLEM: ${quotedField(prompt, 'Text')}`,
+  vision_ocr: () => 'NO_MATH_PROBLEM',
+  similar_problems: (prompt) => {
+    const count = Number(prompt.match(/Generate (\d+) similar/)?.[1] || 1);
+    const original = quotedField(prompt, 'Original problem');
+    return Array.from({ length: count }, (_, i) => `${i + 1}. ${withShiftedNumbers(original, i + 1)}`).join('\n');
+  },
+  detect_formula: () => 'NO',
+  formula_knowledge: () => 'YES',
+  solution_completion: () => JSON.stringify({ solution_completed: false, is_correct: false, reasoning: 'Local provider: not judged' }),
+  tutor_response: () => TUTOR_QUESTION,
+  answer_rewrite: () => TUTOR_QUESTION,
+  extract_approach: () => 'Working through the problem one step at a time, undoing each operation.',
+  mc_questions: () => JSON.stringify(MC_QUIZ),
+  transfer_problem: prompt => withShiftedNumbers(lineField(prompt, 'Original problem'), 1),
+  transfer_grade: () => JSON.stringify({ is_correct: true, reasoning: 'Local provider: accepted' }),
+  eval_judge: () => JSON.stringify({
+    no_answer_leak: true,
+    has_guiding_question: true,
+    age_appropriate_tone: true,
+    no_multi_number_elicitation: true,
+    reasoning: 'Local provider: not judged'
+  })
+};
+
+/**
+ * All text of a request's messages, one message per line
+ */
+export function promptText(messages = []) {
+  return messages.map(({ content }) => (
+    Array.isArray(content)
+      ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+      : content || ''
+  )).join('\n');
+}
+
+function matches(entry, callSite, model, prompt) {
+  if (entry.call_site && entry.call_site !== callSite) return false;
+  if (entry.model && entry.model !== model) return false;
+  if (!entry.match) return true;
+  const regex = entry.match.match(/^\/(.*)\/([a-z]*)$/s);
+  return regex ? new RegExp(regex[1], regex[2]).test(prompt) : prompt.includes(entry.match);
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+async function* streamOf(response) {
+  const words = response.choices[0].message.content.split(/(?<=\s)/);
+  for (const word of words) {
+    yield { model: response.model, choices: [{ delta: { content: word }, finish_reason: null }] };
+  }
+  yield { model: response.model, choices: [{ delta: {}, finish_reason: 'stop' }], usage: response.usage };
+}
+
+/**
+ * Create a local provider
+ * @param {Object} options
+ * @param {Array<Object>} options.script - Script entries
+ * @param {Function} options.scriptPath - () => path of a JSON script file (read once per path)
+ * @returns {Object} Provider (createChatCompletion(params, { callSite }))
+ */
+export function createLocalProvider({ script = [], scriptPath = () => null } = {}) {
+  const loadedScripts = new Map();
+
+  const scriptEntries = () => {
+    const path = scriptPath();
+    if (!path) return script;
+    if (!loadedScripts.has(path)) {
+      loadedScripts.set(path, JSON.parse(fs.readFileSync(path, 'utf8')));
+      logger.info(`Local LLM script loaded: ${path} (${loadedScripts.get(path).length} entries)`);
+    }
+    return [...script, ...loadedScripts.get(path)];
+  };
+
+  return {
+    name: 'local',
+    validateConfig: () => {
+      scriptEntries();
+    },
+    async createChatCompletion(params, { callSite = null } = {}) {
+      const prompt = promptText(params.messages);
+      const entry = scriptEntries().find(candidate => matches(candidate, callSite, params.model, prompt));
+
+      if (entry?.status) {
+        const error = new Error(entry.message || `Local provider scripted status ${entry.status}`);
+        error.status = entry.status;
+        throw error;
+      }
+
+      const content = entry
+        ? entry.content
+        : (DEFAULT_RESPONSES[callSite]?.(prompt) || FALLBACK_RESPONSE);
+
+      const promptTokens = estimateTokens(prompt);
+      const completionTokens = estimateTokens(content);
+      const response = {
+        id: `local-${callSite || 'completion'}`,
+        model: params.model,
+        choices: [{ message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+      };
+      return params.stream ? streamOf(response) : response;
+    }
+  };
+}
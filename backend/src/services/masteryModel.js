@@ -0,0 +1,100 @@
+/**
+ * Mastery Model
+ * Bayesian knowledge tracing (BKT) per skill. Each skill carries the
+ * probability the student has mastered it; every observation of the skill
+ * (a tutoring step, a hint, an MC answer, a transfer result) updates it:
+ *
+ *   posterior = P(correct | mastered) · p / P(correct)   (or the incorrect analogue)
+ *   p'        = posterior + (1 - posterior) · P(learn)
+ *
+ * Slip and guess rates differ by observation kind: an MC question can be
+ * guessed, a transfer problem hardly, and a hint request is weak evidence of
+ * not knowing (hence the higher slip rate). Estimates live on the learner
+ * profile (learnerProfileService.js); the problem's learning confidence,
+ * getAdaptiveRecommendation and the dashboard's skill view all read them.
+ */
+
+// Prior probability a student already knows a skill they haven't been seen on
+export const PRIOR_MASTERY = 0.3;
+// Chance of learning the skill from one practice opportunity
+export const LEARN_RATE = 0.15;
+// At or above this a skill counts as mastered
+export const MASTERED = 0.85;
+// Below this a skill needs practice
+export const DEVELOPING = 0.6;
+
+/**
+ * Slip (wrong despite mastery) and guess (right without mastery) per observation kind
+ */
+export const OBSERVATION_PARAMS = {
+  step: { slip: 0.1, guess: 0.2 },
+  hint: { slip: 0.3, guess: 0.2 }, // Always observed as incorrect
+  mc: { slip: 0.1, guess: 0.25 }, // Four options
+  transfer: { slip: 0.1, guess: 0.05 }
+};
+
+/**
+ * One BKT update
+ * @param {number} pMastery - Probability of mastery before the observation
+ * @param {boolean} correct - Whether the observation was correct
+ * @param {string} kind - Observation kind (key of OBSERVATION_PARAMS)
+ * @returns {number} Probability of mastery after it
+ */
+export function updateMastery(pMastery, correct, kind = 'step') {
+  const { slip, guess } = OBSERVATION_PARAMS[kind] || OBSERVATION_PARAMS.step;
+  const p = typeof pMastery === 'number' ? pMastery : PRIOR_MASTERY;
+
+  const posterior = correct
+    ? (p * (1 - slip)) / (p * (1 - slip) + (1 - p) * guess)
+    : (p * slip) / (p * slip + (1 - p) * (1 - guess));
+  return posterior + (1 - posterior) * LEARN_RATE;
+}
+
+/**
+ * Apply an observation to a set of skill estimates
+ * @param {Object} estimates - { [skillId]: { p_mastery, observations, ... } } (mutated)
+ * @param {Array<string>} skillIds - Skills the observation bears on
+ * @param {boolean} correct - Whether the observation was correct
+ * @param {string} kind - Observation kind
+ * @returns {Object} The estimates
+ */
+export function observeSkills(estimates, skillIds, correct, kind) {
+  const now = new Date().toISOString();
+  (skillIds || []).forEach(skillId => {
+    const entry = estimates[skillId] || { attempts: 0, completed: 0 };
+    entry.p_mastery = updateMastery(entry.p_mastery, correct, kind);
+    entry.observations = (entry.observations || 0) + 1;
+    entry.updated_at = now;
+    estimates[skillId] = entry;
+  });
+  return estimates;
+}
+
+/**
+ * Mastery of a problem's skills: the weakest one decides
+ * @param {Object} estimates - Skill estimates (from the learner profile)
+ * @param {Array<string>} skillIds - The problem's skills
+ * @returns {number|null} Lowest mastery probability, or null without skills
+ *   or without any observations of them
+ */
+export function masteryOfSkills(estimates, skillIds) {
+  const observed = (skillIds || [])
+    .map(skillId => estimates?.[skillId])
+    .filter(entry => typeof entry?.p_mastery === 'number');
+  if (!skillIds?.length || observed.length === 0) return null;
+
+  // Skills of the problem never observed count at the prior
+  const values = skillIds.map(skillId => estimates?.[skillId]?.p_mastery ?? PRIOR_MASTERY);
+  return Math.min(...values);
+}
+
+/**
+ * Mastery band of a probability
+ * @param {number} pMastery - Mastery probability
+ * @returns {string} 'mastered', 'developing' or 'needs_practice'
+ */
+export function masteryBand(pMastery) {
+  if (pMastery >= MASTERED) return 'mastered';
+  if (pMastery >= DEVELOPING) return 'developing';
+  return 'needs_practice';
+}
@@ -3,8 +3,20 @@
  * Map-backed replacement for DynamoDB in the demo app (data loss on restart is acceptable).
  * All reads/writes go through structuredClone so callers can freely mutate
  * what they get/put without aliasing the stored copy.
+ *
+ * The shared sessionStore singleton is picked by STORE_BACKEND: 'memory'
+ * (default) or 'file' for the JSON-lines store in fileStore.js, which keeps
+ * sessions and collaboration rooms across restarts.
  */
 
+import '../config/env.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createFileStore } from './fileStore.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_STORE_FILE = join(__dirname, '../../data/store.jsonl');
+
 export function createStore() {
   const data = new Map();
 
@@ -30,4 +42,23 @@ export function createStore() {
   };
 }
 
-export const sessionStore = createStore();
+/**
+ * Create the store selected by environment config
+ * @param {Object} env - Environment (defaults to process.env)
+ * @param {string} env.STORE_BACKEND - 'memory' (default) or 'file'
+ * @param {string} env.STORE_FILE_PATH - Log path for the file backend (default backend/data/store.jsonl)
+ * @returns {Object} Store with get/put/merge/delete/scanAll
+ */
+export function createStoreFromEnv(env = process.env) {
+  const backend = (env.STORE_BACKEND || 'memory').toLowerCase();
+
+  if (backend === 'file') {
+    return createFileStore(env.STORE_FILE_PATH || DEFAULT_STORE_FILE);
+  }
+  if (backend !== 'memory') {
+    throw new Error(`Unknown STORE_BACKEND "${env.STORE_BACKEND}" (expected "memory" or "file")`);
+  }
+  return createStore();
+}
+
+export const sessionStore = createStoreFromEnv();
@@ -0,0 +1,161 @@
+/**
+ * Model Health
+ * A circuit breaker per model for createChatCompletion. Every attempt
+ * reports its outcome and latency; a failure is what createChatCompletion
+ * falls back on (429, 5xx, a connection error or timeout, or an empty /
+ * error-shaped completion). After
+ * LLM_CIRCUIT_FAILURE_THRESHOLD consecutive failures (default 3) the model's
+ * circuit opens and createChatCompletion skips it for LLM_CIRCUIT_COOLDOWN_MS
+ * (default 2 minutes). Once the cooldown passes the circuit is half open: the
+ * next call tries the model again, and a success closes the circuit while a
+ * failure opens it for another cooldown.
+ *
+ * State is in-process and resets on restart by design, like dailyCapGuard.
+ */
+
+import '../config/env.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger();
+
+const RECENT_CALLS = 20;
+
+function parsePositive(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+let failureThreshold = parsePositive(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 3);
+let cooldownMs = parsePositive(process.env.LLM_CIRCUIT_COOLDOWN_MS, 2 * 60 * 1000);
+let nowFn = () => Date.now();
+
+const models = new Map();
+
+function newHealth() {
+  return {
+    recent: [], // { ok, latency_ms } of the last RECENT_CALLS attempts
+    consecutive_failures: 0,
+    open_until: null,
+    trips: 0,
+    last_error: null,
+    last_failure_at: null
+  };
+}
+
+function healthOf(model) {
+  if (!models.has(model)) {
+    models.set(model, newHealth());
+  }
+  return models.get(model);
+}
+
+function remember(health, ok, latencyMs) {
+  health.recent.push({ ok, latency_ms: latencyMs });
+  if (health.recent.length > RECENT_CALLS) health.recent.shift();
+}
+
+/**
+ * Circuit state of a model
+ * @param {string} model - Model id
+ * @returns {string} 'closed', 'open' (skipped) or 'half_open' (cooldown over, next call is a trial)
+ */
+export function circuitState(model) {
+  const health = models.get(model);
+  if (!health || health.open_until === null) return 'closed';
+  return nowFn() < health.open_until ? 'open' : 'half_open';
+}
+
+/**
+ * Models of a fallback chain that may be tried now, in order
+ * If every circuit is open, the one whose cooldown ends first is tried
+ * anyway so callers get an answer (or a real error) rather than none.
+ * @param {Array<string>} chain - Models in order of preference
+ * @returns {Array<string>} Models to try
+ */
+export function availableModels(chain) {
+  const available = chain.filter(model => circuitState(model) !== 'open');
+  if (available.length > 0) return available;
+
+  const soonest = [...chain].sort((a, b) => models.get(a).open_until - models.get(b).open_until)[0];
+  logger.warn(`Every model is cooling down (${chain.join(', ')}); trying ${soonest}`);
+  return [soonest];
+}
+
+/**
+ * Record a successful attempt (closes a half-open circuit)
+ * @param {string} model - Model id
+ * @param {number} latencyMs - How long the attempt took
+ */
+export function recordModelSuccess(model, latencyMs) {
+  const health = healthOf(model);
+  remember(health, true, latencyMs);
+  health.consecutive_failures = 0;
+  if (health.open_until !== null) {
+    health.open_until = null;
+    logger.info(`Circuit closed for model ${model}`);
+    logger.metric('LLMCircuit.Closed', 1, 'Count', { model });
+  }
+}
+
+/**
+ * Record a failed attempt, opening the circuit at the failure threshold
+ * @param {string} model - Model id
+ * @param {number} latencyMs - How long the attempt took
+ * @param {string} reason - e.g. 'status 429'
+ */
+export function recordModelFailure(model, latencyMs, reason) {
+  const health = healthOf(model);
+  const wasHalfOpen = circuitState(model) === 'half_open';
+  remember(health, false, latencyMs);
+  health.consecutive_failures++;
+  health.last_error = reason;
+  health.last_failure_at = new Date(nowFn()).toISOString();
+  logger.metric('LLMCircuit.Failure', 1, 'Count', { model });
+
+  if (wasHalfOpen || (health.open_until === null && health.consecutive_failures >= failureThreshold)) {
+    health.open_until = nowFn() + cooldownMs;
+    health.trips++;
+    logger.warn(`Circuit opened for model ${model} after ${health.consecutive_failures} consecutive failures (${reason}); skipping it for ${cooldownMs} ms`);
+    logger.metric('LLMCircuit.Opened', 1, 'Count', { model });
+  }
+}
+
+/**
+ * Health of each model that has been called, plus any extra models named
+ * @param {Array<string>} include - Models to list even if never called (e.g. the configured chains)
+ * @returns {Array<Object>} { model, state, consecutive_failures, recent_calls, recent_failures, failure_rate, avg_latency_ms, max_latency_ms, trips, open_until, last_error, last_failure_at }
+ */
+export function getModelHealth(include = []) {
+  const names = [...new Set([...include, ...models.keys()])];
+  return names.map((model) => {
+    const health = models.get(model) || newHealth();
+    const latencies = health.recent.map(call => call.latency_ms);
+    const failures = health.recent.filter(call => !call.ok).length;
+    const state = circuitState(model);
+    return {
+      model,
+      state,
+      consecutive_failures: health.consecutive_failures,
+      recent_calls: health.recent.length,
+      recent_failures: failures,
+      failure_rate: health.recent.length ? failures / health.recent.length : null,
+      avg_latency_ms: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+      max_latency_ms: latencies.length ? Math.max(...latencies) : null,
+      trips: health.trips,
+      open_until: state === 'open' ? new Date(health.open_until).toISOString() : null,
+      last_error: health.last_error,
+      last_failure_at: health.last_failure_at
+    };
+  });
+}
+
+/**
+ * Test hook: forget all model health and optionally override the config
+ * @param {Object} config - { failureThreshold, cooldownMs, now } (now: () => epoch ms, null for the real clock)
+ */
+export function __resetModelHealth(config = {}) {
+  models.clear();
+  if ('failureThreshold' in config) failureThreshold = config.failureThreshold;
+  if ('cooldownMs' in config) cooldownMs = config.cooldownMs;
+  if ('now' in config) nowFn = config.now || (() => Date.now());
+}
@@ -1,42 +1,30 @@
 /**
  * OpenAI Service
- * Centralized configuration for OpenRouter-backed OpenAI-compatible client
- * Uses lazy initialization to allow Parameter Store values to load first
+ * The single choke point for LLM calls. Requests are OpenAI-shaped and are
+ * answered by the provider configured for the caller's call site
+ * (llmProviders.js: OpenRouter by default, any OpenAI-compatible API, or the
+ * local deterministic stub), with fallback-model retries and per-model
+ * circuit breakers (modelHealth.js) layered on top.
+ * An active cassette (llmCassette.js) sits in front of the providers, and
+ * every attempt's token usage is recorded (llmUsageService.js).
  */
 
 import '../config/env.js'; // Load environment variables first
-import OpenAI from 'openai';
+import { APIConnectionError } from 'openai';
+import { getProvider, getProviderForCallSite } from './llmProviders.js';
+import { openCassette } from './llmCassette.js';
+import { recordLLMUsage } from './llmUsageService.js';
+import { availableModels, recordModelSuccess, recordModelFailure } from './modelHealth.js';
 import { createLogger } from '../utils/logger.js';
 import { OpenAIError } from '../utils/errorHandler.js';
 
 const logger = createLogger();
 
-// Lazy initialization - client is created on first access
-let _openaiClient = null;
-
-function getOpenAIClient() {
-  if (!_openaiClient) {
-    if (!process.env.OPENROUTER_API_KEY) {
-      logger.warn('OPENROUTER_API_KEY not found in environment variables');
-      // In production, Parameter Store might still be loading
-      // Allow client creation but it will fail on actual API calls
-    }
-    _openaiClient = new OpenAI({
-      baseURL: 'https://openrouter.ai/api/v1',
-      apiKey: process.env.OPENROUTER_API_KEY,
-      // Fail fast: createChatCompletion does its own single fallback-model
-      // retry; the SDK's default internal retries (2x with backoff) stack
-      // with it and balloon worst-case latency on free-tier 429s.
-      maxRetries: 0
-    });
-  }
-  return _openaiClient;
-}
-
-// Export a getter that lazily initializes the client
+// The OpenRouter SDK client, created on first access (kept for scripts that
+// talk to OpenRouter directly)
 export const openai = new Proxy({}, {
   get(target, prop) {
-    const client = getOpenAIClient();
+    const client = getProvider('openrouter').client;
     const value = client[prop];
     // If it's a function, bind it to the client
     if (typeof value === 'function') {
@@ -51,28 +39,130 @@ export const VISION_MODEL = process.env.VISION_MODEL || 'google/gemma-4-31b-it:f
 export const TEXT_MODEL_FALLBACK = process.env.TEXT_MODEL_FALLBACK || 'meta-llama/llama-3.3-70b-instruct:free';
 export const VISION_MODEL_FALLBACK = process.env.VISION_MODEL_FALLBACK || 'nvidia/nemotron-nano-12b-v2-vl:free';
 
+// Ordered fallbacks tried after the first-choice model (comma-separated);
+// a single TEXT_MODEL_FALLBACK / VISION_MODEL_FALLBACK when unset
+const parseModelList = (value, fallback) => (value ? value.split(',').map(m => m.trim()).filter(Boolean) : [fallback]);
+export const TEXT_MODEL_FALLBACKS = parseModelList(process.env.TEXT_MODEL_FALLBACKS, TEXT_MODEL_FALLBACK);
+export const VISION_MODEL_FALLBACKS = parseModelList(process.env.VISION_MODEL_FALLBACKS, VISION_MODEL_FALLBACK);
+
 // Test-only seam: lets tests intercept the raw API call without hitting the network.
-// Set via __setChatCompletionOverride(fn); pass null to restore real client behavior.
+// Set via __setChatCompletionOverride(fn); fn(params, { callSite }) takes the
+// place of the provider. Pass null to restore provider behavior.
 let _chatCompletionOverride = null;
 
 export function __setChatCompletionOverride(fn) {
   _chatCompletionOverride = fn;
 }
 
-async function callChatCompletion(params) {
+/**
+ * One raw call to the provider configured for a call site, without
+ * fallbacks (eval runners wrap this with their pacer)
+ * @param {Object} params - OpenAI chat completion params
+ * @param {Object} context - { callSite }
+ * @returns {Promise<Object>} Completion (or chunk stream for params.stream)
+ */
+export async function callLLMProvider(params, { callSite = null } = {}) {
+  return getProviderForCallSite(callSite).createChatCompletion(params, { callSite });
+}
+
+// Cassette in front of the providers: set with useCassette(), or opened from
+// LLM_CASSETTE_MODE / LLM_CASSETTE / LLM_CASSETTE_DIR on the first call
+let _cassette = null;
+let _cassetteEnvChecked = false;
+
+/**
+ * Replay/record LLM calls through a cassette (from openCassette); null to stop
+ * @param {Object|null} cassette
+ */
+export function useCassette(cassette) {
+  _cassette = cassette;
+  _cassetteEnvChecked = true;
+}
+
+function activeCassette() {
+  if (!_cassetteEnvChecked) {
+    _cassetteEnvChecked = true;
+    if (process.env.LLM_CASSETTE_MODE) {
+      _cassette = openCassette(process.env.LLM_CASSETTE || 'default', {
+        mode: process.env.LLM_CASSETTE_MODE,
+        dir: process.env.LLM_CASSETTE_DIR
+      });
+    }
+  }
+  return _cassette;
+}
+
+function sendToProvider(params, callSite) {
+  const cassette = activeCassette();
+  return cassette
+    ? cassette.call(params, { callSite }, callLLMProvider)
+    : callLLMProvider(params, { callSite });
+}
+
+async function callChatCompletion(params, onToken = null, callSite = null) {
+  if (onToken) {
+    return callChatCompletionStream(params, onToken, callSite);
+  }
   if (_chatCompletionOverride) {
-    return _chatCompletionOverride(params);
+    return _chatCompletionOverride(params, { callSite });
   }
-  return openai.chat.completions.create(params);
+  return sendToProvider(params, callSite);
 }
 
 /**
- * Validate OpenRouter configuration
+ * Stream a completion, forwarding each content delta to onToken, and resolve
+ * with a regular (non-streamed) response shape so callers and the fallback
+ * checks below don't need to know it was streamed.
  */
-export function validateOpenAIConfig() {
-  if (!process.env.OPENROUTER_API_KEY) {
-    throw new OpenAIError('OPENROUTER_API_KEY is required');
+async function callChatCompletionStream(params, onToken, callSite) {
+  const streamParams = { ...params, stream: true, stream_options: { include_usage: true } };
+  const stream = _chatCompletionOverride
+    ? await _chatCompletionOverride(streamParams, { callSite })
+    : await sendToProvider(streamParams, callSite);
+
+  // Test overrides and cassettes may answer with a plain completion - emit it as one token
+  if (!stream || typeof stream[Symbol.asyncIterator] !== 'function') {
+    const content = stream?.choices?.[0]?.message?.content;
+    if (content) onToken(content);
+    return stream;
   }
+
+  let content = '';
+  let model = params.model;
+  let finishReason = null;
+  let usage;
+
+  for await (const chunk of stream) {
+    // OpenRouter reports mid-stream provider failures as an in-band error chunk
+    if (chunk.error) {
+      const error = new Error(chunk.error.message || 'Stream error');
+      error.status = chunk.error.code;
+      throw error;
+    }
+    const choice = chunk.choices?.[0];
+    const delta = choice?.delta?.content;
+    if (delta) {
+      content += delta;
+      onToken(delta);
+    }
+    if (chunk.model) model = chunk.model;
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+    if (chunk.usage) usage = chunk.usage;
+  }
+
+  return {
+    model,
+    choices: [{ message: { role: 'assistant', content }, finish_reason: finishReason }],
+    usage
+  };
+}
+
+/**
+ * Validate the configuration of the provider a call site uses
+ * @param {string|null} callSite - Call site (null for the default provider)
+ */
+export function validateOpenAIConfig(callSite = null) {
+  getProviderForCallSite(callSite).validateConfig?.();
   return true;
 }
 
@@ -90,38 +180,101 @@ function isEmptyOrErrorResponse(response) {
   return false;
 }
 
+// Socket-level failures reported in an error's code (or its cause's, as
+// Node's fetch does), for providers that don't wrap them in the SDK's errors
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']);
+
+// Label for a transport failure (the model couldn't be reached or didn't
+// answer in time), or null for any other error. The SDK's APIConnectionError
+// and its timeout subclass carry no status.
+function connectionFailure(error) {
+  if (error instanceof APIConnectionError) return error.constructor.name;
+  return [error?.code, error?.cause?.code].find(code => NETWORK_ERROR_CODES.has(code)) ?? null;
+}
+
 /**
- * Create a chat completion, retrying once with a fallback model on
- * rate-limit (429) or server (5xx) errors, or on a "successful" response
+ * Ordered fallback chain for a model: the model itself, then
+ * VISION_MODEL_FALLBACKS for the vision model or TEXT_MODEL_FALLBACKS for
+ * anything else, without repeats
+ */
+export function modelChain(model) {
+  const fallbacks = model === VISION_MODEL ? VISION_MODEL_FALLBACKS : TEXT_MODEL_FALLBACKS;
+  return [...new Set([model, ...fallbacks])];
+}
+
+/**
+ * Create a chat completion, moving down the model's fallback chain on
+ * rate-limit (429), server (5xx), connection or timeout errors (the SDK's
+ * APIConnectionError, or a network error code), or on a "successful" response
  * that has no usable content (in-band error body, or reasoning budget
- * exhausted before any content was produced).
+ * exhausted before any content was produced). Any other error (a 4xx, or a
+ * bug such as a TypeError) is rethrown as is. Models whose circuit is open
+ * (modelHealth.js) are skipped; every attempt's outcome and latency feed
+ * their circuit.
+ *
+ * Pass onToken to stream: content deltas are forwarded as they arrive and the
+ * resolved value is still a regular completion. A failure after tokens have
+ * already been forwarded is rethrown instead of retried, since the caller
+ * can't take back what it has shown.
+ *
+ * callSite names the caller (e.g. 'validate_problem'); it picks the provider
+ * (LLM_PROVIDER_<CALL_SITE>, else LLM_PROVIDER), is passed to test overrides
+ * and is the feature each attempt's token usage is recorded under.
  */
-export async function createChatCompletion(params) {
-  const fallbackModel = params.model === VISION_MODEL ? VISION_MODEL_FALLBACK : TEXT_MODEL_FALLBACK;
-  try {
-    const response = await callChatCompletion(params);
-    if (isEmptyOrErrorResponse(response)) {
-      logger.warn(`Empty/error-shaped completion from model ${params.model}, retrying with fallback model ${fallbackModel}`);
-      const fallbackResponse = await callChatCompletion({ ...params, model: fallbackModel });
-      if (isEmptyOrErrorResponse(fallbackResponse)) {
-        throw new OpenAIError('Empty completion from model (reasoning budget exhausted?)');
-      }
-      return fallbackResponse;
+export async function createChatCompletion(params, { onToken = null, callSite = null } = {}) {
+  const models = availableModels(modelChain(params.model));
+  if (models[0] !== params.model) {
+    logger.warn(`Circuit open for model ${params.model}, using ${models[0]}`);
+  }
+  let tokensForwarded = false;
+  const forwardToken = onToken && ((text) => {
+    tokensForwarded = true;
+    onToken(text);
+  });
+  const call = async (model) => {
+    const response = await callChatCompletion({ ...params, model }, forwardToken, callSite);
+    if (response) {
+      recordLLMUsage({
+        callSite,
+        requestedModel: params.model,
+        model,
+        fallback: model !== params.model,
+        usage: response.usage
+      });
     }
     return response;
-  } catch (error) {
-    if (error instanceof OpenAIError) throw error;
-    const status = error?.status ?? error?.response?.status;
-    if (status === 429 || status >= 500) {
-      logger.warn(`Chat completion failed with status ${status} for model ${params.model}, retrying with fallback model ${fallbackModel}`);
-      const fallbackResponse = await callChatCompletion({ ...params, model: fallbackModel });
-      if (isEmptyOrErrorResponse(fallbackResponse)) {
-        throw new OpenAIError('Empty completion from model (reasoning budget exhausted?)');
+  };
+
+  let lastError = null;
+  for (const [i, model] of models.entries()) {
+    const next = models[i + 1];
+    const startTime = Date.now();
+    try {
+      const response = await call(model);
+      if (!isEmptyOrErrorResponse(response)) {
+        recordModelSuccess(model, Date.now() - startTime);
+        return response;
+      }
+      recordModelFailure(model, Date.now() - startTime, 'empty or error-shaped completion');
+      lastError = new OpenAIError('Empty completion from model (reasoning budget exhausted?)');
+      if (next) {
+        logger.warn(`Empty/error-shaped completion from model ${model}, retrying with fallback model ${next}`);
+      }
+    } catch (error) {
+      if (error instanceof OpenAIError) throw error;
+      const status = error?.status ?? error?.response?.status;
+      const connection = status == null ? connectionFailure(error) : null;
+      if (!(connection || status === 429 || status >= 500)) throw error;
+      const reason = connection ? `connection error (${connection})` : `status ${status}`;
+      recordModelFailure(model, Date.now() - startTime, reason);
+      if (tokensForwarded) throw error;
+      lastError = error;
+      if (next) {
+        logger.warn(`Chat completion failed with ${reason} for model ${model}, retrying with fallback model ${next}`);
       }
-      return fallbackResponse;
     }
-    throw error;
   }
+  throw lastError;
 }
 
 /**
@@ -134,7 +287,7 @@ export async function testOpenAIConnection() {
       model: TEXT_MODEL,
       messages: [{ role: 'user', content: 'Test' }],
       max_tokens: 5
-    });
+    }, { callSite: 'connection_test' });
     return { success: true, model: response.model };
   } catch (error) {
     logger.error('OpenAI connection test failed:', error);
@@ -142,4 +295,3 @@ export async function testOpenAIConnection() {
   }
 }
 
-logger.debug('OpenAI client initialized');
@@ -7,6 +7,9 @@ import '../config/env.js';
 import { createChatCompletion, TEXT_MODEL } from './openai.js';
 import { createLogger } from '../utils/logger.js';
 import { OpenAIError } from '../utils/errorHandler.js';
+import { computeCanonicalAnswer } from './answerChecker.js';
+import { tagSkills } from './skillGraph.js';
+import { cachedClassifierCall } from './classifierCache.js';
 
 const logger = createLogger();
 
@@ -51,40 +54,42 @@ export async function normalizeToLaTeX(rawText) {
   }
 
   try {
-    const prompt = `Convert this math problem or equation to LaTeX format. Keep the meaning identical. Return only the LaTeX code, nothing else.
+    return await cachedClassifierCall('normalize_latex', [rawText], async () => {
+      const prompt = `Convert this math problem or equation to LaTeX format. Keep the meaning identical. Return only the LaTeX code, nothing else.
 
 Problem: "${rawText}"
 
 LaTeX:`;
 
-    const response = await createChatCompletion({
-      model: TEXT_MODEL,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a math notation converter. Convert mathematical expressions to LaTeX format accurately and concisely.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 500,
-      temperature: 0.3
+      const response = await createChatCompletion({
+        model: TEXT_MODEL,
+        messages: [
+          {
+            role: 'system',
+            content: 'You are a math notation converter. Convert mathematical expressions to LaTeX format accurately and concisely.'
+          },
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        max_tokens: 500,
+        temperature: 0.3
+      }, { callSite: 'normalize_latex' });
+
+      const latex = response.choices[0]?.message?.content?.trim() || rawText;
+
+      // Clean up common LLM artifacts
+      const cleanedLatex = latex
+        .replace(/^```latex\s*/i, '')
+        .replace(/^```\s*/i, '')
+        .replace(/```$/i, '')
+        .trim();
+
+      logger.debug(`Normalized to LaTeX: ${rawText.substring(0, 50)}... → ${cleanedLatex.substring(0, 50)}...`);
+
+      return cleanedLatex || rawText; // Fallback to original if empty
     });
-
-    const latex = response.choices[0]?.message?.content?.trim() || rawText;
-    
-    // Clean up common LLM artifacts
-    const cleanedLatex = latex
-      .replace(/^```latex\s*/i, '')
-      .replace(/^```\s*/i, '')
-      .replace(/```$/i, '')
-      .trim();
-
-    logger.debug(`Normalized to LaTeX: ${rawText.substring(0, 50)}... → ${cleanedLatex.substring(0, 50)}...`);
-    
-    return cleanedLatex || rawText; // Fallback to original if empty
   } catch (error) {
     logger.error('Error normalizing to LaTeX:', error);
     // Fallback to original text if LLM fails
@@ -219,55 +224,57 @@ export async function detectMultipleProblems(rawText) {
   }
 
   try {
-    const prompt = `Does this text contain one math problem or multiple separate math problems? If multiple, list them numbered.
+    return await cachedClassifierCall('detect_multiple_problems', [rawText], async () => {
+      const prompt = `Does this text contain one math problem or multiple separate math problems? If multiple, list them numbered.
 
 Text: "${rawText}"
 
 If there is only ONE problem, respond with: "SINGLE: [the problem text]"
 If there are MULTIPLE problems, respond with each problem on a new line numbered: "MULTIPLE:\n1. [first problem]\n2. [second problem]\n..."`;
 
-    const response = await createChatCompletion({
-      model: TEXT_MODEL,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a math problem parser. Identify if text contains one or multiple separate math problems.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 1000,
-      temperature: 0.3
-    });
-
-    const responseText = response.choices[0]?.message?.content?.trim() || '';
+      const response = await createChatCompletion({
+        model: TEXT_MODEL,
+        messages: [
+          {
+            role: 'system',
+            content: 'You are a math problem parser. Identify if text contains one or multiple separate math problems.'
+          },
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        max_tokens: 1000,
+        temperature: 0.3
+      }, { callSite: 'detect_multiple_problems' });
+
+      const responseText = response.choices[0]?.message?.content?.trim() || '';
     
-    if (responseText.startsWith('MULTIPLE:')) {
-      // Extract problems from numbered list
-      const problemLines = responseText
-        .replace('MULTIPLE:', '')
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line.length > 0 && /^\d+[\.\)]\s+/.test(line));
+      if (responseText.startsWith('MULTIPLE:')) {
+        // Extract problems from numbered list
+        const problemLines = responseText
+          .replace('MULTIPLE:', '')
+          .split('\n')
+          .map(line => line.trim())
+          .filter(line => line.length > 0 && /^\d+[\.\)]\s+/.test(line));
       
-      const problems = problemLines.map(line => {
-        return line.replace(/^\d+[\.\)]\s*/, '').trim();
-      }).filter(p => p.length > 0);
+        const problems = problemLines.map(line => {
+          return line.replace(/^\d+[\.\)]\s*/, '').trim();
+        }).filter(p => p.length > 0);
       
-      if (problems.length >= 2) {
-        logger.debug(`Detected ${problems.length} problems in text`);
-        return { isMultiple: true, problems };
+        if (problems.length >= 2) {
+          logger.debug(`Detected ${problems.length} problems in text`);
+          return { isMultiple: true, problems };
+        }
+      } else if (responseText.startsWith('SINGLE:')) {
+        // Single problem, extract it
+        const singleProblem = responseText.replace('SINGLE:', '').trim();
+        return { isMultiple: false, problems: [singleProblem] };
       }
-    } else if (responseText.startsWith('SINGLE:')) {
-      // Single problem, extract it
-      const singleProblem = responseText.replace('SINGLE:', '').trim();
-      return { isMultiple: false, problems: [singleProblem] };
-    }
 
-    // Fallback: treat as single problem
-    return { isMultiple: false, problems: [rawText] };
+      // Unrecognized reply: thrown so it isn't cached, and treated as a single problem below
+      throw new Error(`Unrecognized multiple-problem reply: ${responseText.substring(0, 50)}`);
+    });
   } catch (error) {
     logger.error('Error detecting multiple problems:', error);
     // Fallback to single problem on error
@@ -286,31 +293,33 @@ export async function hasMathProblem(text) {
   }
 
   try {
-    const prompt = `Does this text contain a math problem? Respond with only "YES" or "NO".
+    return await cachedClassifierCall('has_math_problem', [text], async () => {
+      const prompt = `Does this text contain a math problem? Respond with only "YES" or "NO".
 
 Text: "${text}"`;
 
-    const response = await createChatCompletion({
-      model: TEXT_MODEL,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a math problem detector. Determine if text contains a math problem.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 300,
-      temperature: 0.1
-    });
-
-    const responseText = response.choices[0]?.message?.content?.trim().toUpperCase() || '';
-    const hasMath = responseText === 'YES';
+      const response = await createChatCompletion({
+        model: TEXT_MODEL,
+        messages: [
+          {
+            role: 'system',
+            content: 'You are a math problem detector. Determine if text contains a math problem.'
+          },
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        max_tokens: 300,
+        temperature: 0.1
+      }, { callSite: 'has_math_problem' });
+
+      const responseText = response.choices[0]?.message?.content?.trim().toUpperCase() || '';
+      const hasMath = responseText === 'YES';
     
-    logger.debug(`Math problem check: ${hasMath ? 'YES' : 'NO'}`);
-    return { hasMath };
+      logger.debug(`Math problem check: ${hasMath ? 'YES' : 'NO'}`);
+      return { hasMath };
+    });
   } catch (error) {
     logger.error('Error checking for math problem:', error);
     // Fallback: assume it has math if text is not empty
@@ -336,38 +345,40 @@ export async function validateProblem(text) {
   }
 
   try {
-    const prompt = `Is this a valid, complete math problem? Respond with "VALID" or "INVALID" followed by a brief reason. Note: a bare math expression or equation without an explicit question (e.g. "1+2" or "3x - 4 = 11") is a valid problem - interpret it as an instruction to evaluate or solve it.
+    return await cachedClassifierCall('validate_problem', [text], async () => {
+      const prompt = `Is this a valid, complete math problem? Respond with "VALID" or "INVALID" followed by a brief reason. Note: a bare math expression or equation without an explicit question (e.g. "1+2" or "3x - 4 = 11") is a valid problem - interpret it as an instruction to evaluate or solve it.
 
 Problem: "${text}"`;
 
-    const response = await createChatCompletion({
-      model: TEXT_MODEL,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a math problem validator. Determine if text is a valid, complete, solvable math problem. Bare math expressions or equations without an explicit question are valid problems (interpret as "evaluate/solve this").'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 300,
-      temperature: 0.2
-    });
-
-    const responseText = response.choices[0]?.message?.content?.trim() || '';
-    const valid = responseText.toUpperCase().startsWith('VALID');
+      const response = await createChatCompletion({
+        model: TEXT_MODEL,
+        messages: [
+          {
+            role: 'system',
+            content: 'You are a math problem validator. Determine if text is a valid, complete, solvable math problem. Bare math expressions or equations without an explicit question are valid problems (interpret as "evaluate/solve this").'
+          },
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        max_tokens: 300,
+        temperature: 0.2
+      }, { callSite: 'validate_problem' });
+
+      const responseText = response.choices[0]?.message?.content?.trim() || '';
+      const valid = responseText.toUpperCase().startsWith('VALID');
     
-    // Extract reason if invalid
-    let reason = null;
-    if (!valid) {
-      const reasonMatch = responseText.match(/INVALID\s*:?\s*(.+)/i);
-      reason = reasonMatch ? reasonMatch[1].trim() : 'Problem is not valid or complete';
-    }
+      // Extract reason if invalid
+      let reason = null;
+      if (!valid) {
+        const reasonMatch = responseText.match(/INVALID\s*:?\s*(.+)/i);
+        reason = reasonMatch ? reasonMatch[1].trim() : 'Problem is not valid or complete';
+      }
     
-    logger.debug(`Problem validation: ${valid ? 'VALID' : 'INVALID'} - ${reason || 'N/A'}`);
-    return { valid, reason };
+      logger.debug(`Problem validation: ${valid ? 'VALID' : 'INVALID'} - ${reason || 'N/A'}`);
+      return { valid, reason };
+    });
   } catch (error) {
     logger.error('Error validating problem:', error);
     // Fallback: assume valid if we can't validate
@@ -406,7 +417,7 @@ export async function validateMultipleProblems(problems) {
 }
 
 /**
- * Process a problem: normalize, categorize, and classify difficulty
+ * Process a problem: normalize, categorize, tag skills and classify difficulty
  * @param {string} rawText - Raw problem text
  * @returns {Promise<Object>} Processed problem data
  */
@@ -424,13 +435,21 @@ export async function processProblem(rawText) {
   // Classify difficulty
   const difficulty = classifyDifficulty(rawText, category);
 
-  logger.info(`Processed problem: category=${category}, difficulty=${difficulty}`);
+  // Tag with fine-grained skills from the skill graph
+  const skills = tagSkills(rawText, normalizedLatex, category);
+
+  // Solve it up front where the symbolic checker can (null otherwise)
+  const canonicalAnswer = computeCanonicalAnswer(normalizedLatex, rawText);
+
+  logger.info(`Processed problem: category=${category}, difficulty=${difficulty}, skills=${skills.join(',') || 'none'}, canonical_answer=${canonicalAnswer ? canonicalAnswer.value || canonicalAnswer.equation : 'none'}`);
 
   return {
     raw_input: rawText,
     normalized_latex: normalizedLatex,
     category,
-    difficulty
+    difficulty,
+    skills,
+    canonical_answer: canonicalAnswer
   };
 }
 
@@ -5,11 +5,16 @@
 
 import '../config/env.js';
 import { createChatCompletion, TEXT_MODEL } from './openai.js';
+import { getSkill } from './skillGraph.js';
+import { getDueReviews } from './reviewScheduler.js';
+import { getLearnerProfile, recordReviewProblems } from './learnerProfileService.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger();
 
 const TIMEOUT_MS = Number(process.env.SIMILARITY_TIMEOUT_MS) || 30000;
+// Review problems offered at once
+export const REVIEW_BATCH_SIZE = 3;
 
 /**
  * Generate similar problems using LLM
@@ -53,7 +58,7 @@ ${count > 2 ? '...' : ''}`;
       ],
       max_tokens: 800,
       temperature: 0.7
-    });
+    }, { callSite: 'similar_problems' });
 
     const responseText = response.choices[0]?.message?.content?.trim() || '';
     
@@ -140,3 +145,44 @@ export async function getSimilarProblemOptions(originalProblem) {
   return result;
 }
 
+
+/**
+ * A learner's due reviews (reviewScheduler.js), each with a problem similar
+ * to the one they last practiced the skill on
+ * Problems are generated once per scheduled review and kept on the profile;
+ * the skill's practice problem stands in when generation fails.
+ * @param {string} learnerId - Learner ID
+ * @param {number} limit - Most review problems to return
+ * @returns {Promise<Object>} { due_count, reviews: [{ skill_id, name, due_at, last_quality, problem_text }] }
+ */
+export async function getReviewQueue(learnerId, limit = REVIEW_BATCH_SIZE) {
+  const due = getDueReviews(getLearnerProfile(learnerId));
+  const batch = due.slice(0, limit);
+
+  const generated = {};
+  for (const review of batch.filter(r => !r.review_problem && r.source_problem)) {
+    const [problem] = await generateSimilarProblems({ raw_input: review.source_problem }, 1);
+    if (problem?.problemText) {
+      generated[review.skill_id] = problem.problemText;
+    } else {
+      logger.warn(`No review problem generated for ${review.skill_id}; offering its practice problem`);
+    }
+  }
+  if (Object.keys(generated).length > 0) {
+    recordReviewProblems(learnerId, generated);
+  }
+
+  return {
+    due_count: due.length,
+    reviews: batch.map(review => {
+      const skill = getSkill(review.skill_id);
+      return {
+        skill_id: review.skill_id,
+        name: skill?.name || review.skill_id,
+        due_at: review.due_at,
+        last_quality: review.last_quality,
+        problem_text: review.review_problem || generated[review.skill_id] || skill?.practice || review.source_problem
+      };
+    })
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Review Scheduler
+ * Spaced repetition of the skills a student has practiced. Each finished
+ * problem schedules a review of its skills on the learner profile
+ * (profile.reviews[skillId]); the interval grows when the skill went well
+ * and starts over when it didn't:
+ *
+ *   strong (confidence >= 0.8)  first review in 3 days, then interval × 2.5
+ *   shaky  (>= 0.5)             first review in 1 day,  then interval × 1.2
+ *   weak   (< 0.5)              back to 1 day
+ *
+ * Due reviews are offered to the student at session start and after each
+ * completion, as problems generated from the last problem practiced for the
+ * skill (getReviewQueue in problemSimilarityService.js); a generated problem
+ * is kept on the entry until the skill is practiced again, so offering it
+ * twice costs one LLM call.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STRONG_CONFIDENCE = 0.8;
+const SHAKY_CONFIDENCE = 0.5;
+const FIRST_INTERVAL_DAYS = { strong: 3, shaky: 1, weak: 1 };
+const INTERVAL_GROWTH = { strong: 2.5, shaky: 1.2 };
+const MAX_INTERVAL_DAYS = 60;
+
+function qualityOf(confidence) {
+  if (typeof confidence !== 'number' || Number.isNaN(confidence)) return 'shaky';
+  if (confidence >= STRONG_CONFIDENCE) return 'strong';
+  if (confidence >= SHAKY_CONFIDENCE) return 'shaky';
+  return 'weak';
+}
+
+/**
+ * Schedule the next review of a finished problem's skills
+ * @param {Object} reviews - { [skillId]: review entry } (mutated)
+ * @param {Object} problem - Finished problem (skills, raw_input, learning_assessment)
+ * @param {Date} now - Current time
+ * @returns {Object} The reviews
+ */
+export function scheduleReviews(reviews, problem, now = new Date()) {
+  const quality = qualityOf(problem?.learning_assessment?.learning_confidence);
+
+  (problem?.skills || []).forEach(skillId => {
+    const previous = reviews[skillId];
+    let interval;
+    if (quality === 'weak' || !previous) {
+      interval = FIRST_INTERVAL_DAYS[quality];
+    } else {
+      interval = Math.min(MAX_INTERVAL_DAYS, Math.max(1, previous.interval_days * INTERVAL_GROWTH[quality]));
+    }
+
+    reviews[skillId] = {
+      skill_id: skillId,
+      interval_days: Math.round(interval * 10) / 10,
+      due_at: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+      last_practiced_at: now.toISOString(),
+      last_quality: quality,
+      times_practiced: (previous?.times_practiced || 0) + 1,
+      source_problem: problem.raw_input || problem.normalized_latex || null,
+      review_problem: null // Generated when the review is first offered
+    };
+  });
+  return reviews;
+}
+
+/**
+ * Reviews that are due, most overdue first
+ * @param {Object|null} profile - Learner profile
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Review entries
+ */
+export function getDueReviews(profile, now = new Date()) {
+  return Object.values(profile?.reviews || {})
+    .filter(review => new Date(review.due_at).getTime() <= now.getTime())
+    .sort((a, b) => a.due_at.localeCompare(b.due_at));
+}
+
+/**
+ * Number of due reviews
+ * @param {Object|null} profile - Learner profile
+ * @param {Date} now - Current time
+ * @returns {number} Due review count (0 without a profile)
+ */
+export function countDueReviews(profile, now = new Date()) {
+  return getDueReviews(profile, now).length;
+}
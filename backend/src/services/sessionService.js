@@ -6,17 +6,23 @@
 import '../config/env.js';
 import { sessionStore } from './memoryStore.js';
 import { createLogger } from '../utils/logger.js';
-import { NotFoundError, AWSError } from '../utils/errorHandler.js';
+import { NotFoundError, AWSError, ConflictError } from '../utils/errorHandler.js';
 import { generateSessionCode, validateSessionCode } from '../utils/sessionCode.js';
+import { getHintRung } from './hintLadder.js';
 
 const logger = createLogger();
 
+// Attempts made by withSessionRetry before a ConflictError is surfaced
+const MAX_WRITE_ATTEMPTS = 3;
+
 /**
  * Create a new session
  * @param {string} sessionCode - Optional session code (will generate if not provided)
+ * @param {Object} options
+ * @param {string|null} options.classId - Class the session belongs to
  * @returns {Promise<Object>} Session object with session_code, created_at, expires_at
  */
-export async function createSession(sessionCode = null) {
+export async function createSession(sessionCode = null, { classId = null } = {}) {
   const code = sessionCode || generateSessionCode();
   const now = new Date();
   const expiresAt = new Date(now);
@@ -26,10 +32,12 @@ export async function createSession(sessionCode = null) {
     session_code: code,
     created_at: now.toISOString(),
     expires_at: Math.floor(expiresAt.getTime() / 1000), // Unix timestamp for TTL
+    class_id: classId, // Class the student joined with (scopes dashboard access)
     problems: [],
     transcript: [],
     streak_progress: 0, // Streak meter: 0-100 (each progress_made adds 20%)
-    streak_completions: 0 // Number of times streak meter reached 100%
+    streak_completions: 0, // Number of times streak meter reached 100%
+    version: 1 // Revision number, bumped on every update (optimistic concurrency)
   };
 
   try {
@@ -84,11 +92,16 @@ export async function getSession(sessionCode) {
 
 /**
  * Update session with new problem or chat message
+ * Every write bumps the session's version. When expectedVersion is given the
+ * write only goes through if the stored version still matches, otherwise a
+ * ConflictError (409) is thrown so the caller can re-read and retry.
  * @param {string} sessionCode - Session code
  * @param {Object} updates - Fields to update
+ * @param {Object} options - Write options
+ * @param {number} options.expectedVersion - Version the caller last read (optional)
  * @returns {Promise<Object>} Updated session
  */
-export async function updateSession(sessionCode, updates) {
+export async function updateSession(sessionCode, updates, { expectedVersion } = {}) {
   if (!validateSessionCode(sessionCode)) {
     throw new Error('Invalid session code format');
   }
@@ -96,8 +109,15 @@ export async function updateSession(sessionCode, updates) {
   // First verify session exists
   await getSession(sessionCode);
 
+  // Check and write synchronously so no other update can land in between
+  const currentVersion = sessionStore.get(sessionCode)?.version || 0;
+  if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+    logger.warn(`Stale session write rejected: ${sessionCode} (expected v${expectedVersion}, found v${currentVersion})`);
+    throw new ConflictError('Session was modified by another request. Please retry.');
+  }
+
   try {
-    const updated = sessionStore.merge(sessionCode, updates);
+    const updated = sessionStore.merge(sessionCode, { ...updates, version: currentVersion + 1 });
 
     logger.debug(`Session updated: ${sessionCode}`);
     return updated;
@@ -107,6 +127,30 @@ export async function updateSession(sessionCode, updates) {
   }
 }
 
+/**
+ * Read-modify-write a session, retrying on version conflicts
+ * The mutator gets a fresh copy of the session on each attempt and returns
+ * the fields to write; the write is conditional on the version it was given.
+ * @param {string} sessionCode - Session code
+ * @param {Function} mutate - (session) => updates object
+ * @returns {Promise<Object>} Updated session
+ */
+export async function withSessionRetry(sessionCode, mutate) {
+  for (let attempt = 1; ; attempt++) {
+    const session = await getSession(sessionCode);
+    const updates = mutate(session);
+
+    try {
+      return await updateSession(sessionCode, updates, { expectedVersion: session.version || 0 });
+    } catch (error) {
+      if (!(error instanceof ConflictError) || attempt >= MAX_WRITE_ATTEMPTS) {
+        throw error;
+      }
+      logger.debug(`Retrying session write after conflict: ${sessionCode} (attempt ${attempt + 1})`);
+    }
+  }
+}
+
 /**
  * Add problem to session
  * @param {string} sessionCode - Session code
@@ -144,61 +188,60 @@ export async function addProblemToSession(sessionCode, problem) {
  * @returns {Promise<Object>} Updated session
  */
 export async function addStepToProblem(sessionCode, step) {
-  const session = await getSession(sessionCode);
+  return await withSessionRetry(sessionCode, (session) => {
+    if (!session.current_problem_id) {
+      throw new Error('No active problem in this session');
+    }
 
-  if (!session.current_problem_id) {
-    throw new Error('No active problem in this session');
-  }
+    const problem = session.problems.find(p => p.problem_id === session.current_problem_id);
+    if (!problem) {
+      throw new NotFoundError('Current problem');
+    }
 
-  const problem = session.problems.find(p => p.problem_id === session.current_problem_id);
-  if (!problem) {
-    throw new NotFoundError('Current problem');
-  }
+    if (problem.completed) {
+      throw new Error('This problem is already completed');
+    }
 
-  if (problem.completed) {
-    throw new Error('This problem is already completed');
-  }
+    // Generate step number
+    const stepNumber = (problem.steps?.length || 0) + 1;
+    step.step_number = stepNumber;
+    step.timestamp = new Date().toISOString();
 
-  // Generate step number
-  const stepNumber = (problem.steps?.length || 0) + 1;
-  step.step_number = stepNumber;
-  step.timestamp = new Date().toISOString();
+    const updatedSteps = [...(problem.steps || []), step];
+    problem.steps = updatedSteps;
 
-  const updatedSteps = [...(problem.steps || []), step];
-  problem.steps = updatedSteps;
+    // Update hints_used_total and the highest hint ladder rung reached
+    if (step.hint_used) {
+      problem.hints_used_total = (problem.hints_used_total || 0) + 1;
+      problem.hint_level = Math.max(problem.hint_level || 0, getHintRung(step.hint_level).level);
+    }
 
-  // Update hints_used_total if hint was used
-  if (step.hint_used) {
-    problem.hints_used_total = (problem.hints_used_total || 0) + 1;
-  }
+    // Update the problem in the problems array
+    const updatedProblems = session.problems.map(p =>
+      p.problem_id === session.current_problem_id ? problem : p
+    );
 
-  // Update the problem in the problems array
-  const updatedProblems = session.problems.map(p =>
-    p.problem_id === session.current_problem_id ? problem : p
-  );
+    // Update streak meter
+    const streakUpdates = updateStreakMeter(session, step);
 
-  // Update streak meter
-  const streakUpdates = updateStreakMeter(session, step);
+    logger.debug(`[STREAK] addStepToProblem: streak updates applied`, {
+      sessionCode,
+      problemId: problem.problem_id,
+      stepNumber: step.step_number,
+      streakUpdates
+    });
 
-  logger.debug(`[STREAK] addStepToProblem: streak updates applied`, {
-    sessionCode,
-    problemId: problem.problem_id,
-    stepNumber: step.step_number,
-    streakUpdates
+    return {
+      problems: updatedProblems,
+      ...streakUpdates
+    };
   });
-
-  const sessionUpdates = {
-    problems: updatedProblems,
-    ...streakUpdates
-  };
-
-  return await updateSession(sessionCode, sessionUpdates);
 }
 
 /**
  * Update streak meter based on step progress
  * - Each progress_made = true adds 20% (5 steps to fill 100%)
- * - Hint usage resets streak to 0
+ * - Hint usage costs the hint's rung penalty (nudge -20% ... bottom-out resets to 0)
  * - When streak reaches 100%, increment completions and reset
  * @param {Object} session - Current session
  * @param {Object} step - New step added
@@ -217,11 +260,12 @@ function updateStreakMeter(session, step) {
     stepNumber: step.step_number
   });
 
-  // Reset streak if hint was used
+  // Hints cost streak progress, more the further up the hint ladder
   if (step.hint_used) {
     const previousProgress = streakProgress;
-    streakProgress = 0;
-    logger.info(`[STREAK] RESET due to hint: ${previousProgress}% → 0%`);
+    const rung = getHintRung(step.hint_level);
+    streakProgress = Math.max(0, streakProgress - rung.streakPenalty);
+    logger.info(`[STREAK] DECREASE due to ${rung.name} hint: ${previousProgress}% → ${streakProgress}%`);
   } else if (step.progress_made) {
     // Add 20% for each progress step
     const previousProgress = streakProgress;
@@ -262,19 +306,15 @@ function updateStreakMeter(session, step) {
  * @returns {Promise<Object>} Updated session
  */
 export async function addToTranscript(sessionCode, speaker, message) {
-  const session = await getSession(sessionCode);
-
   const transcriptEntry = {
     speaker,
     message,
     timestamp: new Date().toISOString()
   };
 
-  const updatedTranscript = [...(session.transcript || []), transcriptEntry];
-
-  return await updateSession(sessionCode, {
-    transcript: updatedTranscript
-  });
+  return await withSessionRetry(sessionCode, (session) => ({
+    transcript: [...(session.transcript || []), transcriptEntry]
+  }));
 }
 
 /**
@@ -0,0 +1,457 @@
+/**
+ * Skill Graph
+ * Fine-grained K-12 skills under the five categorizeProblem buckets, with
+ * prerequisite edges ("two-step linear equation" needs "one-step linear
+ * equation", "adding fractions with unlike denominators" needs "equivalent
+ * fractions", ...). Submitted problems are tagged with skills by rule, like
+ * categorizeProblem; when a student struggles, findPrerequisiteGap walks the
+ * edges back to the nearest prerequisite they haven't shown mastery of and
+ * hands out its practice problem.
+ */
+
+import { latexToPlain } from '../utils/mathExpression.js';
+import { MASTERED } from './masteryModel.js';
+
+/**
+ * The taxonomy. Each skill: id, name, category, prerequisites (skill ids,
+ * closest first), practice (a short problem that exercises only this skill)
+ * and match (tagging rule over the parsed problem, see buildContext).
+ */
+export const SKILLS = [
+  // Arithmetic
+  {
+    id: 'add_whole',
+    name: 'Adding whole numbers',
+    category: 'arithmetic',
+    prerequisites: [],
+    practice: '47 + 38',
+    match: ctx => (ctx.numeric && /\d\s*\+\s*\d/.test(ctx.plain)) || /\b(add|plus|sum|altogether|in all)\b/.test(ctx.text)
+  },
+  {
+    id: 'subtract_whole',
+    name: 'Subtracting whole numbers',
+    category: 'arithmetic',
+    prerequisites: ['add_whole'],
+    practice: '92 - 57',
+    match: ctx => (ctx.numeric && /\d\s*-\s*\d/.test(ctx.plain)) || /\b(subtract|minus|difference|how many (are )?left|remaining|fewer)\b/.test(ctx.text)
+  },
+  {
+    id: 'multiply_whole',
+    name: 'Multiplying whole numbers',
+    category: 'arithmetic',
+    prerequisites: ['add_whole'],
+    practice: '12 × 7',
+    match: ctx => (ctx.numeric && /\d\s*[*×]\s*\d/.test(ctx.text)) || /\b(times|multiply|product|each)\b/.test(ctx.text)
+  },
+  {
+    id: 'divide_whole',
+    name: 'Dividing whole numbers',
+    category: 'arithmetic',
+    prerequisites: ['multiply_whole', 'subtract_whole'],
+    practice: '84 ÷ 6',
+    match: ctx => /\d\s*÷\s*\d|\b(divided by|divide|quotient|shared equally|split equally)\b/.test(ctx.text) ||
+      (!ctx.equation && ctx.fractions.length === 1 && !/fraction|simplify/.test(ctx.text) && /^\s*\d+\s*\/\s*\d+\s*$/.test(ctx.plain))
+  },
+  {
+    id: 'order_of_operations',
+    name: 'Order of operations',
+    category: 'arithmetic',
+    prerequisites: ['multiply_whole', 'add_whole', 'subtract_whole', 'divide_whole'],
+    practice: '3 + 4 × 5 - 2',
+    match: ctx => !ctx.equation && ctx.fractions.length === 0 &&
+      /[+\-].*[*×÷^]|[*×÷^].*[+\-]|\([^)]*[+\-*×÷][^)]*\)\s*[*×÷^]/.test(ctx.expression)
+  },
+  {
+    id: 'exponents',
+    name: 'Exponents and square roots',
+    category: 'arithmetic',
+    prerequisites: ['multiply_whole'],
+    practice: '2^5 + 3^2',
+    match: ctx => /\^|²|³|\b(squared|cubed|square root|sqrt|power)\b/.test(ctx.text)
+  },
+  {
+    id: 'fraction_concepts',
+    name: 'Understanding fractions',
+    category: 'arithmetic',
+    prerequisites: ['divide_whole'],
+    practice: 'A pizza is cut into 8 slices and 3 are eaten. What fraction of the pizza is left?',
+    match: ctx => /\bfractions?\b/.test(ctx.text)
+  },
+  {
+    id: 'equivalent_fractions',
+    name: 'Equivalent fractions and simplifying',
+    category: 'arithmetic',
+    prerequisites: ['fraction_concepts', 'multiply_whole'],
+    practice: 'Simplify 18/24',
+    match: ctx => ctx.fractions.length > 0 && /\b(simplify|lowest terms|simplest form|equivalent)\b/.test(ctx.text)
+  },
+  {
+    id: 'add_fractions_like',
+    name: 'Adding fractions with like denominators',
+    category: 'arithmetic',
+    prerequisites: ['fraction_concepts', 'add_whole'],
+    practice: '2/7 + 3/7',
+    match: ctx => ctx.fractionSums.some(([a, b]) => a.denominator === b.denominator)
+  },
+  {
+    id: 'add_fractions_unlike',
+    name: 'Adding fractions with unlike denominators',
+    category: 'arithmetic',
+    prerequisites: ['add_fractions_like', 'equivalent_fractions'],
+    practice: '1/3 + 1/4',
+    match: ctx => ctx.fractionSums.some(([a, b]) => a.denominator !== b.denominator)
+  },
+  {
+    id: 'multiply_fractions',
+    name: 'Multiplying and dividing fractions',
+    category: 'arithmetic',
+    prerequisites: ['fraction_concepts', 'multiply_whole'],
+    practice: '2/3 × 3/5',
+    match: ctx => /\d\s*\/\s*\d+\s*[*×÷]|[*×÷]\s*\d+\s*\/\s*\d|\d\s*\/\s*\d+\s+of\b|\b(half|third|quarter) of\b/.test(ctx.text)
+  },
+  {
+    id: 'decimals',
+    name: 'Decimal operations',
+    category: 'arithmetic',
+    prerequisites: ['add_whole', 'multiply_whole'],
+    practice: '4.6 + 2.75',
+    match: ctx => /\d\.\d/.test(ctx.text)
+  },
+  {
+    id: 'percentages',
+    name: 'Percentages',
+    category: 'arithmetic',
+    prerequisites: ['decimals', 'multiply_fractions'],
+    practice: 'What is 15% of 80?',
+    match: ctx => /%|\bpercent/.test(ctx.text)
+  },
+  {
+    id: 'ratios_proportions',
+    name: 'Ratios and proportions',
+    category: 'word',
+    prerequisites: ['equivalent_fractions', 'multiply_whole'],
+    practice: 'The ratio of boys to girls is 3:4. If there are 12 boys, how many girls are there?',
+    match: ctx => /\b(ratio|proportion\w*)\b|\d\s*:\s*\d/.test(ctx.text)
+  },
+  {
+    id: 'unit_rates',
+    name: 'Rates and unit rates',
+    category: 'word',
+    prerequisites: ['divide_whole'],
+    practice: 'A car travels 150 miles in 3 hours. How far does it go per hour?',
+    match: ctx => /\b(per|mph|rate|speed|miles an hour)\b/.test(ctx.text)
+  },
+
+  // Algebra
+  {
+    id: 'evaluate_expressions',
+    name: 'Evaluating expressions',
+    category: 'algebra',
+    prerequisites: ['order_of_operations'],
+    practice: 'Evaluate 3a + 2 when a = 5',
+    match: ctx => /\bevaluate\b|\b(when|if)\s+[a-z]\s*=\s*-?\d/.test(ctx.text)
+  },
+  {
+    id: 'combining_like_terms',
+    name: 'Combining like terms',
+    category: 'algebra',
+    prerequisites: ['add_whole', 'subtract_whole'],
+    practice: 'Simplify 4x + 3 + 2x - 1',
+    match: ctx => !!ctx.equation?.likeTerms || /(?<![a-z])\d*([a-z])\s*[+\-]\s*(?:\d+\s*[+\-]\s*)?\d*\1(?![a-z(])/.test(ctx.expression)
+  },
+  {
+    id: 'distributive_property',
+    name: 'The distributive property',
+    category: 'algebra',
+    prerequisites: ['multiply_whole', 'combining_like_terms'],
+    practice: 'Expand 3(x + 4)',
+    match: ctx => /-?\d\s*\*?\s*\([^)]*[a-z][^)]*\)/.test(ctx.expression) || /\b(expand|distribute)\b/.test(ctx.text)
+  },
+  {
+    id: 'one_step_equation',
+    name: 'One-step linear equations',
+    category: 'algebra',
+    prerequisites: ['subtract_whole', 'divide_whole', 'add_whole', 'multiply_whole'],
+    practice: 'x + 7 = 15',
+    match: ctx => ctx.equation?.kind === 'one_step'
+  },
+  {
+    id: 'two_step_equation',
+    name: 'Two-step linear equations',
+    category: 'algebra',
+    prerequisites: ['one_step_equation'],
+    practice: '3x + 4 = 19',
+    match: ctx => ctx.equation?.kind === 'two_step'
+  },
+  {
+    id: 'multi_step_equation',
+    name: 'Multi-step linear equations',
+    category: 'algebra',
+    prerequisites: ['two_step_equation', 'combining_like_terms', 'distributive_property'],
+    practice: '5x - 3 = 2x + 9',
+    match: ctx => ctx.equation?.kind === 'multi_step'
+  },
+  {
+    id: 'literal_equations',
+    name: 'Rearranging formulas and literal equations',
+    category: 'algebra',
+    prerequisites: ['two_step_equation'],
+    practice: 'Solve for y: 3x + y = 10',
+    match: ctx => ctx.equation?.kind === 'literal'
+  },
+  {
+    id: 'quadratic_equations',
+    name: 'Quadratic equations',
+    category: 'algebra',
+    prerequisites: ['multi_step_equation', 'exponents', 'distributive_property'],
+    practice: 'x^2 - 5x + 6 = 0',
+    match: ctx => ctx.equation?.kind === 'quadratic' || /\bquadratic\b/.test(ctx.text)
+  },
+
+  // Geometry
+  {
+    id: 'perimeter',
+    name: 'Perimeter',
+    category: 'geometry',
+    prerequisites: ['add_whole', 'multiply_whole'],
+    practice: 'What is the perimeter of a rectangle 8 cm long and 5 cm wide?',
+    match: ctx => /\bperimeter\b/.test(ctx.text)
+  },
+  {
+    id: 'area_rectangle',
+    name: 'Area of rectangles and squares',
+    category: 'geometry',
+    prerequisites: ['multiply_whole'],
+    practice: 'What is the area of a rectangle 9 m long and 4 m wide?',
+    match: ctx => /\barea\b/.test(ctx.text) && /\b(rectangle|rectangular|square)\b/.test(ctx.text)
+  },
+  {
+    id: 'area_triangle',
+    name: 'Area of a triangle',
+    category: 'geometry',
+    prerequisites: ['area_rectangle', 'multiply_fractions'],
+    practice: 'Find the area of a triangle with base 10 cm and height 6 cm.',
+    match: ctx => /\barea\b/.test(ctx.text) && /\btriangle\b/.test(ctx.text)
+  },
+  {
+    id: 'circles',
+    name: 'Circumference and area of circles',
+    category: 'geometry',
+    prerequisites: ['decimals', 'exponents'],
+    practice: 'Find the circumference of a circle with radius 5 cm (use 3.14 for pi).',
+    match: ctx => /\b(circle|radius|diameter|circumference)\b/.test(ctx.text)
+  },
+  {
+    id: 'angle_sums',
+    name: 'Angle relationships',
+    category: 'geometry',
+    prerequisites: ['subtract_whole', 'add_whole'],
+    practice: 'Two angles of a triangle are 50° and 70°. What is the third angle?',
+    match: ctx => /\b(angles?|degrees?)\b|°/.test(ctx.text)
+  },
+  {
+    id: 'pythagorean_theorem',
+    name: 'The Pythagorean theorem',
+    category: 'geometry',
+    prerequisites: ['exponents', 'one_step_equation'],
+    practice: 'A right triangle has legs 6 and 8. How long is the hypotenuse?',
+    match: ctx => /\b(pythag\w*|hypotenuse|right triangle)\b/.test(ctx.text)
+  },
+  {
+    id: 'volume',
+    name: 'Volume of rectangular prisms',
+    category: 'geometry',
+    prerequisites: ['area_rectangle'],
+    practice: 'What is the volume of a box 4 cm long, 3 cm wide and 5 cm tall?',
+    match: ctx => /\bvolume\b/.test(ctx.text)
+  },
+
+  // Word problems
+  {
+    id: 'word_problem_translation',
+    name: 'Turning a word problem into math',
+    category: 'word',
+    prerequisites: ['subtract_whole', 'add_whole'],
+    practice: 'Maya has 24 stickers and gives 9 to her friend. How many stickers does she have left?',
+    match: ctx => ctx.category === 'word' || ctx.category === 'multi-step'
+  }
+];
+
+const SKILLS_BY_ID = new Map(SKILLS.map(skill => [skill.id, skill]));
+
+/**
+ * Get a skill by id
+ * @param {string} skillId - Skill ID
+ * @returns {Object|undefined} Skill
+ */
+export function getSkill(skillId) {
+  return SKILLS_BY_ID.get(skillId);
+}
+
+/**
+ * Public fields of a skill (the taxonomy without its tagging rule)
+ * @param {Object} skill - Skill from SKILLS
+ * @returns {Object} id, name, category, prerequisites and practice
+ */
+export function toPublicSkill(skill) {
+  const { match, ...visible } = skill;
+  return visible;
+}
+
+/**
+ * Read one side of "lhs = rhs" out of plain text, dropping surrounding words
+ */
+function readEquation(plain) {
+  const match = plain.match(/([0-9a-z+\-*/().^\s]*[0-9a-z)])\s*=\s*([0-9a-z+\-*/().^\s]+)/i);
+  if (!match) return null;
+
+  const lhs = match[1].replace(/^.*\b[a-z]{2,}\b/i, '').replace(/\s+/g, '').toLowerCase();
+  const rhs = match[2].replace(/\b[a-z]{2,}\b.*$/i, '').replace(/\s+/g, '').toLowerCase();
+  if (!lhs || !rhs) return null;
+  return { lhs, rhs };
+}
+
+/**
+ * Classify an equation by how many steps it takes to solve
+ * @returns {{kind: string, likeTerms: boolean}|null} kind is one_step,
+ *   two_step, multi_step, literal or quadratic
+ */
+function classifyEquation(plain) {
+  const equation = readEquation(plain);
+  if (!equation) return null;
+
+  const { lhs, rhs } = equation;
+  const variables = new Set(`${lhs}${rhs}`.match(/[a-z]/g) || []);
+  if (variables.size === 0) return null;
+
+  if (/[a-z]\)?\^\(?2|[a-z]²/.test(`${lhs}${rhs}`)) return { kind: 'quadratic', likeTerms: false };
+  if (variables.size > 1) return { kind: 'literal', likeTerms: false };
+
+  const onLeft = /[a-z]/.test(lhs);
+  const onRight = /[a-z]/.test(rhs);
+  const variableSide = onLeft ? lhs : rhs;
+  const terms = variableSide.match(/[+\-]?[^+\-]+/g) || [];
+  const variableTerms = terms.filter(term => /[a-z]/.test(term));
+  const likeTerms = variableTerms.length > 1;
+
+  if ((onLeft && onRight) || likeTerms || /\(.*[a-z].*\)/.test(variableSide)) {
+    return { kind: 'multi_step', likeTerms };
+  }
+
+  const [variableTerm] = variableTerms;
+  const coefficientStep = /^[+\-]?\d|[*/]|^-/.test(variableTerm) ? 1 : 0;
+  const constantStep = terms.length > 1 ? 1 : 0;
+  const steps = coefficientStep + constantStep;
+  if (steps === 0) return null; // already solved ("x = 5")
+  return { kind: steps === 1 ? 'one_step' : 'two_step', likeTerms };
+}
+
+/**
+ * Everything the tagging rules look at, parsed once
+ */
+function buildContext(text, latex, category) {
+  const plain = latexToPlain(latex || text || '')
+    // \frac expands to ((a)/(b)); read simple fractions back as a/b
+    .replace(/\(\(([\da-z]+)\)\/\(([\da-z]+)\)\)/gi, '$1/$2')
+    .toLowerCase();
+  const combined = `${String(text || '').toLowerCase()} ${plain}`;
+
+  const fractionPattern = /(?<![\d.])(\d+)\s*\/\s*(\d+)(?![\d.])/g;
+  const fractions = [...plain.matchAll(fractionPattern)].map(m => ({ numerator: Number(m[1]), denominator: Number(m[2]) }));
+  const fractionSums = [...plain.matchAll(/(?<![\d.])(\d+)\s*\/\s*(\d+)\s*[+\-]\s*(\d+)\s*\/\s*(\d+)(?![\d.])/g)]
+    .map(m => [
+      { numerator: Number(m[1]), denominator: Number(m[2]) },
+      { numerator: Number(m[3]), denominator: Number(m[4]) }
+    ]);
+
+  const expression = plain.replace(/\b[a-z]{2,}\b/g, ' ');
+
+  return {
+    text: combined,
+    plain,
+    expression,
+    // Operator symbols only stand for whole-number arithmetic without variables
+    numeric: !/[a-z]/.test(expression),
+    category,
+    equation: classifyEquation(plain) || classifyEquation(String(text || '').toLowerCase()),
+    fractions,
+    fractionSums
+  };
+}
+
+/**
+ * All skills a skill builds on, directly or through other prerequisites
+ */
+function ancestorsOf(skillId, found = new Set()) {
+  (getSkill(skillId)?.prerequisites || []).forEach(id => {
+    if (!found.has(id)) {
+      found.add(id);
+      ancestorsOf(id, found);
+    }
+  });
+  return found;
+}
+
+/**
+ * Tag a problem with the skills it exercises
+ * @param {string} text - Problem text
+ * @param {string} latex - LaTeX normalized version
+ * @param {string} category - Category from categorizeProblem
+ * @returns {Array<string>} Skill ids, most advanced first (those that aren't
+ *   prerequisites of another tagged skill lead)
+ */
+export function tagSkills(text, latex, category = null) {
+  const context = buildContext(text, latex, category);
+  const tagged = SKILLS.filter(skill => {
+    try {
+      return skill.match(context);
+    } catch (error) {
+      return false;
+    }
+  }).map(skill => skill.id);
+
+  // Lead with the skills the others build up to
+  const prerequisiteOfTagged = new Set(tagged.flatMap(id => [...ancestorsOf(id)]));
+  return [
+    ...tagged.filter(id => !prerequisiteOfTagged.has(id)),
+    ...tagged.filter(id => prerequisiteOfTagged.has(id))
+  ];
+}
+
+/**
+ * Nearest prerequisite of a problem's skills the student hasn't mastered
+ * Walks the prerequisite edges breadth-first from the problem's skills: at
+ * the closest level with an unmastered skill, a skill the profile shows to be
+ * weak wins over one it has no evidence on.
+ * @param {Array<string>} skillIds - The problem's skills (from tagSkills)
+ * @param {Object|null} learnerProfile - Learner profile (BKT skill mastery)
+ * @returns {{skill_id: string, name: string, practice_problem: string}|null}
+ */
+export function findPrerequisiteGap(skillIds = [], learnerProfile = null) {
+  const seen = new Set(skillIds);
+  let frontier = skillIds;
+
+  while (frontier.length > 0) {
+    const level = [];
+    frontier.forEach(id => {
+      (getSkill(id)?.prerequisites || []).forEach(prerequisite => {
+        if (!seen.has(prerequisite)) {
+          seen.add(prerequisite);
+          level.push(prerequisite);
+        }
+      });
+    });
+
+    const masteryOf = id => learnerProfile?.skills?.[id]?.p_mastery ?? null;
+    const open = level.filter(id => masteryOf(id) === null || masteryOf(id) < MASTERED);
+    if (open.length > 0) {
+      const weakest = open
+        .filter(id => masteryOf(id) !== null)
+        .sort((a, b) => masteryOf(a) - masteryOf(b))[0];
+      const skill = getSkill(weakest || open[0]);
+      return { skill_id: skill.id, name: skill.name, practice_problem: skill.practice };
+    }
+    frontier = level;
+  }
+  return null;
+}
@@ -8,9 +8,24 @@ import { createChatCompletion, TEXT_MODEL } from './openai.js';
 import { createLogger } from '../utils/logger.js';
 import { OpenAIError } from '../utils/errorHandler.js';
 import { parseLLMJson } from '../utils/parseLLMJson.js';
+import { computeCanonicalAnswer, checkAnswer, checkStep } from './answerChecker.js';
+import {
+  findAnswerLeak,
+  studentHasGivenAnswer,
+  redactAnswerLeak,
+  createGuardedStream
+} from './answerLeakGuard.js';
+import { getHintRung, nextHintLevel } from './hintLadder.js';
+import { describeLearnerProfile } from './learnerProfileService.js';
+import { findPrerequisiteGap } from './skillGraph.js';
+import { cachedClassifierCall } from './classifierCache.js';
 
 const logger = createLogger();
 
+// Hint rung a problem must have reached before a still-stuck student is
+// routed to a prerequisite skill (2 = after a strategic hint)
+const PREREQUISITE_AFTER_HINT_LEVEL = 2;
+
 /**
  * Check if a problem requires a formula to solve
  * @param {string} problemText - Problem text
@@ -40,7 +55,8 @@ export async function detectFormulaRequirement(problemText, category) {
 
   // Use LLM for more complex detection
   try {
-    const prompt = `Does this math problem require a specific formula to solve? Examples: Pythagorean theorem, area formulas, distance formula, etc.
+    return await cachedClassifierCall('detect_formula', [problemText, category], async () => {
+      const prompt = `Does this math problem require a specific formula to solve? Examples: Pythagorean theorem, area formulas, distance formula, etc.
 
 Problem: "${problemText}"
 Category: ${category}
@@ -51,31 +67,32 @@ Respond with:
 
 Only respond with YES or NO followed by the formula name if applicable.`;
 
-    const response = await createChatCompletion({
-      model: TEXT_MODEL,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a math problem analyzer. Determine if a problem requires a specific formula.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 300,
-      temperature: 0.2
-    });
-
-    const responseText = response.choices[0]?.message?.content?.trim() || '';
+      const response = await createChatCompletion({
+        model: TEXT_MODEL,
+        messages: [
+          {
+            role: 'system',
+            content: 'You are a math problem analyzer. Determine if a problem requires a specific formula.'
+          },
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        max_tokens: 300,
+        temperature: 0.2
+      }, { callSite: 'detect_formula' });
+
+      const responseText = response.choices[0]?.message?.content?.trim() || '';
     
-    if (responseText.toUpperCase().startsWith('YES')) {
-      const formulaMatch = responseText.match(/YES:\s*(.+)/i);
-      const formulaName = formulaMatch ? formulaMatch[1].trim() : 'a formula';
-      return { requiresFormula: true, formulaName };
-    }
+      if (responseText.toUpperCase().startsWith('YES')) {
+        const formulaMatch = responseText.match(/YES:\s*(.+)/i);
+        const formulaName = formulaMatch ? formulaMatch[1].trim() : 'a formula';
+        return { requiresFormula: true, formulaName };
+      }
 
-    return { requiresFormula: false, formulaName: null };
+      return { requiresFormula: false, formulaName: null };
+    });
   } catch (error) {
     logger.error('Error detecting formula requirement:', error);
     return { requiresFormula: false, formulaName: null };
@@ -143,7 +160,7 @@ Only respond with YES or NO.`;
       ],
       max_tokens: 300,
       temperature: 0.1
-    });
+    }, { callSite: 'formula_knowledge' });
 
     const responseText = response.choices[0]?.message?.content?.trim().toUpperCase() || '';
     const knowsFormula = responseText === 'YES';
@@ -322,13 +339,29 @@ function analyzeProgress(studentResponse, previousSteps, problemText) {
 
 /**
  * Detect if student response indicates solution completion
- * Uses LLM to analyze if response is a final answer vs intermediate step
+ * The symbolic answer checker decides first, against the canonical answer
+ * stored when the problem was accepted; the LLM is only asked when the
+ * checker can't tell (word problems, prose replies, non-linear equations).
  * @param {string} studentResponse - Student's response
  * @param {Object} problem - Problem object
  * @param {Array} steps - Conversation steps
- * @returns {Promise<Object>} Detection result with solution_completed flag and answer verification
+ * @returns {Promise<Object>} Detection result with solution_completed flag,
+ *   answer verification and method ('symbolic', 'llm' or 'pattern')
  */
 export async function detectSolutionCompletion(studentResponse, problem, steps = []) {
+  // Problems accepted before the checker existed have no stored answer yet
+  const canonicalAnswer = problem.canonical_answer !== undefined
+    ? problem.canonical_answer
+    : computeCanonicalAnswer(problem.normalized_latex, problem.raw_input);
+
+  const verdict = checkAnswer(studentResponse, canonicalAnswer);
+  if (verdict) {
+    logger.metric('AnswerCheck.Symbolic', 1, 'Count');
+    logger.debug(`Solution completion (symbolic): ${verdict.solution_completed}, correct: ${verdict.is_correct}`);
+    return { ...verdict, method: 'symbolic' };
+  }
+  logger.metric('AnswerCheck.LLMFallback', 1, 'Count');
+
   try {
     const prompt = `Analyze this student's response to determine if they have provided a FINAL ANSWER to the problem, or if this is just an intermediate step.
 
@@ -361,7 +394,7 @@ Respond with ONLY a JSON object in this exact format:
       ],
       max_tokens: 400,
       temperature: 0.3
-    });
+    }, { callSite: 'solution_completion' });
 
     const content = response.choices[0]?.message?.content?.trim() || '{}';
 
@@ -372,7 +405,8 @@ Respond with ONLY a JSON object in this exact format:
     return {
       solution_completed: result.solution_completed || false,
       is_correct: result.is_correct || false,
-      reasoning: result.reasoning || ''
+      reasoning: result.reasoning || '',
+      method: 'llm'
     };
   } catch (error) {
     logger.error('Error detecting solution completion:', error);
@@ -390,7 +424,8 @@ Respond with ONLY a JSON object in this exact format:
     return {
       solution_completed: looksLikeCompletion,
       is_correct: false, // Unknown, would need verification
-      reasoning: 'Pattern matching fallback'
+      reasoning: 'Pattern matching fallback',
+      method: 'pattern'
     };
   }
 }
@@ -423,6 +458,38 @@ function countStuckTurns(steps) {
   return stuckCount;
 }
 
+/**
+ * Ask for a rewrite of a tutor draft that gave the answer away
+ * @param {Array} messages - Messages the draft was generated from
+ * @param {string} draft - The leaking draft
+ * @param {Object} leak - From findAnswerLeak
+ * @returns {Promise<Object>} { message, tokensUsed }; message is null if the rewrite failed
+ */
+async function rewriteWithoutAnswer(messages, draft, leak) {
+  try {
+    const response = await createChatCompletion({
+      model: TEXT_MODEL,
+      messages: [
+        ...messages,
+        { role: 'assistant', content: draft },
+        {
+          role: 'system',
+          content: `That reply gave away the answer ("${leak.excerpt}"). Rewrite it so it guides the student with a question instead, without stating the answer or the final value. Reply with the rewritten message only.`
+        }
+      ],
+      max_tokens: 800,
+      temperature: 0.7
+    }, { callSite: 'answer_rewrite' });
+    return {
+      message: response.choices[0]?.message?.content?.trim() || null,
+      tokensUsed: response.usage?.total_tokens || 0
+    };
+  } catch (error) {
+    logger.error('Error rewriting leaking tutor response:', error);
+    return { message: null, tokensUsed: 0 };
+  }
+}
+
 /**
  * Generate Socratic tutor response
  * @param {Object} context - Conversation context
@@ -432,7 +499,15 @@ function countStuckTurns(steps) {
  * @param {string} context.studentResponse - Student's current response
  * @param {Array} context.conversationHistory - Previous conversation steps
  * @param {boolean} context.shouldProvideHint - Whether to provide a hint
+ * @param {number} context.hintLevel - Hint ladder rung (1-4) to give the hint at
  * @param {Object} context.formulaInfo - Formula information (if applicable)
+ * @param {Object} context.stepCheck - Result of checkStep for the student's response (if checkable)
+ * @param {Object|null} context.learnerProfile - The student's learner profile (if known)
+ * @param {Object|null} context.prerequisite - Prerequisite skill to check first (from findPrerequisiteGap)
+ * @param {Object|null} context.canonicalAnswer - Stored answer for the leak guard
+ *   (computed from the problem when undefined)
+ * @param {boolean} context.leakGuard - Set false to return the model's draft unguarded (evals)
+ * @param {Function} context.onToken - Optional callback receiving the reply as it streams
  * @returns {Promise<Object>} Tutor response with metadata
  */
 export async function generateTutorResponse(context) {
@@ -443,8 +518,15 @@ export async function generateTutorResponse(context) {
     studentResponse,
     conversationHistory = [],
     shouldProvideHint = false,
+    hintLevel = 1,
     correctionContext = null,
-    formulaInfo = null
+    formulaInfo = null,
+    stepCheck = null,
+    learnerProfile = null,
+    prerequisite = null,
+    canonicalAnswer,
+    leakGuard = true,
+    onToken = null
   } = context;
 
   // Build conversation history for context
@@ -463,6 +545,15 @@ export async function generateTutorResponse(context) {
     });
   }
 
+  // Pitch the approach to what we know about this student from earlier problems
+  const profileBriefing = describeLearnerProfile(learnerProfile, category);
+  if (profileBriefing) {
+    messages.push({
+      role: 'system',
+      content: profileBriefing
+    });
+  }
+
   // Add problem context
   messages.push({
     role: 'user',
@@ -514,30 +605,80 @@ export async function generateTutorResponse(context) {
     }
   }
 
-  // Add hint instruction if needed
+  // Tell the tutor whether the student's step checked out algebraically
+  if (stepCheck) {
+    messages.push({
+      role: 'system',
+      content: stepCheck.valid
+        ? `Step check: the student's step is mathematically valid (${stepCheck.reasoning}). Confirm it and ask what they would do next.`
+        : `Step check: the student's step is NOT valid (${stepCheck.reasoning}). Do not call it correct. Ask a question that helps them find the mistake themselves, without giving the answer.`
+    });
+  }
+
+  // Add hint instruction if needed, pitched at the problem's rung on the hint ladder
   if (shouldProvideHint) {
+    const rung = getHintRung(hintLevel);
     messages.push({
       role: 'system',
-      content: 'The student has been stuck for 2+ turns. Provide a concrete hint while still guiding them to discover the answer themselves. Make it encouraging.'
+      content: `The student has been stuck for 2+ turns. ${rung.instruction} Keep guiding them to discover the answer themselves, and make it encouraging.`
     });
   }
 
+  // Struggling despite hints: step back to a prerequisite skill first
+  if (prerequisite) {
+    messages.push({
+      role: 'system',
+      content: `The student is still stuck after hints, which suggests a gap in a prerequisite skill: ${prerequisite.name}. Before going on, check that skill with one quick warm-up question of the same kind as "${prerequisite.practice_problem}" (different numbers), then connect it back to their problem.`
+    });
+  }
+
+  // Answer-leak guard: while the student hasn't reached the answer, drafts
+  // that state it are caught here (and held back from the stream)
+  const knownAnswer = canonicalAnswer !== undefined
+    ? canonicalAnswer
+    : computeCanonicalAnswer(normalizedLatex, problemText);
+  const studentReplies = [...conversationHistory.map(step => step.student_response), studentResponse].filter(Boolean);
+  const guardedAnswer = leakGuard && knownAnswer && !studentHasGivenAnswer(studentReplies, knownAnswer)
+    ? knownAnswer
+    : null;
+  const findLeak = (text) => guardedAnswer ? findAnswerLeak(text, guardedAnswer, problemText) : null;
+  const stream = onToken && guardedAnswer ? createGuardedStream(onToken, text => !!findLeak(text)) : null;
+
   try {
     const response = await createChatCompletion({
       model: TEXT_MODEL,
       messages,
       max_tokens: 800,
       temperature: 0.7
-    });
-
-    const tutorMessage = response.choices[0]?.message?.content?.trim() || 'Let\'s think about this step by step.';
+    }, { onToken: stream ? stream.push : onToken, callSite: 'tutor_response' });
+    stream?.flush();
+
+    let tutorMessage = response.choices[0]?.message?.content?.trim() || 'Let\'s think about this step by step.';
+    let tokensUsed = response.usage?.total_tokens || 0;
+
+    const leak = findLeak(tutorMessage);
+    if (leak) {
+      logger.metric('AnswerLeak.Intercepted', 1, 'Count');
+      logger.warn(`[LEAK GUARD] Tutor draft stated the answer ("${leak.excerpt}"), regenerating`);
+      const rewrite = await rewriteWithoutAnswer(messages, tutorMessage, leak);
+      tokensUsed += rewrite.tokensUsed;
+
+      if (rewrite.message && !findLeak(rewrite.message)) {
+        tutorMessage = rewrite.message;
+      } else {
+        logger.metric('AnswerLeak.Redacted', 1, 'Count');
+        logger.warn('[LEAK GUARD] Rewrite still stated the answer, redacting');
+        tutorMessage = redactAnswerLeak(rewrite.message || tutorMessage, guardedAnswer, problemText);
+      }
+    }
 
     logger.debug(`Generated tutor response: ${tutorMessage.substring(0, 100)}...`);
 
     return {
       message: tutorMessage,
       hintProvided: shouldProvideHint,
-      tokensUsed: response.usage?.total_tokens || 0
+      leakIntercepted: !!leak,
+      tokensUsed
     };
   } catch (error) {
     logger.error('Error generating tutor response:', error);
@@ -551,11 +692,19 @@ export async function generateTutorResponse(context) {
  * @param {string} params.studentResponse - Student's response
  * @param {Object} params.problem - Problem object
  * @param {Array} params.steps - Current conversation steps
+ * @param {Object|null} params.learnerProfile - The student's learner profile (if known)
+ * @param {Function} params.onToken - Optional callback receiving the tutor reply as it streams
  * @returns {Promise<Object>} Response with tutor message and metadata
  */
-export async function processStudentResponse({ studentResponse, problem, steps = [] }) {
-  // Step 1: Analyze student response as fallback signal
+export async function processStudentResponse({ studentResponse, problem, steps = [], learnerProfile = null, onToken = null }) {
+  // Step 1: Check the student's work algebraically where we can, and analyze
+  // the response text as a fallback signal
+  const stepCheck = checkStep(studentResponse, problem, steps);
   const progressAnalysis = analyzeProgress(studentResponse, steps, problem.raw_input);
+  if (stepCheck) {
+    logger.metric(stepCheck.valid ? 'StepCheck.Valid' : 'StepCheck.Invalid', 1, 'Count');
+    logger.debug(`[STEP CHECK] ${stepCheck.valid ? 'Valid' : 'Invalid'}: ${stepCheck.reasoning}`);
+  }
   
   // Count stuck turns from previous steps (before current response)
   const stuckTurns = countStuckTurns(steps);
@@ -597,7 +746,17 @@ export async function processStudentResponse({ studentResponse, problem, steps =
   
   // Determine preliminary hint logic based on student response analysis
   // This is used to generate the tutor response, but will be re-evaluated after we check tutor validation
-  const preliminaryShouldProvideHint = stuckTurns >= 2 && !progressAnalysis.madeProgress;
+  const preliminaryShouldProvideHint = stuckTurns >= 2 && !(stepCheck ? stepCheck.valid : progressAnalysis.madeProgress);
+  // A hint given on this turn climbs one rung of the problem's hint ladder
+  const hintLevel = nextHintLevel(problem);
+
+  // Still stuck after a strategic hint: route to the nearest prerequisite
+  // skill the student hasn't mastered (once per problem)
+  const prerequisite = preliminaryShouldProvideHint &&
+    (problem.hint_level || 0) >= PREREQUISITE_AFTER_HINT_LEVEL &&
+    !steps.some(s => s.prerequisite_skill)
+    ? findPrerequisiteGap(problem.skills, learnerProfile)
+    : null;
 
   // Update progress analysis with stuck count
   progressAnalysis.stuckTurns = stuckTurns;
@@ -610,17 +769,26 @@ export async function processStudentResponse({ studentResponse, problem, steps =
     studentResponse,
     conversationHistory: steps,
     shouldProvideHint: preliminaryShouldProvideHint,
-    formulaInfo
+    hintLevel,
+    formulaInfo,
+    stepCheck,
+    learnerProfile,
+    prerequisite,
+    canonicalAnswer: problem.canonical_answer,
+    onToken
   });
 
   // Step 2: PRIMARY SIGNAL - Check if tutor is providing positive validation
   const tutorValidates = detectTutorValidation(tutorResponse.message);
   
   // Step 3: Determine final progress_made
-  // Use tutor validation as primary signal, fallback to student response analysis
+  // A step the checker could verify decides it outright. Otherwise use tutor
+  // validation as primary signal, fallback to student response analysis
   // If tutor validates, it's definitely progress (tutor knows the answer is correct)
   // If tutor doesn't validate but student response shows progress indicators, use that as fallback
-  const finalProgressMade = tutorValidates || progressAnalysis.madeProgress;
+  const finalProgressMade = stepCheck
+    ? stepCheck.valid
+    : tutorValidates || progressAnalysis.madeProgress;
   
   // Final hint logic: if tutor validates OR student shows progress, don't provide hint
   // Only provide hint if student has been stuck for 2+ turns AND no progress detected
@@ -628,18 +796,24 @@ export async function processStudentResponse({ studentResponse, problem, steps =
   const finalShouldProvideHint = stuckTurns >= 2 && !finalProgressMade;
   
   // Log for debugging
-  if (tutorValidates) {
+  if (stepCheck) {
+    logger.debug(`[PROGRESS] Step check decided progress: ${stepCheck.valid}`);
+  } else if (tutorValidates) {
     logger.debug(`[PROGRESS] Tutor validation detected: "${tutorResponse.message.substring(0, 50)}..."`);
   } else if (progressAnalysis.madeProgress) {
     logger.debug(`[PROGRESS] Fallback: Student response shows progress indicators`);
   }
 
   // Build step object with final progress determination
+  const hintUsed = tutorResponse.hintProvided && finalShouldProvideHint; // Use final hint logic
   const step = {
     tutor_prompt: tutorResponse.message,
     student_response: studentResponse,
-    hint_used: tutorResponse.hintProvided && finalShouldProvideHint, // Use final hint logic
-    progress_made: finalProgressMade, // Use tutor validation as primary
+    hint_used: hintUsed,
+    hint_level: hintUsed ? hintLevel : null, // Hint ladder rung (see hintLadder.js)
+    progress_made: finalProgressMade, // Step check, else tutor validation
+    step_check: stepCheck, // { valid, state, reasoning } or null when not checkable
+    prerequisite_skill: prerequisite ? prerequisite.skill_id : null, // Skill the tutor stepped back to
     stuck_turns: stuckTurns,
     timestamp: new Date().toISOString()
   };
@@ -649,8 +823,10 @@ export async function processStudentResponse({ studentResponse, problem, steps =
   
   logger.info(`[STEP] Created step:`, {
     hint_used: step.hint_used,
+    hint_level: step.hint_level,
     progress_made: step.progress_made,
     tutor_validates: tutorValidates,
+    step_valid: stepCheck ? stepCheck.valid : null,
     student_response_progress: progressAnalysis.madeProgress,
     stuck_turns: step.stuck_turns,
     shouldProvideHint: finalShouldProvideHint,
@@ -667,16 +843,19 @@ export async function processStudentResponse({ studentResponse, problem, steps =
 /**
  * Generate initial tutor prompt for a new problem
  * @param {Object} problem - Problem object
+ * @param {Object|null} learnerProfile - The student's learner profile (if known)
  * @returns {Promise<string>} Initial tutor message
  */
-export async function generateInitialPrompt(problem) {
+export async function generateInitialPrompt(problem, learnerProfile = null) {
   const response = await generateTutorResponse({
     problemText: problem.raw_input,
     normalizedLatex: problem.normalized_latex,
     category: problem.category,
     studentResponse: null, // No response yet
     conversationHistory: [],
-    shouldProvideHint: false
+    shouldProvideHint: false,
+    learnerProfile,
+    canonicalAnswer: problem.canonical_answer
   });
 
   return response.message;
@@ -31,6 +31,13 @@ export class NotFoundError extends AppError {
   }
 }
 
+export class ConflictError extends AppError {
+  constructor(message = 'Resource was modified concurrently') {
+    super(message, 409, 'CONFLICT');
+    this.name = 'ConflictError';
+  }
+}
+
 export class AWSError extends AppError {
   constructor(message, originalError = null) {
     super(message, 500, 'AWS_ERROR');
@@ -47,6 +54,18 @@ export class OpenAIError extends AppError {
   }
 }
 
+/**
+ * An LLM call replayed from a cassette that has no recording for it
+ */
+export class CassetteMissError extends OpenAIError {
+  constructor(message, miss = null) {
+    super(message);
+    this.code = 'LLM_CASSETTE_MISS';
+    this.miss = miss;
+    this.name = 'CassetteMissError';
+  }
+}
+
 /**
  * Handle errors and return appropriate response
  */
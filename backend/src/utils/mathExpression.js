@@ -0,0 +1,510 @@
+/**
+ * Math expression parsing and exact evaluation
+ * A small, dependency-free parser for the arithmetic and algebra students
+ * type (or that normalizeToLaTeX produces): numbers, decimals, percents,
+ * single-letter variables, + - * / ^, implicit multiplication (2x, 3(x+1)),
+ * parentheses, |x|, sqrt and pi.
+ *
+ * Values are exact rationals ({ n, d } with BigInt parts) wherever possible,
+ * so 0.5, 1/2 and 2/4 compare equal with no rounding; irrational results
+ * (sqrt(2), pi) fall back to floating point numbers. Parts are capped at
+ * MAX_EXACT_BITS: students' text reaches this on every chat turn, and a
+ * short tower like ((3^64)^64)^64 would otherwise block the event loop for
+ * minutes. Anything larger throws a RangeError, so callers leave it to the LLM.
+ */
+
+const FUNCTIONS = new Set(['sqrt', 'abs']);
+const CONSTANTS = new Set(['pi']);
+const MAX_EXACT_EXPONENT = 64n;
+const MAX_EXACT_BITS = 4096;
+const FLOAT_TOLERANCE = 1e-9;
+
+// ── Rationals ───────────────────────────────────────────────────────────
+
+function bitLength(n) {
+  return (n < 0n ? -n : n).toString(16).length * 4;
+}
+
+function checkSize(n) {
+  if (bitLength(n) > MAX_EXACT_BITS) throw new RangeError('Number too large to compute exactly');
+}
+
+function gcd(a, b) {
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Build a normalized rational
+ * @param {bigint} n - Numerator
+ * @param {bigint} d - Denominator (non-zero)
+ * @returns {{n: bigint, d: bigint}} Rational in lowest terms with d > 0
+ */
+export function rational(n, d = 1n) {
+  if (d === 0n) throw new RangeError('Division by zero');
+  checkSize(n);
+  checkSize(d);
+  if (d < 0n) {
+    n = -n;
+    d = -d;
+  }
+  const g = gcd(n, d) || 1n;
+  return { n: n / g, d: d / g };
+}
+
+/**
+ * Exact rational from a decimal string such as "12", "0.25" or ".5"
+ */
+export function rationalFromDecimal(text) {
+  const [whole, fraction = ''] = text.split('.');
+  const scale = 10n ** BigInt(fraction.length);
+  return rational(BigInt(whole || '0') * scale + BigInt(fraction || '0'), scale);
+}
+
+function isRational(value) {
+  return typeof value === 'object' && value !== null && typeof value.n === 'bigint';
+}
+
+/**
+ * Convert a value (rational or float) to a JS number
+ */
+export function toNumber(value) {
+  return isRational(value) ? Number(value.n) / Number(value.d) : value;
+}
+
+function floatOrThrow(x) {
+  if (!Number.isFinite(x)) throw new RangeError('Result is not a finite number');
+  return x;
+}
+
+function add(a, b) {
+  if (isRational(a) && isRational(b)) return rational(a.n * b.d + b.n * a.d, a.d * b.d);
+  return floatOrThrow(toNumber(a) + toNumber(b));
+}
+
+function subtract(a, b) {
+  return add(a, negate(b));
+}
+
+function negate(a) {
+  return isRational(a) ? { n: -a.n, d: a.d } : -a;
+}
+
+function multiply(a, b) {
+  if (isRational(a) && isRational(b)) return rational(a.n * b.n, a.d * b.d);
+  return floatOrThrow(toNumber(a) * toNumber(b));
+}
+
+function divide(a, b) {
+  if (isZero(b)) throw new RangeError('Division by zero');
+  if (isRational(a) && isRational(b)) return rational(a.n * b.d, a.d * b.n);
+  return floatOrThrow(toNumber(a) / toNumber(b));
+}
+
+function integerSqrt(n) {
+  if (n < 0n) return null;
+  if (n < 2n) return n;
+  let x = BigInt(Math.floor(Math.sqrt(Number(n))));
+  while (x * x > n) x -= 1n;
+  while ((x + 1n) * (x + 1n) <= n) x += 1n;
+  return x * x === n ? x : null;
+}
+
+function sqrt(a) {
+  if (isRational(a)) {
+    if (a.n < 0n) throw new RangeError('Square root of a negative number');
+    const n = integerSqrt(a.n);
+    const d = integerSqrt(a.d);
+    if (n !== null && d !== null) return rational(n, d);
+  }
+  const x = toNumber(a);
+  if (x < 0) throw new RangeError('Square root of a negative number');
+  return Math.sqrt(x);
+}
+
+function power(base, exponent) {
+  if (isRational(base) && isRational(exponent) && exponent.d === 1n) {
+    const e = exponent.n < 0n ? -exponent.n : exponent.n;
+    if (e <= MAX_EXACT_EXPONENT) {
+      if (isZero(base) && exponent.n < 0n) throw new RangeError('Division by zero');
+      // Size the result before computing it
+      if (Math.max(bitLength(base.n), bitLength(base.d)) * Number(e) > MAX_EXACT_BITS) {
+        throw new RangeError('Number too large to compute exactly');
+      }
+      const raised = rational(base.n ** e, base.d ** e);
+      return exponent.n < 0n ? rational(raised.d, raised.n) : raised;
+    }
+  }
+  if (isRational(base) && isRational(exponent) && exponent.d === 2n && exponent.n === 1n) {
+    return sqrt(base);
+  }
+  return floatOrThrow(Math.pow(toNumber(base), toNumber(exponent)));
+}
+
+/**
+ * Whether a value is zero (floats within tolerance)
+ */
+export function isZero(value) {
+  return isRational(value) ? value.n === 0n : Math.abs(value) <= FLOAT_TOLERANCE;
+}
+
+/**
+ * Compare two values: exactly for rationals, within a relative tolerance otherwise
+ */
+export function valuesEqual(a, b) {
+  if (isRational(a) && isRational(b)) return a.n === b.n && a.d === b.d;
+  const x = toNumber(a);
+  const y = toNumber(b);
+  return Math.abs(x - y) <= FLOAT_TOLERANCE * Math.max(1, Math.abs(x), Math.abs(y));
+}
+
+/**
+ * Human-readable value: "9", "-3/4", or a float for irrationals
+ */
+export function formatValue(value) {
+  if (!isRational(value)) return String(Number(value.toPrecision(12)));
+  return value.d === 1n ? String(value.n) : `${value.n}/${value.d}`;
+}
+
+export { add, subtract, multiply, divide };
+
+// ── LaTeX → plain text ──────────────────────────────────────────────────
+
+/**
+ * Read a {...} group starting at text[start] === '{'
+ * @returns {{content: string, end: number}|null} Group content and index after '}'
+ */
+function readBraceGroup(text, start) {
+  if (text[start] !== '{') return null;
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}') depth--;
+    if (depth === 0) return { content: text.slice(start + 1, i), end: i + 1 };
+  }
+  return null;
+}
+
+/**
+ * Rewrite the LaTeX subset normalizeToLaTeX produces into plain math text
+ * (\frac{a}{b} → ((a)/(b)), \sqrt{x} → sqrt(x), \cdot → *, ...). Commands it
+ * doesn't know are left in place so parsing fails instead of guessing.
+ * @param {string} latex - LaTeX or plain text
+ * @returns {string} Plain text
+ */
+export function latexToPlain(latex) {
+  let text = String(latex)
+    .replace(/\\[([\])]/g, ' ')
+    .replace(/\$/g, ' ')
+    .replace(/\\left|\\right/g, '')
+    .replace(/\\[,;:! ]|\\q?quad/g, ' ')
+    .replace(/\\text\{([^{}]*)\}/g, ' $1 ')
+    .replace(/\\(?:cdot|times)/g, '*')
+    .replace(/\\div/g, '/')
+    .replace(/\\pi/g, ' pi ')
+    .replace(/\\%/g, '%');
+
+  // Expand \frac and \sqrt one at a time until none are left (handles nesting)
+  let previous;
+  do {
+    previous = text;
+    text = expandCommand(text, 'frac') ?? text;
+    text = expandCommand(text, 'sqrt') ?? text;
+  } while (text !== previous);
+
+  return text
+    .replace(/\^\{([^{}]*)\}/g, '^($1)')
+    .replace(/[{}]/g, (brace) => (brace === '{' ? '(' : ')'));
+}
+
+/**
+ * Expand the first \frac{..}{..} or \sqrt[n]{..} in text, or return null
+ */
+function expandCommand(text, name) {
+  const pattern = name === 'frac' ? /\\[dt]?frac\s*/g : /\\sqrt\s*/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    let cursor = match.index + match[0].length;
+
+    if (name === 'frac') {
+      const numerator = readBraceGroup(text, cursor);
+      const denominator = numerator && readBraceGroup(text, numerator.end);
+      if (!denominator) continue;
+      return `${text.slice(0, match.index)}((${numerator.content})/(${denominator.content}))${text.slice(denominator.end)}`;
+    }
+
+    let index = null;
+    if (text[cursor] === '[') {
+      const close = text.indexOf(']', cursor);
+      if (close === -1) continue;
+      index = text.slice(cursor + 1, close);
+      cursor = close + 1;
+    }
+    const radicand = readBraceGroup(text, cursor);
+    if (!radicand) continue;
+    const replacement = index
+      ? `((${radicand.content})^(1/(${index})))`
+      : `sqrt(${radicand.content})`;
+    return `${text.slice(0, match.index)}${replacement}${text.slice(radicand.end)}`;
+  }
+  return null;
+}
+
+// ── Tokenizer and parser ────────────────────────────────────────────────
+
+const UNICODE_REPLACEMENTS = [
+  [/[×·∙]/g, '*'],
+  [/÷/g, '/'],
+  [/[−–—]/g, '-'],
+  [/²/g, '^2'],
+  [/³/g, '^3'],
+  [/√/g, 'sqrt'],
+  [/π/g, 'pi']
+];
+
+function tokenize(text) {
+  let source = text;
+  UNICODE_REPLACEMENTS.forEach(([pattern, replacement]) => {
+    source = source.replace(pattern, replacement);
+  });
+  // Thousands separators: 1,000 → 1000
+  source = source.replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i);
+    let match;
+    if ((match = rest.match(/^\s+/))) {
+      i += match[0].length;
+    } else if ((match = rest.match(/^(\d+(\.\d+)?|\.\d+)/))) {
+      tokens.push({ type: 'num', value: match[0] });
+      i += match[0].length;
+    } else if ((match = rest.match(/^[a-zA-Z]+/))) {
+      const word = match[0].toLowerCase();
+      if (FUNCTIONS.has(word) || CONSTANTS.has(word)) {
+        tokens.push({ type: 'id', value: word });
+      } else if (word.length === 1) {
+        tokens.push({ type: 'var', value: word });
+      } else {
+        throw new SyntaxError(`Unexpected word "${match[0]}"`);
+      }
+      i += match[0].length;
+    } else if ('+-*/^()=%|'.includes(source[i])) {
+      tokens.push({ type: 'op', value: source[i] });
+      i += 1;
+    } else {
+      throw new SyntaxError(`Unexpected character "${source[i]}"`);
+    }
+  }
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  isOp(value) {
+    const token = this.peek();
+    return token?.type === 'op' && token.value === value;
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  expectOp(value) {
+    if (!this.isOp(value)) throw new SyntaxError(`Expected "${value}"`);
+    this.next();
+  }
+
+  expression() {
+    let node = this.term();
+    while (this.isOp('+') || this.isOp('-')) {
+      const op = this.next().value;
+      node = { type: 'bin', op, left: node, right: this.term() };
+    }
+    return node;
+  }
+
+  // Implicit multiplication starts at a number, variable, function, constant or '('
+  startsImplicitFactor(previous) {
+    const token = this.peek();
+    if (!token) return false;
+    if (token.type === 'num') return previous.type !== 'num';
+    return token.type === 'var' || token.type === 'id' || (token.type === 'op' && token.value === '(');
+  }
+
+  term() {
+    let node = this.unary();
+    for (;;) {
+      if (this.isOp('*') || this.isOp('/')) {
+        const op = this.next().value;
+        node = { type: 'bin', op, left: node, right: this.unary() };
+      } else if (this.startsImplicitFactor(node)) {
+        node = { type: 'bin', op: '*', left: node, right: this.power() };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  unary() {
+    if (this.isOp('-')) {
+      this.next();
+      return { type: 'neg', arg: this.unary() };
+    }
+    if (this.isOp('+')) {
+      this.next();
+      return this.unary();
+    }
+    return this.power();
+  }
+
+  power() {
+    const base = this.postfix();
+    if (this.isOp('^')) {
+      this.next();
+      return { type: 'bin', op: '^', left: base, right: this.unary() };
+    }
+    return base;
+  }
+
+  postfix() {
+    let node = this.primary();
+    while (this.isOp('%')) {
+      this.next();
+      node = { type: 'bin', op: '/', left: node, right: { type: 'num', value: rational(100n) } };
+    }
+    return node;
+  }
+
+  primary() {
+    const token = this.next();
+    if (!token) throw new SyntaxError('Unexpected end of expression');
+
+    if (token.type === 'num') return { type: 'num', value: rationalFromDecimal(token.value), text: token.value };
+    if (token.type === 'var') return { type: 'var', name: token.value };
+    if (token.type === 'id' && CONSTANTS.has(token.value)) return { type: 'const', name: token.value };
+    if (token.type === 'id') {
+      // sqrt(x), sqrt x, sqrt 2
+      const arg = this.isOp('(') ? this.primary() : this.power();
+      return { type: 'call', name: token.value, arg };
+    }
+    if (token.value === '(') {
+      const node = this.expression();
+      this.expectOp(')');
+      return node;
+    }
+    if (token.value === '|') {
+      const node = this.expression();
+      this.expectOp('|');
+      return { type: 'call', name: 'abs', arg: node };
+    }
+    throw new SyntaxError(`Unexpected "${token.value}"`);
+  }
+}
+
+/**
+ * Parse plain math text into one expression, or an equation/chain (a = b = c)
+ * @param {string} text - Plain math text (run latexToPlain first for LaTeX)
+ * @returns {Array<Object>} ASTs of the '='-separated sides (length 1 for an expression)
+ * @throws {SyntaxError} If the text isn't a math statement this parser understands
+ */
+export function parseStatement(text) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) throw new SyntaxError('Empty expression');
+
+  const sides = [];
+  let current = [];
+  tokens.forEach(token => {
+    if (token.type === 'op' && token.value === '=') {
+      sides.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  });
+  sides.push(current);
+
+  return sides.map(sideTokens => {
+    const parser = new Parser(sideTokens);
+    const node = parser.expression();
+    if (parser.peek()) throw new SyntaxError(`Unexpected "${parser.peek().value}"`);
+    return node;
+  });
+}
+
+/**
+ * Parse a single expression (no '=')
+ * @param {string} text - Plain math text
+ * @returns {Object} AST
+ */
+export function parseExpression(text) {
+  const sides = parseStatement(text);
+  if (sides.length !== 1) throw new SyntaxError('Expected an expression, not an equation');
+  return sides[0];
+}
+
+/**
+ * Variable names used in an AST, sorted
+ */
+export function variablesOf(node, found = new Set()) {
+  if (node.type === 'var') found.add(node.name);
+  if (node.arg) variablesOf(node.arg, found);
+  if (node.left) variablesOf(node.left, found);
+  if (node.right) variablesOf(node.right, found);
+  return [...found].sort();
+}
+
+/**
+ * Whether an AST contains any operator or function (i.e. isn't a bare number or variable)
+ */
+export function hasOperation(node) {
+  return node.type === 'bin' || node.type === 'call' || (node.type === 'neg' && hasOperation(node.arg));
+}
+
+/**
+ * Evaluate an AST
+ * @param {Object} node - AST
+ * @param {Object} env - Variable values (rationals or numbers)
+ * @returns {Object|number} Rational when exact, else a float
+ * @throws {RangeError} On division by zero, unbound variables and similar
+ */
+export function evaluate(node, env = {}) {
+  switch (node.type) {
+    case 'num':
+      return node.value;
+    case 'const':
+      return Math.PI;
+    case 'var':
+      if (!(node.name in env)) throw new RangeError(`No value for ${node.name}`);
+      return env[node.name];
+    case 'neg':
+      return negate(evaluate(node.arg, env));
+    case 'call': {
+      const arg = evaluate(node.arg, env);
+      if (node.name === 'sqrt') return sqrt(arg);
+      return isRational(arg) ? { n: arg.n < 0n ? -arg.n : arg.n, d: arg.d } : Math.abs(arg);
+    }
+    case 'bin': {
+      const left = evaluate(node.left, env);
+      const right = evaluate(node.right, env);
+      if (node.op === '+') return add(left, right);
+      if (node.op === '-') return subtract(left, right);
+      if (node.op === '*') return multiply(left, right);
+      if (node.op === '/') return divide(left, right);
+      return power(left, right);
+    }
+    default:
+      throw new SyntaxError(`Unknown node ${node.type}`);
+  }
+}
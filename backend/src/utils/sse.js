@@ -0,0 +1,36 @@
+/**
+ * Server-Sent Events helpers
+ * Shared by the streamed chat route and the collaboration event channel.
+ */
+
+/**
+ * Send SSE response headers and flush them so the client sees the stream open
+ * @param {Object} res - Express response
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write one named event with a JSON payload
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+export function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Write an SSE comment line, used as a keep-alive so idle proxies don't cut the connection
+ * @param {Object} res - Express response
+ */
+export function writeHeartbeat(res) {
+  res.write(': ping\n\n');
+}
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sessionStore } from '../src/services/memoryStore.js';
+import {
+  hashPassword,
+  verifyPassword,
+  createAccount,
+  getAccount,
+  listAccounts,
+  setAccountDisabled,
+  authenticateAccount,
+  ensureBootstrapAdmin
+} from '../src/services/accountService.js';
+import { getAllSessions } from '../src/services/dashboardService.js';
+
+test('hashPassword salts each hash and verifyPassword checks it', async () => {
+  const a = await hashPassword('correct horse');
+  const b = await hashPassword('correct horse');
+  assert.notEqual(a, b);
+  assert.equal(await verifyPassword('correct horse', a), true);
+  assert.equal(await verifyPassword('wrong horse', a), false);
+  assert.equal(await verifyPassword('anything', 'garbage'), false);
+});
+
+test('createAccount stores a hash, never the password, and rejects duplicates and bad input', async () => {
+  const account = await createAccount({ username: 'Ms.Rivera', password: 'longenough', role: 'teacher' }, 'root');
+  assert.deepEqual(
+    { username: account.username, role: account.role, disabled: account.disabled, created_by: account.created_by },
+    { username: 'ms.rivera', role: 'teacher', disabled: false, created_by: 'root' }
+  );
+  assert.equal(account.password_hash, undefined);
+
+  const stored = getAccount('ms.rivera');
+  assert.notEqual(stored.password_hash, 'longenough');
+  assert.ok(!JSON.stringify(sessionStore.get('ACCOUNT#ms.rivera')).includes('longenough'));
+
+  await assert.rejects(() => createAccount({ username: 'ms.rivera', password: 'longenough', role: 'teacher' }), { name: 'ConflictError' });
+  await assert.rejects(() => createAccount({ username: 'x', password: 'longenough', role: 'teacher' }), { name: 'ValidationError' });
+  await assert.rejects(() => createAccount({ username: 'shortpw', password: 'short', role: 'teacher' }), { name: 'ValidationError' });
+  await assert.rejects(() => createAccount({ username: 'badrole', password: 'longenough', role: 'owner' }), { name: 'ValidationError' });
+});
+
+test('authenticateAccount rejects wrong passwords and disabled accounts', async () => {
+  await createAccount({ username: 'observer1', password: 'watchonly', role: 'observer' });
+
+  const account = await authenticateAccount('observer1', 'watchonly');
+  assert.equal(account.role, 'observer');
+
+  await assert.rejects(() => authenticateAccount('observer1', 'nope'), { statusCode: 401 });
+  await assert.rejects(() => authenticateAccount('nobody', 'watchonly'), { statusCode: 401 });
+  await assert.rejects(() => authenticateAccount('observer1', { length: 9 }), { statusCode: 401 });
+
+  setAccountDisabled('observer1', true, 'someadmin');
+  await assert.rejects(() => authenticateAccount('observer1', 'watchonly'), { statusCode: 403, code: 'ACCOUNT_DISABLED' });
+});
+
+test('setAccountDisabled refuses to lock an admin out of their own account', async () => {
+  await createAccount({ username: 'selfadmin', password: 'adminpass', role: 'admin' });
+  assert.throws(() => setAccountDisabled('selfadmin', true, 'selfadmin'), { name: 'ValidationError' });
+  assert.throws(() => setAccountDisabled('ghost', true, 'selfadmin'), { name: 'NotFoundError' });
+});
+
+test('ensureBootstrapAdmin only creates an admin when none exists', async () => {
+  // An admin already exists from the previous test, so nothing is created
+  assert.equal(await ensureBootstrapAdmin({ ADMIN_USERNAME: 'boot', ADMIN_PASSWORD: 'bootstrap1' }), null);
+  assert.equal(getAccount('boot'), null);
+});
+
+test('accounts never show up as student sessions on the dashboard', async () => {
+  const sessions = await getAllSessions();
+  assert.ok(sessions.every(s => s.record_type !== 'account'));
+  assert.ok(listAccounts().length >= 3);
+});
@@ -0,0 +1,237 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCanonicalAnswer, checkAnswer, checkStep } from '../src/services/answerChecker.js';
+import { latexToPlain, parseExpression, evaluate, formatValue } from '../src/utils/mathExpression.js';
+
+const value = (text) => formatValue(evaluate(parseExpression(latexToPlain(text))));
+
+test('mathExpression evaluates LaTeX and plain input exactly', () => {
+  assert.equal(value('\\frac{3}{4} + \\frac{1}{2}'), '5/4');
+  assert.equal(value('\\frac{\\frac{1}{2}}{3}'), '1/6');
+  assert.equal(value('0.25 + 1/4'), '1/2');
+  assert.equal(value('2^{-2}'), '1/4');
+  assert.equal(value('\\sqrt{16} \\times 3'), '12');
+  assert.equal(value('7 ÷ 2'), '7/2');
+  assert.equal(value('50%'), '1/2');
+  assert.equal(value('|3 - 5|'), '2');
+  assert.equal(value('1,000 + 1'), '1001');
+  assert.throws(() => parseExpression('the answer'), SyntaxError);
+  assert.throws(() => parseExpression('1 1/4'), SyntaxError);
+});
+
+test('computeCanonicalAnswer solves arithmetic and linear equations', () => {
+  assert.deepEqual(computeCanonicalAnswer('Solve for x: $2x + 3 = 21$'), { type: 'value', variable: 'x', value: '9' });
+  assert.deepEqual(computeCanonicalAnswer('3(x - 2) = 12'), { type: 'value', variable: 'x', value: '6' });
+  assert.deepEqual(computeCanonicalAnswer('\\frac{x}{3} = 4'), { type: 'value', variable: 'x', value: '12' });
+  assert.deepEqual(computeCanonicalAnswer('\\frac{3}{4} + \\frac{1}{2}'), { type: 'value', variable: null, value: '5/4' });
+  assert.deepEqual(computeCanonicalAnswer('What is 7 \\times 8?'), { type: 'value', variable: null, value: '56' });
+  assert.deepEqual(
+    computeCanonicalAnswer('2x + y = 5', 'Solve for y: 2x + y = 5'),
+    { type: 'solve', variable: 'y', equation: '2x + y = 5' }
+  );
+  assert.deepEqual(
+    computeCanonicalAnswer('2x + y = 5', 'Solve 2x + y = 5 for y.'),
+    { type: 'solve', variable: 'y', equation: '2x + y = 5' }
+  );
+  assert.deepEqual(
+    computeCanonicalAnswer('\\text{Solve } 2x + y = 5 \\text{ for } y'),
+    { type: 'solve', variable: 'y', equation: '2x + y = 5' }
+  );
+});
+
+test('computeCanonicalAnswer leaves problems it cannot solve to the LLM', () => {
+  assert.equal(computeCanonicalAnswer('x^2 - 5x + 6 = 0'), null);
+  assert.equal(computeCanonicalAnswer('Sarah has 5 apples and buys 3 more. How many apples does she have now?'), null);
+  assert.equal(computeCanonicalAnswer('2x + 3y = 12'), null); // no unknown named
+  assert.equal(computeCanonicalAnswer('x = 2 = 3'), null);
+  assert.equal(computeCanonicalAnswer(''), null);
+});
+
+test('computeCanonicalAnswer leaves problems whose words carry the math to the LLM', () => {
+  assert.equal(computeCanonicalAnswer('What is 15% of 80?'), null);
+  assert.equal(computeCanonicalAnswer('15\\% \\text{ of } 80', 'What is 15% of 80?'), null);
+  assert.equal(computeCanonicalAnswer('What is 2/3 of 12?'), null);
+  assert.equal(computeCanonicalAnswer('Find half of 3 + 5'), null);
+  assert.equal(computeCanonicalAnswer('Half of x = 6'), null);
+
+  // Prose in another clause doesn't touch the math
+  assert.deepEqual(computeCanonicalAnswer('Find the value of x: 2x + 3 = 21'), { type: 'value', variable: 'x', value: '9' });
+});
+
+test('numbers too large to compute exactly are left to the LLM, quickly', () => {
+  const started = Date.now();
+  assert.equal(computeCanonicalAnswer('((3^64)^64)^60 / ((7^64)^64)^60'), null);
+  assert.equal(checkAnswer('((9^64)^64)^64 / ((8^64)^64)^64', computeCanonicalAnswer('2x + 3 = 21')), null);
+  assert.equal(checkAnswer(`the answer is ${'9'.repeat(2000)}`, computeCanonicalAnswer('2x + 3 = 21')), null);
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+
+  assert.equal(value('2^64'), '18446744073709551616');
+  assert.throws(() => evaluate(parseExpression('(3^64)^64')), RangeError);
+});
+
+test('checkAnswer accepts equivalent forms of a value answer', () => {
+  const answer = computeCanonicalAnswer('2x + 3 = 21');
+  for (const reply of ['9', 'x = 9', 'X=9', '9 = x', 'x = 18/2 = 9', 'The answer is 9.', 'x is 9', '9.0', '18/2']) {
+    assert.deepEqual(
+      { ...checkAnswer(reply, answer), reasoning: undefined },
+      { solution_completed: true, is_correct: true, reasoning: undefined },
+      reply
+    );
+  }
+});
+
+test('checkAnswer treats fractions and correctly rounded decimals as the same answer', () => {
+  const answer = computeCanonicalAnswer('\\frac{3}{4} + \\frac{1}{2}');
+  assert.equal(checkAnswer('1.25', answer).is_correct, true);
+  assert.equal(checkAnswer('10/8', answer).is_correct, true);
+  assert.equal(checkAnswer('\\frac{5}{4}', answer).is_correct, true);
+
+  const third = computeCanonicalAnswer('1/3 + 0');
+  assert.equal(checkAnswer('0.33', third).is_correct, true);
+  assert.equal(checkAnswer('0.333', third).is_correct, true);
+  assert.equal(checkAnswer('0.3', third), null, 'one decimal place is too coarse to decide');
+});
+
+test('checkAnswer separates wrong final answers, intermediate steps and undecidable replies', () => {
+  const answer = computeCanonicalAnswer('2x + 3 = 21');
+
+  assert.deepEqual(checkAnswer('x = 8', answer), { solution_completed: true, is_correct: false, reasoning: 'Expected 9' });
+  assert.equal(checkAnswer('the answer is 8', answer).is_correct, false);
+  assert.equal(checkAnswer('2x = 18', answer).solution_completed, false);
+
+  // A bare wrong number may answer the tutor's sub-question, and prose needs the LLM
+  assert.equal(checkAnswer('18', answer), null);
+  assert.equal(checkAnswer('I think we subtract 3 first', answer), null);
+  assert.equal(checkAnswer('y = 9', answer), null);
+  assert.equal(checkAnswer('9', null), null);
+});
+
+test('checkAnswer accepts reordered terms when solving a literal equation', () => {
+  const answer = computeCanonicalAnswer('2x + y = 5', 'Solve for y: 2x + y = 5');
+
+  for (const reply of ['y = 5 - 2x', '-2x + 5', 'y = -2 * x + 5', '(10 - 4x)/2']) {
+    assert.equal(checkAnswer(reply, answer).is_correct, true, reply);
+  }
+  assert.deepEqual(checkAnswer('y = 2x - 5', answer), {
+    solution_completed: true,
+    is_correct: false,
+    reasoning: "Doesn't solve 2x + y = 5 for y"
+  });
+  assert.equal(checkAnswer('y = 5 - 2y', answer).solution_completed, false);
+});
+
+test('detectSolutionCompletion only asks the LLM when the checker cannot decide', async () => {
+  const { __setChatCompletionOverride } = await import('../src/services/openai.js');
+  const { detectSolutionCompletion } = await import('../src/services/socraticEngine.js');
+
+  let llmCalls = 0;
+  __setChatCompletionOverride(async () => {
+    llmCalls += 1;
+    return { choices: [{ message: { content: '{"solution_completed": false, "is_correct": false, "reasoning": "step"}' } }] };
+  });
+
+  try {
+    const problem = { raw_input: '2x + 3 = 21', normalized_latex: '2x + 3 = 21' };
+
+    const symbolic = await detectSolutionCompletion('x = 9', problem, []);
+    assert.equal(symbolic.method, 'symbolic');
+    assert.equal(symbolic.is_correct, true);
+    assert.equal(llmCalls, 0);
+
+    const llm = await detectSolutionCompletion('we take away 3 from both sides', problem, []);
+    assert.equal(llm.method, 'llm');
+    assert.equal(llmCalls, 1);
+
+    // A stored null answer means "not solvable symbolically": straight to the LLM
+    await detectSolutionCompletion('x = 9', { ...problem, canonical_answer: null }, []);
+    assert.equal(llmCalls, 2);
+  } finally {
+    __setChatCompletionOverride(null);
+  }
+});
+
+test('checkStep compares each step with the latest valid equation', () => {
+  const problem = { raw_input: 'Solve 3x - 7 = 20', normalized_latex: '3x - 7 = 20' };
+
+  assert.deepEqual(checkStep('3x = 27', problem, []), {
+    valid: true,
+    state: '3x = 27',
+    reasoning: '3x = 27 follows from 3x - 7 = 20'
+  });
+  assert.deepEqual(checkStep('3x = 13', problem, []), {
+    valid: false,
+    state: null,
+    reasoning: '3x = 13 gives x = 13/3, but then 3x - 7 = 20 would read 6 = 20',
+    error: 'equation'
+  });
+  assert.equal(checkStep('3x - 7 + 7 = 20 + 7', problem, []).valid, true);
+  assert.equal(checkStep('x = 27/3 = 9', problem, []).state, 'x = 9');
+
+  // Later steps are checked against the student's last valid rewrite
+  const steps = [{ step_check: { valid: true, state: '3x = 27', reasoning: '' } }, { step_check: null }];
+  assert.equal(checkStep('x = 10', problem, steps).reasoning, 'With x = 10, 3x = 27 would read 30 = 27');
+
+  // Number work on the side, and replies that aren't checkable steps
+  assert.equal(checkStep('27/3 = 9', problem, []).valid, true);
+  assert.equal(checkStep('27/3 = 8', problem, []).error, 'arithmetic');
+  assert.equal(checkStep('9', problem, []), null);
+  assert.equal(checkStep('I think we add 7 to both sides', problem, []), null);
+  assert.equal(checkStep('x^2 = 81', problem, []), null);
+  assert.equal(checkStep('x = 3', { raw_input: 'Sarah has 5 apples and buys 3 more. How many does she have?' }, []), null);
+});
+
+test('checkStep handles literal equations and arithmetic rewrites', () => {
+  const literal = { raw_input: 'Solve for y: 2x + y = 5', normalized_latex: '2x + y = 5' };
+  assert.equal(checkStep('y = 5 - 2x', literal, []).valid, true);
+  assert.equal(checkStep('2x = 5 - y', literal, []).valid, true);
+  assert.equal(checkStep('y = 5 + 2x', literal, []).valid, false);
+
+  const arithmetic = { raw_input: 'What is 2 x 3 + 4?', normalized_latex: '2 \\times 3 + 4' };
+  assert.deepEqual(checkStep('6 + 4', arithmetic, []), { valid: true, state: '6 + 4', reasoning: '6 + 4 equals 2 * 3 + 4' });
+  assert.equal(checkStep('6 + 5', arithmetic, []).valid, false);
+  assert.equal(checkStep('2 * 3 = 5', arithmetic, []).valid, false);
+  assert.equal(checkStep('10', arithmetic, []), null);
+});
+
+test('checkStep leaves steps with numbers too large to compute exactly unjudged, quickly', () => {
+  const problem = { raw_input: 'Solve 3x - 7 = 20', normalized_latex: '3x - 7 = 20' };
+  const arithmetic = { raw_input: 'What is 2 x 3 + 4?', normalized_latex: '2 \\times 3 + 4' };
+
+  const started = Date.now();
+  assert.equal(checkStep('((9^64)^64)^64 = ((8^64)^64)^64', problem, []), null);
+  assert.equal(checkStep('3x = ((3^64)^64)^60 / ((7^64)^64)^60', problem, []), null);
+  assert.equal(checkStep('(x^64)^64 = 27', problem, []), null);
+  assert.equal(checkStep('((9^64)^64)^64 - 6', arithmetic, []), null);
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+});
+
+test('processStudentResponse lets the step check decide progress and briefs the tutor', async () => {
+  const { __setChatCompletionOverride } = await import('../src/services/openai.js');
+  const { processStudentResponse } = await import('../src/services/socraticEngine.js');
+
+  const stepBriefings = [];
+  __setChatCompletionOverride(async (params) => {
+    const briefing = params.messages.find(m => m.role === 'system' && m.content.startsWith('Step check'));
+    if (briefing) stepBriefings.push(briefing.content);
+    // The tutor praises everything; the step check should win anyway
+    return { choices: [{ message: { content: params.max_tokens === 800 ? 'Correct! Great job.' : 'NO' } }] };
+  });
+
+  try {
+    const problem = { raw_input: 'Solve 3x - 7 = 20', normalized_latex: '3x - 7 = 20', category: 'Algebra' };
+
+    const valid = await processStudentResponse({ studentResponse: '3x = 27', problem, steps: [] });
+    assert.equal(valid.step.progress_made, true);
+    assert.equal(valid.step.step_check.state, '3x = 27');
+
+    const invalid = await processStudentResponse({ studentResponse: 'x = 10', problem, steps: [valid.step] });
+    assert.equal(invalid.step.progress_made, false);
+    assert.equal(invalid.step.step_check.valid, false);
+
+    assert.equal(stepBriefings.length, 2);
+    assert.match(stepBriefings[0], /mathematically valid/);
+    assert.match(stepBriefings[1], /NOT valid \(With x = 10, 3x = 27 would read 30 = 27\)/);
+  } finally {
+    __setChatCompletionOverride(null);
+  }
+});
@@ -0,0 +1,122 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCanonicalAnswer } from '../src/services/answerChecker.js';
+import {
+  findAnswerLeak,
+  studentHasGivenAnswer,
+  redactAnswerLeak,
+  createGuardedStream,
+  REDACTED_FALLBACK
+} from '../src/services/answerLeakGuard.js';
+
+const linear = computeCanonicalAnswer('2x + 3 = 21');
+
+test('findAnswerLeak catches stated answers and worked results', () => {
+  for (const message of [
+    'Great work! So x = 9.',
+    'Then $x = \\frac{18}{2} = 9$, nice.',
+    'When we divide, 18 / 2 = 9.',
+    'The answer is 9!',
+    'x is 9 because 2 times 9 is 18.',
+    'So the answer would be 9.0'
+  ]) {
+    assert.ok(findAnswerLeak(message, linear, '2x + 3 = 21'), message);
+  }
+
+  for (const message of [
+    'What do you get when you subtract 3 from both sides?',
+    'Nice, 2x = 18. What comes next?',
+    'We have 9 minutes left, so take your time.',
+    'What is 21 - 3?'
+  ]) {
+    assert.equal(findAnswerLeak(message, linear, '2x + 3 = 21'), null, message);
+  }
+
+  assert.equal(findAnswerLeak('x = 9', null), null);
+});
+
+test('findAnswerLeak only flags explicit forms when the answer is already in the problem', () => {
+  const answer = computeCanonicalAnswer('x - 4 = 4');
+  assert.equal(findAnswerLeak('Right, the right side is 4.', answer, 'x - 4 = 4'), null);
+  assert.ok(findAnswerLeak('So the answer is 8.', answer, 'x - 4 = 4'));
+  assert.ok(findAnswerLeak('x = 8', answer, 'x - 4 = 4'));
+});
+
+test('findAnswerLeak recognizes rearranged literal-equation answers', () => {
+  const answer = computeCanonicalAnswer('2x + y = 5', 'Solve for y: 2x + y = 5');
+  assert.deepEqual(findAnswerLeak('Then y = 5 - 2x, right?', answer), { excerpt: 'y = 5 - 2x' });
+  assert.ok(findAnswerLeak('We end up with y = -2x + 5 once we move terms.', answer));
+  assert.equal(findAnswerLeak('What happens if y = 2x?', answer), null);
+});
+
+test('studentHasGivenAnswer and redactAnswerLeak', () => {
+  assert.equal(studentHasGivenAnswer(['2x = 18', 'x = 9'], linear), true);
+  assert.equal(studentHasGivenAnswer(['2x = 18', '8'], linear), false);
+
+  assert.equal(
+    redactAnswerLeak('Nice job. That gives x = 9. What did you do first?', linear),
+    'Nice job. What did you do first?'
+  );
+  assert.equal(redactAnswerLeak('x = 9.', linear), REDACTED_FALLBACK);
+});
+
+test('createGuardedStream streams words but holds back a leaking value', () => {
+  const forwarded = [];
+  const stream = createGuardedStream(text => forwarded.push(text), text => !!findAnswerLeak(text, linear));
+
+  for (const token of ['Good', ' thinking! ', 'So 2x', ' = 18. ', 'Now x', ' = ', '9. ', 'Try it.']) {
+    stream.push(token);
+  }
+  stream.flush();
+
+  assert.deepEqual(forwarded, ['Good', ' thinking! ', 'So ', '2x = 18. ', 'Now x', ' ']);
+});
+
+test('generateTutorResponse rewrites a leaking draft and logs the intercept', async () => {
+  const { __setChatCompletionOverride } = await import('../src/services/openai.js');
+  const { generateTutorResponse } = await import('../src/services/socraticEngine.js');
+  const log = mock.method(console, 'log', () => {});
+
+  const drafts = ['Almost! 2x = 18, so x = 9.', 'Almost! 2x = 18. What should we divide both sides by?'];
+  const requests = [];
+  __setChatCompletionOverride(async (params) => {
+    requests.push(params);
+    return { choices: [{ message: { content: drafts[requests.length - 1] } }] };
+  });
+
+  try {
+    const context = {
+      problemText: '2x + 3 = 21',
+      normalizedLatex: '2x + 3 = 21',
+      category: 'Algebra',
+      studentResponse: '2x = 18',
+      conversationHistory: []
+    };
+
+    const streamed = [];
+    const response = await generateTutorResponse({ ...context, onToken: text => streamed.push(text) });
+    assert.equal(response.message, drafts[1]);
+    assert.equal(response.leakIntercepted, true);
+    assert.equal(streamed.join(''), 'Almost! ', 'only the sentence before the leak was streamed');
+    assert.match(requests[1].messages.at(-1).content, /gave away the answer \("so x = 9"\)/);
+
+    // The rewrite leaks too: the leaking sentence is dropped instead
+    requests.length = 0;
+    drafts[1] = 'Remember x = 9.';
+    const redacted = await generateTutorResponse(context);
+    assert.equal(redacted.message, REDACTED_FALLBACK);
+
+    // Once the student has the answer, the tutor may repeat it
+    requests.length = 0;
+    const confirmed = await generateTutorResponse({ ...context, studentResponse: 'x = 9' });
+    assert.equal(confirmed.leakIntercepted, false);
+    assert.equal(requests.length, 1);
+
+    const metrics = log.mock.calls.map(call => call.arguments.join(' '));
+    assert.equal(metrics.filter(line => line.includes('AnswerLeak.Intercepted')).length, 2);
+    assert.equal(metrics.filter(line => line.includes('AnswerLeak.Redacted')).length, 1);
+  } finally {
+    __setChatCompletionOverride(null);
+    log.mock.restore();
+  }
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sessionStore } from '../src/services/memoryStore.js';
+import { createSession, getSession } from '../src/services/sessionService.js';
+import { createClass, updateAssessmentSettings } from '../src/services/classService.js';
+import { linkSessionToLearner } from '../src/services/learnerProfileService.js';
+import {
+  createAssignment,
+  deleteAssignment,
+  listAssignments,
+  getAssignmentReport,
+  getAssignmentsForSession,
+  getProblemAssessmentSettings
+} from '../src/services/assignmentService.js';
+import { selectProblemHandler } from '../src/handlers/problemHandler.js';
+import { __setChatCompletionOverride } from '../src/services/openai.js';
+import { callHandler } from './helpers/callHandler.js';
+
+async function selectProblem(sessionCode, body) {
+  return (await callHandler(selectProblemHandler, { params: { code: sessionCode }, body })).body;
+}
+
+/**
+ * Mark a session's problem at an assignment position as finished with a confidence
+ */
+function finishAssignmentProblem(sessionCode, assignmentId, position, confidence) {
+  const session = sessionStore.get(sessionCode);
+  sessionStore.merge(sessionCode, {
+    current_problem_id: null,
+    problems: [...(session.problems || []), {
+      problem_id: `P${position}${sessionCode}`,
+      raw_input: `Problem ${position}`,
+      assignment_id: assignmentId,
+      assignment_position: position,
+      completed: true,
+      learning_assessment: { assessment_completed: true, learning_confidence: confidence }
+    }]
+  });
+}
+
+test('createAssignment validates its class, title, problems and settings', () => {
+  const classRecord = createClass({ name: 'Assignments 1', owner: 'ms.lee' });
+  const created = createAssignment({
+    classId: classRecord.class_id,
+    title: '  Linear equations ',
+    problems: ['2x + 3 = 7', '  ', '5x - 2 = 13'],
+    dueAt: '2026-11-02T15:00:00Z',
+    assessmentSettings: { transfer_stage: 'never' }
+  }, 'ms.lee');
+
+  assert.match(created.assignment_id, /^ASG[0-9A-F]{12}$/);
+  assert.equal(created.title, 'Linear equations');
+  assert.deepEqual(created.problems, [
+    { position: 0, problem_text: '2x + 3 = 7' },
+    { position: 1, problem_text: '5x - 2 = 13' }
+  ]);
+  assert.equal(created.due_at, '2026-11-02T15:00:00.000Z');
+
+  const base = { classId: classRecord.class_id, title: 'T', problems: ['1 + 1'] };
+  assert.throws(() => createAssignment({ ...base, classId: 'CLSNOPE' }), { name: 'NotFoundError' });
+  assert.throws(() => createAssignment({ ...base, title: ' ' }), { name: 'ValidationError' });
+  assert.throws(() => createAssignment({ ...base, problems: [] }), { name: 'ValidationError' });
+  assert.throws(() => createAssignment({ ...base, dueAt: 'next week' }), { name: 'ValidationError' });
+  assert.throws(() => createAssignment({ ...base, assessmentSettings: { transfer_stage: 'sometimes' } }), { name: 'ValidationError' });
+
+  // The assignment's settings win over the class's for its problems only
+  updateAssessmentSettings(classRecord.class_id, { transfer_stage: 'on_mc_pass' });
+  assert.equal(getProblemAssessmentSettings(classRecord.class_id, { assignment_id: created.assignment_id }).transfer_stage, 'never');
+  assert.equal(getProblemAssessmentSettings(classRecord.class_id, {}).transfer_stage, 'on_mc_pass');
+});
+
+test('students start assignment problems by position and only from their own class', async () => {
+  const classRecord = createClass({ name: 'Assignments 2', owner: 'ms.lee' });
+  const otherClass = createClass({ name: 'Assignments 2b', owner: 'mr.kim' });
+  const later = createAssignment({ classId: classRecord.class_id, title: 'Later', problems: ['x / 4 = 3'], dueAt: '2026-12-01' });
+  const sooner = createAssignment({ classId: classRecord.class_id, title: 'Sooner', problems: ['2x + 3 = 7', 'A train goes 90 miles in 1.5 hours. How fast is it going?'], dueAt: '2026-11-01' });
+  createAssignment({ classId: otherClass.class_id, title: 'Not yours', problems: ['1 + 1'] });
+
+  const session = await createSession('ASGN01', { classId: classRecord.class_id });
+  assert.deepEqual(getAssignmentsForSession(session).map(a => a.title), ['Sooner', 'Later']);
+
+  const prompts = [];
+  __setChatCompletionOverride(async (params) => {
+    prompts.push(params.messages[params.messages.length - 1].content);
+    return { choices: [{ message: { content: 'What could you do first?' } }] };
+  });
+  try {
+    const started = await selectProblem('ASGN01', { assignment_id: sooner.assignment_id, problem_index: 1 });
+    assert.equal(started.tutor_message, 'What could you do first?');
+    // The stub would fail validation, so getting here means it was skipped
+    assert.ok(!prompts.some(p => p.includes('complete math problem')), 'teacher-written problems skip validation');
+
+    const problem = (await getSession('ASGN01')).problems[0];
+    assert.match(problem.raw_input, /^A train goes 90 miles/);
+    assert.equal(problem.assignment_id, sooner.assignment_id);
+    assert.equal(problem.assignment_position, 1);
+
+    await assert.rejects(() => selectProblem('ASGN01', { assignment_id: sooner.assignment_id, problem_index: 5 }), { name: 'NotFoundError' });
+    const otherSession = await createSession('ASGN02', { classId: otherClass.class_id });
+    await assert.rejects(() => selectProblem(otherSession.session_code, { assignment_id: later.assignment_id, problem_index: 0 }), { name: 'NotFoundError' });
+  } finally {
+    __setChatCompletionOverride(null);
+  }
+});
+
+test('the report gives completion and confidence per student across their sessions', async () => {
+  const classRecord = createClass({ name: 'Assignments 3', owner: 'ms.lee' });
+  const assignment = createAssignment({
+    classId: classRecord.class_id,
+    title: 'Percentages',
+    problems: ['What is 10% of 40?', 'What is 25% of 80?'],
+    dueAt: '2020-01-01'
+  });
+
+  // Amira finishes one problem in each of two sessions; Ben finishes one; Cy never starts
+  const first = await createSession('ASGN11', { classId: classRecord.class_id });
+  const amira = linkSessionToLearner(first);
+  const second = await createSession('ASGN12', { classId: classRecord.class_id });
+  linkSessionToLearner(second, 'ASGN11');
+  const ben = linkSessionToLearner(await createSession('ASGN13', { classId: classRecord.class_id }));
+  linkSessionToLearner(await createSession('ASGN14', { classId: classRecord.class_id }));
+
+  finishAssignmentProblem('ASGN11', assignment.assignment_id, 0, 0.9);
+  finishAssignmentProblem('ASGN12', assignment.assignment_id, 1, 0.7);
+  finishAssignmentProblem('ASGN13', assignment.assignment_id, 0, 0.4);
+
+  const { report } = getAssignmentReport(assignment.assignment_id);
+  assert.equal(report.students, 3);
+  assert.equal(report.students_started, 2);
+  assert.equal(report.students_finished, 1);
+  assert.equal(report.completion_rate, 3 / 6);
+  assert.deepEqual(report.problems.map(p => p.completed_by), [2, 1]);
+
+  const amiraRow = report.by_student.find(s => s.student_id === amira.learner_id);
+  assert.equal(amiraRow.finished, true);
+  assert.ok(Math.abs(amiraRow.average_confidence - 0.8) < 1e-9);
+  assert.equal(report.by_student.find(s => s.student_id === ben.learner_id).completed, 1);
+
+  // Students see their own progress; unfinished work past its due date is overdue
+  const [own] = getAssignmentsForSession(await getSession('ASGN13'));
+  assert.deepEqual(own.problems.map(p => p.completed), [true, false]);
+  assert.equal(own.overdue, true);
+  assert.equal(getAssignmentsForSession(await getSession('ASGN12'))[0].overdue, false);
+
+  const listed = listAssignments(new Set([classRecord.class_id]));
+  assert.equal(listed.length, 1);
+  assert.equal(listed[0].class_name, 'Assignments 3');
+  assert.equal(listed[0].report.by_student, undefined);
+  assert.equal(listAssignments(new Set()).length, 0);
+
+  deleteAssignment(assignment.assignment_id);
+  assert.throws(() => getAssignmentReport(assignment.assignment_id), { name: 'NotFoundError' });
+});
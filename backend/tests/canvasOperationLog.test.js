@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeCanvasLog,
+  validateOperations,
+  mergeOperations,
+  operationsSince,
+  visibleOperations,
+  MAX_LOG_OPERATIONS
+} from '../src/services/canvasOperationLog.js';
+
+const draw = (id) => ({ id, type: 'draw', data: { x0: 0, y0: 0, x1: 1, y1: 1 } });
+
+test('normalizeCanvasLog starts empty and renumbers legacy snapshots', () => {
+  assert.deepEqual(normalizeCanvasLog(null), { operations: [], version: 0, base_version: 0 });
+
+  const legacy = normalizeCanvasLog({ operations: [draw('a'), draw('b')], version: 1721822400000 });
+  assert.deepEqual(legacy.operations.map(op => op.seq), [1, 2]);
+  assert.equal(legacy.version, 2);
+  assert.equal(legacy.base_version, 0);
+});
+
+test('validateOperations rejects non-arrays, missing ids, unknown types and targetless undo', () => {
+  assert.doesNotThrow(() => validateOperations([draw('a'), { id: 'u', type: 'undo', data: { target_id: 'a' } }]));
+  assert.throws(() => validateOperations({}), /operations must be an array/);
+  assert.throws(() => validateOperations([{ type: 'draw' }]), /id must be a non-empty string/);
+  assert.throws(() => validateOperations([{ id: 'x', type: 'erase' }]), /type must be one of/);
+  assert.throws(() => validateOperations([{ id: 'u', type: 'undo', data: {} }]), /target_id is required/);
+});
+
+test('mergeOperations assigns seqs and skips ids already in the log', () => {
+  const first = mergeOperations(normalizeCanvasLog(null), [draw('a'), draw('b')]);
+  assert.deepEqual(first.accepted.map(op => [op.id, op.seq]), [['a', 1], ['b', 2]]);
+
+  const second = mergeOperations(first.log, [draw('b'), draw('c')]);
+  assert.deepEqual(second.accepted.map(op => op.id), ['c']);
+  assert.equal(second.log.version, 3);
+  assert.equal(second.compacted, false);
+});
+
+test('a clear keeps earlier operations in the log but hides them from visibleOperations', () => {
+  const { log } = mergeOperations(normalizeCanvasLog(null), [draw('a'), draw('b')]);
+  const cleared = mergeOperations(log, [{ id: 'clr', type: 'clear' }, draw('c')]);
+
+  assert.equal(cleared.compacted, false);
+  assert.deepEqual(cleared.log.operations.map(op => op.id), ['a', 'b', 'clr', 'c']);
+  assert.deepEqual(visibleOperations(cleared.log).map(op => op.id), ['c']);
+  assert.deepEqual(operationsSince(cleared.log, 2).operations.map(op => op.id), ['clr', 'c']);
+});
+
+test('mergeOperations stamps accepted operations with the acceptance time', () => {
+  const now = new Date('2026-07-24T12:00:00Z');
+  const { accepted } = mergeOperations(normalizeCanvasLog(null), [draw('a')], now);
+  assert.equal(accepted[0].at, now.toISOString());
+});
+
+test('the log is capped at MAX_LOG_OPERATIONS, oldest first, and callers behind the cap reset', () => {
+  const ops = Array.from({ length: MAX_LOG_OPERATIONS + 10 }, (_, i) => draw(`op${i}`));
+  const { log, compacted } = mergeOperations(normalizeCanvasLog(null), ops);
+
+  assert.equal(compacted, true);
+  assert.equal(log.operations.length, MAX_LOG_OPERATIONS);
+  assert.equal(log.operations[0].id, 'op10');
+  assert.equal(log.base_version, 10);
+  assert.equal(operationsSince(log, 5).reset, true);
+  assert.equal(operationsSince(log, 10).reset, false);
+});
+
+test('operationsSince excludes the caller\'s own ids and resets when ahead of the log', () => {
+  const { log } = mergeOperations(normalizeCanvasLog(null), [draw('a'), draw('b'), draw('c')]);
+
+  assert.deepEqual(operationsSince(log, 1, new Set(['c'])).operations.map(op => op.id), ['b']);
+  assert.equal(operationsSince(log, 99).reset, true);
+});
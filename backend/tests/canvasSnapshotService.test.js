@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { sessionStore } from '../src/services/memoryStore.js';
+import {
+  renderCanvasToSVG,
+  renderCanvasToPNG,
+  attachCollaborationSnapshot,
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT
+} from '../src/services/canvasSnapshotService.js';
+import {
+  createCollaborationSession,
+  appendCanvasOperations,
+  endCollaboration
+} from '../src/services/collaborationService.js';
+import { getSessionDetails } from '../src/services/dashboardService.js';
+
+const seg = (id, x0, y0, x1, y1, extra = {}) => ({
+  id,
+  type: 'draw',
+  data: { x0, y0, x1, y1, color: '#ff0000', lineWidth: 4, ...extra }
+});
+
+function logOf(...operations) {
+  return { operations: operations.map((op, i) => ({ ...op, seq: i + 1 })), version: operations.length, base_version: 0 };
+}
+
+// Decode our own PNG output back to RGB (single IDAT, filter type 0 rows)
+function decodePNG(png) {
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const idatLength = png.readUInt32BE(33);
+  const raw = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+  const pixel = (x, y) => {
+    const offset = y * (width * 3 + 1) + 1 + x * 3;
+    return [raw[offset], raw[offset + 1], raw[offset + 2]];
+  };
+  return { width, height, pixel };
+}
+
+function seedStudent(code) {
+  sessionStore.put(code, {
+    session_code: code,
+    created_at: new Date().toISOString(),
+    expires_at: Math.floor(Date.now() / 1000) + 3600,
+    version: 1,
+    problems: [{ problem_id: 'P001', category: 'algebra', created_at: new Date().toISOString() }],
+    transcript: []
+  });
+}
+
+test('renderCanvasToSVG joins continuing segments into one path and honours clear and undo', () => {
+  const svg = renderCanvasToSVG(logOf(
+    seg('gone', 0, 0, 50, 50),
+    { id: 'clr', type: 'clear', data: {} },
+    seg('a', 10, 10, 20, 20),
+    seg('b', 20, 20, 30, 25),
+    seg('c', 100, 100, 110, 110, { color: '#00f' }),
+    { id: 'u', type: 'undo', data: { target_id: 'c' } }
+  ));
+
+  assert.match(svg, new RegExp(`^<svg [^>]*width="${CANVAS_WIDTH}" height="${CANVAS_HEIGHT}"`));
+  assert.equal((svg.match(/<path /g) || []).length, 1);
+  assert.match(svg, /d="M10 10 L20 20 L30 25" stroke="#ff0000" stroke-width="4"/);
+});
+
+test('renderCanvasToSVG falls back to black for colors that are not hex', () => {
+  const svg = renderCanvasToSVG(logOf(seg('a', 0, 0, 5, 5, { color: '"/><script>' })));
+  assert.ok(!svg.includes('<script>'));
+  assert.match(svg, /stroke="#000000"/);
+});
+
+test('renderCanvasToPNG paints strokes onto a white canvas', () => {
+  const { width, height, pixel } = decodePNG(renderCanvasToPNG(logOf(seg('a', 100, 100, 200, 100))));
+
+  assert.equal(width, CANVAS_WIDTH);
+  assert.equal(height, CANVAS_HEIGHT);
+  assert.deepEqual(pixel(150, 100), [255, 0, 0]);
+  assert.deepEqual(pixel(150, 120), [255, 255, 255]);
+  assert.deepEqual(pixel(5, 5), [255, 255, 255]);
+});
+
+test('attachCollaborationSnapshot refuses an active room, then attaches once ended and shows in getSessionDetails', async () => {
+  seedStudent('SNAP01');
+  const { collaboration_session_id: id } = await createCollaborationSession('SNAP01', 'P001', 'Solve 3x = 9');
+  await appendCanvasOperations(id, [seg('a', 10, 10, 60, 60)], 0);
+
+  await assert.rejects(() => attachCollaborationSnapshot(id), (err) => err.name === 'ConflictError');
+
+  await endCollaboration(id);
+  const result = await attachCollaborationSnapshot(id);
+  assert.equal(result.problem_id, 'P001');
+  assert.equal(result.snapshot.stroke_count, 1);
+  assert.ok(Buffer.from(result.snapshot.png_base64, 'base64').subarray(1, 4).equals(Buffer.from('PNG')));
+
+  // Exporting again replaces rather than duplicates
+  await attachCollaborationSnapshot(id);
+
+  const details = await getSessionDetails('SNAP01');
+  const problem = details.problems[0];
+  assert.equal(problem.whiteboard_snapshots.length, 1);
+  assert.match(problem.whiteboard_snapshots[0].svg, /<path /);
+  assert.deepEqual(problem.collaborations.map(c => [c.collaboration_session_id, c.status, c.snapshot_attached]), [
+    [id, 'completed', true]
+  ]);
+});
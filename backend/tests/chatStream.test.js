@@ -0,0 +1,141 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+// Not a real credential: a fixture value for the school-code check, set
+// before importing server.js so dotenv (which doesn't override existing
+// vars) can't clobber this with whatever's in a local .env file.
+const TEST_SCHOOL_CODE = ['test', 'school', 'code', 'fixture'].join('-');
+process.env.SESSION_PASSWORD = TEST_SCHOOL_CODE;
+
+const { default: app } = await import('../src/server.js');
+const { __resetDailyCap } = await import('../src/middleware/abuseGuards.js');
+const { __setChatCompletionOverride } = await import('../src/services/openai.js');
+const { createSession, getSession, updateSession } = await import('../src/services/sessionService.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  __resetDailyCap(10_000);
+  __setChatCompletionOverride(async (params) => {
+    if (params.stream) {
+      return (async function* () {
+        yield { choices: [{ delta: { content: 'What should ' } }] };
+        yield { choices: [{ delta: { content: 'we do first?' } }] };
+      })();
+    }
+    // Classifier calls (formula detection, solution completion)
+    return {
+      choices: [{ message: { content: '{"solution_completed": false, "is_correct": false, "reasoning": "intermediate"}' } }]
+    };
+  });
+});
+
+afterEach(() => {
+  __setChatCompletionOverride(null);
+});
+
+async function seedActiveProblem(code) {
+  await createSession(code);
+  await updateSession(code, {
+    current_problem_id: 'P001',
+    problems: [{
+      problem_id: 'P001',
+      raw_input: '2x + 3 = 7',
+      normalized_latex: '2x + 3 = 7',
+      category: 'algebra',
+      difficulty: 'easy',
+      completed: false,
+      steps: [{ tutor_prompt: 'What are we trying to find?', student_response: null, step_number: 1 }]
+    }]
+  });
+}
+
+function parseEvents(body) {
+  return body
+    .split('\n\n')
+    .filter(block => block.trim().length > 0)
+    .map(block => {
+      const event = block.match(/^event: (.+)$/m)[1];
+      const data = JSON.parse(block.match(/^data: (.+)$/m)[1]);
+      return { event, data };
+    });
+}
+
+test('POST /api/sessions/:code/chat/stream sends token events then a done event with step metadata', async () => {
+  await seedActiveProblem('STRM01');
+
+  const res = await fetch(`${baseUrl}/api/sessions/STRM01/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'x' })
+  });
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+  const events = parseEvents(await res.text());
+  const tokens = events.filter(e => e.event === 'token').map(e => e.data.text);
+  const done = events.find(e => e.event === 'done');
+
+  assert.deepEqual(tokens, ['What should ', 'we do first?']);
+  assert.equal(events[events.length - 1].event, 'done');
+  assert.equal(done.data.tutor_message, 'What should we do first?');
+  assert.equal(done.data.conversation_context.step_number, 2);
+  assert.equal(typeof done.data.conversation_context.progress_made, 'boolean');
+  assert.equal(done.data.conversation_context.solution_completed, false);
+  assert.equal(typeof done.data.streak.progress, 'number');
+
+  const session = await getSession('STRM01');
+  assert.equal(session.transcript.at(-1).message, 'What should we do first?');
+});
+
+test('POST /api/sessions/:code/chat/stream with an empty message fails as plain JSON before streaming', async () => {
+  await seedActiveProblem('STRM02');
+
+  const res = await fetch(`${baseUrl}/api/sessions/STRM02/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: '   ' })
+  });
+
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.error.code, 'VALIDATION_ERROR');
+});
+
+test('POST /api/sessions/:code/chat/stream reports a mid-stream failure as an error event', async () => {
+  await seedActiveProblem('STRM03');
+  __setChatCompletionOverride(async (params) => {
+    if (params.stream) {
+      return (async function* () {
+        yield { choices: [{ delta: { content: 'Let us' } }] };
+        yield { error: { message: 'provider dropped', code: 502 } };
+      })();
+    }
+    return { choices: [{ message: { content: 'NO' } }] };
+  });
+
+  const res = await fetch(`${baseUrl}/api/sessions/STRM03/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'x' })
+  });
+
+  const events = parseEvents(await res.text());
+  assert.equal(events[0].event, 'token');
+  assert.equal(events.at(-1).event, 'error');
+  assert.equal(events.at(-1).data.code, 'OPENAI_ERROR');
+});
@@ -0,0 +1,171 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+// Fixture credentials, set before importing server.js so dotenv (which
+// doesn't override existing vars) can't replace them.
+const ADMIN_USERNAME = 'fixture-admin';
+const ADMIN_PASSWORD = ['fixture', 'admin', 'password'].join('-');
+process.env.ADMIN_USERNAME = ADMIN_USERNAME;
+process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+delete process.env.SESSION_PASSWORD;
+
+const { default: app } = await import('../src/server.js');
+const { __resetDailyCap } = await import('../src/middleware/abuseGuards.js');
+
+let server;
+let baseUrl;
+let admin;
+let teacherA;
+let teacherB;
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  __resetDailyCap(10_000);
+});
+
+async function request(method, path, { token, body } = {}) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+async function login(username, password) {
+  return (await request('POST', '/api/dashboard/login', { body: { username, password } })).body.token;
+}
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  admin = await login(ADMIN_USERNAME, ADMIN_PASSWORD);
+  for (const username of ['teacher.a', 'teacher.b']) {
+    await request('POST', '/api/dashboard/accounts', {
+      token: admin,
+      body: { username, password: 'password123', role: 'teacher' }
+    });
+  }
+  teacherA = await login('teacher.a', 'password123');
+  teacherB = await login('teacher.b', 'password123');
+});
+
+test('students join a class by code and only its owner sees their session', async () => {
+  const created = await request('POST', '/api/dashboard/classes', { token: teacherA, body: { name: 'Period 3' } });
+  assert.equal(created.status, 201);
+  const { class_id: classId, join_code: joinCode, owner } = created.body.class;
+  assert.equal(owner, 'teacher.a');
+
+  const session = await request('POST', '/api/sessions', { body: { class_code: joinCode } });
+  assert.equal(session.status, 201);
+  assert.equal(session.body.class_id, classId);
+  const code = session.body.session_code;
+
+  const listA = await request('GET', '/api/dashboard/sessions', { token: teacherA });
+  assert.deepEqual(listA.body.sessions.map(s => s.session_code), [code]);
+
+  const listB = await request('GET', '/api/dashboard/sessions', { token: teacherB });
+  assert.deepEqual(listB.body.sessions, []);
+  assert.equal((await request('GET', '/api/dashboard/stats/aggregate', { token: teacherB })).body.totalSessions, 0);
+  assert.equal((await request('GET', `/api/dashboard/sessions/${code}`, { token: teacherB })).status, 404);
+  assert.equal((await request('DELETE', `/api/dashboard/sessions/${code}`, { token: teacherB })).status, 404);
+
+  assert.equal((await request('GET', `/api/dashboard/sessions/${code}`, { token: teacherA })).status, 200);
+  const adminList = await request('GET', '/api/dashboard/sessions', { token: admin });
+  assert.ok(adminList.body.sessions.some(s => s.session_code === code));
+});
+
+test('an unknown class code is rejected and a session only resumes with its own class code', async () => {
+  const bad = await request('POST', '/api/sessions', { body: { class_code: 'NOTACODE' } });
+  assert.equal(bad.status, 401);
+
+  const classA = (await request('POST', '/api/dashboard/classes', { token: teacherA, body: { name: 'A' } })).body.class;
+  const classB = (await request('POST', '/api/dashboard/classes', { token: teacherB, body: { name: 'B' } })).body.class;
+  const code = (await request('POST', '/api/sessions', { body: { class_code: classA.join_code } })).body.session_code;
+
+  const wrongClass = await request('POST', '/api/sessions', { body: { class_code: classB.join_code, session_code: code } });
+  assert.equal(wrongClass.status, 403);
+  assert.equal(wrongClass.body.error.code, 'CLASS_MISMATCH');
+
+  const resumed = await request('POST', '/api/sessions', { body: { class_code: classA.join_code, session_code: code } });
+  assert.equal(resumed.status, 200);
+  assert.equal(resumed.body.session_code, code);
+});
+
+test('teachers list and rotate only their own classes', async () => {
+  const listB = await request('GET', '/api/dashboard/classes', { token: teacherB });
+  assert.ok(listB.body.classes.every(c => c.owner === 'teacher.b'));
+
+  const classA = (await request('GET', '/api/dashboard/classes', { token: teacherA })).body.classes[0];
+  assert.equal((await request('POST', `/api/dashboard/classes/${classA.class_id}/join-code`, { token: teacherB })).status, 404);
+
+  const rotated = await request('POST', `/api/dashboard/classes/${classA.class_id}/join-code`, { token: teacherA });
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.class.join_code, classA.join_code);
+});
+
+test('admins can create a class on behalf of a teacher', async () => {
+  const created = await request('POST', '/api/dashboard/classes', {
+    token: admin,
+    body: { name: 'Assigned', owner: 'teacher.b' }
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.class.owner, 'teacher.b');
+
+  const unknownOwner = await request('POST', '/api/dashboard/classes', {
+    token: admin,
+    body: { name: 'Orphan', owner: 'nobody' }
+  });
+  assert.equal(unknownOwner.status, 400);
+});
+
+test('observers see only the classes an admin assigned them', async () => {
+  const created = await request('POST', '/api/dashboard/classes', { token: teacherA, body: { name: 'Observed' } });
+  const { class_id: classId, join_code: joinCode } = created.body.class;
+  const code = (await request('POST', '/api/sessions', { body: { class_code: joinCode } })).body.session_code;
+
+  const observer = await request('POST', '/api/dashboard/accounts', {
+    token: admin,
+    body: { username: 'observer.a', password: 'password123', role: 'observer', class_ids: [classId] }
+  });
+  assert.equal(observer.status, 201);
+  assert.deepEqual(observer.body.account.class_ids, [classId]);
+  const observerToken = await login('observer.a', 'password123');
+
+  const sessions = await request('GET', '/api/dashboard/sessions', { token: observerToken });
+  assert.deepEqual(sessions.body.sessions.map(s => s.session_code), [code]);
+  assert.equal((await request('GET', `/api/dashboard/sessions/${code}`, { token: observerToken })).status, 200);
+  const classes = await request('GET', '/api/dashboard/classes', { token: observerToken });
+  assert.deepEqual(classes.body.classes.map(c => c.class_id), [classId]);
+
+  // Unassigning takes effect on the next request
+  const unassigned = await request('PATCH', '/api/dashboard/accounts/observer.a', { token: admin, body: { class_ids: [] } });
+  assert.equal(unassigned.status, 200);
+  assert.deepEqual((await request('GET', '/api/dashboard/sessions', { token: observerToken })).body.sessions, []);
+
+  // Only observers are assigned classes, and only classes that exist
+  assert.equal((await request('PATCH', '/api/dashboard/accounts/teacher.b', { token: admin, body: { class_ids: [classId] } })).status, 400);
+  assert.equal((await request('PATCH', '/api/dashboard/accounts/observer.a', { token: admin, body: { class_ids: ['CLSNONE'] } })).status, 400);
+});
+
+test('only admins set a class daily token budget', async () => {
+  const classA = (await request('GET', '/api/dashboard/classes', { token: teacherA })).body.classes[0];
+  const path = `/api/dashboard/classes/${classA.class_id}/token-budget`;
+
+  const raised = await request('PUT', path, { token: teacherA, body: { daily_token_budget: 1_000_000_000 } });
+  assert.equal(raised.status, 403);
+
+  const set = await request('PUT', path, { token: admin, body: { daily_token_budget: 50_000 } });
+  assert.equal(set.status, 200);
+  assert.equal(set.body.class.daily_token_budget, 50_000);
+});
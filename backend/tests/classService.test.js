@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sessionStore } from '../src/services/memoryStore.js';
+import { createSession } from '../src/services/sessionService.js';
+import {
+  createClass,
+  findClassByJoinCode,
+  resolveJoinCode,
+  rotateJoinCode,
+  getAssessmentSettings,
+  updateAssessmentSettings,
+  ensureLegacyClass,
+  getClassScope,
+  isSessionInScope,
+  assertSessionInScope,
+  listClassesForAccount
+} from '../src/services/classService.js';
+import { getAllSessions, getSessionDetails } from '../src/services/dashboardService.js';
+
+test('createClass generates a readable, unique join code and validates input', () => {
+  const created = createClass({ name: 'Period 1 Algebra', owner: 'ms.lee' }, 'ms.lee');
+  assert.match(created.join_code, /^[A-HJ-NP-Z2-9]{8}$/);
+  assert.equal(created.owner, 'ms.lee');
+
+  assert.equal(findClassByJoinCode(created.join_code.toLowerCase()).class_id, created.class_id);
+  assert.throws(() => createClass({ name: '  ', owner: 'ms.lee' }), { name: 'ValidationError' });
+  assert.throws(() => createClass({ name: 'Dup', owner: 'ms.lee', joinCode: created.join_code }), { name: 'ValidationError' });
+});
+
+test('resolveJoinCode rejects unknown codes and rotation retires the old code', () => {
+  const created = createClass({ name: 'Period 2', owner: 'ms.lee' });
+  assert.equal(resolveJoinCode(created.join_code).class_id, created.class_id);
+
+  const rotated = rotateJoinCode(created.class_id);
+  assert.notEqual(rotated.join_code, created.join_code);
+  assert.throws(() => resolveJoinCode(created.join_code), { statusCode: 401 });
+  assert.throws(() => rotateJoinCode('CLSNOPE'), { name: 'NotFoundError' });
+});
+
+test('ensureLegacyClass turns SESSION_PASSWORD into a class once', () => {
+  const legacy = ensureLegacyClass({ SESSION_PASSWORD: 'old-school-code', ADMIN_USERNAME: 'root' });
+  assert.equal(legacy.join_code, 'old-school-code');
+  assert.equal(legacy.owner, 'root');
+  assert.equal(ensureLegacyClass({ SESSION_PASSWORD: 'old-school-code' }), null);
+  assert.equal(ensureLegacyClass({}), null);
+});
+
+test('teachers only see sessions from classes they own; admins see everything', async () => {
+  const mine = createClass({ name: 'Mine', owner: 'teacher.a' });
+  const theirs = createClass({ name: 'Theirs', owner: 'teacher.b' });
+  await createSession('CLS001', { classId: mine.class_id });
+  await createSession('CLS002', { classId: theirs.class_id });
+  await createSession('CLS003'); // from before classes existed
+
+  const scope = getClassScope({ username: 'teacher.a', role: 'teacher' });
+  const visible = (await getAllSessions(scope)).map(s => s.session_code);
+  assert.deepEqual(visible, ['CLS001']);
+
+  assert.equal(await getSessionDetails('CLS002', scope), null);
+  assert.equal((await getSessionDetails('CLS001', scope)).class_id, mine.class_id);
+  assert.throws(() => assertSessionInScope('CLS002', scope), { name: 'NotFoundError' });
+  assert.doesNotThrow(() => assertSessionInScope('CLS001', scope));
+
+  const adminScope = getClassScope({ username: 'root', role: 'admin' });
+  assert.equal(adminScope, null);
+  assert.ok(isSessionInScope(sessionStore.get('CLS003'), adminScope));
+  assert.ok(!isSessionInScope(sessionStore.get('CLS003'), scope));
+
+  const admins = (await getAllSessions(adminScope)).map(s => s.session_code);
+  assert.ok(['CLS001', 'CLS002', 'CLS003'].every(code => admins.includes(code)));
+  assert.ok((await getAllSessions(adminScope)).every(s => !s.record_type));
+});
+
+test('listClassesForAccount counts sessions per class', () => {
+  const classes = listClassesForAccount({ username: 'teacher.a', role: 'teacher' });
+  assert.deepEqual(classes.map(c => [c.name, c.session_count]), [['Mine', 1]]);
+});
+
+test('assessment settings default to running the transfer stage and validate the mode', () => {
+  const created = createClass({ name: 'Settings Period', owner: 'ms.lee' });
+  assert.deepEqual(created.assessment_settings, { transfer_stage: 'always' });
+  assert.deepEqual(getAssessmentSettings(null), { transfer_stage: 'always' });
+
+  const updated = updateAssessmentSettings(created.class_id, { transfer_stage: 'on_mc_fail' });
+  assert.equal(updated.assessment_settings.transfer_stage, 'on_mc_fail');
+  assert.equal(getAssessmentSettings(created.class_id).transfer_stage, 'on_mc_fail');
+
+  assert.throws(() => updateAssessmentSettings(created.class_id, { transfer_stage: 'sometimes' }), { name: 'ValidationError' });
+  assert.throws(() => updateAssessmentSettings('CLSNONE', { transfer_stage: 'never' }), { name: 'NotFoundError' });
+});
@@ -0,0 +1,142 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getClassifierCacheStats,
+  clearClassifierCache,
+  __setClassifierCacheConfig
+} from '../src/services/classifierCache.js';
+import { __setChatCompletionOverride } from '../src/services/openai.js';
+import { sessionStore } from '../src/services/memoryStore.js';
+import { sweepExpired, __setNow } from '../src/services/expirySweeper.js';
+import { hasMathProblem, validateProblem, detectMultipleProblems } from '../src/services/problemService.js';
+import { createSession } from '../src/services/sessionService.js';
+import { submitProblemHandler, selectProblemHandler } from '../src/handlers/problemHandler.js';
+import { callHandler } from './helpers/callHandler.js';
+
+const APPLES = 'Sam has 3 apples and buys 4 more. How many apples does Sam have?';
+const TRAIN = 'A train goes 60 miles in 2 hours. How fast does it go?';
+
+let llmCalls;
+let replies;
+
+beforeEach(() => {
+  clearClassifierCache();
+  llmCalls = [];
+  replies = {
+    has_math_problem: 'YES',
+    validate_problem: 'VALID',
+    detect_multiple_problems: `MULTIPLE:\n1. ${APPLES}\n2. ${TRAIN}`,
+    normalize_latex: APPLES
+  };
+  __setChatCompletionOverride(async (params, { callSite }) => {
+    llmCalls.push(callSite);
+    const reply = replies[callSite];
+    if (reply instanceof Error) throw reply;
+    return { choices: [{ message: { content: reply ?? 'OK' } }] };
+  });
+});
+
+afterEach(() => {
+  __setChatCompletionOverride(null);
+  __setClassifierCacheConfig({ ttlSeconds: 7 * 24 * 60 * 60, maxEntries: 2000, now: null });
+  __setNow(null);
+});
+
+test('the same text is classified once, whitespace aside, until the entry expires', async () => {
+  let now = new Date('2026-05-01T08:00:00Z');
+  __setClassifierCacheConfig({ ttlSeconds: 60, now: () => now });
+
+  assert.deepEqual(await hasMathProblem(APPLES), { hasMath: true });
+  replies.has_math_problem = 'NO';
+  assert.deepEqual(await hasMathProblem(`  ${APPLES.replace(/ /g, '   ')}\n`), { hasMath: true });
+  assert.deepEqual(llmCalls, ['has_math_problem']);
+  assert.deepEqual(getClassifierCacheStats(), { hits: 1, misses: 1, entries: 1 });
+
+  // Each classifier has its own entries
+  assert.deepEqual(await validateProblem(APPLES), { valid: true, reason: null });
+  assert.deepEqual(llmCalls, ['has_math_problem', 'validate_problem']);
+
+  now = new Date('2026-05-01T08:01:01Z');
+  assert.deepEqual(await hasMathProblem(APPLES), { hasMath: false });
+  assert.equal(llmCalls.length, 3);
+});
+
+test('fallbacks after a failed LLM call are not cached', async () => {
+  replies.validate_problem = Object.assign(new Error('bad request'), { status: 400 });
+  assert.deepEqual(await validateProblem(TRAIN), { valid: true });
+
+  replies.validate_problem = 'INVALID: no question';
+  assert.deepEqual(await validateProblem(TRAIN), { valid: false, reason: 'no question' });
+  assert.deepEqual(await validateProblem(TRAIN), { valid: false, reason: 'no question' });
+  assert.deepEqual(llmCalls, ['validate_problem', 'validate_problem']);
+});
+
+test('a multiple-problem reply that does not parse falls back without being cached', async () => {
+  replies.detect_multiple_problems = 'Sure! Here are the problems you sent.';
+  assert.deepEqual(await detectMultipleProblems(APPLES), { isMultiple: false, problems: [APPLES] });
+
+  replies.detect_multiple_problems = `SINGLE: ${APPLES}`;
+  assert.deepEqual(await detectMultipleProblems(APPLES), { isMultiple: false, problems: [APPLES] });
+  await detectMultipleProblems(APPLES);
+  assert.deepEqual(llmCalls, ['detect_multiple_problems', 'detect_multiple_problems']);
+});
+
+test('past the size bound the least recently used entries are evicted from the store', async () => {
+  __setClassifierCacheConfig({ maxEntries: 2 });
+
+  await hasMathProblem('What is 1 + 1?');
+  await hasMathProblem('What is 2 + 2?');
+  await hasMathProblem('What is 1 + 1?');
+  await hasMathProblem('What is 3 + 3?');
+  assert.equal(getClassifierCacheStats().entries, 2);
+
+  const cached = () => sessionStore.scanAll().filter(item => item.record_type === 'classifier_cache');
+  assert.equal(cached().length, 2);
+
+  llmCalls = [];
+  await hasMathProblem('What is 1 + 1?');
+  await hasMathProblem('What is 2 + 2?');
+  assert.deepEqual(llmCalls, ['has_math_problem'], 'only the evicted entry is asked again');
+});
+
+test('expired entries are reclaimed by the expiry sweeper', async () => {
+  let now = new Date('2026-05-01T08:00:00Z');
+  __setClassifierCacheConfig({ ttlSeconds: 60, now: () => now });
+  __setNow(() => now);
+
+  await hasMathProblem(APPLES);
+  await hasMathProblem(TRAIN);
+  sweepExpired();
+  assert.equal(getClassifierCacheStats().entries, 2);
+
+  now = new Date('2026-05-01T08:01:01Z');
+  sweepExpired();
+  assert.equal(sessionStore.scanAll().filter(item => item.record_type === 'classifier_cache').length, 0);
+  assert.equal(getClassifierCacheStats().entries, 0);
+
+  llmCalls = [];
+  assert.deepEqual(await hasMathProblem(APPLES), { hasMath: true });
+  assert.deepEqual(llmCalls, ['has_math_problem']);
+});
+
+test('picking from the multi-problem list reuses the validation done on submit', async () => {
+  const session = await createSession('CACHE1');
+
+  const { body: submitted } = await callHandler(submitProblemHandler, {
+    params: { code: session.session_code },
+    body: { text: `1. ${APPLES} 2. ${TRAIN}` }
+  });
+  assert.equal(submitted.multiple_problems, true);
+  assert.deepEqual(submitted.problems, [APPLES, TRAIN]);
+  const validationsOnSubmit = llmCalls.filter(site => site === 'validate_problem').length;
+  assert.equal(validationsOnSubmit, 2);
+
+  llmCalls = [];
+  await callHandler(selectProblemHandler, { params: { code: session.session_code }, body: { problemText: TRAIN } });
+  assert.ok(!llmCalls.includes('validate_problem'), `selection re-validated: ${llmCalls}`);
+
+  // Resubmitting the same text costs no classifier calls at all
+  llmCalls = [];
+  await callHandler(submitProblemHandler, { params: { code: session.session_code }, body: { text: `1. ${APPLES} 2. ${TRAIN}` } });
+  assert.deepEqual(llmCalls, []);
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+const { default: app } = await import('../src/server.js');
+const { sessionStore } = await import('../src/services/memoryStore.js');
+const { createCollaborationSession } = await import('../src/services/collaborationService.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+function seedStudentSession(sessionCode) {
+  sessionStore.put(sessionCode, {
+    session_code: sessionCode,
+    created_at: new Date().toISOString(),
+    expires_at: Math.floor(Date.now() / 1000) + 3600,
+    problems: [],
+    transcript: []
+  });
+}
+
+function parseEvents(body) {
+  return body
+    .split('\n\n')
+    .filter(block => /^event: /m.test(block))
+    .map(block => ({
+      event: block.match(/^event: (.+)$/m)[1],
+      data: JSON.parse(block.match(/^data: (.+)$/m)[1])
+    }));
+}
+
+// Read from the stream until `predicate(text so far)` holds or the stream ends
+async function readUntil(reader, state, predicate) {
+  const decoder = new TextDecoder();
+  while (!predicate(state.text)) {
+    const { value, done } = await reader.read();
+    if (done) return true;
+    state.text += decoder.decode(value, { stream: true });
+  }
+  return false;
+}
+
+async function send(path, method, body) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  assert.equal(res.status, 200);
+}
+
+test('GET /api/collaboration/:id/events pushes messages, canvas, permission and ended status', async () => {
+  seedStudentSession('EVT001');
+  const { collaboration_session_id: id } = await createCollaborationSession('EVT001', 'P001', 'Solve 2x = 4');
+
+  const res = await fetch(`${baseUrl}/api/collaboration/${id}/events`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+  const reader = res.body.getReader();
+  const state = { text: '' };
+  await readUntil(reader, state, text => text.includes('event: ready'));
+
+  await send(`/api/collaboration/${id}/message`, 'POST', { speaker: 'teacher', message: 'Divide both sides' });
+  await send(`/api/collaboration/${id}/canvas`, 'POST', {
+    operations: [{ id: 'op1', type: 'draw', data: { x0: 0, y0: 0, x1: 5, y1: 5 } }],
+    since: 0
+  });
+  await send(`/api/collaboration/${id}/drawing-permission`, 'PUT', { student_can_draw: true });
+  await send(`/api/collaboration/${id}/end`, 'POST');
+
+  const ended = await readUntil(reader, state, () => false);
+  assert.equal(ended, true, 'stream closes once the room ends');
+
+  const events = parseEvents(state.text);
+  assert.deepEqual(events.map(e => e.event), ['ready', 'message', 'canvas', 'permission', 'status']);
+  assert.equal(events[0].data.status, 'active');
+  assert.equal(events[1].data.message.message, 'Divide both sides');
+  assert.deepEqual(events[2].data.operations.map(op => op.id), ['op1']);
+  assert.equal(events[2].data.version, 1);
+  assert.equal(events[3].data.student_can_draw, true);
+  assert.equal(events[4].data.status, 'completed');
+});
+
+test('GET /api/collaboration/:id/events on an ended room sends the snapshot and closes', async () => {
+  seedStudentSession('EVT002');
+  const { collaboration_session_id: id } = await createCollaborationSession('EVT002', 'P001', 'Solve x + 1 = 3');
+  await send(`/api/collaboration/${id}/end`, 'POST');
+
+  const res = await fetch(`${baseUrl}/api/collaboration/${id}/events`);
+  const events = parseEvents(await res.text());
+
+  assert.deepEqual(events.map(e => e.event), ['ready']);
+  assert.equal(events[0].data.status, 'completed');
+});
+
+test('GET /api/collaboration/:id/events on a missing room returns a JSON 404', async () => {
+  const res = await fetch(`${baseUrl}/api/collaboration/COLLABNOPE00/events`);
+  assert.equal(res.status, 404);
+  assert.match(res.headers.get('content-type'), /application\/json/);
+});
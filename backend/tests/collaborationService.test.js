@@ -5,10 +5,12 @@ import {
   createCollaborationSession,
   getCollaborationSession,
   addCollaborationMessage,
-  updateCanvasState,
+  appendCanvasOperations,
   updateDrawingPermission,
   endCollaboration,
-  getCollaborationUpdates
+  getCollaborationUpdates,
+  subscribeToCollaboration,
+  getCollaborationReplay
 } from '../src/services/collaborationService.js';
 
 function seedStudentSession(sessionCode) {
@@ -97,23 +99,55 @@ test('addCollaborationMessage appends a message and preserves other fields', asy
   assert.equal(updated.messages.length, 1);
   assert.equal(updated.messages[0].speaker, 'teacher');
   assert.equal(updated.messages[0].message, 'Hello there');
-  assert.equal(updated.messages[0].canvas_update, null);
   assert.equal(updated.session_code, created.session_code);
   assert.equal(updated.status, 'active');
 
-  const updated2 = await addCollaborationMessage(created.session_code, 'student', 'Hi back', { path: [] });
+  const updated2 = await addCollaborationMessage(created.session_code, 'student', 'Hi back');
   assert.equal(updated2.messages.length, 2);
-  assert.deepEqual(updated2.canvas_state, { path: [] });
+  assert.deepEqual(updated2.canvas_state, created.canvas_state, 'messages never touch the canvas');
 });
 
-test('updateCanvasState merges canvas_state and preserves messages', async () => {
+const drawOp = (id) => ({ id, type: 'draw', data: { x0: 0, y0: 0, x1: 1, y1: 1 } });
+
+test('appendCanvasOperations keeps both sides of concurrent posts and returns only unseen operations', async () => {
   seedStudentSession('STU005');
   const created = await createCollaborationSession('STU005', 'P001', 'A problem');
   await addCollaborationMessage(created.session_code, 'teacher', 'Hello');
 
-  const updated = await updateCanvasState(created.session_code, { shapes: ['circle'] });
-  assert.deepEqual(updated.canvas_state, { shapes: ['circle'] });
-  assert.equal(updated.messages.length, 1);
+  // Both clients last saw version 0 and post at the same time
+  const [teacher, student] = await Promise.all([
+    appendCanvasOperations(created.session_code, [drawOp('t1'), drawOp('t2')], 0),
+    appendCanvasOperations(created.session_code, [drawOp('s1')], 0)
+  ]);
+
+  assert.deepEqual(teacher.operations, []);
+  assert.deepEqual(teacher.accepted, [{ id: 't1', seq: 1 }, { id: 't2', seq: 2 }]);
+  assert.deepEqual(student.operations.map(op => op.id), ['t1', 't2']);
+  assert.deepEqual(student.accepted, [{ id: 's1', seq: 3 }]);
+  assert.equal(student.version, 3);
+
+  const stored = await getCollaborationSession(created.session_code);
+  assert.deepEqual(stored.canvas_state.operations.map(op => op.id), ['t1', 't2', 's1']);
+  assert.equal(stored.messages.length, 1);
+
+  // Teacher catches up from version 2 and sees only the student's stroke
+  const catchUp = await appendCanvasOperations(created.session_code, [], 2);
+  assert.deepEqual(catchUp.operations.map(op => op.id), ['s1']);
+});
+
+test('appendCanvasOperations ignores retried ids and rejects malformed operations', async () => {
+  seedStudentSession('STU010');
+  const created = await createCollaborationSession('STU010', 'P001', 'A problem');
+
+  await appendCanvasOperations(created.session_code, [drawOp('a')], 0);
+  const retry = await appendCanvasOperations(created.session_code, [drawOp('a')], 0);
+  assert.equal(retry.version, 1);
+  assert.deepEqual(retry.accepted, [{ id: 'a', seq: 1 }]);
+
+  await assert.rejects(
+    () => appendCanvasOperations(created.session_code, [{ id: 'x', type: 'erase' }], 1),
+    (err) => err.name === 'ValidationError'
+  );
 });
 
 test('updateDrawingPermission toggles student_can_draw and preserves other fields', async () => {
@@ -152,4 +186,49 @@ test('getCollaborationUpdates filters messages strictly after the given timestam
   assert.equal(updates.messages[0].message, 'Second');
   assert.equal(updates.status, 'active');
   assert.equal(updates.student_can_draw, false);
+  assert.deepEqual(updates.canvas, { operations: [], version: 0, reset: false });
+});
+
+test('subscribeToCollaboration receives message, canvas, permission and status events in order', async () => {
+  seedStudentSession('STU009');
+  const created = await createCollaborationSession('STU009', 'P001', 'A problem');
+  const received = [];
+  const unsubscribe = subscribeToCollaboration(created.session_code, (e) => received.push(e));
+
+  await addCollaborationMessage(created.session_code, 'teacher', 'Look here');
+  await appendCanvasOperations(created.session_code, [drawOp('d1')], 0);
+  await updateDrawingPermission(created.session_code, true);
+  await endCollaboration(created.session_code);
+  unsubscribe();
+  await addCollaborationMessage(created.session_code, 'teacher', 'After unsubscribe');
+
+  assert.deepEqual(received.map(e => e.event), ['message', 'canvas', 'permission', 'status']);
+  assert.equal(received[0].data.message.message, 'Look here');
+  assert.deepEqual(received[1].data.operations.map(op => op.id), ['d1']);
+  assert.equal(received[1].data.version, 1);
+  assert.equal(received[2].data.student_can_draw, true);
+  assert.equal(received[3].data.status, 'completed');
+  assert.equal(typeof received[3].data.ended_at, 'string');
+});
+
+test('getCollaborationReplay interleaves messages and canvas operations by time', async () => {
+  seedStudentSession('STU011');
+  const created = await createCollaborationSession('STU011', 'P001', 'A problem');
+  const pause = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+  await addCollaborationMessage(created.session_code, 'teacher', 'Draw the first step');
+  await pause();
+  await appendCanvasOperations(created.session_code, [drawOp('s1'), drawOp('s2')], 0);
+  await pause();
+  await addCollaborationMessage(created.session_code, 'student', 'Like this?');
+  await endCollaboration(created.session_code);
+
+  const replay = await getCollaborationReplay(created.session_code);
+
+  assert.equal(replay.status, 'completed');
+  assert.equal(replay.canvas_truncated, false);
+  assert.deepEqual(
+    replay.events.map(e => e.type === 'message' ? e.message : e.operation.id),
+    ['Draw the first step', 's1', 's2', 'Like this?']
+  );
 });
@@ -8,9 +8,11 @@ import {
   TEXT_MODEL_FALLBACK,
   VISION_MODEL_FALLBACK
 } from '../src/services/openai.js';
+import { __resetModelHealth } from '../src/services/modelHealth.js';
 
 afterEach(() => {
   __setChatCompletionOverride(null);
+  __resetModelHealth();
 });
 
 test('happy path returns the response, called once with given model', async () => {
@@ -251,3 +253,76 @@ test('429 on first call followed by an empty-shaped fallback response throws Ope
   );
   assert.equal(calls.length, 2);
 });
+
+async function* chunkStream(chunks) {
+  for (const chunk of chunks) {
+    yield chunk;
+  }
+}
+
+test('onToken streams deltas and resolves with the assembled completion', async () => {
+  const calls = [];
+  __setChatCompletionOverride(async (params) => {
+    calls.push(params);
+    return chunkStream([
+      { model: params.model, choices: [{ delta: { content: 'What ' } }] },
+      { model: params.model, choices: [{ delta: { content: 'do we know?' }, finish_reason: 'stop' }] },
+      { model: params.model, choices: [], usage: { total_tokens: 12 } }
+    ]);
+  });
+
+  const tokens = [];
+  const result = await createChatCompletion(
+    { model: TEXT_MODEL, messages: [] },
+    { onToken: (text) => tokens.push(text) }
+  );
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].stream, true);
+  assert.deepEqual(tokens, ['What ', 'do we know?']);
+  assert.equal(result.choices[0].message.content, 'What do we know?');
+  assert.equal(result.usage.total_tokens, 12);
+});
+
+test('streaming 429 before any token is retried with the fallback model', async () => {
+  const calls = [];
+  __setChatCompletionOverride(async (params) => {
+    calls.push(params);
+    if (calls.length === 1) {
+      const err = new Error('rate limited');
+      err.status = 429;
+      throw err;
+    }
+    return chunkStream([{ model: params.model, choices: [{ delta: { content: 'fallback ok' } }] }]);
+  });
+
+  const tokens = [];
+  const result = await createChatCompletion(
+    { model: TEXT_MODEL, messages: [] },
+    { onToken: (text) => tokens.push(text) }
+  );
+
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].model, TEXT_MODEL_FALLBACK);
+  assert.deepEqual(tokens, ['fallback ok']);
+  assert.equal(result.model, TEXT_MODEL_FALLBACK);
+});
+
+test('streaming failure after tokens were forwarded is rethrown, not retried', async () => {
+  const calls = [];
+  __setChatCompletionOverride(async (params) => {
+    calls.push(params);
+    return chunkStream([
+      { model: params.model, choices: [{ delta: { content: 'partial' } }] },
+      { error: { message: 'provider dropped', code: 502 } }
+    ]);
+  });
+
+  const tokens = [];
+  await assert.rejects(
+    () => createChatCompletion({ model: TEXT_MODEL, messages: [] }, { onToken: (text) => tokens.push(text) }),
+    /provider dropped/
+  );
+  assert.equal(calls.length, 1);
+  assert.deepEqual(tokens, ['partial']);
+});
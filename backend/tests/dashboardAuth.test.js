@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+
+// Fixture credentials for the bootstrap admin, set before importing server.js
+// so dotenv (which doesn't override existing vars) can't replace them.
+const ADMIN_USERNAME = 'fixture-admin';
+const ADMIN_PASSWORD = ['fixture', 'admin', 'password'].join('-');
+process.env.ADMIN_USERNAME = ADMIN_USERNAME;
+process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+
+const { default: app } = await import('../src/server.js');
+const { generateDashboardToken } = await import('../src/middleware/auth.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+async function request(method, path, { token, body } = {}) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+async function login(username, password) {
+  return request('POST', '/api/dashboard/login', { body: { username, password } });
+}
+
+test('the bootstrap admin logs in and the token carries their identity', async () => {
+  const res = await login(ADMIN_USERNAME, ADMIN_PASSWORD);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.account.username, ADMIN_USERNAME);
+  assert.equal(res.body.account.role, 'admin');
+
+  const payload = JSON.parse(Buffer.from(res.body.token, 'base64').toString()).payload;
+  assert.equal(payload.sub, ADMIN_USERNAME);
+  assert.equal(payload.role, 'admin');
+
+  assert.equal((await login(ADMIN_USERNAME, 'wrong-password')).status, 401);
+  assert.equal((await login('no-such-user', ADMIN_PASSWORD)).status, 401);
+  assert.equal((await login(ADMIN_USERNAME, ['not', 'a', 'string'])).status, 400);
+});
+
+test('admin creates accounts; roles gate read, write and admin routes', async () => {
+  const admin = (await login(ADMIN_USERNAME, ADMIN_PASSWORD)).body.token;
+
+  for (const [username, role] of [['teach1', 'teacher'], ['watch1', 'observer']]) {
+    const created = await request('POST', '/api/dashboard/accounts', {
+      token: admin,
+      body: { username, password: 'password123', role }
+    });
+    assert.equal(created.status, 201);
+  }
+
+  const teacher = (await login('teach1', 'password123')).body.token;
+  const observer = (await login('watch1', 'password123')).body.token;
+
+  // Everyone can read
+  assert.equal((await request('GET', '/api/dashboard/sessions', { token: observer })).status, 200);
+
+  // Observers can't change anything
+  const observerDelete = await request('DELETE', '/api/dashboard/sessions/ABC123', { token: observer });
+  assert.equal(observerDelete.status, 403);
+  assert.equal(observerDelete.body.error.code, 'FORBIDDEN');
+
+  // Teachers can't manage accounts
+  assert.equal((await request('GET', '/api/dashboard/accounts', { token: teacher })).status, 403);
+
+  const list = await request('GET', '/api/dashboard/accounts', { token: admin });
+  assert.deepEqual(
+    list.body.accounts.map(a => [a.username, a.role]).filter(([u]) => u !== ADMIN_USERNAME),
+    [['teach1', 'teacher'], ['watch1', 'observer']]
+  );
+  assert.ok(list.body.accounts.every(a => a.password_hash === undefined));
+});
+
+test('disabling an account locks out its existing token immediately', async () => {
+  const admin = (await login(ADMIN_USERNAME, ADMIN_PASSWORD)).body.token;
+  await request('POST', '/api/dashboard/accounts', {
+    token: admin,
+    body: { username: 'leaving1', password: 'password123', role: 'teacher' }
+  });
+  const token = (await login('leaving1', 'password123')).body.token;
+  assert.equal((await request('GET', '/api/dashboard/sessions', { token })).status, 200);
+
+  const disabled = await request('PATCH', '/api/dashboard/accounts/leaving1', { token: admin, body: { disabled: true } });
+  assert.equal(disabled.status, 200);
+  assert.equal(disabled.body.account.disabled, true);
+
+  assert.equal((await request('GET', '/api/dashboard/sessions', { token })).status, 401);
+  assert.equal((await login('leaving1', 'password123')).status, 403);
+});
+
+test('tokens with a tampered role or for unknown accounts are rejected', async () => {
+  const observerToken = (await login('watch1', 'password123')).body.token;
+  const decoded = JSON.parse(Buffer.from(observerToken, 'base64').toString());
+  decoded.payload.role = 'admin';
+  const tampered = Buffer.from(JSON.stringify(decoded)).toString('base64');
+  assert.equal((await request('GET', '/api/dashboard/accounts', { token: tampered })).status, 401);
+
+  const ghost = generateDashboardToken({ username: 'ghost', role: 'admin' });
+  assert.equal((await request('GET', '/api/dashboard/sessions', { token: ghost })).status, 401);
+});
@@ -0,0 +1,69 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore } from '../src/services/memoryStore.js';
+import { sweepExpired, __setNow } from '../src/services/expirySweeper.js';
+
+const NOW = new Date('2026-07-24T12:00:00Z');
+const nowSeconds = Math.floor(NOW.getTime() / 1000);
+
+afterEach(() => {
+  __setNow(null);
+});
+
+function seed(store, code, expiresAt, extra = {}) {
+  store.put(code, { session_code: code, expires_at: expiresAt, ...extra });
+}
+
+test('sweepExpired deletes expired sessions and keeps live ones', () => {
+  __setNow(() => NOW);
+  const store = createStore();
+  seed(store, 'OLD001', nowSeconds - 1);
+  seed(store, 'NEW001', nowSeconds + 3600);
+  seed(store, 'NOTTL1', undefined);
+
+  const result = sweepExpired(store);
+
+  assert.deepEqual(result, { sessions: 1, collaborations: 0 });
+  assert.equal(store.get('OLD001'), null);
+  assert.ok(store.get('NEW001'));
+  assert.ok(store.get('NOTTL1'));
+});
+
+test('sweepExpired purges collaboration rooms linked to an expired student session', () => {
+  __setNow(() => NOW);
+  const store = createStore();
+  seed(store, 'OLD002', nowSeconds - 1, { collaboration_session_id: 'COLLABAAAAAA' });
+  seed(store, 'COLLABAAAAAA', nowSeconds + 3600, { student_session_id: 'OLD002' });
+  seed(store, 'NEW002', nowSeconds + 3600);
+  seed(store, 'COLLABBBBBBB', nowSeconds + 3600, { student_session_id: 'NEW002' });
+
+  const result = sweepExpired(store);
+
+  assert.deepEqual(result, { sessions: 1, collaborations: 1 });
+  assert.equal(store.get('COLLABAAAAAA'), null);
+  assert.ok(store.get('COLLABBBBBBB'));
+});
+
+test('sweepExpired purges a collaboration room whose own TTL has passed', () => {
+  __setNow(() => NOW);
+  const store = createStore();
+  seed(store, 'NEW003', nowSeconds + 3600);
+  seed(store, 'COLLABCCCCCC', nowSeconds - 10, { student_session_id: 'NEW003' });
+
+  const result = sweepExpired(store);
+
+  assert.deepEqual(result, { sessions: 0, collaborations: 1 });
+  assert.ok(store.get('NEW003'));
+});
+
+test('sweepExpired follows the injected clock', () => {
+  const store = createStore();
+  seed(store, 'LATER1', nowSeconds + 60);
+
+  __setNow(() => NOW);
+  assert.deepEqual(sweepExpired(store), { sessions: 0, collaborations: 0 });
+
+  __setNow(() => new Date(NOW.getTime() + 61_000));
+  assert.deepEqual(sweepExpired(store), { sessions: 1, collaborations: 0 });
+  assert.equal(store.get('LATER1'), null);
+});
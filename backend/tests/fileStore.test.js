@@ -0,0 +1,105 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileStore } from '../src/services/fileStore.js';
+import { createStoreFromEnv } from '../src/services/memoryStore.js';
+
+const tmpDirs = [];
+
+function tmpStorePath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mp-filestore-'));
+  tmpDirs.push(dir);
+  return path.join(dir, 'nested', 'store.jsonl');
+}
+
+afterEach(() => {
+  while (tmpDirs.length > 0) {
+    fs.rmSync(tmpDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+test('get on missing key returns null and creates the parent directory', () => {
+  const file = tmpStorePath();
+  const store = createFileStore(file);
+  assert.equal(store.get('missing'), null);
+  assert.ok(fs.existsSync(path.dirname(file)));
+});
+
+test('put/merge/delete survive reopening the same file', () => {
+  const file = tmpStorePath();
+  const store = createFileStore(file);
+  store.put('key1', { a: 1, nested: { list: [1, 2] } });
+  store.put('key2', { b: 2 });
+  store.merge('key1', { c: 3 });
+  store.delete('key2');
+
+  const reopened = createFileStore(file);
+  assert.deepEqual(reopened.get('key1'), { a: 1, nested: { list: [1, 2] }, c: 3 });
+  assert.equal(reopened.get('key2'), null);
+  assert.equal(reopened.scanAll().length, 1);
+});
+
+test('mutating source object after put does not affect stored copy', () => {
+  const store = createFileStore(tmpStorePath());
+  const item = { session: { problems: [{ steps: ['a', 'b'] }] } };
+  store.put('key1', item);
+  item.session.problems[0].steps.push('c');
+  assert.deepEqual(store.get('key1'), { session: { problems: [{ steps: ['a', 'b'] }] } });
+});
+
+test('mutating objects returned by get/merge/scanAll does not affect store', () => {
+  const store = createFileStore(tmpStorePath());
+  store.put('key1', { problems: [{ steps: ['a'] }] });
+
+  store.get('key1').problems[0].steps.push('x');
+  store.scanAll()[0].problems[0].steps.push('y');
+  const merged = store.merge('key1', { extra: true });
+  merged.problems[0].steps.push('z');
+
+  assert.deepEqual(store.get('key1'), { problems: [{ steps: ['a'] }], extra: true });
+});
+
+test('merge onto missing key creates the item', () => {
+  const store = createFileStore(tmpStorePath());
+  assert.deepEqual(store.merge('newKey', { a: 1 }), { a: 1 });
+  assert.deepEqual(store.get('newKey'), { a: 1 });
+});
+
+test('a torn trailing line is skipped instead of failing startup', () => {
+  const file = tmpStorePath();
+  const store = createFileStore(file);
+  store.put('key1', { a: 1 });
+  fs.appendFileSync(file, '{"op":"put","key":"key2","item":{"b"');
+
+  const reopened = createFileStore(file);
+  assert.deepEqual(reopened.get('key1'), { a: 1 });
+  assert.equal(reopened.get('key2'), null);
+});
+
+test('reopening a log dominated by overwrites compacts it to one line per key', () => {
+  const file = tmpStorePath();
+  const store = createFileStore(file);
+  for (let i = 0; i < 150; i++) {
+    store.put('hot', { n: i });
+  }
+  assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 150);
+
+  const reopened = createFileStore(file);
+  assert.deepEqual(reopened.get('hot'), { n: 149 });
+  assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 1);
+});
+
+test('createStoreFromEnv picks the file backend and rejects unknown backends', () => {
+  const file = tmpStorePath();
+  const store = createStoreFromEnv({ STORE_BACKEND: 'file', STORE_FILE_PATH: file });
+  store.put('key1', { a: 1 });
+  assert.ok(fs.existsSync(file));
+
+  const memory = createStoreFromEnv({});
+  memory.put('key1', { a: 1 });
+  assert.deepEqual(memory.get('key1'), { a: 1 });
+
+  assert.throws(() => createStoreFromEnv({ STORE_BACKEND: 'dynamo' }), /Unknown STORE_BACKEND/);
+});
@@ -0,0 +1,19 @@
+/**
+ * Call a route handler directly, without the route's guards
+ * Resolves to { statusCode, body } and rethrows whatever the handler passes
+ * to next, so tests can assert.rejects on the errors the route would send.
+ * @param {Function} handler - Express handler
+ * @param {Object} req - e.g. { params, body }
+ * @returns {Promise<Object>} { statusCode, body }
+ */
+export async function callHandler(handler, req = {}) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  let failure = null;
+  await handler(req, res, error => { failure = error; });
+  if (failure) throw failure;
+  return { statusCode: res.statusCode, body: res.body };
+}
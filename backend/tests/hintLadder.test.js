@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getHintRung, nextHintLevel, MAX_HINT_LEVEL } from '../src/services/hintLadder.js';
+import { createSession, updateSession, addStepToProblem, getSession } from '../src/services/sessionService.js';
+import { getSessionDetails } from '../src/services/dashboardService.js';
+
+async function seedProblem(code, streakProgress) {
+  await createSession(code);
+  await updateSession(code, {
+    streak_progress: streakProgress,
+    current_problem_id: 'P001',
+    problems: [{ problem_id: 'P001', raw_input: '2x + 3 = 7', category: 'algebra', completed: false, steps: [] }]
+  });
+}
+
+function hintStep(level) {
+  return { tutor_prompt: 'hint', student_response: 'idk', hint_used: true, hint_level: level, progress_made: false };
+}
+
+test('nextHintLevel climbs one rung per hint and stops at bottom-out', () => {
+  assert.equal(nextHintLevel({}), 1);
+  assert.equal(nextHintLevel({ hint_level: 2 }), 3);
+  assert.equal(nextHintLevel({ hint_level: MAX_HINT_LEVEL }), MAX_HINT_LEVEL);
+  assert.deepEqual(
+    [1, 2, 3, 4].map(level => getHintRung(level).name),
+    ['nudge', 'strategic', 'worked_substep', 'bottom_out']
+  );
+  assert.equal(getHintRung(undefined).level, 1, 'steps from before the ladder count as a nudge');
+});
+
+test('addStepToProblem records the highest rung and scales the streak penalty with it', async () => {
+  await seedProblem('LADR01', 100);
+
+  await addStepToProblem('LADR01', hintStep(1));
+  let session = await getSession('LADR01');
+  assert.equal(session.streak_progress, 80);
+  assert.equal(session.problems[0].hint_level, 1);
+
+  await addStepToProblem('LADR01', hintStep(3));
+  session = await getSession('LADR01');
+  assert.equal(session.streak_progress, 20);
+  assert.equal(session.problems[0].hint_level, 3);
+  assert.equal(session.problems[0].hints_used_total, 2);
+
+  await updateSession('LADR01', { streak_progress: 80 });
+  await addStepToProblem('LADR01', hintStep(4));
+  session = await getSession('LADR01');
+  assert.equal(session.streak_progress, 0, 'a bottom-out example resets the streak');
+});
+
+test('getSessionDetails shows the hint level each problem needed', async () => {
+  await seedProblem('LADR02', 0);
+  await addStepToProblem('LADR02', hintStep(1));
+  await addStepToProblem('LADR02', hintStep(2));
+
+  const details = await getSessionDetails('LADR02');
+  assert.equal(details.problems[0].hint_level, 2);
+  assert.equal(details.problems[0].hint_level_label, 'Strategic hint');
+});
+
+test('processStudentResponse gives the hint at the next rung of the ladder', async () => {
+  const { __setChatCompletionOverride } = await import('../src/services/openai.js');
+  const { processStudentResponse } = await import('../src/services/socraticEngine.js');
+
+  let hintInstruction = null;
+  __setChatCompletionOverride(async (params) => {
+    hintInstruction = params.messages.find(m => m.role === 'system' && m.content.includes('stuck for 2+ turns'))?.content || hintInstruction;
+    return { choices: [{ message: { content: params.max_tokens === 800 ? 'What could we try first?' : 'NO' } }] };
+  });
+
+  try {
+    const stuck = { tutor_prompt: 'What do we do?', student_response: "i don't know", hint_used: false, progress_made: false };
+    const { step } = await processStudentResponse({
+      studentResponse: "i don't know",
+      problem: { raw_input: 'Sarah has some apples', normalized_latex: 'Sarah has some apples', category: 'arithmetic', hint_level: 1 },
+      steps: [stuck, stuck]
+    });
+
+    assert.equal(step.hint_used, true);
+    assert.equal(step.hint_level, 2);
+    assert.match(hintInstruction, /strategic hint/);
+  } finally {
+    __setChatCompletionOverride(null);
+  }
+});
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sessionStore } from '../src/services/memoryStore.js';
+import { createSession, getSession, deleteSession } from '../src/services/sessionService.js';
+import { createClass, listClassesForAccount } from '../src/services/classService.js';
+import { createOrGetSessionHandler } from '../src/handlers/sessionHandler.js';
+import { getAdaptiveRecommendation } from '../src/services/learningAssessmentService.js';
+import {
+  getLearnerProfile,
+  linkSessionToLearner,
+  recordLearnerTurn,
+  recordLearnerOutcome,
+  summarizeLearnerProfile,
+  describeLearnerProfile
+} from '../src/services/learnerProfileService.js';
+import { callHandler } from './helpers/callHandler.js';
+
+const algebra = { problem_id: 'P001', raw_input: '2x + 3 = 21', category: 'algebra' };
+
+async function postSession(body) {
+  return (await callHandler(createOrGetSessionHandler, { body })).body;
+}
+
+function turn(overrides = {}) {
+  return { student_response: '2x = 18', hint_used: false, hint_level: null, progress_made: true, step_check: null, ...overrides };
+}
+
+test('a new session started with an earlier session code joins the same learner profile', async () => {
+  const period1 = createClass({ name: 'Profile Period 1', owner: 'ms.lee' });
+  const period2 = createClass({ name: 'Profile Period 2', owner: 'ms.lee' });
+
+  const first = await postSession({ class_code: period1.join_code });
+  const learnerId = (await getSession(first.session_code)).learner_id;
+  assert.match(learnerId, /^LRN[0-9A-F]{12}$/);
+
+  const second = await postSession({ class_code: period1.join_code, previous_session_code: first.session_code });
+  assert.equal((await getSession(second.session_code)).learner_id, learnerId);
+
+  // Still found after the earlier session has expired, through the profile's session list
+  await deleteSession(first.session_code);
+  const third = await postSession({ class_code: period1.join_code, session_code: first.session_code });
+  assert.equal((await getSession(third.session_code)).learner_id, learnerId);
+  assert.deepEqual(getLearnerProfile(learnerId).session_codes, [first.session_code, second.session_code, third.session_code]);
+
+  // A code from another class doesn't carry a profile over
+  const other = await postSession({ class_code: period2.join_code, previous_session_code: second.session_code });
+  assert.notEqual((await getSession(other.session_code)).learner_id, learnerId);
+
+  // Profiles aren't counted as sessions of the class
+  const counts = Object.fromEntries(listClassesForAccount({ role: 'admin' }).map(c => [c.class_id, c.session_count]));
+  assert.equal(counts[period1.class_id], 2);
+});
+
+test('sessions from before learner profiles get one when resumed', async () => {
+  const legacy = await createSession('PRFL01');
+  assert.equal(legacy.learner_id, undefined);
+
+  const profile = linkSessionToLearner(await getSession('PRFL01'));
+  assert.equal((await getSession('PRFL01')).learner_id, profile.learner_id);
+  assert.equal(linkSessionToLearner(await getSession('PRFL01')).learner_id, profile.learner_id, 'linking is idempotent');
+});
+
+test('turns and outcomes build mastery, misconceptions, styles and hint dependence', async () => {
+  const session = await createSession('PRFL02');
+  const { learner_id: learnerId } = linkSessionToLearner(session);
+
+  const stuck = turn({ student_response: 'idk', progress_made: false, hint_used: true, hint_level: 3 });
+  recordLearnerTurn(learnerId, { problem: algebra, previousSteps: [], step: stuck });
+  recordLearnerTurn(learnerId, { problem: algebra, previousSteps: [stuck], step: turn() });
+  recordLearnerTurn(learnerId, {
+    problem: algebra,
+    previousSteps: [stuck],
+    step: turn({ progress_made: false, step_check: { valid: false, error: 'equation', reasoning: 'With x = 8, ...' } })
+  });
+  recordLearnerTurn(learnerId, {
+    problem: algebra,
+    previousSteps: [stuck],
+    step: turn({ student_response: 'x = 8', progress_made: false, step_check: { valid: false, error: 'equation', reasoning: 'With x = 8, ...' } }),
+    solutionCompletion: { solution_completed: true, is_correct: false }
+  });
+  recordLearnerTurn(learnerId, { problem: algebra, previousSteps: [turn()], step: turn() });
+  recordLearnerTurn(learnerId, { problem: algebra, previousSteps: [turn()], step: turn() });
+
+  recordLearnerOutcome(learnerId, { ...algebra, completed: true, learning_assessment: { learning_confidence: 1 } });
+  recordLearnerOutcome(learnerId, { ...algebra, completed: true, learning_assessment: { learning_confidence: 0.2 } });
+
+  const summary = summarizeLearnerProfile(getLearnerProfile(learnerId));
+  assert.deepEqual(summary.mastery.algebra, { attempts: 1, completed: 2, assessed: 2, level: 0.6 });
+  assert.deepEqual(summary.misconceptions.map(m => [m.kind, m.count]), [['equation', 2]]);
+  assert.equal(summary.preferred_style, 'socratic');
+  assert.equal(summary.hint_dependence, 'moderate');
+
+  const briefing = describeLearnerProfile(getLearnerProfile(learnerId), 'algebra');
+  assert.match(briefing, /algebra mastery: 60% over 2 assessed/);
+  assert.match(briefing, /Recurring: steps that change the equation/);
+  assert.equal(describeLearnerProfile(null, 'algebra'), null);
+});
+
+test('getAdaptiveRecommendation follows the mastery of the problem\'s skills', () => {
+  const profile = (pMastery, misconceptions = {}) => ({
+    learner_id: 'LRNTEST',
+    session_codes: [],
+    mastery: {},
+    skills: { two_step_equation: { attempts: 3, completed: 3, p_mastery: pMastery, observations: 9 } },
+    misconceptions,
+    explanation_styles: {},
+    hint_stats: { turns: 0, hinted_turns: 0, max_level: 0 }
+  });
+  const tagged = { ...algebra, skills: ['two_step_equation'] };
+
+  assert.equal(getAdaptiveRecommendation(0.9, algebra).action, 'continue');
+  assert.equal(getAdaptiveRecommendation(0.9, tagged, profile(0.4)).action, 'recommend_practice');
+  assert.equal(getAdaptiveRecommendation(0.3, tagged, profile(0.9)).action, 'continue');
+  assert.equal(getAdaptiveRecommendation(0.3, tagged, profile(0.7)).mastery, 0.7);
+
+  const focused = getAdaptiveRecommendation(0.3, tagged, profile(0.3, {
+    arithmetic: { count: 3, categories: { algebra: 3 } }
+  }));
+  assert.equal(focused.action, 'recommend_practice');
+  assert.equal(focused.focus, 'arithmetic');
+  assert.match(focused.message, /checking the arithmetic/);
+
+  // Profiles are records in the shared store, not sessions
+  assert.ok(sessionStore.scanAll().some(item => item.record_type === 'learner'));
+});
+
+test('generateTutorResponse briefs the tutor with the learner profile', async () => {
+  const { __setChatCompletionOverride } = await import('../src/services/openai.js');
+  const { generateTutorResponse } = await import('../src/services/socraticEngine.js');
+
+  let messages = null;
+  __setChatCompletionOverride(async (params) => {
+    messages = params.messages;
+    return { choices: [{ message: { content: 'What do you notice about the equation?' } }] };
+  });
+
+  try {
+    const learnerProfile = {
+      learner_id: 'LRNTEST',
+      session_codes: [],
+      mastery: {},
+      misconceptions: { arithmetic: { count: 2, categories: { algebra: 2 }, last_example: '27/3 = 8' } },
+      explanation_styles: { worked_example: 4 },
+      hint_stats: { turns: 10, hinted_turns: 5, max_level: 3 }
+    };
+    await generateTutorResponse({
+      problemText: '2x + 3 = 21',
+      normalizedLatex: '2x + 3 = 21',
+      category: 'algebra',
+      studentResponse: null,
+      learnerProfile
+    });
+
+    const briefing = messages.find(m => m.role === 'system' && m.content.includes('earlier problems')).content;
+    assert.match(briefing, /arithmetic slips \(2 times\), e\.g\. "27\/3 = 8"/);
+    assert.match(briefing, /seeing a worked step or example first/);
+    assert.match(briefing, /Hint dependence: high \(50% of turns/);
+  } finally {
+    __setChatCompletionOverride(null);
+  }
+});
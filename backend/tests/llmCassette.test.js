@@ -0,0 +1,102 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { openCassette, cassetteKey } from '../src/services/llmCassette.js';
+import { registerProvider } from '../src/services/llmProviders.js';
+import { createLocalProvider } from '../src/services/localLLMProvider.js';
+import { createChatCompletion, useCassette, TEXT_MODEL, TEXT_MODEL_FALLBACK } from '../src/services/openai.js';
+import { validateProblem, hasMathProblem } from '../src/services/problemService.js';
+import { __setClassifierCacheConfig } from '../src/services/classifierCache.js';
+
+const savedProvider = process.env.LLM_PROVIDER;
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+
+// Every classifier call should reach the cassette, not the classifier cache above it
+__setClassifierCacheConfig({ maxEntries: 0 });
+
+// Counts the calls that reach a provider
+let providerCalls = 0;
+const local = createLocalProvider();
+registerProvider('counting', {
+  createChatCompletion: (params, context) => {
+    providerCalls++;
+    return local.createChatCompletion(params, context);
+  }
+});
+
+afterEach(() => {
+  useCassette(null);
+  providerCalls = 0;
+  if (savedProvider === undefined) delete process.env.LLM_PROVIDER;
+  else process.env.LLM_PROVIDER = savedProvider;
+});
+
+test('keys ignore whitespace and the model but not the wording', () => {
+  const key = cassetteKey([{ role: 'user', content: 'Is  this\nmath?  ' }]);
+  assert.equal(cassetteKey([{ role: 'user', content: 'Is this math?' }]), key);
+  assert.notEqual(cassetteKey([{ role: 'user', content: 'Is this algebra?' }]), key);
+  assert.notEqual(cassetteKey([{ role: 'system', content: 'Is this math?' }]), key);
+  assert.throws(() => openCassette('x', { mode: 'rewind', dir }), { name: 'ValidationError' });
+});
+
+test('a recorded cassette replays the same answers without reaching the provider', async () => {
+  process.env.LLM_PROVIDER = 'counting';
+
+  useCassette(openCassette('classifiers', { mode: 'record', dir }));
+  assert.deepEqual(await validateProblem('Sam has 3 apples and buys 4 more. How many now?'), { valid: true, reason: null });
+  assert.deepEqual(await hasMathProblem('Sam has 3 apples'), { hasMath: true });
+  assert.equal(providerCalls, 2);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'classifiers.json'), 'utf8'));
+  assert.deepEqual(Object.values(saved.entries).map(e => e.call_site).sort(), ['has_math_problem', 'validate_problem']);
+
+  const replay = openCassette('classifiers', { mode: 'replay', dir });
+  useCassette(replay);
+  assert.deepEqual(await validateProblem('Sam has 3 apples and buys 4 more. How many now?'), { valid: true, reason: null });
+  assert.deepEqual(await hasMathProblem('Sam has 3 apples'), { hasMath: true });
+
+  // Streamed calls replay too
+  const tokens = [];
+  useCassette(openCassette('stream', { mode: 'record', dir }));
+  await createChatCompletion(
+    { model: TEXT_MODEL, messages: [{ role: 'user', content: 'Help me start' }] },
+    { callSite: 'tutor_response', onToken: token => tokens.push(token) }
+  );
+  useCassette(openCassette('stream', { mode: 'replay', dir }));
+  const replayed = await createChatCompletion(
+    { model: TEXT_MODEL_FALLBACK, messages: [{ role: 'user', content: 'Help me  start' }] },
+    { callSite: 'tutor_response', onToken: token => tokens.push(token) }
+  );
+
+  assert.equal(providerCalls, 3, 'only the recording runs reached the provider');
+  assert.equal(replayed.choices[0].message.content, 'What do you think the first step should be?');
+  assert.deepEqual(replay.stats(), { hits: 2, misses: 0, recorded: 0, entries: 2 });
+});
+
+test('replay misses fail the call and are reported with the call site', async () => {
+  process.env.LLM_PROVIDER = 'counting';
+  const cassette = openCassette('empty', { mode: 'replay', dir });
+  useCassette(cassette);
+
+  await assert.rejects(
+    () => createChatCompletion({ model: TEXT_MODEL, messages: [{ role: 'user', content: 'Grade x = 5' }] }, { callSite: 'transfer_grade' }),
+    { name: 'CassetteMissError', code: 'LLM_CASSETTE_MISS' }
+  );
+
+  // Call sites that swallow LLM errors still leave the miss on the cassette
+  assert.deepEqual(await hasMathProblem('What is 7 times 8?'), { hasMath: true });
+
+  assert.equal(providerCalls, 0);
+  assert.deepEqual(cassette.misses.map(m => m.call_site), ['transfer_grade', 'has_math_problem']);
+  assert.match(cassette.missReport(), /^transfer_grade \([0-9a-f]{16}\): "Grade x = 5"$/m);
+
+  // auto records what replay lacks
+  const auto = openCassette('empty', { mode: 'auto', dir });
+  useCassette(auto);
+  await hasMathProblem('What is 7 times 8?');
+  await hasMathProblem('What is 7 times 8?');
+  assert.equal(providerCalls, 1);
+  assert.deepEqual(auto.stats(), { hits: 1, misses: 0, recorded: 1, entries: 1 });
+});
@@ -0,0 +1,107 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  registerProvider,
+  resolveProviderName,
+  getProvider,
+  getProviderForCallSite
+} from '../src/services/llmProviders.js';
+import { createLocalProvider } from '../src/services/localLLMProvider.js';
+import {
+  createChatCompletion,
+  __setChatCompletionOverride,
+  TEXT_MODEL,
+  TEXT_MODEL_FALLBACK
+} from '../src/services/openai.js';
+import { createSession } from '../src/services/sessionService.js';
+import { submitProblemHandler } from '../src/handlers/problemHandler.js';
+import { sendChatMessageHandler } from '../src/handlers/chatHandler.js';
+import { callHandler } from './helpers/callHandler.js';
+
+const ENV_KEYS = ['LLM_PROVIDER', 'LLM_PROVIDER_VISION_OCR', 'LLM_PROVIDER_TUTOR_RESPONSE'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+  __setChatCompletionOverride(null);
+});
+
+test('providers are chosen per call site, then by LLM_PROVIDER, then OpenRouter', () => {
+  delete process.env.LLM_PROVIDER;
+  assert.equal(resolveProviderName('tutor_response'), 'openrouter');
+
+  process.env.LLM_PROVIDER = 'local';
+  process.env.LLM_PROVIDER_VISION_OCR = 'openai_compatible';
+  assert.equal(resolveProviderName('tutor_response'), 'local');
+  assert.equal(resolveProviderName('vision_ocr'), 'openai_compatible');
+  assert.equal(getProviderForCallSite('validate_problem').name, 'local');
+
+  assert.throws(() => getProvider('nope'), { name: 'OpenAIError' });
+  assert.throws(() => registerProvider('broken', {}), { name: 'OpenAIError' });
+});
+
+test('the local provider answers from its script, then per call site, and can fail on cue', async () => {
+  registerProvider('scripted', createLocalProvider({
+    script: [
+      { call_site: 'validate_problem', match: 'banana', content: 'INVALID: not math' },
+      { call_site: 'tutor_response', match: '/x\\s*=\\s*4/', content: 'How can you check x = 4?' },
+      { call_site: 'has_math_problem', model: TEXT_MODEL, status: 429 }
+    ]
+  }));
+  process.env.LLM_PROVIDER = 'scripted';
+
+  const ask = (callSite, content) => createChatCompletion(
+    { model: TEXT_MODEL, messages: [{ role: 'user', content }] },
+    { callSite }
+  );
+
+  assert.equal((await ask('validate_problem', 'Problem: "banana split"')).choices[0].message.content, 'INVALID: not math');
+  assert.equal((await ask('validate_problem', 'Problem: "2x + 1 = 9"')).choices[0].message.content, 'VALID');
+  assert.equal((await ask('tutor_response', 'Student: x=4')).choices[0].message.content, 'How can you check x = 4?');
+  assert.equal((await ask('normalize_latex', 'Problem: "3 + 4"\n\nLaTeX:')).choices[0].message.content, '3 + 4');
+
+  // The scripted 429 sends the call to the fallback model, which the script doesn't fail
+  const fallback = await ask('has_math_problem', 'Text: "2 + 2"');
+  assert.equal(fallback.model, TEXT_MODEL_FALLBACK);
+  assert.equal(fallback.choices[0].message.content, 'YES');
+  assert.ok(fallback.usage.total_tokens > 0);
+
+  // Streaming works the same way
+  const tokens = [];
+  const streamed = await createChatCompletion(
+    { model: TEXT_MODEL, messages: [{ role: 'user', content: 'Student: x = 4' }] },
+    { callSite: 'tutor_response', onToken: token => tokens.push(token) }
+  );
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens.join(''), 'How can you check x = 4?');
+  assert.equal(streamed.choices[0].message.content, 'How can you check x = 4?');
+});
+
+test('with LLM_PROVIDER=local a student can submit a problem and chat with no network', async () => {
+  process.env.LLM_PROVIDER = 'local';
+  const session = await createSession('LOCAL1');
+
+  const { body: submitted } = await callHandler(submitProblemHandler, {
+    params: { code: session.session_code },
+    body: { text: 'Maya has 3 bags with 4 apples in each bag. How many apples does she have?' }
+  });
+  assert.equal(submitted.tutor_message, 'What do you think the first step should be?');
+
+  const { body: reply } = await callHandler(sendChatMessageHandler, {
+    params: { code: session.session_code },
+    body: { message: 'I think I should multiply' }
+  });
+  assert.equal(reply.tutor_message, 'What do you think the first step should be?');
+
+  // Test overrides still take precedence, and learn the call site
+  const callSites = [];
+  __setChatCompletionOverride(async (params, { callSite }) => {
+    callSites.push(callSite);
+    return { choices: [{ message: { content: 'YES' } }] };
+  });
+  await createChatCompletion({ model: TEXT_MODEL, messages: [] }, { callSite: 'has_math_problem' });
+  assert.deepEqual(callSites, ['has_math_problem']);
+});
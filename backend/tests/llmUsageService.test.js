@@ -0,0 +1,135 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import {
+  getSessionUsage,
+  getUsageReport,
+  isOverTokenBudget,
+  __setNow,
+  __setUsageConfig
+} from '../src/services/llmUsageService.js';
+import { classTokenBudgetGuard } from '../src/middleware/abuseGuards.js';
+import { registerProvider } from '../src/services/llmProviders.js';
+import { createLocalProvider } from '../src/services/localLLMProvider.js';
+import { createChatCompletion, TEXT_MODEL, TEXT_MODEL_FALLBACK } from '../src/services/openai.js';
+import { createClass, updateTokenBudget } from '../src/services/classService.js';
+import { createSession } from '../src/services/sessionService.js';
+import { submitProblemHandler } from '../src/handlers/problemHandler.js';
+import { sendChatMessageHandler } from '../src/handlers/chatHandler.js';
+
+const savedProvider = process.env.LLM_PROVIDER;
+
+// The tutor's first-choice model is rate limited, so its turns run on the fallback
+registerProvider('usage_test', createLocalProvider({
+  script: [{ call_site: 'tutor_response', model: TEXT_MODEL, status: 429 }]
+}));
+
+afterEach(() => {
+  __setNow(null);
+  __setUsageConfig({ defaultDailyBudget: null, prices: {} });
+  if (savedProvider === undefined) delete process.env.LLM_PROVIDER;
+  else process.env.LLM_PROVIDER = savedProvider;
+});
+
+async function listen() {
+  const app = express();
+  app.use(express.json());
+  app.post('/api/sessions/:code/problems', classTokenBudgetGuard, submitProblemHandler);
+  app.post('/api/sessions/:code/chat', classTokenBudgetGuard, sendChatMessageHandler);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const post = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { server, post };
+}
+
+test('LLM calls made for a request are rolled up per session, class, model and feature', async () => {
+  process.env.LLM_PROVIDER = 'usage_test';
+  __setUsageConfig({ prices: { [TEXT_MODEL_FALLBACK]: { prompt: 1, completion: 2 } } });
+  const classInfo = createClass({ name: 'Usage class', owner: 'usage-teacher' });
+  const otherClass = createClass({ name: 'Other usage class', owner: 'usage-teacher' });
+  const session = await createSession('USAGE1', { classId: classInfo.class_id });
+  const { server, post } = await listen();
+
+  try {
+    const submitted = await post(`/api/sessions/${session.session_code}/problems`, { text: 'What is 12 + 30?' });
+    assert.equal(submitted.status, 201);
+    const chat = await post(`/api/sessions/${session.session_code}/chat`, { message: 'I add them' });
+    assert.equal(chat.status, 200);
+  } finally {
+    server.close();
+  }
+
+  const usage = getSessionUsage(session.session_code);
+  assert.ok(usage.total_tokens > 0);
+  assert.equal(usage.total_tokens, usage.prompt_tokens + usage.completion_tokens);
+
+  // Each tutor turn: a failed first-choice attempt (no response, not counted) and a fallback answer
+  const tutor = usage.by_feature.tutor_response;
+  assert.equal(tutor.calls, 2);
+  assert.equal(tutor.fallback_calls, 2);
+  assert.equal(usage.by_model[TEXT_MODEL_FALLBACK].calls, 2);
+  assert.ok(usage.by_model[TEXT_MODEL].calls > 0, 'the classifiers ran on the first-choice model');
+  assert.equal(usage.by_model[TEXT_MODEL].cost_usd, 0);
+  const fallback = usage.by_model[TEXT_MODEL_FALLBACK];
+  assert.equal(fallback.cost_usd, (fallback.prompt_tokens + 2 * fallback.completion_tokens) / 1e6);
+
+  // A call outside any session only counts toward the all-calls total
+  await createChatCompletion({ model: TEXT_MODEL, messages: [{ role: 'user', content: 'Test' }] }, { callSite: 'connection_test' });
+
+  const teacherReport = getUsageReport(new Set([classInfo.class_id, otherClass.class_id]));
+  assert.equal(teacherReport.totals.total_tokens, usage.total_tokens);
+  assert.equal(teacherReport.by_feature.connection_test, undefined);
+  assert.deepEqual(
+    teacherReport.classes.map(c => [c.name, c.total_tokens, c.tokens_today]),
+    [['Usage class', usage.total_tokens, usage.total_tokens], ['Other usage class', 0, 0]]
+  );
+  assert.deepEqual(teacherReport.sessions.map(s => [s.session_code, s.total_tokens]), [['USAGE1', usage.total_tokens]]);
+
+  const adminReport = getUsageReport(null);
+  assert.ok(adminReport.totals.total_tokens > usage.total_tokens);
+  assert.equal(adminReport.by_feature.connection_test.calls, 1);
+
+  assert.deepEqual(getUsageReport(new Set(['CLSNONE'])).sessions, []);
+});
+
+test('a class past its daily token budget is throttled until the next day', async () => {
+  process.env.LLM_PROVIDER = 'local';
+  const classInfo = createClass({ name: 'Budget class', owner: 'budget-teacher' });
+  const unlimited = createClass({ name: 'Unlimited class', owner: 'budget-teacher' });
+  const session = await createSession('BUDGT1', { classId: classInfo.class_id });
+  const other = await createSession('BUDGT2', { classId: unlimited.class_id });
+  const { server, post } = await listen();
+  __setNow(() => new Date('2026-03-02T09:00:00Z'));
+
+  try {
+    assert.throws(() => updateTokenBudget(classInfo.class_id, -5), { name: 'ValidationError' });
+    assert.equal(updateTokenBudget(classInfo.class_id, 1).daily_token_budget, 1);
+
+    assert.equal((await post(`/api/sessions/${session.session_code}/problems`, { text: 'What is 7 times 8?' })).status, 201);
+    assert.equal(isOverTokenBudget(classInfo.class_id), true);
+
+    const throttled = await post(`/api/sessions/${session.session_code}/chat`, { message: 'I multiply' });
+    assert.equal(throttled.status, 429);
+    assert.deepEqual(await throttled.json(), { error: "Your class has used today's AI budget, please try again tomorrow." });
+    assert.equal(getUsageReport(new Set([classInfo.class_id])).classes[0].throttled, true);
+
+    // Other classes are unaffected
+    assert.equal((await post(`/api/sessions/${other.session_code}/problems`, { text: 'What is 7 times 8?' })).status, 201);
+
+    __setNow(() => new Date('2026-03-03T09:00:00Z'));
+    assert.equal((await post(`/api/sessions/${session.session_code}/chat`, { message: 'I multiply' })).status, 200);
+
+    // Clearing the class budget falls back to CLASS_DAILY_TOKEN_BUDGET
+    __setUsageConfig({ defaultDailyBudget: 1 });
+    assert.equal(updateTokenBudget(classInfo.class_id, null).daily_token_budget, null);
+    assert.equal(isOverTokenBudget(classInfo.class_id), true);
+    assert.equal(isOverTokenBudget(null), false, 'sessions outside a class are never throttled');
+  } finally {
+    server.close();
+  }
+});
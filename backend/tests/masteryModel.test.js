@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PRIOR_MASTERY,
+  updateMastery,
+  observeSkills,
+  masteryOfSkills,
+  masteryBand
+} from '../src/services/masteryModel.js';
+import { calculateLearningConfidence } from '../src/services/learningAssessmentService.js';
+import { createClass } from '../src/services/classService.js';
+import { createSession } from '../src/services/sessionService.js';
+import { getAggregateStats } from '../src/services/dashboardService.js';
+import {
+  getLearnerProfile,
+  linkSessionToLearner,
+  recordLearnerTurn,
+  recordLearnerAnswer
+} from '../src/services/learnerProfileService.js';
+
+test('updateMastery rises on correct answers and falls on misses, weighted by kind', () => {
+  const afterStep = updateMastery(PRIOR_MASTERY, true, 'step');
+  assert.ok(afterStep > PRIOR_MASTERY);
+  assert.ok(updateMastery(PRIOR_MASTERY, false, 'step') < PRIOR_MASTERY);
+
+  // A transfer problem can hardly be guessed, so it says more than an MC answer
+  assert.ok(updateMastery(PRIOR_MASTERY, true, 'transfer') > updateMastery(PRIOR_MASTERY, true, 'mc'));
+  // A hint request is weaker evidence than a wrong step
+  assert.ok(updateMastery(0.6, false, 'hint') > updateMastery(0.6, false, 'step'));
+
+  let p = PRIOR_MASTERY;
+  for (let i = 0; i < 6; i++) p = updateMastery(p, true, 'step');
+  assert.equal(masteryBand(p), 'mastered');
+  assert.equal(masteryBand(0.7), 'developing');
+  assert.equal(masteryBand(0.2), 'needs_practice');
+});
+
+test('masteryOfSkills takes the weakest skill and counts unseen ones at the prior', () => {
+  const estimates = observeSkills({}, ['one_step_equation'], true, 'transfer');
+  assert.equal(estimates.one_step_equation.observations, 1);
+
+  assert.equal(masteryOfSkills(estimates, ['one_step_equation']), estimates.one_step_equation.p_mastery);
+  assert.equal(masteryOfSkills(estimates, ['one_step_equation', 'decimals']), PRIOR_MASTERY);
+  assert.equal(masteryOfSkills(estimates, ['decimals']), null, 'no evidence yet');
+  assert.equal(masteryOfSkills(estimates, []), null);
+  assert.equal(masteryOfSkills(undefined, ['one_step_equation']), null);
+
+  // Without skill evidence the confidence is the MC/transfer blend
+  assert.equal(calculateLearningConfidence(1, false), 0.6);
+  assert.equal(calculateLearningConfidence(1, false, 0.42), 0.42);
+});
+
+test('steps, hints and answers update the learner\'s skills, aggregated per class', async () => {
+  const period = createClass({ name: 'Mastery Period', owner: 'ms.lee' });
+  const session = await createSession('MSTR01', { classId: period.class_id });
+  const { learner_id: learnerId } = linkSessionToLearner(session);
+  const problem = { problem_id: 'P001', raw_input: '2x + 3 = 7', category: 'algebra', skills: ['two_step_equation'] };
+
+  const hinted = { student_response: 'idk', hint_used: true, hint_level: 1, progress_made: false };
+  recordLearnerTurn(learnerId, { problem, previousSteps: [], step: hinted });
+  const afterHint = getLearnerProfile(learnerId).skills.two_step_equation;
+  assert.ok(afterHint.p_mastery < PRIOR_MASTERY);
+  assert.equal(afterHint.attempts, 1);
+
+  const good = { student_response: '2x = 4', hint_used: false, progress_made: true };
+  recordLearnerTurn(learnerId, { problem, previousSteps: [hinted], step: good });
+  recordLearnerAnswer(learnerId, problem, true, 'mc');
+  recordLearnerAnswer(learnerId, problem, true, 'transfer');
+
+  const skill = getLearnerProfile(learnerId).skills.two_step_equation;
+  assert.equal(skill.observations, 4);
+  assert.ok(skill.p_mastery > afterHint.p_mastery);
+
+  const stats = await getAggregateStats(new Set([period.class_id]));
+  assert.deepEqual(stats.skills, [{
+    skill_id: 'two_step_equation',
+    name: 'Two-step linear equations',
+    learners: 1,
+    average_mastery: skill.p_mastery,
+    mastered: skill.p_mastery >= 0.85 ? 1 : 0
+  }]);
+  assert.deepEqual((await getAggregateStats(new Set(['CLSNONE']))).skills, []);
+});
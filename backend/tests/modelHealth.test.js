@@ -0,0 +1,163 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { APIConnectionError, APIConnectionTimeoutError } from 'openai';
+
+// A chain longer than one fallback, set before openai.js reads it
+process.env.TEXT_MODEL_FALLBACKS = 'test/fallback-a, test/fallback-b,test/fallback-c';
+
+const {
+  createChatCompletion,
+  __setChatCompletionOverride,
+  TEXT_MODEL,
+  VISION_MODEL,
+  VISION_MODEL_FALLBACK
+} = await import('../src/services/openai.js');
+const { circuitState, getModelHealth, __resetModelHealth } = await import('../src/services/modelHealth.js');
+const { modelHealthHandler } = await import('../src/handlers/health.js');
+const { callHandler } = await import('./helpers/callHandler.js');
+
+const rateLimited = () => Object.assign(new Error('rate limited'), { status: 429 });
+
+let now;
+let calls;
+
+function useModels(behavior) {
+  calls = [];
+  __setChatCompletionOverride(async (params) => {
+    calls.push(params.model);
+    const outcome = behavior[params.model] ?? 'ok';
+    if (outcome instanceof Error) throw outcome;
+    return { model: params.model, choices: [{ message: { content: outcome === 'empty' ? '' : outcome } }] };
+  });
+}
+
+afterEach(() => {
+  __setChatCompletionOverride(null);
+  __resetModelHealth({ failureThreshold: 3, cooldownMs: 2 * 60 * 1000, now: null });
+});
+
+test('the fallback chain is walked in order until a model answers', async () => {
+  useModels({ [TEXT_MODEL]: rateLimited(), 'test/fallback-a': 'empty', 'test/fallback-b': 'from b' });
+
+  const result = await createChatCompletion({ model: TEXT_MODEL, messages: [] });
+  assert.equal(result.model, 'test/fallback-b');
+  assert.deepEqual(calls, [TEXT_MODEL, 'test/fallback-a', 'test/fallback-b']);
+
+  // Every model failing: the last failure is what the caller sees
+  useModels({ [TEXT_MODEL]: 'empty', 'test/fallback-a': rateLimited(), 'test/fallback-b': 'empty', 'test/fallback-c': rateLimited() });
+  await assert.rejects(createChatCompletion({ model: TEXT_MODEL, messages: [] }), { status: 429 });
+  assert.equal(calls.length, 4);
+
+  // Other models keep their own chain
+  useModels({ [VISION_MODEL]: rateLimited() });
+  assert.equal((await createChatCompletion({ model: VISION_MODEL, messages: [] })).model, VISION_MODEL_FALLBACK);
+});
+
+test('a model is skipped while its circuit is open, then tried again after the cooldown', async () => {
+  now = Date.parse('2026-06-01T10:00:00Z');
+  __resetModelHealth({ failureThreshold: 2, cooldownMs: 60_000, now: () => now });
+  useModels({ [TEXT_MODEL]: rateLimited() });
+
+  await createChatCompletion({ model: TEXT_MODEL, messages: [] });
+  assert.equal(circuitState(TEXT_MODEL), 'closed');
+  await createChatCompletion({ model: TEXT_MODEL, messages: [] });
+  assert.equal(circuitState(TEXT_MODEL), 'open');
+
+  calls = [];
+  assert.equal((await createChatCompletion({ model: TEXT_MODEL, messages: [] })).model, 'test/fallback-a');
+  assert.deepEqual(calls, ['test/fallback-a'], 'the open model is not called');
+
+  // Half open after the cooldown: one failed trial reopens it straight away
+  now += 60_000;
+  assert.equal(circuitState(TEXT_MODEL), 'half_open');
+  calls = [];
+  await createChatCompletion({ model: TEXT_MODEL, messages: [] });
+  assert.deepEqual(calls, [TEXT_MODEL, 'test/fallback-a']);
+  assert.equal(circuitState(TEXT_MODEL), 'open');
+
+  // A successful trial closes it
+  now += 60_000;
+  useModels({});
+  assert.equal((await createChatCompletion({ model: TEXT_MODEL, messages: [] })).model, TEXT_MODEL);
+  assert.equal(circuitState(TEXT_MODEL), 'closed');
+  assert.equal(getModelHealth().find(m => m.model === TEXT_MODEL).trips, 2);
+});
+
+test('an unreachable or timing-out model counts as failing and falls back', async () => {
+  __resetModelHealth({ failureThreshold: 2 });
+  // The SDK's connection errors carry no HTTP status
+  useModels({ [TEXT_MODEL]: new APIConnectionTimeoutError() });
+
+  assert.equal((await createChatCompletion({ model: TEXT_MODEL, messages: [] })).model, 'test/fallback-a');
+  assert.deepEqual(calls, [TEXT_MODEL, 'test/fallback-a']);
+
+  useModels({ [TEXT_MODEL]: new APIConnectionError({ message: 'Connection error.' }) });
+  await createChatCompletion({ model: TEXT_MODEL, messages: [] });
+  assert.equal(circuitState(TEXT_MODEL), 'open');
+  assert.equal(getModelHealth().find(m => m.model === TEXT_MODEL).last_error, 'connection error (APIConnectionError)');
+
+  calls = [];
+  await createChatCompletion({ model: TEXT_MODEL, messages: [] });
+  assert.deepEqual(calls, ['test/fallback-a'], 'the unreachable model is skipped');
+});
+
+test('a network error code counts as a connection failure', async () => {
+  const refused = new TypeError('fetch failed', { cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) });
+  useModels({ [TEXT_MODEL]: refused });
+
+  assert.equal((await createChatCompletion({ model: TEXT_MODEL, messages: [] })).model, 'test/fallback-a');
+  assert.equal(getModelHealth().find(m => m.model === TEXT_MODEL).last_error, 'connection error (ECONNREFUSED)');
+});
+
+test('an error that is not a transport failure is rethrown without falling back', async () => {
+  __resetModelHealth({ failureThreshold: 1 });
+  useModels({ [TEXT_MODEL]: new TypeError("Cannot read properties of undefined (reading 'content')") });
+
+  await assert.rejects(createChatCompletion({ model: TEXT_MODEL, messages: [] }), TypeError);
+  assert.deepEqual(calls, [TEXT_MODEL], 'no fallback model is tried');
+  assert.equal(getModelHealth().find(m => m.model === TEXT_MODEL), undefined, 'no failure is recorded');
+  assert.equal(circuitState(TEXT_MODEL), 'closed');
+});
+
+test('non-retryable errors do not count against a model', async () => {
+  __resetModelHealth({ failureThreshold: 1 });
+  useModels({ [TEXT_MODEL]: Object.assign(new Error('bad key'), { status: 401 }) });
+
+  await assert.rejects(createChatCompletion({ model: TEXT_MODEL, messages: [] }), { status: 401 });
+  assert.equal(circuitState(TEXT_MODEL), 'closed');
+});
+
+test('/health/models reports each model and 503s when a whole chain is open', async () => {
+  __resetModelHealth({ failureThreshold: 1 });
+  assert.equal((await callHandler(modelHealthHandler)).body.status, 'ok');
+
+  useModels({ [TEXT_MODEL]: rateLimited() });
+  await createChatCompletion({ model: TEXT_MODEL, messages: [] });
+
+  let res = await callHandler(modelHealthHandler);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'degraded');
+  assert.deepEqual(res.body.chains.text, [TEXT_MODEL, 'test/fallback-a', 'test/fallback-b', 'test/fallback-c']);
+  const primary = res.body.models.find(m => m.model === TEXT_MODEL);
+  assert.equal(primary.state, 'open');
+  assert.equal(primary.recent_failures, 1);
+  assert.equal(primary.last_error, 'status 429');
+  assert.ok(primary.open_until);
+  const fallback = res.body.models.find(m => m.model === 'test/fallback-a');
+  assert.equal(fallback.state, 'closed');
+  assert.equal(fallback.recent_calls, 1);
+  assert.equal(typeof fallback.avg_latency_ms, 'number');
+  assert.equal(res.body.models.find(m => m.model === 'test/fallback-c').recent_calls, 0);
+
+  // Every text model tripped; the one whose cooldown ends first still gets called
+  useModels({ 'test/fallback-a': rateLimited(), 'test/fallback-b': rateLimited(), 'test/fallback-c': rateLimited() });
+  await assert.rejects(createChatCompletion({ model: TEXT_MODEL, messages: [] }), { status: 429 });
+  res = await callHandler(modelHealthHandler);
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.status, 'unavailable');
+
+  calls = [];
+  assert.equal((await createChatCompletion({ model: TEXT_MODEL, messages: [] })).model, TEXT_MODEL);
+  assert.deepEqual(calls, [TEXT_MODEL]);
+  assert.equal(circuitState(TEXT_MODEL), 'closed');
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scheduleReviews, getDueReviews, countDueReviews } from '../src/services/reviewScheduler.js';
+import { getReviewQueue } from '../src/services/problemSimilarityService.js';
+import { __setChatCompletionOverride } from '../src/services/openai.js';
+import { createSession } from '../src/services/sessionService.js';
+import { sessionStore } from '../src/services/memoryStore.js';
+import {
+  getLearnerProfile,
+  linkSessionToLearner,
+  recordLearnerOutcome
+} from '../src/services/learnerProfileService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function finished(confidence, overrides = {}) {
+  return {
+    raw_input: '2x + 3 = 7',
+    category: 'algebra',
+    skills: ['two_step_equation'],
+    completed: true,
+    learning_assessment: { assessment_completed: true, learning_confidence: confidence },
+    ...overrides
+  };
+}
+
+function daysUntil(review, now) {
+  return (new Date(review.due_at).getTime() - now.getTime()) / DAY_MS;
+}
+
+test('scheduleReviews spaces reviews out when a skill goes well and starts over when it does not', () => {
+  const now = new Date('2026-03-02T10:00:00.000Z');
+  const reviews = {};
+
+  scheduleReviews(reviews, finished(0.9), now);
+  assert.equal(daysUntil(reviews.two_step_equation, now), 3);
+  assert.equal(reviews.two_step_equation.last_quality, 'strong');
+  assert.equal(reviews.two_step_equation.source_problem, '2x + 3 = 7');
+
+  scheduleReviews(reviews, finished(0.95), now);
+  assert.equal(daysUntil(reviews.two_step_equation, now), 7.5);
+  scheduleReviews(reviews, finished(0.6), now);
+  assert.equal(daysUntil(reviews.two_step_equation, now), 9);
+  assert.equal(reviews.two_step_equation.times_practiced, 3);
+
+  scheduleReviews(reviews, finished(0.2), now);
+  assert.equal(daysUntil(reviews.two_step_equation, now), 1);
+  assert.equal(reviews.two_step_equation.last_quality, 'weak');
+
+  // Problems without skills have nothing to review
+  assert.deepEqual(scheduleReviews({}, finished(0.9, { skills: [] }), now), {});
+});
+
+test('getDueReviews lists due reviews, most overdue first', () => {
+  const now = new Date('2026-03-10T10:00:00.000Z');
+  const profile = {
+    reviews: {
+      percentages: { skill_id: 'percentages', due_at: '2026-03-09T10:00:00.000Z' },
+      decimals: { skill_id: 'decimals', due_at: '2026-03-01T10:00:00.000Z' },
+      ratios_proportions: { skill_id: 'ratios_proportions', due_at: '2026-03-12T10:00:00.000Z' }
+    }
+  };
+
+  assert.deepEqual(getDueReviews(profile, now).map(r => r.skill_id), ['decimals', 'percentages']);
+  assert.equal(countDueReviews(profile, now), 2);
+  assert.equal(countDueReviews(null, now), 0);
+});
+
+test('getReviewQueue generates a review problem once per scheduled review', async () => {
+  const session = await createSession('RVW001');
+  const { learner_id: learnerId } = linkSessionToLearner(session);
+  recordLearnerOutcome(learnerId, finished(0.9));
+  recordLearnerOutcome(learnerId, finished(0.3, { raw_input: 'What is 30% of 50?', category: 'arithmetic', skills: ['percentages'] }));
+  assert.equal(countDueReviews(getLearnerProfile(learnerId)), 0, 'nothing is due right away');
+
+  // Make both reviews due
+  const profile = getLearnerProfile(learnerId);
+  profile.reviews.two_step_equation.due_at = new Date(Date.now() - DAY_MS).toISOString();
+  profile.reviews.percentages.due_at = new Date(Date.now() - 2 * DAY_MS).toISOString();
+  sessionStore.put(profile.session_code, profile);
+
+  const prompts = [];
+  __setChatCompletionOverride(async (params) => {
+    const prompt = params.messages[params.messages.length - 1].content;
+    prompts.push(prompt);
+    return { choices: [{ message: { content: prompt.includes('30% of 50') ? 'no numbered list here' : '1. 3x + 4 = 19' } }] };
+  });
+
+  try {
+    const queue = await getReviewQueue(learnerId);
+    assert.equal(queue.due_count, 2);
+    assert.deepEqual(queue.reviews.map(r => [r.skill_id, r.problem_text]), [
+      ['percentages', 'What is 15% of 80?'], // Generation failed: the skill's practice problem
+      ['two_step_equation', '3x + 4 = 19']
+    ]);
+    assert.equal(prompts.length, 2);
+
+    // The generated problem is kept; only the failed one is retried
+    const again = await getReviewQueue(learnerId);
+    assert.equal(again.reviews[1].problem_text, '3x + 4 = 19');
+    assert.equal(prompts.length, 3);
+  } finally {
+    __setChatCompletionOverride(null);
+  }
+
+  // Practicing the skill again schedules the next review and drops the old problem
+  recordLearnerOutcome(learnerId, finished(0.9));
+  const review = getLearnerProfile(learnerId).reviews.two_step_equation;
+  assert.equal(review.review_problem, null);
+  assert.equal(review.times_practiced, 2);
+  assert.equal(countDueReviews(getLearnerProfile(learnerId)), 1);
+});
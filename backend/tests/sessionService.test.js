@@ -1,10 +1,13 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
+import { sessionStore } from '../src/services/memoryStore.js';
 import {
   createSession,
   getSession,
   updateSession,
-  deleteSession
+  deleteSession,
+  withSessionRetry,
+  addToTranscript
 } from '../src/services/sessionService.js';
 
 test('createSession then getSession roundtrip returns expected shape', async () => {
@@ -56,3 +59,64 @@ test('deleteSession then getSession throws not-found', async () => {
     }
   );
 });
+
+test('createSession starts at version 1 and every updateSession bumps it', async () => {
+  const session = await createSession('EEE555');
+  assert.equal(session.version, 1);
+
+  const first = await updateSession('EEE555', { streak_progress: 20 });
+  const second = await updateSession('EEE555', { streak_progress: 40 });
+  assert.equal(first.version, 2);
+  assert.equal(second.version, 3);
+});
+
+test('updateSession with a stale expectedVersion throws a 409 ConflictError and writes nothing', async () => {
+  await createSession('FFF666');
+  await updateSession('FFF666', { streak_progress: 20 });
+
+  await assert.rejects(
+    () => updateSession('FFF666', { streak_progress: 99 }, { expectedVersion: 1 }),
+    (err) => {
+      assert.equal(err.name, 'ConflictError');
+      assert.equal(err.statusCode, 409);
+      assert.equal(err.code, 'CONFLICT');
+      return true;
+    }
+  );
+
+  const fetched = await getSession('FFF666');
+  assert.equal(fetched.streak_progress, 20);
+  assert.equal(fetched.version, 2);
+});
+
+test('withSessionRetry re-reads and reapplies the mutation after a conflicting write', async () => {
+  await createSession('GGG777');
+  let attempts = 0;
+
+  const updated = await withSessionRetry('GGG777', (session) => {
+    attempts++;
+    if (attempts === 1) {
+      // Simulate another tab writing between our read and our write
+      sessionStore.merge('GGG777', { transcript: ['other tab'], version: session.version + 1 });
+    }
+    return { transcript: [...session.transcript, 'this tab'] };
+  });
+
+  assert.equal(attempts, 2);
+  assert.deepEqual(updated.transcript, ['other tab', 'this tab']);
+});
+
+test('concurrent addToTranscript calls both land instead of overwriting each other', async () => {
+  await createSession('HHH888');
+
+  await Promise.all([
+    addToTranscript('HHH888', 'student', 'from tab one'),
+    addToTranscript('HHH888', 'student', 'from tab two')
+  ]);
+
+  const fetched = await getSession('HHH888');
+  assert.deepEqual(
+    fetched.transcript.map(entry => entry.message).sort(),
+    ['from tab one', 'from tab two']
+  );
+});
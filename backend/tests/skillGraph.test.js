@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SKILLS, getSkill, tagSkills, findPrerequisiteGap } from '../src/services/skillGraph.js';
+import { categorizeProblem } from '../src/services/problemService.js';
+import { getAdaptiveRecommendation } from '../src/services/learningAssessmentService.js';
+
+function tag(text, latex = text) {
+  return tagSkills(text, latex, categorizeProblem(text, latex));
+}
+
+test('tagSkills tags problems with fine-grained skills, most advanced first', () => {
+  assert.deepEqual(tag('x + 7 = 15'), ['one_step_equation']);
+  assert.deepEqual(tag('x/4 = 3', '\\frac{x}{4} = 3'), ['one_step_equation']);
+  assert.deepEqual(tag('2x + 3 = 7'), ['two_step_equation']);
+  assert.deepEqual(tag('Solve 5x - 3 = 2x + 9', '5x - 3 = 2x + 9'), ['multi_step_equation']);
+  assert.deepEqual(tag('Solve for y: 2x + y = 5', '2x + y = 5'), ['literal_equations']);
+  assert.deepEqual(tag('1/3 + 1/4', '\\frac{1}{3} + \\frac{1}{4}'), ['add_fractions_unlike', 'add_whole']);
+  assert.deepEqual(tag('2/7 + 3/7', '\\frac{2}{7} + \\frac{3}{7}')[0], 'add_fractions_like');
+  assert.deepEqual(tag('Find the area of a triangle with base 10 cm and height 6 cm.')[0], 'area_triangle');
+  assert.deepEqual(tag('Sarah has 12 apples and gives 5 away. How many are left?'), ['word_problem_translation', 'subtract_whole']);
+  assert.deepEqual(tag('What is 15% of 80?'), ['percentages']);
+});
+
+test('the taxonomy is a well-formed graph whose practice problems exercise their skill', () => {
+  for (const skill of SKILLS) {
+    for (const prerequisite of skill.prerequisites) {
+      assert.ok(getSkill(prerequisite), `${skill.id} -> ${prerequisite}`);
+    }
+    assert.ok(tag(skill.practice).includes(skill.id), `practice for ${skill.id}: "${skill.practice}"`);
+  }
+
+  // No skill is its own (transitive) prerequisite
+  const visiting = new Set();
+  const done = new Set();
+  const visit = (id) => {
+    assert.ok(!visiting.has(id), `cycle through ${id}`);
+    if (done.has(id)) return;
+    visiting.add(id);
+    getSkill(id).prerequisites.forEach(visit);
+    visiting.delete(id);
+    done.add(id);
+  };
+  SKILLS.forEach(skill => visit(skill.id));
+});
+
+test('findPrerequisiteGap picks the nearest prerequisite the student has not mastered', () => {
+  const profile = (skills) => ({ skills });
+
+  assert.deepEqual(findPrerequisiteGap(['two_step_equation']), {
+    skill_id: 'one_step_equation',
+    name: 'One-step linear equations',
+    practice_problem: 'x + 7 = 15'
+  });
+
+  // Mastered prerequisites are skipped; the weakest known one wins at the next level
+  const gap = findPrerequisiteGap(['two_step_equation'], profile({
+    one_step_equation: { p_mastery: 0.9 },
+    divide_whole: { p_mastery: 0.3 },
+    subtract_whole: { p_mastery: 0.5 }
+  }));
+  assert.equal(gap.skill_id, 'divide_whole');
+
+  assert.equal(findPrerequisiteGap(['add_whole']), null, 'nothing comes before adding whole numbers');
+  assert.equal(findPrerequisiteGap([]), null);
+});
+
+test('a low quiz score recommends a prerequisite warm-up', () => {
+  const problem = { category: 'algebra', skills: ['two_step_equation'] };
+
+  const low = getAdaptiveRecommendation(0.3, problem);
+  assert.equal(low.prerequisite.skill_id, 'one_step_equation');
+  assert.match(low.message, /warm-up on one-step linear equations.*"x \+ 7 = 15"/);
+
+  assert.equal(getAdaptiveRecommendation(0.9, problem).prerequisite, undefined);
+});
+
+test('processStudentResponse steps back to a prerequisite when hints are not enough', async () => {
+  const { __setChatCompletionOverride } = await import('../src/services/openai.js');
+  const { processStudentResponse } = await import('../src/services/socraticEngine.js');
+
+  let routing = null;
+  __setChatCompletionOverride(async (params) => {
+    routing = params.messages.find(m => m.role === 'system' && m.content.includes('prerequisite skill'))?.content || routing;
+    return { choices: [{ message: { content: params.max_tokens === 800 ? 'What is 12 minus 3?' : 'NO' } }] };
+  });
+
+  try {
+    const hinted = { tutor_prompt: 'Try undoing the addition first.', student_response: 'ok', hint_used: true, hint_level: 2, progress_made: false };
+    const stuck = { tutor_prompt: 'What do we do?', student_response: "i don't know", hint_used: false, progress_made: false };
+    const problem = {
+      raw_input: '2x + 3 = 7',
+      normalized_latex: '2x + 3 = 7',
+      category: 'algebra',
+      skills: ['two_step_equation'],
+      hint_level: 2
+    };
+
+    const { step } = await processStudentResponse({ studentResponse: "i don't know", problem, steps: [hinted, stuck, stuck] });
+    assert.equal(step.prerequisite_skill, 'one_step_equation');
+    assert.match(routing, /One-step linear equations.*"x \+ 7 = 15"/);
+
+    // Only once per problem
+    routing = null;
+    const again = await processStudentResponse({ studentResponse: 'no idea', problem, steps: [hinted, stuck, stuck, step] });
+    assert.equal(again.step.prerequisite_skill, null);
+    assert.equal(routing, null);
+  } finally {
+    __setChatCompletionOverride(null);
+  }
+});
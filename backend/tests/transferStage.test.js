@@ -0,0 +1,134 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { sessionStore } from '../src/services/memoryStore.js';
+import { createSession, getSession } from '../src/services/sessionService.js';
+import { createClass, updateAssessmentSettings } from '../src/services/classService.js';
+import { shouldRunTransferStage } from '../src/services/learningAssessmentService.js';
+import { linkSessionToLearner, getLearnerProfile } from '../src/services/learnerProfileService.js';
+import { sendChatMessageHandler } from '../src/handlers/chatHandler.js';
+import { __setChatCompletionOverride } from '../src/services/openai.js';
+import { callHandler } from './helpers/callHandler.js';
+
+afterEach(() => {
+  __setChatCompletionOverride(null);
+});
+
+async function postChat(sessionCode, body) {
+  return (await callHandler(sendChatMessageHandler, { params: { code: sessionCode }, body })).body;
+}
+
+/**
+ * Session in a class whose current problem is solved and waiting on a 3-question quiz
+ */
+async function sessionWithQuiz(sessionCode, transferStage) {
+  const classRecord = createClass({ name: `Transfer ${transferStage}`, owner: 'ms.lee' });
+  updateAssessmentSettings(classRecord.class_id, { transfer_stage: transferStage });
+  const session = await createSession(sessionCode, { classId: classRecord.class_id });
+  linkSessionToLearner(session);
+
+  const questions = [1, 2, 3].map(n => ({
+    question_id: `Q${n}`,
+    question: `Question ${n}`,
+    options: ['a', 'b', 'c', 'd'],
+    correct_answer_index: 0,
+    student_answer_index: null
+  }));
+  sessionStore.merge(sessionCode, {
+    current_problem_id: 'P001',
+    problems: [{
+      problem_id: 'P001',
+      raw_input: '2x + 3 = 7',
+      category: 'algebra',
+      skills: ['two_step_equation'],
+      steps: [],
+      completed: false,
+      learning_assessment: {
+        approach_extracted: 'Undo the addition, then the multiplication',
+        mc_questions: questions,
+        mc_score: null,
+        transfer_success: null,
+        learning_confidence: null,
+        assessment_completed: false
+      }
+    }]
+  });
+  return getSession(sessionCode);
+}
+
+async function answerQuiz(sessionCode, answers) {
+  let result;
+  for (const [index, answer] of answers.entries()) {
+    result = await postChat(sessionCode, { question_id: `Q${index + 1}`, mc_answer: answer });
+  }
+  return result.mc_result;
+}
+
+test('shouldRunTransferStage follows the class setting', () => {
+  assert.equal(shouldRunTransferStage({ transfer_stage: 'always' }, false), true);
+  assert.equal(shouldRunTransferStage({ transfer_stage: 'on_mc_pass' }, true), true);
+  assert.equal(shouldRunTransferStage({ transfer_stage: 'on_mc_pass' }, false), false);
+  assert.equal(shouldRunTransferStage({ transfer_stage: 'on_mc_fail' }, false), true);
+  assert.equal(shouldRunTransferStage({ transfer_stage: 'never' }, true), false);
+  assert.equal(shouldRunTransferStage(null, true), false);
+});
+
+test('a passed quiz leads to a transfer problem whose grade completes the assessment', async () => {
+  const session = await sessionWithQuiz('TRNS01', 'on_mc_pass');
+  __setChatCompletionOverride(async (params) => {
+    const prompt = params.messages[params.messages.length - 1].content;
+    if (prompt.includes('Generate a similar math problem')) {
+      return { choices: [{ message: { content: '3x + 5 = 20' } }] };
+    }
+    return { choices: [{ message: { content: '{"is_correct": true, "reasoning": "x = 5"}' } }] };
+  });
+
+  const mcResult = await answerQuiz('TRNS01', [0, 0, 0]);
+  assert.equal(mcResult.mc_quiz_passed, true);
+  assert.equal(mcResult.transfer_problem.problem_text, '3x + 5 = 20');
+  assert.equal(mcResult.problem_completed, false);
+  assert.equal(mcResult.learning_confidence, null);
+
+  let problem = (await getSession('TRNS01')).problems[0];
+  assert.equal(problem.learning_assessment.assessment_completed, false);
+  assert.equal(getLearnerProfile(session.learner_id).mastery.algebra, undefined, 'no outcome recorded yet');
+
+  const { transfer_result: transferResult } = await postChat('TRNS01', { transfer_answer: 'x = 5' });
+  assert.equal(transferResult.correct, true);
+  assert.equal(transferResult.problem_completed, true);
+  assert.match(transferResult.new_problem_prompt, /carried the approach over/);
+
+  const updated = await getSession('TRNS01');
+  problem = updated.problems[0];
+  assert.equal(updated.current_problem_id, null);
+  assert.equal(problem.completed, true);
+  assert.equal(problem.learning_assessment.transfer_success, true);
+  assert.equal(problem.learning_assessment.learning_confidence, transferResult.learning_confidence);
+
+  // The outcome is recorded once, after the transfer stage
+  const profile = getLearnerProfile(session.learner_id);
+  assert.equal(profile.mastery.algebra.assessed, 1);
+  assert.equal(profile.skills.two_step_equation.observations, 4, 'three MC answers and the transfer result');
+
+  await assert.rejects(() => postChat('TRNS01', { transfer_answer: 'x = 5' }), { name: 'ValidationError' });
+});
+
+test('a class that only runs the transfer stage after a failed quiz completes passing problems at the quiz', async () => {
+  await sessionWithQuiz('TRNS02', 'on_mc_fail');
+  let calls = 0;
+  __setChatCompletionOverride(async () => {
+    calls++;
+    return { choices: [{ message: { content: '3x + 5 = 20' } }] };
+  });
+
+  const mcResult = await answerQuiz('TRNS02', [0, 0, 0]);
+  assert.equal(mcResult.transfer_problem, null);
+  assert.equal(mcResult.problem_completed, true);
+  assert.equal(calls, 0);
+
+  await sessionWithQuiz('TRNS03', 'on_mc_fail');
+  const failed = await answerQuiz('TRNS03', [1, 1, 0]);
+  assert.equal(failed.mc_quiz_failed, true);
+  assert.equal(failed.transfer_problem.problem_text, '3x + 5 = 20');
+  // Still flagged for the teacher while the transfer problem is pending
+  assert.equal((await getSession('TRNS03')).problems[0].learning_assessment.mc_quiz_failed, true);
+});
@@ -17,15 +17,17 @@ function AppContent() {
   
   // Dashboard state - always require password, don't persist token
   const [dashboardToken, setDashboardToken] = useState(null);
+  const [dashboardAccount, setDashboardAccount] = useState(null);
   const isDashboardRoute = location.pathname === '/dashboard';
   const isCollaborationRoute = location.pathname.startsWith('/collaboration/');
   
   // Chat app state
   const [hasConsented, setHasConsented] = useState(false);
   const [sessionCode, setSessionCode] = useState(null);
-  const [schoolCode, setSchoolCode] = useState(null);
+  const [classCode, setClassCode] = useState(null);
   const [initialMessages, setInitialMessages] = useState([]);
   const [hasActiveProblem, setHasActiveProblem] = useState(false);
+  const [reviewsDue, setReviewsDue] = useState(0);
   const [error, setError] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [prefilledSessionCode, setPrefilledSessionCode] = useState(null);
@@ -77,10 +79,11 @@ function AppContent() {
   }
 
   // Handle dashboard login
-  const handleDashboardLogin = async (password) => {
+  const handleDashboardLogin = async (username, password) => {
     try {
-      const response = await dashboardLogin(password);
+      const response = await dashboardLogin(username, password);
       setDashboardToken(response.token);
+      setDashboardAccount(response.account);
       // Don't persist token - always require password on next visit
     } catch (error) {
       throw new Error(error.response?.data?.error?.message || 'Login failed');
@@ -90,6 +93,7 @@ function AppContent() {
   // Handle dashboard logout
   const handleDashboardLogout = () => {
     setDashboardToken(null);
+    setDashboardAccount(null);
     navigate('/');
   };
 
@@ -97,7 +101,7 @@ function AppContent() {
   const handleQuitSession = () => {
     // Clear everything
     setSessionCode(null);
-    setSchoolCode(null);
+    setClassCode(null);
     setInitialMessages([]);
     setHasActiveProblem(false);
     setError(null);
@@ -110,14 +114,14 @@ function AppContent() {
     // Note: hasConsented stays true, so user goes to SessionEntry
   };
 
-  const loadSession = async (code, enteredSchoolCode) => {
+  const loadSession = async (code, enteredClassCode) => {
     setIsLoading(true);
     setError(null);
     
     try {
-      const session = await resumeSession(code, enteredSchoolCode);
+      const session = await resumeSession(code, enteredClassCode);
       setSessionCode(session.session_code);
-      setSchoolCode(enteredSchoolCode);
+      setClassCode(enteredClassCode);
       
       // Convert transcript to messages
       const messages = (session.transcript || []).map(entry => ({
@@ -142,12 +146,13 @@ function AppContent() {
       
       setInitialMessages(messages);
       setHasActiveProblem(!!session.current_problem_id);
+      setReviewsDue(session.reviews_due || 0);
       setCollaborationRequested(session.collaboration_requested || false);
       setCollaborationSessionId(session.collaboration_session_id || null);
       localStorage.setItem('mathPhoenixSession', session.session_code);
     } catch (error) {
       console.error('Error loading session:', error);
-      const errorMessage = error.response?.data?.error?.message || 'Failed to load session. Please check your school code and session code and try again.';
+      const errorMessage = error.response?.data?.error?.message || 'Failed to load session. Please check your class code and session code and try again.';
       setError(errorMessage);
       setSessionCode(null);
     } finally {
@@ -163,16 +168,17 @@ function AppContent() {
     alert('You must accept the consent to use Math Phoenix.');
   };
 
-  const handleNewSession = async (enteredSchoolCode) => {
+  const handleNewSession = async (enteredClassCode, previousSessionCode = null) => {
     setIsLoading(true);
     setError(null);
     
     try {
-      const session = await createSession(enteredSchoolCode);
+      const session = await createSession(enteredClassCode, previousSessionCode);
       setSessionCode(session.session_code);
-      setSchoolCode(enteredSchoolCode);
+      setClassCode(enteredClassCode);
       setInitialMessages([]);
       setHasActiveProblem(false);
+      setReviewsDue(session.reviews_due || 0);
       // Store session in localStorage for current session use
       localStorage.setItem('mathPhoenixSession', session.session_code);
       
@@ -180,15 +186,15 @@ function AppContent() {
       window.history.pushState({}, '', `?session=${session.session_code}`);
     } catch (error) {
       console.error('Error creating session:', error);
-      const errorMessage = error.response?.data?.error?.message || 'Failed to create session. Please check your school code and try again.';
+      const errorMessage = error.response?.data?.error?.message || 'Failed to create session. Please check your class code and try again.';
       setError(errorMessage);
     } finally {
       setIsLoading(false);
     }
   };
 
-  const handleSessionSubmit = async (code, schoolCode) => {
-    await loadSession(code, schoolCode);
+  const handleSessionSubmit = async (code, classCode) => {
+    await loadSession(code, classCode);
   };
 
   // Render dashboard if on dashboard route (BEFORE consent check)
@@ -196,7 +202,7 @@ function AppContent() {
     if (!dashboardToken) {
       return <DashboardLogin onLogin={handleDashboardLogin} />;
     }
-    return <Dashboard token={dashboardToken} onLogout={handleDashboardLogout} onError={setError} />;
+    return <Dashboard token={dashboardToken} account={dashboardAccount} onLogout={handleDashboardLogout} onError={setError} />;
   }
 
   if (!hasConsented) {
@@ -235,9 +241,10 @@ function AppContent() {
     <div className="app-container">
       <Chat
         sessionCode={sessionCode}
-        schoolCode={schoolCode}
+        classCode={classCode}
         initialMessages={initialMessages}
         hasActiveProblem={hasActiveProblem}
+        initialReviewsDue={reviewsDue}
         onError={setError}
         onQuit={handleQuitSession}
         collaborationRequested={collaborationRequested}
@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { listAccounts, createAccount, setAccountDisabled, setAccountClasses, listClasses } from '../services/api';
+import './AccountsView.css';
+
+const ROLES = ['teacher', 'observer', 'admin'];
+
+/**
+ * Accounts View Component
+ * Admin-only list of dashboard accounts with create and disable controls;
+ * observers are assigned the classes they may see
+ */
+export function AccountsView({ token, currentUsername, onError }) {
+  const [accounts, setAccounts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [form, setForm] = useState({ username: '', displayName: '', password: '', role: 'teacher', class_ids: [] });
+  const [classes, setClasses] = useState([]);
+
+  useEffect(() => {
+    loadAccounts();
+  }, [token]);
+
+  const errorMessage = (error, fallback) => error.response?.data?.error?.message || fallback;
+
+  const loadAccounts = async () => {
+    setIsLoading(true);
+    try {
+      const [data, classData] = await Promise.all([listAccounts(token), listClasses(token)]);
+      setAccounts(data.accounts || []);
+      setClasses(classData.classes || []);
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to load accounts'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const { class_ids: classIds, ...account } = form;
+      await createAccount(form.role === 'observer' ? { ...account, class_ids: classIds } : account, token);
+      setForm({ username: '', displayName: '', password: '', role: form.role, class_ids: [] });
+      await loadAccounts();
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to create account'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleDisabled = async (account) => {
+    try {
+      await setAccountDisabled(account.username, !account.disabled, token);
+      await loadAccounts();
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to update account'));
+    }
+  };
+
+  const handleClassesChange = async (account, classIds) => {
+    try {
+      await setAccountClasses(account.username, classIds, token);
+      await loadAccounts();
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to update classes'));
+    }
+  };
+
+  const updateField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const selectedValues = (e) => Array.from(e.target.selectedOptions, (option) => option.value);
+
+  const classSelect = (value, onChange) => (
+    <select multiple value={value} onChange={onChange} title="Classes this observer can see">
+      {classes.map((classInfo) => (
+        <option key={classInfo.class_id} value={classInfo.class_id}>{classInfo.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="accounts-view">
+      <form className="account-form" onSubmit={handleCreate}>
+        <h3>New Account</h3>
+        <input
+          type="text"
+          placeholder="Username"
+          value={form.username}
+          onChange={updateField('username')}
+          required
+        />
+        <input
+          type="text"
+          placeholder="Display name (optional)"
+          value={form.displayName}
+          onChange={updateField('displayName')}
+        />
+        <input
+          type="password"
+          placeholder="Password (min 8 characters)"
+          value={form.password}
+          onChange={updateField('password')}
+          minLength={8}
+          required
+        />
+        <select value={form.role} onChange={updateField('role')}>
+          {ROLES.map((role) => (
+            <option key={role} value={role}>{role}</option>
+          ))}
+        </select>
+        {form.role === 'observer' &&
+          classSelect(form.class_ids, (e) => setForm({ ...form, class_ids: selectedValues(e) }))}
+        <button type="submit" disabled={isSaving}>
+          {isSaving ? 'Creating...' : 'Create Account'}
+        </button>
+      </form>
+
+      {isLoading ? (
+        <div className="loading">Loading accounts...</div>
+      ) : (
+        <table className="accounts-table">
+          <thead>
+            <tr>
+              <th>Username</th>
+              <th>Name</th>
+              <th>Role</th>
+              <th>Classes</th>
+              <th>Created</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {accounts.map((account) => (
+              <tr key={account.username} className={account.disabled ? 'disabled' : ''}>
+                <td>{account.username}</td>
+                <td>{account.display_name}</td>
+                <td>{account.role}</td>
+                <td>
+                  {account.role === 'observer'
+                    ? classSelect(account.class_ids || [], (e) => handleClassesChange(account, selectedValues(e)))
+                    : account.role === 'teacher' ? 'Own classes' : 'All'}
+                </td>
+                <td>{new Date(account.created_at).toLocaleDateString()}</td>
+                <td>{account.disabled ? 'Disabled' : 'Active'}</td>
+                <td>
+                  {account.username !== currentUsername && (
+                    <button onClick={() => handleToggleDisabled(account)}>
+                      {account.disabled ? 'Enable' : 'Disable'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -378,6 +378,31 @@ export function AggregateView({ token, onError, onNavigateToSession }) {
           </div>
         </div>
       )}
+
+      {stats.skills?.length > 0 && (
+        <div className="learning-breakdown">
+          <h3>Skill Mastery</h3>
+          <div className="confidence-bars">
+            {stats.skills.map(skill => (
+              <div key={skill.skill_id} className="confidence-bar-item">
+                <span className="bar-label">
+                  {skill.name}
+                  <span className="skill-learners">
+                    {' '}· {skill.mastered}/{skill.learners} learner{skill.learners !== 1 ? 's' : ''} mastered
+                  </span>
+                </span>
+                <div className="bar-container">
+                  <div
+                    className={`bar-fill ${skill.average_mastery >= 0.85 ? 'high-bar' : skill.average_mastery >= 0.6 ? 'medium-bar' : 'low-bar'}`}
+                    style={{ width: `${skill.average_mastery * 100}%` }}
+                  />
+                  <span className="bar-value">{Math.round(skill.average_mastery * 100)}%</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import {
+  listClasses,
+  listAssignments,
+  createAssignment,
+  getAssignmentReport,
+  deleteAssignment
+} from '../services/api';
+import { TRANSFER_STAGE_LABELS } from './ClassesView';
+import './AccountsView.css';
+
+const EMPTY_FORM = { classId: '', title: '', problems: '', dueAt: '', transferStage: '' };
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+/**
+ * Assignments View Component
+ * Teachers and admins create assignments (an ordered set of problems for a
+ * class, with an optional due date and transfer problem setting); everyone
+ * sees completion and confidence per assignment and per student
+ */
+export function AssignmentsView({ token, canEdit, onError }) {
+  const [assignments, setAssignments] = useState([]);
+  const [classes, setClasses] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    loadAssignments();
+  }, [token]);
+
+  const errorMessage = (error, fallback) => error.response?.data?.error?.message || fallback;
+
+  const loadAssignments = async () => {
+    setIsLoading(true);
+    try {
+      const [assignmentData, classData] = await Promise.all([listAssignments(token), listClasses(token)]);
+      setAssignments(assignmentData.assignments || []);
+      setClasses(classData.classes || []);
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to load assignments'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await createAssignment({
+        class_id: form.classId,
+        title: form.title,
+        problems: form.problems.split('\n'),
+        due_at: form.dueAt ? new Date(form.dueAt).toISOString() : null,
+        assessment_settings: form.transferStage ? { transfer_stage: form.transferStage } : null
+      }, token);
+      setForm(EMPTY_FORM);
+      await loadAssignments();
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to create assignment'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleShowReport = async (assignment) => {
+    if (report?.assignment_id === assignment.assignment_id) {
+      setReport(null);
+      return;
+    }
+    try {
+      const data = await getAssignmentReport(assignment.assignment_id, token);
+      setReport(data.assignment);
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to load assignment report'));
+    }
+  };
+
+  const handleDelete = async (assignment) => {
+    if (!window.confirm(`Delete "${assignment.title}"? Students will no longer see it.`)) {
+      return;
+    }
+    try {
+      await deleteAssignment(assignment.assignment_id, token);
+      if (report?.assignment_id === assignment.assignment_id) setReport(null);
+      await loadAssignments();
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to delete assignment'));
+    }
+  };
+
+  return (
+    <div className="accounts-view">
+      {canEdit && (
+        <form className="account-form" onSubmit={handleCreate}>
+          <h3>New Assignment</h3>
+          <select
+            value={form.classId}
+            onChange={(e) => setForm({ ...form, classId: e.target.value })}
+            required
+          >
+            <option value="">Class...</option>
+            {classes.map((classInfo) => (
+              <option key={classInfo.class_id} value={classInfo.class_id}>{classInfo.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Title"
+            value={form.title}
+            onChange={(e) => setForm({ ...form, title: e.target.value })}
+            required
+          />
+          <input
+            type="datetime-local"
+            title="Due date (optional)"
+            value={form.dueAt}
+            onChange={(e) => setForm({ ...form, dueAt: e.target.value })}
+          />
+          <select
+            value={form.transferStage}
+            onChange={(e) => setForm({ ...form, transferStage: e.target.value })}
+          >
+            <option value="">Transfer problem: class setting</option>
+            {Object.entries(TRANSFER_STAGE_LABELS).map(([mode, label]) => (
+              <option key={mode} value={mode}>Transfer problem: {label}</option>
+            ))}
+          </select>
+          <textarea
+            className="assignment-problems-input"
+            placeholder="Problems, one per line, in order"
+            rows={4}
+            value={form.problems}
+            onChange={(e) => setForm({ ...form, problems: e.target.value })}
+            required
+          />
+          <button type="submit" disabled={isSaving}>
+            {isSaving ? 'Creating...' : 'Create Assignment'}
+          </button>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="loading">Loading assignments...</div>
+      ) : assignments.length === 0 ? (
+        <div className="no-details">No assignments yet. Students see their class's assignments when they start a problem.</div>
+      ) : (
+        <table className="accounts-table">
+          <thead>
+            <tr>
+              <th>Assignment</th>
+              <th>Class</th>
+              <th>Due</th>
+              <th>Problems</th>
+              <th>Finished</th>
+              <th>Completion</th>
+              <th>Avg. confidence</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {assignments.map((assignment) => (
+              <tr key={assignment.assignment_id}>
+                <td>{assignment.title}</td>
+                <td>{assignment.class_name}</td>
+                <td>{assignment.due_at ? new Date(assignment.due_at).toLocaleString() : '—'}</td>
+                <td>{assignment.problems.length}</td>
+                <td>{assignment.report.students_finished} / {assignment.report.students}</td>
+                <td>{formatPercent(assignment.report.completion_rate)}</td>
+                <td>{formatPercent(assignment.report.average_confidence)}</td>
+                <td>
+                  <button onClick={() => handleShowReport(assignment)}>
+                    {report?.assignment_id === assignment.assignment_id ? 'Hide' : 'Report'}
+                  </button>
+                  {canEdit && (
+                    <button onClick={() => handleDelete(assignment)}>Delete</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {report && (
+        <table className="accounts-table">
+          <thead>
+            <tr>
+              <th>{report.title}: student</th>
+              {report.problems.map((problem) => (
+                <th key={problem.position} title={problem.problem_text}>
+                  #{problem.position + 1}
+                </th>
+              ))}
+              <th>Avg. confidence</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.report.by_student.length === 0 ? (
+              <tr><td colSpan={report.problems.length + 2}>No students in this class yet.</td></tr>
+            ) : report.report.by_student.map((student) => (
+              <tr key={student.student_id}>
+                <td>{student.session_codes.join(', ') || student.student_id}</td>
+                {student.problems.map((problem) => (
+                  <td key={problem.position}>
+                    {problem.completed ? `✓ ${formatPercent(problem.confidence)}` : problem.started ? 'In progress' : '—'}
+                  </td>
+                ))}
+                <td>{formatPercent(student.average_confidence)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -10,7 +10,7 @@ import { MCQuestion } from './MCQuestion';
 import { TransferProblem } from './TransferProblem';
 import { Toast } from './Toast';
 import { CollaborationBlockingModal } from './CollaborationBlockingModal';
-import { sendChatMessage, submitProblem, selectProblem, getSession } from '../services/api';
+import { streamChatMessage, submitProblem, selectProblem, selectAssignmentProblem, getSession, getReviewProblems, getSessionAssignments } from '../services/api';
 import './Chat.css';
 
 /**
@@ -36,9 +36,10 @@ function extractBackendError(error, fallbackMessage) {
  */
 export function Chat({ 
   sessionCode,
-  schoolCode,
+  classCode,
   initialMessages = [], 
   hasActiveProblem = false, 
+  initialReviewsDue = 0,
   onError, 
   onQuit,
   collaborationRequested = false,
@@ -47,6 +48,7 @@ export function Chat({
 }) {
   const [messages, setMessages] = useState(initialMessages);
   const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false); // Tutor reply is arriving token by token
   const [currentProblem, setCurrentProblem] = useState(null);
   const [canSubmitProblem, setCanSubmitProblem] = useState(!hasActiveProblem);
   const [showSessionCodeModal, setShowSessionCodeModal] = useState(false);
@@ -56,6 +58,11 @@ export function Chat({
   const [activeProblemWarning, setActiveProblemWarning] = useState(false);
   const [toast, setToast] = useState(null); // { message, type }
   const [multipleProblems, setMultipleProblems] = useState(null); // { problems, invalidProblems, imageUrl, imageKey }
+  const [practiceSuggestion, setPracticeSuggestion] = useState(null); // { kind, label, problemText } prerequisite warm-up
+  const [reviewsDue, setReviewsDue] = useState(initialReviewsDue);
+  const [reviewProblems, setReviewProblems] = useState([]); // Due reviews with a problem each
+  const [assignments, setAssignments] = useState([]); // The class's assignments with this student's progress
+  const [openAssignment, setOpenAssignment] = useState(null); // Assignment whose problems are being picked from
   const messagesEndRef = useRef(null);
   const streakCelebratedRef = useRef(false);
   const chatInputRef = useRef(null);
@@ -73,14 +80,44 @@ export function Chat({
     }
   }, [sessionCode, initialMessages, hasActiveProblem]);
 
+  // Offer due reviews whenever a new problem can be started (session start, after a completion)
+  useEffect(() => {
+    if (!sessionCode || !canSubmitProblem || reviewsDue <= 0) return;
+    let cancelled = false;
+    getReviewProblems(sessionCode)
+      .then((queue) => {
+        if (cancelled) return;
+        setReviewProblems(queue.reviews || []);
+        setReviewsDue(queue.due_count || 0);
+      })
+      .catch((error) => console.error('Error loading review problems:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionCode, canSubmitProblem, reviewsDue]);
+
+  // Refresh the class's assignments whenever a new problem can be started
+  useEffect(() => {
+    if (!sessionCode || !canSubmitProblem) return;
+    let cancelled = false;
+    getSessionAssignments(sessionCode)
+      .then((data) => {
+        if (!cancelled) setAssignments(data.assignments || []);
+      })
+      .catch((error) => console.error('Error loading assignments:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionCode, canSubmitProblem]);
+
   // Poll session for collaboration requests
   useEffect(() => {
     if (!sessionCode || collaborationRequested) return; // Stop polling if already requested
 
     const checkCollaborationRequest = async () => {
       try {
-        if (!schoolCode) return; // Can't check without school code
-        const session = await getSession(sessionCode, schoolCode);
+        if (!classCode) return; // Can't check without class code
+        const session = await getSession(sessionCode, classCode);
         if (session.collaboration_requested && !collaborationRequested) {
           // Update parent state to trigger modal
           if (onCollaborationRequested) {
@@ -99,7 +136,7 @@ export function Chat({
     const pollInterval = setInterval(checkCollaborationRequest, 3000);
     
     return () => clearInterval(pollInterval);
-  }, [sessionCode, schoolCode, collaborationRequested, onCollaborationRequested]);
+  }, [sessionCode, classCode, collaborationRequested, onCollaborationRequested]);
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
@@ -130,6 +167,7 @@ export function Chat({
 
     setIsLoading(true);
     setCanSubmitProblem(false);
+    setPracticeSuggestion(null);
 
     try {
       // Create local preview URL for immediate display
@@ -299,6 +337,48 @@ export function Chat({
     }
   };
 
+  const handleAssignmentProblemSelect = async (problemText, problemIndex) => {
+    if (!sessionCode || !openAssignment) return;
+
+    setIsLoading(true);
+    setCanSubmitProblem(false);
+
+    try {
+      const response = await selectAssignmentProblem(sessionCode, openAssignment.assignment_id, problemIndex);
+
+      setCurrentProblem({
+        problemId: response.problem_id,
+        category: response.problem_info?.category,
+        difficulty: response.problem_info?.difficulty,
+        normalizedLatex: response.problem_info?.normalized_latex || null
+      });
+
+      setMessages(prev => [
+        ...prev,
+        {
+          speaker: 'student',
+          message: problemText,
+          timestamp: new Date().toISOString()
+        },
+        {
+          speaker: 'tutor',
+          message: response.tutor_message,
+          timestamp: new Date().toISOString(),
+          latex: response.problem_info?.normalized_latex || null
+        }
+      ]);
+
+      setOpenAssignment(null);
+    } catch (error) {
+      console.error('Error starting assignment problem:', error);
+      const { message: errorMessage } = extractBackendError(error, 'Failed to start assignment problem');
+      onError?.(errorMessage);
+      setCanSubmitProblem(true);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleProblemSelectionCancel = () => {
     // Remove the student message that was added
     setMessages(prev => prev.slice(0, -1));
@@ -315,6 +395,7 @@ export function Chat({
     // So we always treat this as a chat response, never as a new problem attempt
 
     setIsLoading(true);
+    let streamedText = '';
 
     try {
       // Add student message immediately
@@ -325,8 +406,22 @@ export function Chat({
       };
       setMessages(prev => [...prev, studentMessage]);
 
-      // Send message to backend
-      const response = await sendChatMessage(sessionCode, message);
+      // Send message to backend, rendering the tutor reply as it streams in
+      const response = await streamChatMessage(sessionCode, message, {
+        onToken: (text) => {
+          const isFirstToken = streamedText === '';
+          streamedText += text;
+          const partialMessage = {
+            speaker: 'tutor',
+            message: streamedText,
+            timestamp: new Date().toISOString()
+          };
+          setIsStreaming(true);
+          setMessages(prev => isFirstToken
+            ? [...prev, partialMessage]
+            : [...prev.slice(0, -1), partialMessage]);
+        }
+      });
 
       // Update problem info if provided (e.g., when tutor provides new problem)
       if (response.problem_info) {
@@ -353,14 +448,16 @@ export function Chat({
         }
       }
 
-      // Add tutor response
+      // Add tutor response (replacing the streamed partial message, if any)
       const tutorMessage = {
         speaker: 'tutor',
         message: response.tutor_message,
         timestamp: new Date().toISOString(),
         latex: response.problem_info?.normalized_latex || currentProblem?.normalizedLatex
       };
-      setMessages(prev => [...prev, tutorMessage]);
+      setMessages(prev => streamedText
+        ? [...prev.slice(0, -1), tutorMessage]
+        : [...prev, tutorMessage]);
 
       // Show streak feedback as toast popup
       if (response.streak?.feedback) {
@@ -390,9 +487,14 @@ export function Chat({
 
     } catch (error) {
       console.error('Error sending message:', error);
+      // Drop a half-streamed reply - the turn didn't complete
+      if (streamedText) {
+        setMessages(prev => prev.slice(0, -1));
+      }
       onError?.(error.response?.data?.error?.message || 'Failed to send message');
     } finally {
       setIsLoading(false);
+      setIsStreaming(false);
     }
   };
 
@@ -408,6 +510,22 @@ export function Chat({
       setCurrentProblem(updatedProblemInfo);
     }
 
+    // The class runs a transfer problem after the quiz - show it; the problem completes once it's answered
+    if (mcResult.all_answered && mcResult.transfer_problem) {
+      setAssessmentState(prev => ({
+        ...prev,
+        mcQuestions: mcResult.updated_questions || prev?.mcQuestions,
+        mcComplete: true,
+        transferProblem: mcResult.transfer_problem
+      }));
+      setMessages(prev => [...prev, {
+        speaker: 'tutor',
+        message: `MC Quiz Complete! You got ${Math.round(mcResult.mc_score * 100)}% correct. ${mcResult.new_problem_prompt || ''}`.trim(),
+        timestamp: new Date().toISOString()
+      }]);
+      return;
+    }
+
     // Check if MC quiz passed or failed - complete problem and enable new problem submission
     if ((mcResult.mc_quiz_passed || mcResult.mc_quiz_failed) && mcResult.problem_completed) {
       // Student passed or failed - clear problem and enable new problem submission
@@ -417,6 +535,12 @@ export function Chat({
       // Clear assessment state
       setAssessmentState(null);
 
+      // Offer the prerequisite warm-up the recommendation picked, if any
+      const prerequisite = mcResult.recommendation?.prerequisite;
+      setPracticeSuggestion(prerequisite ? { kind: 'warm-up', label: prerequisite.name, problemText: prerequisite.practice_problem } : null);
+      setReviewsDue(mcResult.reviews_due || 0);
+      setReviewProblems([]);
+
       // Add completion and new problem prompt
       const mcCompleteMessage = {
         speaker: 'tutor',
@@ -424,10 +548,9 @@ export function Chat({
         timestamp: new Date().toISOString()
       };
       setMessages(prev => [...prev, mcCompleteMessage]);
-      return; // Don't show transfer problem if quiz passed or failed
+      return;
     }
 
-    // Note: Transfer problem is no longer shown after MC quiz - problem is completed regardless of pass/fail
     // If not all questions answered yet, move to next question
     if (mcResult.next_question_index !== null && mcResult.next_question_index !== undefined) {
       // Move to next question
@@ -458,25 +581,22 @@ export function Chat({
     }
   };
 
-  const handleTransferCompleted = (transferResult, problemInfo) => {
-    // Update problem info if provided
-    if (problemInfo) {
-      const updatedProblemInfo = {
-        problemId: problemInfo.problem_id,
-        category: problemInfo.category,
-        difficulty: problemInfo.difficulty,
-        normalizedLatex: problemInfo.normalized_latex || null
-      };
-      setCurrentProblem(updatedProblemInfo);
-    }
-
-    // Clear assessment state
+  const handleTransferCompleted = (transferResult) => {
+    // The transfer problem is the last assessment stage - the problem is done
+    setCurrentProblem(null);
+    setCanSubmitProblem(true);
     setAssessmentState(null);
 
+    // Offer the prerequisite warm-up the recommendation picked, if any
+    const prerequisite = transferResult.recommendation?.prerequisite;
+    setPracticeSuggestion(prerequisite ? { kind: 'warm-up', label: prerequisite.name, problemText: prerequisite.practice_problem } : null);
+    setReviewsDue(transferResult.reviews_due || 0);
+    setReviewProblems([]);
+
     // Add completion message
     const transferMessage = {
       speaker: 'tutor',
-      message: transferResult.recommendation?.message || 'Assessment complete!',
+      message: transferResult.new_problem_prompt || transferResult.recommendation?.message || 'Assessment complete!',
       timestamp: new Date().toISOString()
     };
     setMessages(prev => [...prev, transferMessage]);
@@ -585,7 +705,7 @@ export function Chat({
           />
         )}
         
-        {isLoading && (
+        {isLoading && !isStreaming && (
           <div className="loading-indicator">
             <div className="typing-dots">
               <span></span>
@@ -599,7 +719,18 @@ export function Chat({
       </div>
 
       <div className="chat-input-area">
-        {multipleProblems ? (
+        {openAssignment && canSubmitProblem ? (
+          <ProblemSelection
+            heading={openAssignment.title}
+            description={openAssignment.due_at
+              ? `Due ${new Date(openAssignment.due_at).toLocaleString()}. Pick a problem to work on:`
+              : 'Pick a problem to work on:'}
+            problems={openAssignment.problems.map((problem) => problem.problem_text)}
+            notes={openAssignment.problems.map((problem) => (problem.completed ? 'Done' : null))}
+            onSelect={handleAssignmentProblemSelect}
+            onCancel={() => setOpenAssignment(null)}
+          />
+        ) : multipleProblems ? (
           <ProblemSelection
             problems={multipleProblems.problems}
             invalidProblems={multipleProblems.invalidProblems}
@@ -608,10 +739,34 @@ export function Chat({
             onCancel={handleProblemSelectionCancel}
           />
         ) : canSubmitProblem ? (
-          <ProblemInput
-            onSubmit={handleProblemSubmit}
-            disabled={isLoading}
-          />
+          <>
+            {assignments.length > 0 && (
+              <div className="assignments-bar">
+                <span className="assignments-label">Assignments:</span>
+                {assignments.map((assignment) => (
+                  <button
+                    key={assignment.assignment_id}
+                    type="button"
+                    className={`assignment-chip ${assignment.overdue ? 'overdue' : ''} ${assignment.completed === assignment.problems.length ? 'done' : ''}`}
+                    onClick={() => setOpenAssignment(assignment)}
+                    disabled={isLoading}
+                  >
+                    {assignment.title} ({assignment.completed}/{assignment.problems.length})
+                    {assignment.overdue && ' • overdue'}
+                  </button>
+                ))}
+              </div>
+            )}
+            <ProblemInput
+              onSubmit={handleProblemSubmit}
+              disabled={isLoading}
+              suggestions={[
+                ...(practiceSuggestion ? [practiceSuggestion] : []),
+                ...reviewProblems.map((review) => ({ kind: 'review', label: review.name, problemText: review.problem_text }))
+              ]}
+              reviewsDue={reviewsDue}
+            />
+          </>
         ) : (
           <>
             {activeProblemWarning && currentProblem && (
@@ -0,0 +1,153 @@
+import { useState, useEffect } from 'react';
+import { listClasses, createClass, rotateClassJoinCode, updateClassAssessment } from '../services/api';
+import './AccountsView.css';
+
+// When the transfer problem follows the MC quiz
+export const TRANSFER_STAGE_LABELS = {
+  always: 'Always',
+  on_mc_pass: 'After a passed quiz',
+  on_mc_fail: 'After a failed quiz',
+  never: 'Never'
+};
+
+/**
+ * Classes View Component
+ * Lists the caller's classes with their join codes; teachers and admins can
+ * create classes, replace a leaked join code and choose when the transfer
+ * problem runs in the learning assessment
+ */
+export function ClassesView({ token, canEdit, isAdmin, onError }) {
+  const [classes, setClasses] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [form, setForm] = useState({ name: '', owner: '' });
+
+  useEffect(() => {
+    loadClasses();
+  }, [token]);
+
+  const errorMessage = (error, fallback) => error.response?.data?.error?.message || fallback;
+
+  const loadClasses = async () => {
+    setIsLoading(true);
+    try {
+      const data = await listClasses(token);
+      setClasses(data.classes || []);
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to load classes'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await createClass({ name: form.name, owner: form.owner || undefined }, token);
+      setForm({ name: '', owner: '' });
+      await loadClasses();
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to create class'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRotate = async (classInfo) => {
+    if (!window.confirm(`Replace the join code for "${classInfo.name}"? Students will need the new code to start sessions.`)) {
+      return;
+    }
+    try {
+      await rotateClassJoinCode(classInfo.class_id, token);
+      await loadClasses();
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to replace join code'));
+    }
+  };
+
+  const handleTransferStage = async (classInfo, transferStage) => {
+    try {
+      await updateClassAssessment(classInfo.class_id, { transfer_stage: transferStage }, token);
+      await loadClasses();
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to update assessment settings'));
+    }
+  };
+
+  return (
+    <div className="accounts-view">
+      {canEdit && (
+        <form className="account-form" onSubmit={handleCreate}>
+          <h3>New Class</h3>
+          <input
+            type="text"
+            placeholder="Class name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            required
+          />
+          {isAdmin && (
+            <input
+              type="text"
+              placeholder="Owner username (default: you)"
+              value={form.owner}
+              onChange={(e) => setForm({ ...form, owner: e.target.value })}
+            />
+          )}
+          <button type="submit" disabled={isSaving}>
+            {isSaving ? 'Creating...' : 'Create Class'}
+          </button>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="loading">Loading classes...</div>
+      ) : classes.length === 0 ? (
+        <div className="no-details">No classes yet. Students join a class with its join code.</div>
+      ) : (
+        <table className="accounts-table">
+          <thead>
+            <tr>
+              <th>Class</th>
+              <th>Join code</th>
+              <th>Owner</th>
+              <th>Sessions</th>
+              <th>Transfer problem</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {classes.map((classInfo) => (
+              <tr key={classInfo.class_id}>
+                <td>{classInfo.name}</td>
+                <td><code>{classInfo.join_code}</code></td>
+                <td>{classInfo.owner}</td>
+                <td>{classInfo.session_count}</td>
+                <td>
+                  {canEdit ? (
+                    <select
+                      value={classInfo.assessment_settings?.transfer_stage || 'always'}
+                      onChange={(e) => handleTransferStage(classInfo, e.target.value)}
+                    >
+                      {Object.entries(TRANSFER_STAGE_LABELS).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    TRANSFER_STAGE_LABELS[classInfo.assessment_settings?.transfer_stage] || TRANSFER_STAGE_LABELS.always
+                  )}
+                </td>
+                <td>
+                  {canEdit && (
+                    <button onClick={() => handleRotate(classInfo)}>New code</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
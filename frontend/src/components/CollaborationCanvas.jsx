@@ -1,14 +1,23 @@
 import { useEffect, useRef, useState } from 'react';
+import {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  visibleOperations,
+  drawOperation,
+  renderOperations
+} from '../utils/canvasOperations';
 import './CollaborationCanvas.css';
 
 /**
  * Collaboration Canvas Component
  * Native HTML5 Canvas with operation-based syncing
- * Instead of syncing entire canvas state, we sync individual drawing operations
+ * Instead of syncing entire canvas state, we sync individual drawing operations:
+ * local ones go out through onOperations, and canvasState carries the merged
+ * operation log ({ operations, version }) from useCanvasSync
  */
 export function CollaborationCanvas({ 
   canvasState, 
-  onCanvasUpdate, 
+  onOperations, 
   studentCanDraw = true,
   isStudent = false,
   disabled = false 
@@ -20,10 +29,8 @@ export function CollaborationCanvas({
   const [lastPos, setLastPos] = useState({ x: 0, y: 0 });
   const [color, setColor] = useState('#000000');
   const [lineWidth, setLineWidth] = useState(3);
-  const operationsRef = useRef([]); // Store all drawing operations
-  const processedOperationsRef = useRef(new Set()); // Track which operations we've already processed
-  const lastSyncedVersionRef = useRef(0); // Track last synced version
-  const pendingOperationsRef = useRef([]); // Operations waiting to be synced
+  const operationsRef = useRef([]); // Operation log as last rendered
+  const processedOperationsRef = useRef(new Set()); // Ids already on screen
 
   // Initialize canvas
   useEffect(() => {
@@ -34,147 +41,26 @@ export function CollaborationCanvas({
     ctxRef.current = ctx;
 
     // Set canvas size
-    canvas.width = 800;
-    canvas.height = 600;
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
     ctx.fillStyle = '#ffffff';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Load initial operations if provided
-    if (canvasState && Array.isArray(canvasState.operations)) {
-      operationsRef.current = canvasState.operations;
-      // Mark all initial operations as processed
-      canvasState.operations.forEach(op => {
-        if (op.id) {
-          processedOperationsRef.current.add(op.id);
-        }
-      });
-      redrawCanvas();
-    }
-
-    return () => {
-      // Cleanup if needed
-    };
   }, []);
 
-  // Redraw canvas from operations
+  // Redraw what's still visible after clears and undos
   const redrawCanvas = () => {
-    const canvas = canvasRef.current;
-    const ctx = ctxRef.current;
-    if (!canvas || !ctx) return;
-
-    // Clear canvas
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Redraw all operations
-    operationsRef.current.forEach(op => {
-      applyOperation(op, false); // false = don't trigger sync
-    });
+    renderOperations(ctxRef.current, operationsRef.current);
   };
 
-  // Apply a drawing operation
-  const applyOperation = (operation, shouldSync = true) => {
-    const ctx = ctxRef.current;
-    if (!ctx) return;
-
-    const { type, data, id } = operation;
-
-    // Skip if we've already processed this operation (prevent duplicates)
-    if (id && processedOperationsRef.current.has(id)) {
-      return;
-    }
-
-    // Set drawing styles
-    ctx.strokeStyle = data.color || '#000000';
-    ctx.lineWidth = data.lineWidth || 3;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-
-    // Apply the operation
-    switch (type) {
-      case 'draw':
-        ctx.beginPath();
-        ctx.moveTo(data.x0, data.y0);
-        ctx.lineTo(data.x1, data.y1);
-        ctx.stroke();
-        break;
-
-      case 'clear':
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, canvasRef.current.width, canvasRef.current.height);
-        // Clear operations list when clearing (only when applying external clear)
-        if (!shouldSync) {
-          operationsRef.current = [operation];
-          processedOperationsRef.current.clear();
-          processedOperationsRef.current.add(operation.id);
-        }
-        break;
-    }
-
-    // Mark this operation as processed
-    if (id) {
-      processedOperationsRef.current.add(id);
-    }
-
-    // Don't sync when applying external operations (they're already synced)
-    if (!shouldSync) {
-      // But still add to our operations list so we can rebuild the canvas
-      if (!operationsRef.current.some(op => op.id === id)) {
-        operationsRef.current.push(operation);
-      }
-      return;
-    }
+  // Draw a single 'draw' operation (clear and undo are handled by redrawCanvas)
+  const applyOperation = (operation) => {
+    drawOperation(ctxRef.current, operation);
+  };
 
-    // Add to operations list and sync (only for local operations)
-    if (!operationsRef.current.some(op => op.id === id)) {
-      operationsRef.current.push(operation);
-      pendingOperationsRef.current.push(operation);
-    }
-    
-    // Sync with debouncing - send only new operations to avoid payload size issues
-    if (onCanvasUpdate) {
-      clearTimeout(window.canvasSyncTimeout);
-      window.canvasSyncTimeout = setTimeout(() => {
-        // Send full operations list but with a size limit
-        const operations = operationsRef.current;
-        const operationsJson = JSON.stringify(operations);
-        
-        // If operations list is getting too large, keep only the most recent ones
-        // This prevents payload size issues and keeps performance good
-        const MAX_OPERATIONS = 5000; // Keep last 5000 operations
-        const MAX_SIZE = 5000000; // 5MB limit
-        
-        if (operations.length > MAX_OPERATIONS || operationsJson.length > MAX_SIZE) {
-          // Keep last MAX_OPERATIONS operations
-          const recentOperations = operations.slice(-MAX_OPERATIONS);
-          operationsRef.current = recentOperations;
-          
-          // Rebuild processed set
-          processedOperationsRef.current.clear();
-          recentOperations.forEach(op => {
-            if (op.id) processedOperationsRef.current.add(op.id);
-          });
-          
-          // Redraw canvas with reduced operations
-          redrawCanvas();
-          
-          // Sync with reduced operations
-          onCanvasUpdate({
-            operations: recentOperations,
-            version: Date.now(),
-            truncated: true
-          });
-        } else {
-          // Normal sync with all operations
-          onCanvasUpdate({
-            operations: operations,
-            version: Date.now()
-          });
-        }
-        
-        // Clear pending operations after sync
-        pendingOperationsRef.current = [];
-      }, 500);
+  // Send a local operation to the other side
+  const emitOperation = (operation) => {
+    if (onOperations) {
+      onOperations([operation]);
     }
   };
 
@@ -236,7 +122,9 @@ export function CollaborationCanvas({
       }
     };
 
-    applyOperation(operation);
+    // Already drawn above; mark it so the echo in canvasState isn't drawn twice
+    processedOperationsRef.current.add(operation.id);
+    emitOperation(operation);
     setLastPos({ x, y });
   };
 
@@ -245,40 +133,24 @@ export function CollaborationCanvas({
     setIsDrawing(false);
   };
 
-  // Handle external operations (from other user)
+  // Replay the operation log: draw only new segments when possible, and
+  // rebuild from scratch when a clear/undo arrives or operations were dropped
   useEffect(() => {
-    if (!canvasState || !canvasState.operations) return;
+    if (!canvasState || !Array.isArray(canvasState.operations)) return;
 
-    // Get all operation IDs we've already processed
-    const processedIds = processedOperationsRef.current;
-    
-    // Find operations we haven't processed yet
-    const newOperations = canvasState.operations.filter(op => {
-      if (!op.id) return false; // Skip operations without IDs
-      return !processedIds.has(op.id);
-    });
+    const operations = canvasState.operations;
+    const ids = new Set(operations.map(op => op.id));
+    const processed = processedOperationsRef.current;
+    const newOperations = operations.filter(op => !processed.has(op.id));
+    const dropped = [...processed].some(id => !ids.has(id));
 
-    if (newOperations.length > 0) {
-      // Check if there's a clear operation - if so, handle it specially
-      const clearOp = newOperations.find(op => op.type === 'clear');
-      if (clearOp) {
-        // Clear everything immediately without syncing back
-        const ctx = ctxRef.current;
-        const canvas = canvasRef.current;
-        if (ctx && canvas) {
-          ctx.fillStyle = '#ffffff';
-          ctx.fillRect(0, 0, canvas.width, canvas.height);
-        }
-        operationsRef.current = [clearOp];
-        processedOperationsRef.current.clear();
-        processedOperationsRef.current.add(clearOp.id);
-        return;
-      }
-      
-      // Apply new operations in order
-      newOperations.forEach(op => {
-        applyOperation(op, false); // false = don't sync (it's already synced)
-      });
+    operationsRef.current = operations;
+    processedOperationsRef.current = ids;
+
+    if (dropped || newOperations.some(op => op.type !== 'draw')) {
+      redrawCanvas();
+    } else {
+      newOperations.forEach(applyOperation);
     }
   }, [canvasState]);
 
@@ -302,42 +174,25 @@ export function CollaborationCanvas({
         ctx.fillRect(0, 0, canvas.width, canvas.height);
       }
       
-      // Create clear operation
-      const operation = {
+      emitOperation({
         type: 'clear',
         id: `clear_${Date.now()}_${Math.random()}`,
         data: {}
-      };
-
-      // Reset operations list and tracking
-      operationsRef.current = [operation];
-      processedOperationsRef.current.clear();
-      processedOperationsRef.current.add(operation.id);
-      
-      // Sync clear operation to backend (but don't wait for response)
-      if (onCanvasUpdate) {
-        onCanvasUpdate({
-          operations: [operation],
-          version: Date.now()
-        });
-      }
+      });
     }
   };
 
   const handleUndo = () => {
     if (disabled || (isStudent && !studentCanDraw)) return;
 
-    if (operationsRef.current.length > 0) {
-      operationsRef.current.pop();
-      redrawCanvas();
-      
-      // Sync after undo
-      if (onCanvasUpdate) {
-        onCanvasUpdate({
-          operations: operationsRef.current,
-          version: Date.now()
-        });
-      }
+    // Undo hides the most recent visible segment; the log itself is append-only
+    const visible = visibleOperations(operationsRef.current);
+    if (visible.length > 0) {
+      emitOperation({
+        type: 'undo',
+        id: `undo_${Date.now()}_${Math.random()}`,
+        data: { target_id: visible[visible.length - 1].id }
+      });
     }
   };
 
@@ -0,0 +1,146 @@
+import { useState, useEffect, useRef } from 'react';
+import { getCollaborationReplay } from '../services/api';
+import { CANVAS_WIDTH, CANVAS_HEIGHT, renderOperations } from '../utils/canvasOperations';
+import './CollaborationReplay.css';
+
+const MIN_STEP_MS = 40;
+const MAX_STEP_MS = 1500; // Long pauses in the real session are compressed
+
+/**
+ * Collaboration Replay Component
+ * Modal player that scrubs through a collaboration, interleaving chat
+ * messages with canvas operations in the order they happened
+ */
+export function CollaborationReplay({ collabSessionId, token, onClose }) {
+  const [replay, setReplay] = useState(null);
+  const [error, setError] = useState(null);
+  const [position, setPosition] = useState(0); // Number of events shown
+  const [isPlaying, setIsPlaying] = useState(false);
+  const canvasRef = useRef(null);
+  const chatEndRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getCollaborationReplay(collabSessionId, token)
+      .then(data => {
+        if (!cancelled) setReplay(data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.error?.message || 'Failed to load replay');
+      });
+    return () => { cancelled = true; };
+  }, [collabSessionId, token]);
+
+  const events = replay?.events || [];
+  const shown = events.slice(0, position);
+  const messages = shown.filter(e => e.type === 'message');
+
+  // Redraw the canvas as of the current position
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const operations = shown.filter(e => e.type === 'canvas').map(e => e.operation);
+    renderOperations(canvas.getContext('2d'), operations);
+  }, [replay, position]);
+
+  useEffect(() => {
+    chatEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [messages.length]);
+
+  // Advance one event at a time, waiting roughly as long as the real gap
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (position >= events.length) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const previousAt = position > 0 ? new Date(events[position - 1].at) : new Date(events[0].at);
+    const gap = new Date(events[position].at) - previousAt;
+    const delay = Math.min(MAX_STEP_MS, Math.max(MIN_STEP_MS, gap));
+    const timer = setTimeout(() => setPosition(p => p + 1), delay);
+    return () => clearTimeout(timer);
+  }, [isPlaying, position, events]);
+
+  const handlePlayPause = () => {
+    if (!isPlaying && position >= events.length) {
+      setPosition(0); // Restart from the beginning
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  const formatElapsed = (at) => {
+    if (!replay || !at) return '0:00';
+    const seconds = Math.max(0, Math.floor((new Date(at) - new Date(replay.started_at)) / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  return (
+    <div className="similar-problems-modal-overlay" onClick={onClose}>
+      <div className="collaboration-replay-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Replay {collabSessionId}</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        {error ? (
+          <div className="replay-status">{error}</div>
+        ) : !replay ? (
+          <div className="replay-status">Loading replay...</div>
+        ) : (
+          <div className="replay-body">
+            <div className="replay-problem">{replay.problem_text}</div>
+            {replay.canvas_truncated && (
+              <div className="replay-note">The earliest drawing was trimmed and can't be replayed.</div>
+            )}
+
+            <div className="replay-panels">
+              <div className="replay-chat">
+                {messages.length === 0 ? (
+                  <div className="replay-empty">No messages yet</div>
+                ) : (
+                  messages.map((msg, idx) => (
+                    <div key={idx} className={`replay-message ${msg.speaker}`}>
+                      <span className="replay-speaker">{msg.speaker === 'teacher' ? 'Teacher' : 'Student'}</span>
+                      <span className="replay-time">{formatElapsed(msg.at)}</span>
+                      <div>{msg.message}</div>
+                    </div>
+                  ))
+                )}
+                <div ref={chatEndRef} />
+              </div>
+              <canvas
+                ref={canvasRef}
+                className="replay-canvas"
+                width={CANVAS_WIDTH}
+                height={CANVAS_HEIGHT}
+              />
+            </div>
+
+            <div className="replay-controls">
+              <button className="replay-play-btn" onClick={handlePlayPause} disabled={events.length === 0}>
+                {isPlaying ? '⏸ Pause' : '▶ Play'}
+              </button>
+              <input
+                type="range"
+                className="replay-scrubber"
+                min={0}
+                max={events.length}
+                value={position}
+                onChange={(e) => {
+                  setIsPlaying(false);
+                  setPosition(Number(e.target.value));
+                }}
+              />
+              <span className="replay-time">
+                {formatElapsed(position > 0 ? events[position - 1].at : replay.started_at)}
+                {' / '}
+                {formatElapsed(events.length > 0 ? events[events.length - 1].at : replay.started_at)}
+              </span>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
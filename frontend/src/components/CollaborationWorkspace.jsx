@@ -2,11 +2,12 @@ import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { CollaborationChat } from './CollaborationChat';
 import { CollaborationCanvas } from './CollaborationCanvas';
+import { useCanvasSync } from '../hooks/useCanvasSync';
 import {
   getCollaborationSession,
   sendCollaborationMessage,
-  updateCollaborationCanvas,
   pollCollaborationUpdates,
+  subscribeToCollaborationEvents,
   updateDrawingPermission,
   endCollaboration
 } from '../services/api';
@@ -21,14 +22,16 @@ export function CollaborationWorkspace({ token, isTeacher = false, studentSessio
   const navigate = useNavigate();
   const [session, setSession] = useState(null);
   const [messages, setMessages] = useState([]);
-  const [canvasState, setCanvasState] = useState(null);
+  const { canvasState, loadCanvas, applyCanvasDelta, queueOperations, canvasVersionRef } =
+    useCanvasSync(collabSessionId);
   const [studentCanDraw, setStudentCanDraw] = useState(false); // Disabled by default
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdateTime, setLastUpdateTime] = useState(new Date().toISOString());
   const lastUpdateTimeRef = useRef(new Date().toISOString());
   const pollingIntervalRef = useRef(null);
-  const canvasUpdateTimeoutRef = useRef(null);
+  // True while the live event stream is connected; polling only runs when it isn't
+  const [liveConnected, setLiveConnected] = useState(false);
   // Initialize with teacher if token exists (more reliable than prop)
   const [actualIsTeacher, setActualIsTeacher] = useState(() => {
     // Check for dashboard token immediately - if present, user is teacher
@@ -68,66 +71,91 @@ export function CollaborationWorkspace({ token, isTeacher = false, studentSessio
     loadSession();
   }, [collabSessionId]);
 
-  // Poll for updates
-  useEffect(() => {
-    if (!session || session.status !== 'active') return;
-
-    const pollUpdates = async () => {
-      try {
-        // Use ref to get the latest lastUpdateTime (always current, not stale closure value)
-        const currentTime = lastUpdateTimeRef.current;
-        const updates = await pollCollaborationUpdates(
-          collabSessionId,
-          currentTime
+  // Apply a batch of updates from either the live stream or the polling route
+  const applyUpdates = (updates) => {
+    if (updates.messages && updates.messages.length > 0) {
+      setMessages(prev => {
+        // Deduplicate messages by timestamp + message + speaker
+        const existingKeys = new Set(
+          prev.map(msg => `${msg.timestamp}-${msg.message}-${msg.speaker}`)
         );
+        const newMessages = updates.messages.filter(msg => {
+          const key = `${msg.timestamp}-${msg.message}-${msg.speaker}`;
+          return !existingKeys.has(key);
+        });
+        return [...prev, ...newMessages];
+      });
 
-        if (updates.messages && updates.messages.length > 0) {
-          setMessages(prev => {
-            // Deduplicate messages by timestamp + message + speaker
-            const existingKeys = new Set(
-              prev.map(msg => `${msg.timestamp}-${msg.message}-${msg.speaker}`)
-            );
-            const newMessages = updates.messages.filter(msg => {
-              const key = `${msg.timestamp}-${msg.message}-${msg.speaker}`;
-              return !existingKeys.has(key);
-            });
-            return [...prev, ...newMessages];
-          });
-        }
+      // Advance lastUpdateTime to the latest message so the next poll doesn't refetch it
+      const latestMessage = updates.messages[updates.messages.length - 1];
+      setLastUpdateTime(latestMessage.timestamp);
+      lastUpdateTimeRef.current = latestMessage.timestamp;
+    }
 
-        if (updates.canvas_state !== undefined) {
-          const newStateJson = JSON.stringify(updates.canvas_state);
-          const currentStateJson = canvasState ? JSON.stringify(canvasState) : null;
-          
-          // Always update for operation-based syncing (component handles deduplication)
-          // Only skip if JSON strings are identical
-          if (newStateJson !== currentStateJson) {
-            setCanvasState(updates.canvas_state);
-          }
-        }
+    if (updates.canvas) {
+      // Operation delta since our canvas version (the whole log when reset)
+      applyCanvasDelta(updates.canvas);
+    }
 
-        if (updates.student_can_draw !== undefined) {
-          // Explicitly check for true since default is false
-          setStudentCanDraw(updates.student_can_draw === true);
-        }
+    if (updates.student_can_draw !== undefined) {
+      // Explicitly check for true since default is false
+      setStudentCanDraw(updates.student_can_draw === true);
+    }
 
-        if (updates.status && updates.status !== 'active') {
-          // Collaboration ended
-          setSession(prev => ({ ...prev, status: updates.status }));
-        }
+    if (updates.status && updates.status !== 'active') {
+      // Collaboration ended
+      setSession(prev => ({ ...prev, status: updates.status }));
+    }
+  };
+
+  const pollUpdates = async () => {
+    try {
+      // Use ref to get the latest lastUpdateTime (always current, not stale closure value)
+      const updates = await pollCollaborationUpdates(
+        collabSessionId,
+        lastUpdateTimeRef.current,
+        canvasVersionRef.current
+      );
+      applyUpdates(updates);
+    } catch (error) {
+      // Silently handle polling errors
+    }
+  };
 
-        // Update lastUpdateTime to the latest message timestamp, or keep current if no new messages
-        if (updates.messages && updates.messages.length > 0) {
-          const latestMessage = updates.messages[updates.messages.length - 1];
-          const timestamp = latestMessage.timestamp;
-          setLastUpdateTime(timestamp);
-          lastUpdateTimeRef.current = timestamp;
+  // Live updates over Server-Sent Events
+  useEffect(() => {
+    if (!session || session.status !== 'active') return;
+
+    const closeStream = subscribeToCollaborationEvents(collabSessionId, {
+      onOpen: () => setLiveConnected(true),
+      onError: () => setLiveConnected(false),
+      onEvent: (name, data) => {
+        if (name === 'ready') {
+          // (Re)connected: catch up on anything sent while we were away
+          pollUpdates();
+        } else if (name === 'message') {
+          applyUpdates({ messages: [data.message] });
+        } else if (name === 'canvas') {
+          applyUpdates({ canvas: data });
+        } else if (name === 'status') {
+          applyUpdates({ status: data.status });
+          closeStream?.(); // Stop EventSource from reconnecting to an ended room
+          setLiveConnected(false);
+        } else {
+          applyUpdates(data);
         }
-        // If no new messages, keep current lastUpdateTime (don't update to avoid skipping messages)
-      } catch (error) {
-        // Silently handle polling errors
       }
+    });
+
+    return () => {
+      closeStream?.();
+      setLiveConnected(false);
     };
+  }, [collabSessionId, session?.status]);
+
+  // Fall back to polling whenever the live stream isn't connected
+  useEffect(() => {
+    if (!session || session.status !== 'active' || liveConnected) return;
 
     // Poll every 2-3 seconds
     pollingIntervalRef.current = setInterval(pollUpdates, 2500);
@@ -138,7 +166,7 @@ export function CollaborationWorkspace({ token, isTeacher = false, studentSessio
         clearInterval(pollingIntervalRef.current);
       }
     };
-  }, [collabSessionId, session?.status]); // Removed lastUpdateTime from deps to avoid restarting
+  }, [collabSessionId, session?.status, liveConnected]); // Removed lastUpdateTime from deps to avoid restarting
 
   const loadSession = async () => {
     setIsLoading(true);
@@ -148,8 +176,7 @@ export function CollaborationWorkspace({ token, isTeacher = false, studentSessio
       const data = await getCollaborationSession(collabSessionId);
       setSession(data);
       setMessages(data.messages || []);
-      // Initialize with empty operations array if no state exists
-      setCanvasState(data.canvas_state || { operations: [], version: 0 });
+      loadCanvas(data.canvas_state);
       // student_can_draw defaults to false, so explicitly check for true
       setStudentCanDraw(data.student_can_draw === true);
       
@@ -197,23 +224,6 @@ export function CollaborationWorkspace({ token, isTeacher = false, studentSessio
     }
   };
 
-  const handleCanvasUpdate = (newCanvasState) => {
-    setCanvasState(newCanvasState);
-
-    // Debounce canvas updates
-    if (canvasUpdateTimeoutRef.current) {
-      clearTimeout(canvasUpdateTimeoutRef.current);
-    }
-
-    canvasUpdateTimeoutRef.current = setTimeout(async () => {
-      try {
-        await updateCollaborationCanvas(collabSessionId, newCanvasState);
-      } catch (error) {
-        // Silently handle canvas update errors
-      }
-    }, 500);
-  };
-
   const handleToggleDrawingPermission = async () => {
     try {
       const newPermission = !studentCanDraw;
@@ -319,7 +329,7 @@ export function CollaborationWorkspace({ token, isTeacher = false, studentSessio
           </div>
           <CollaborationCanvas
             canvasState={canvasState}
-            onCanvasUpdate={handleCanvasUpdate}
+            onOperations={queueOperations}
             studentCanDraw={studentCanDraw}
             isStudent={!actualIsTeacher}
             disabled={!isActive}
@@ -1,14 +1,20 @@
 import { useState } from 'react';
 import { AggregateView } from './AggregateView';
 import { SessionListView } from './SessionListView';
+import { AccountsView } from './AccountsView';
+import { ClassesView } from './ClassesView';
+import { AssignmentsView } from './AssignmentsView';
+import { UsageView } from './UsageView';
 import './Dashboard.css';
 
 /**
  * Dashboard Component
- * Main teacher dashboard with view toggle
+ * Main teacher dashboard with view toggle; what's shown depends on the account's role
  */
-export function Dashboard({ token, onLogout, onError }) {
-  const [viewMode, setViewMode] = useState('aggregate'); // 'aggregate' or 'sessions'
+export function Dashboard({ token, account, onLogout, onError }) {
+  const [viewMode, setViewMode] = useState('aggregate'); // 'aggregate', 'sessions', 'classes', 'assignments', 'usage' or 'accounts'
+  const isAdmin = account?.role === 'admin';
+  const canEdit = account?.role !== 'observer';
   const [selectedSessionCode, setSelectedSessionCode] = useState(null);
 
   return (
@@ -29,7 +35,38 @@ export function Dashboard({ token, onLogout, onError }) {
             >
               Per-Session View
             </button>
+            <button
+              className={viewMode === 'classes' ? 'active' : ''}
+              onClick={() => setViewMode('classes')}
+            >
+              Classes
+            </button>
+            <button
+              className={viewMode === 'assignments' ? 'active' : ''}
+              onClick={() => setViewMode('assignments')}
+            >
+              Assignments
+            </button>
+            <button
+              className={viewMode === 'usage' ? 'active' : ''}
+              onClick={() => setViewMode('usage')}
+            >
+              AI Usage
+            </button>
+            {isAdmin && (
+              <button
+                className={viewMode === 'accounts' ? 'active' : ''}
+                onClick={() => setViewMode('accounts')}
+              >
+                Accounts
+              </button>
+            )}
           </div>
+          {account && (
+            <span className="dashboard-account">
+              {account.display_name} ({account.role})
+            </span>
+          )}
           <button className="logout-btn" onClick={onLogout}>
             Logout
           </button>
@@ -46,9 +83,18 @@ export function Dashboard({ token, onLogout, onError }) {
               setViewMode('sessions');
             }}
           />
+        ) : viewMode === 'classes' ? (
+          <ClassesView token={token} canEdit={canEdit} isAdmin={isAdmin} onError={onError} />
+        ) : viewMode === 'assignments' ? (
+          <AssignmentsView token={token} canEdit={canEdit} onError={onError} />
+        ) : viewMode === 'usage' ? (
+          <UsageView token={token} canEdit={isAdmin} onError={onError} />
+        ) : viewMode === 'accounts' && isAdmin ? (
+          <AccountsView token={token} currentUsername={account.username} onError={onError} />
         ) : (
           <SessionListView 
             token={token} 
+            canEdit={canEdit}
             onError={onError} 
             initialSelectedSession={selectedSessionCode}
             onSessionSelected={() => setSelectedSessionCode(null)}
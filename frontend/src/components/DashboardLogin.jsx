@@ -3,9 +3,10 @@ import './DashboardLogin.css';
 
 /**
  * Dashboard Login Component
- * Password-protected login for teacher dashboard
+ * Username/password login for teacher dashboard accounts
  */
 export function DashboardLogin({ onLogin }) {
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
@@ -16,9 +17,9 @@ export function DashboardLogin({ onLogin }) {
     setIsLoading(true);
 
     try {
-      await onLogin(password);
+      await onLogin(username, password);
     } catch (err) {
-      setError(err.message || 'Invalid password');
+      setError(err.message || 'Invalid username or password');
     } finally {
       setIsLoading(false);
     }
@@ -28,9 +29,24 @@ export function DashboardLogin({ onLogin }) {
     <div className="dashboard-login">
       <div className="login-container">
         <h1>Teacher Dashboard</h1>
-        <p className="login-subtitle">Enter password to access dashboard</p>
+        <p className="login-subtitle">Sign in with your dashboard account</p>
         
         <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="username">Username</label>
+            <input
+              type="text"
+              id="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Enter username"
+              autoComplete="username"
+              disabled={isLoading}
+              required
+              autoFocus
+            />
+          </div>
+
           <div className="form-group">
             <label htmlFor="password">Password</label>
             <input
@@ -38,16 +54,16 @@ export function DashboardLogin({ onLogin }) {
               id="password"
               value={password}
               onChange={(e) => setPassword(e.target.value)}
-              placeholder="Enter dashboard password"
+              placeholder="Enter password"
+              autoComplete="current-password"
               disabled={isLoading}
               required
-              autoFocus
             />
           </div>
 
           {error && <div className="error-message">{error}</div>}
 
-          <button type="submit" disabled={isLoading || !password}>
+          <button type="submit" disabled={isLoading || !username || !password}>
             {isLoading ? 'Logging in...' : 'Login'}
           </button>
         </form>
@@ -4,8 +4,10 @@ import './ProblemInput.css';
 /**
  * Problem Input Component
  * Handles text input and image upload for math problems
+ * Suggested problems ({ kind, label, problemText }: a prerequisite warm-up or
+ * a due review) are offered as chips that fill in the text input.
  */
-export function ProblemInput({ onSubmit, disabled }) {
+export function ProblemInput({ onSubmit, disabled, suggestions = [], reviewsDue = 0 }) {
   const [inputText, setInputText] = useState('');
   const [selectedFile, setSelectedFile] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
@@ -118,6 +120,22 @@ export function ProblemInput({ onSubmit, disabled }) {
       </div>
 
       <div className="text-input-wrapper">
+        {reviewsDue > 0 && !inputText && !selectedFile && (
+          <div className="reviews-due">
+            📅 {reviewsDue} review{reviewsDue > 1 ? 's' : ''} due
+          </div>
+        )}
+        {!inputText && !selectedFile && suggestions.map((suggestion) => (
+          <button
+            key={`${suggestion.kind}-${suggestion.label}`}
+            type="button"
+            className={`suggestion-chip ${suggestion.kind}`}
+            onClick={() => setInputText(suggestion.problemText)}
+            disabled={disabled}
+          >
+            {suggestion.kind === 'review' ? 'Review' : 'Warm-up'} · {suggestion.label}: {suggestion.problemText}
+          </button>
+        ))}
         <input
           type="text"
           value={inputText}
@@ -3,9 +3,11 @@ import './ProblemSelection.css';
 
 /**
  * Problem Selection Component
- * Displays multiple detected problems and allows user to select one
+ * Displays multiple detected problems and allows user to select one; also
+ * used for the problems of an assignment (heading, description and a note
+ * per problem, e.g. "Done")
  */
-export function ProblemSelection({ problems, invalidProblems, imageUrl, onSelect, onCancel }) {
+export function ProblemSelection({ problems, invalidProblems, imageUrl, onSelect, onCancel, heading, description, notes = [] }) {
   const [selectedIndex, setSelectedIndex] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -16,7 +18,7 @@ export function ProblemSelection({ problems, invalidProblems, imageUrl, onSelect
 
     setIsSubmitting(true);
     try {
-      await onSelect(problems[selectedIndex]);
+      await onSelect(problems[selectedIndex], selectedIndex);
     } catch (error) {
       console.error('Error selecting problem:', error);
     } finally {
@@ -27,8 +29,8 @@ export function ProblemSelection({ problems, invalidProblems, imageUrl, onSelect
   return (
     <div className="problem-selection">
       <div className="problem-selection-header">
-        <h3>Multiple Problems Detected</h3>
-        <p>I found {problems.length} math problem{problems.length !== 1 ? 's' : ''} in your input. Please select which one you'd like to work on:</p>
+        <h3>{heading || 'Multiple Problems Detected'}</h3>
+        <p>{description || `I found ${problems.length} math problem${problems.length !== 1 ? 's' : ''} in your input. Please select which one you'd like to work on:`}</p>
       </div>
 
       {invalidProblems && invalidProblems.length > 0 && (
@@ -52,6 +54,9 @@ export function ProblemSelection({ problems, invalidProblems, imageUrl, onSelect
           >
             <div className="problem-number">{index + 1}</div>
             <div className="problem-text">{problem}</div>
+            {notes[index] && (
+              <div className="problem-note">{notes[index]}</div>
+            )}
             {selectedIndex === index && (
               <div className="selected-indicator">✓</div>
             )}
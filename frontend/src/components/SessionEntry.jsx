@@ -6,7 +6,7 @@ import './SessionEntry.css';
  * Allows user to enter a session code to resume a session
  */
 export function SessionEntry({ onSessionSubmit, onNewSession, prefilledCode = null, apiError = null }) {
-  const [schoolCode, setSchoolCode] = useState('');
+  const [classCode, setClassCode] = useState('');
   const [sessionCode, setSessionCode] = useState(prefilledCode || '');
   const [error, setError] = useState('');
 
@@ -27,9 +27,9 @@ export function SessionEntry({ onSessionSubmit, onNewSession, prefilledCode = nu
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    // Validate school code (required)
-    if (!schoolCode.trim()) {
-      setError('Please enter a school code');
+    // Validate class code (required)
+    if (!classCode.trim()) {
+      setError('Please enter a class code');
       return;
     }
 
@@ -45,18 +45,21 @@ export function SessionEntry({ onSessionSubmit, onNewSession, prefilledCode = nu
     }
 
     setError('');
-    onSessionSubmit(sessionCode.trim().toUpperCase(), schoolCode.trim());
+    onSessionSubmit(sessionCode.trim().toUpperCase(), classCode.trim());
   };
 
   const handleNewSession = () => {
-    // Validate school code (required)
-    if (!schoolCode.trim()) {
-      setError('Please enter a school code');
+    // Validate class code (required)
+    if (!classCode.trim()) {
+      setError('Please enter a class code');
       return;
     }
 
     setError('');
-    onNewSession(schoolCode.trim());
+    // A code entered here is the student's previous session, so the new
+    // session keeps their learner profile
+    const previousCode = sessionCode.trim().toUpperCase();
+    onNewSession(classCode.trim(), /^[A-Z0-9]{6}$/.test(previousCode) ? previousCode : null);
   };
 
   return (
@@ -75,18 +78,18 @@ export function SessionEntry({ onSessionSubmit, onNewSession, prefilledCode = nu
       
       <form onSubmit={handleSubmit} className="session-form">
         <div className="form-group">
-          <label htmlFor="school-code">School Code</label>
+          <label htmlFor="class-code">Class Code</label>
           <input
-            id="school-code"
+            id="class-code"
             type="password"
-            value={schoolCode}
+            value={classCode}
             onChange={(e) => {
-              setSchoolCode(e.target.value);
+              setClassCode(e.target.value);
               setError('');
             }}
-            placeholder="Enter school code"
+            placeholder="Enter class code"
             required
-            className={error && !schoolCode.trim() ? 'error' : ''}
+            className={error && !classCode.trim() ? 'error' : ''}
           />
         </div>
         
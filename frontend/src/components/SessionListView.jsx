@@ -1,13 +1,21 @@
 import { useState, useEffect } from 'react';
-import { getAllSessions, getSessionDetails, updateProblemTags, deleteSession, getSimilarProblems, startCollaboration } from '../services/api';
+import { getAllSessions, getSessionDetails, updateProblemTags, deleteSession, getSimilarProblems, startCollaboration, exportCollaborationSnapshot } from '../services/api';
 import { SimilarProblemsModal } from './SimilarProblemsModal';
+import { CollaborationReplay } from './CollaborationReplay';
 import './SessionListView.css';
 
+// Explanation styles tracked on the learner profile (learnerProfileService.js)
+const LEARNING_STYLE_LABELS = {
+  socratic: 'Guiding questions',
+  strategy: 'Strategy hints',
+  worked_example: 'Worked examples'
+};
+
 /**
  * Session List View Component
  * Displays per-session statistics and allows editing problem tags
  */
-export function SessionListView({ token, onError, initialSelectedSession, onSessionSelected }) {
+export function SessionListView({ token, canEdit = true, onError, initialSelectedSession, onSessionSelected }) {
   const [sessions, setSessions] = useState([]);
   const [selectedSession, setSelectedSession] = useState(null);
   const [sessionDetails, setSessionDetails] = useState(null);
@@ -166,17 +174,22 @@ export function SessionListView({ token, onError, initialSelectedSession, onSess
                 <div className="session-header">
                   <span className="session-code">{session.session_code}</span>
                   <span className="session-date">{formatDate(session.created_at)}</span>
-                  <button
-                    className="delete-session-btn"
-                    onClick={(e) => handleDeleteSession(session.session_code, e)}
-                    title="Delete session"
-                  >
-                    ×
-                  </button>
+                  {canEdit && (
+                    <button
+                      className="delete-session-btn"
+                      onClick={(e) => handleDeleteSession(session.session_code, e)}
+                      title="Delete session"
+                    >
+                      ×
+                    </button>
+                  )}
                 </div>
                 <div className="session-stats">
                   <span>{session.problems_count} problems</span>
                   <span>{session.hints_used_total} hints</span>
+                  {session.reviews_due > 0 && (
+                    <span>{session.reviews_due} review{session.reviews_due > 1 ? 's' : ''} due</span>
+                  )}
                   {session.learning && session.learning.totalAssessed > 0 && (
                     <>
                       <span className="learning-stat">
@@ -235,6 +248,54 @@ export function SessionListView({ token, onError, initialSelectedSession, onSess
                 </div>
               </div>
 
+              {sessionDetails.learner_profile && (
+                <div className="learner-profile">
+                  <h3>Learner Profile</h3>
+                  <div className="details-header">
+                    <div className="detail-item">
+                      <span className="detail-label">Sessions:</span>
+                      <span className="detail-value">{sessionDetails.learner_profile.sessions}</span>
+                    </div>
+                    {Object.entries(sessionDetails.learner_profile.mastery)
+                      .filter(([, m]) => m.level !== null)
+                      .map(([category, m]) => (
+                        <div className="detail-item" key={category}>
+                          <span className="detail-label">{category} mastery:</span>
+                          <span className="detail-value">{Math.round(m.level * 100)}% ({m.assessed} assessed)</span>
+                        </div>
+                      ))}
+                    {sessionDetails.learner_profile.skills?.map((skill) => (
+                      <div className="detail-item" key={skill.skill_id}>
+                        <span className="detail-label">{skill.name}:</span>
+                        <span className="detail-value">{Math.round(skill.p_mastery * 100)}% mastery</span>
+                      </div>
+                    ))}
+                    <div className="detail-item">
+                      <span className="detail-label">Hint dependence:</span>
+                      <span className="detail-value">{sessionDetails.learner_profile.hint_dependence || 'Not enough data'}</span>
+                    </div>
+                    {sessionDetails.learner_profile.preferred_style && (
+                      <div className="detail-item">
+                        <span className="detail-label">Responds best to:</span>
+                        <span className="detail-value">{LEARNING_STYLE_LABELS[sessionDetails.learner_profile.preferred_style]}</span>
+                      </div>
+                    )}
+                    {sessionDetails.learner_profile.reviews_due?.length > 0 && (
+                      <div className="detail-item">
+                        <span className="detail-label">Reviews due:</span>
+                        <span className="detail-value">{sessionDetails.learner_profile.reviews_due.map((r) => r.name).join(', ')}</span>
+                      </div>
+                    )}
+                    {sessionDetails.learner_profile.misconceptions.map((m) => (
+                      <div className="detail-item" key={m.kind}>
+                        <span className="detail-label">Recurring:</span>
+                        <span className="detail-value">{m.label} ({m.count}×)</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <div className="problems-list">
                 <h3>Problems</h3>
                 {sessionDetails.problems.map((problem) => (
@@ -243,7 +304,10 @@ export function SessionListView({ token, onError, initialSelectedSession, onSess
                     problem={problem}
                     sessionCode={sessionDetails.session_code}
                     onUpdateTags={handleUpdateTags}
+                    onSnapshotExported={() => loadSessionDetails(sessionDetails.session_code)}
+                    onError={onError}
                     token={token}
+                    canEdit={canEdit}
                   />
                 ))}
               </div>
@@ -259,9 +323,9 @@ export function SessionListView({ token, onError, initialSelectedSession, onSess
 
 /**
  * Problem Card Component
- * Displays problem information and allows tag editing
+ * Displays problem information and allows tag editing (observers get a read-only card)
  */
-function ProblemCard({ problem, sessionCode, onUpdateTags, token }) {
+function ProblemCard({ problem, sessionCode, onUpdateTags, onSnapshotExported, onError, token, canEdit }) {
   const [editingCategory, setEditingCategory] = useState(false);
   const [editingDifficulty, setEditingDifficulty] = useState(false);
   const [expandedMC, setExpandedMC] = useState(false);
@@ -271,7 +335,11 @@ function ProblemCard({ problem, sessionCode, onUpdateTags, token }) {
   const [similarProblems, setSimilarProblems] = useState([]);
   const [loadingSimilar, setLoadingSimilar] = useState(false);
   const [existingCollaboration, setExistingCollaboration] = useState(null);
+  const [exportingSnapshot, setExportingSnapshot] = useState(null);
+  const [replayCollaborationId, setReplayCollaborationId] = useState(null);
   const assessment = problem.learning_assessment;
+  const endedCollaborations = (problem.collaborations || []).filter(c => c.status !== 'active');
+  const snapshots = problem.whiteboard_snapshots || [];
   
   // Check if student needs help (confidence < 1.0)
   const needsHelp = assessment && assessment.confidence !== null && assessment.confidence < 1.0;
@@ -359,6 +427,19 @@ function ProblemCard({ problem, sessionCode, onUpdateTags, token }) {
     setExistingCollaboration(null);
   };
 
+  const handleExportSnapshot = async (collabSessionId) => {
+    setExportingSnapshot(collabSessionId);
+    try {
+      await exportCollaborationSnapshot(collabSessionId, token);
+      onSnapshotExported?.();
+    } catch (error) {
+      console.error('Error exporting whiteboard:', error);
+      onError?.(error.response?.data?.error?.message || 'Failed to save whiteboard');
+    } finally {
+      setExportingSnapshot(null);
+    }
+  };
+
   return (
     <div className="problem-card">
       <div className="problem-header">
@@ -383,7 +464,7 @@ function ProblemCard({ problem, sessionCode, onUpdateTags, token }) {
               ))}
             </select>
           ) : (
-            <span className="tag-value" onClick={() => setEditingCategory(true)}>
+            <span className="tag-value" onClick={() => canEdit && setEditingCategory(true)}>
               {category}
             </span>
           )}
@@ -405,20 +486,34 @@ function ProblemCard({ problem, sessionCode, onUpdateTags, token }) {
               ))}
             </select>
           ) : (
-            <span className="tag-value" onClick={() => setEditingDifficulty(true)}>
+            <span className="tag-value" onClick={() => canEdit && setEditingDifficulty(true)}>
               {difficulty}
             </span>
           )}
         </div>
 
+        {problem.skills?.length > 0 && (
+          <div className="tag-display">
+            <span className="tag-label">Skills:</span>
+            <span className="tag-value">{problem.skills.map((skill) => skill.name).join(', ')}</span>
+          </div>
+        )}
+
         <div className="tag-display">
           <span className="tag-label">Hints Used:</span>
           <span className="tag-value">{problem.hints_used || 0}</span>
         </div>
+
+        <div className="tag-display">
+          <span className="tag-label">Hint Level:</span>
+          <span className="tag-value">
+            {problem.hint_level ? `${problem.hint_level}/4 · ${problem.hint_level_label}` : 'None'}
+          </span>
+        </div>
       </div>
 
       {/* Help Button */}
-      {needsHelp && (
+      {needsHelp && canEdit && (
         <div className="problem-help-section">
           <button className="help-btn" onClick={handleHelpClick}>
             🆘 Help Student
@@ -462,6 +557,61 @@ function ProblemCard({ problem, sessionCode, onUpdateTags, token }) {
         </div>
       )}
 
+      {/* Whiteboard snapshots from ended collaborations */}
+      {(endedCollaborations.length > 0 || snapshots.length > 0) && (
+        <div className="whiteboard-section">
+          <div className="whiteboard-label">Whiteboard</div>
+          {endedCollaborations.map((collab) => (
+            <div key={collab.collaboration_session_id} className="whiteboard-collaboration">
+              <span className="whiteboard-collab-id">{collab.collaboration_session_id}</span>
+              <button
+                className="whiteboard-export-btn"
+                onClick={() => setReplayCollaborationId(collab.collaboration_session_id)}
+              >
+                Replay
+              </button>
+              {canEdit && (
+                <button
+                  className="whiteboard-export-btn"
+                  onClick={() => handleExportSnapshot(collab.collaboration_session_id)}
+                  disabled={exportingSnapshot === collab.collaboration_session_id}
+                >
+                  {exportingSnapshot === collab.collaboration_session_id
+                    ? 'Saving...'
+                    : collab.snapshot_attached ? 'Re-save whiteboard' : 'Save whiteboard to record'}
+                </button>
+              )}
+            </div>
+          ))}
+          {snapshots.map((snapshot) => (
+            <div key={snapshot.collaboration_session_id} className="whiteboard-snapshot">
+              <img
+                src={`data:image/png;base64,${snapshot.png_base64}`}
+                alt={`Whiteboard from ${snapshot.collaboration_session_id}`}
+                className="whiteboard-image"
+              />
+              <div className="whiteboard-meta">
+                <span>{snapshot.stroke_count} strokes · saved {new Date(snapshot.created_at).toLocaleString()}</span>
+                <a
+                  href={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(snapshot.svg)}`}
+                  download={`${snapshot.collaboration_session_id}.svg`}
+                >
+                  Download SVG
+                </a>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {replayCollaborationId && (
+        <CollaborationReplay
+          collabSessionId={replayCollaborationId}
+          token={token}
+          onClose={() => setReplayCollaborationId(null)}
+        />
+      )}
+
       {/* Learning Assessment Display */}
       {assessment && (
         <div className="learning-assessment-section">
@@ -5,7 +5,8 @@ import './TransferProblem.css';
 
 /**
  * Transfer Problem Component
- * Displays extra credit transfer problem
+ * The transfer stage of the learning assessment: a new problem solved with
+ * the same approach, after the MC quiz (when the class runs it)
  */
 export function TransferProblem({ transferProblem, sessionCode, onCompleted, disabled }) {
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -37,11 +38,11 @@ export function TransferProblem({ transferProblem, sessionCode, onCompleted, dis
   return (
     <div className="transfer-problem-container">
       <div className="transfer-problem-header">
-        <span className="transfer-badge">🌟 Extra Credit</span>
-        <h3>Bonus Problem</h3>
+        <span className="transfer-badge">🌟 Transfer Problem</span>
+        <h3>Try It On Your Own</h3>
       </div>
       <div className="transfer-problem-text">
-        <p>Great job! Want to earn some extra credit? Try this bonus problem:</p>
+        <p>Solve this one with the same approach - a correct answer earns a star:</p>
         <div className="transfer-problem-question">
           {transferProblem.problem_text}
         </div>
@@ -0,0 +1,186 @@
+import { useState, useEffect } from 'react';
+import { getUsageReport, updateClassTokenBudget } from '../services/api';
+import './AccountsView.css';
+
+const DAY_OPTIONS = [1, 7, 30];
+
+const formatTokens = (value) => (value || 0).toLocaleString();
+const formatCost = (value) => `$${(value || 0).toFixed(4)}`;
+
+/**
+ * Usage breakdown table (per model or per feature), biggest first
+ */
+function BreakdownTable({ title, breakdown }) {
+  const rows = Object.entries(breakdown || {}).sort(([, a], [, b]) => b.total_tokens - a.total_tokens);
+  if (rows.length === 0) return null;
+
+  return (
+    <table className="accounts-table">
+      <thead>
+        <tr>
+          <th>{title}</th>
+          <th>Calls</th>
+          <th>Fallback calls</th>
+          <th>Prompt tokens</th>
+          <th>Completion tokens</th>
+          <th>Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(([name, usage]) => (
+          <tr key={name}>
+            <td><code>{name}</code></td>
+            <td>{usage.calls}</td>
+            <td>{usage.fallback_calls}</td>
+            <td>{formatTokens(usage.prompt_tokens)}</td>
+            <td>{formatTokens(usage.completion_tokens)}</td>
+            <td>{formatCost(usage.cost_usd)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Usage View Component
+ * LLM tokens and cost of the caller's classes per class, model, feature and
+ * session; admins set each class's daily token budget, past which its
+ * students are paused until the next day (UTC)
+ */
+export function UsageView({ token, canEdit, onError }) {
+  const [days, setDays] = useState(7);
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [budgets, setBudgets] = useState({});
+
+  useEffect(() => {
+    loadReport();
+  }, [token, days]);
+
+  const errorMessage = (error, fallback) => error.response?.data?.error?.message || fallback;
+
+  const loadReport = async () => {
+    setIsLoading(true);
+    try {
+      setReport(await getUsageReport(days, token));
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to load AI usage'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSaveBudget = async (classInfo) => {
+    const value = (budgets[classInfo.class_id] ?? '').trim();
+    try {
+      await updateClassTokenBudget(classInfo.class_id, value ? Number(value) : null, token);
+      setBudgets({ ...budgets, [classInfo.class_id]: undefined });
+      await loadReport();
+    } catch (error) {
+      onError?.(errorMessage(error, 'Failed to update token budget'));
+    }
+  };
+
+  return (
+    <div className="accounts-view">
+      <div className="account-form">
+        <h3>AI Usage</h3>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {DAY_OPTIONS.map((option) => (
+            <option key={option} value={option}>{option === 1 ? 'Today' : `Last ${option} days`}</option>
+          ))}
+        </select>
+        {report && (
+          <span>
+            {formatTokens(report.totals.total_tokens)} tokens in {report.totals.calls} calls
+            ({report.totals.fallback_calls} on a fallback model), {formatCost(report.totals.cost_usd)}
+          </span>
+        )}
+      </div>
+
+      {isLoading || !report ? (
+        <div className="loading">Loading AI usage...</div>
+      ) : (
+        <>
+          <table className="accounts-table">
+            <thead>
+              <tr>
+                <th>Class</th>
+                <th>Tokens</th>
+                <th>Cost</th>
+                <th>Today</th>
+                <th>Daily budget</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.classes.map((classInfo) => (
+                <tr key={classInfo.class_id} className={classInfo.throttled ? 'disabled' : ''}>
+                  <td>{classInfo.name}</td>
+                  <td>{formatTokens(classInfo.total_tokens)}</td>
+                  <td>{formatCost(classInfo.cost_usd)}</td>
+                  <td>
+                    {formatTokens(classInfo.tokens_today)}
+                    {classInfo.throttled && ' (paused until tomorrow)'}
+                  </td>
+                  <td>
+                    {canEdit ? (
+                      <input
+                        type="number"
+                        min="1"
+                        placeholder={classInfo.daily_token_budget ? String(classInfo.daily_token_budget) : 'No limit'}
+                        value={budgets[classInfo.class_id] ?? ''}
+                        onChange={(e) => setBudgets({ ...budgets, [classInfo.class_id]: e.target.value })}
+                      />
+                    ) : (
+                      classInfo.daily_token_budget ? formatTokens(classInfo.daily_token_budget) : 'No limit'
+                    )}
+                  </td>
+                  <td>
+                    {canEdit && (
+                      <button
+                        onClick={() => handleSaveBudget(classInfo)}
+                        title="Leave empty to use the server default"
+                      >
+                        Set budget
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <BreakdownTable title="Model" breakdown={report.by_model} />
+          <BreakdownTable title="Feature" breakdown={report.by_feature} />
+
+          {report.sessions.length > 0 && (
+            <table className="accounts-table">
+              <thead>
+                <tr>
+                  <th>Session (all time)</th>
+                  <th>Calls</th>
+                  <th>Tokens</th>
+                  <th>Cost</th>
+                  <th>Last call</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.sessions.map((session) => (
+                  <tr key={session.session_code}>
+                    <td><code>{session.session_code}</code></td>
+                    <td>{session.calls}</td>
+                    <td>{formatTokens(session.total_tokens)}</td>
+                    <td>{formatCost(session.cost_usd)}</td>
+                    <td>{session.last_call_at ? new Date(session.last_call_at).toLocaleString() : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { useState, useRef, useEffect } from 'react';
+import { sendCanvasOperations } from '../services/api';
+
+const FLUSH_DELAY_MS = 300;
+
+/**
+ * Turn a stored canvas_state into a log. Older rooms stored a client snapshot
+ * without seqs; number them the same way the server does.
+ */
+function toLog(canvasState) {
+  if (!canvasState || !Array.isArray(canvasState.operations)) {
+    return { operations: [], version: 0 };
+  }
+  if (Number.isInteger(canvasState.base_version)) {
+    return { operations: canvasState.operations, version: canvasState.version };
+  }
+  const operations = canvasState.operations
+    .filter(op => op && typeof op.id === 'string')
+    .map((op, index) => ({ ...op, seq: index + 1 }));
+  return { operations, version: operations.length };
+}
+
+/**
+ * Merge a server delta ({ operations, version, reset }) into the local log.
+ * Confirmed operations are ordered by seq and anything before the last clear
+ * is dropped; local operations still waiting for a seq stay at the end.
+ */
+function mergeDelta(log, delta, accepted = []) {
+  const confirmed = new Map(
+    delta.reset ? [] : log.operations.filter(op => op.seq !== undefined).map(op => [op.id, op])
+  );
+  const pending = new Map(log.operations.filter(op => op.seq === undefined).map(op => [op.id, op]));
+
+  (delta.operations || []).forEach(op => {
+    confirmed.set(op.id, op);
+    pending.delete(op.id);
+  });
+  accepted.forEach(({ id, seq }) => {
+    if (pending.has(id)) {
+      confirmed.set(id, { ...pending.get(id), seq });
+      pending.delete(id);
+    }
+  });
+
+  let operations = [...confirmed.values()].sort((a, b) => a.seq - b.seq);
+  const lastClear = operations.map(op => op.type).lastIndexOf('clear');
+  if (lastClear > 0) {
+    operations = operations.slice(lastClear);
+  }
+
+  // A live event whose first seq skips past our version means we missed some
+  // operations; keep the old version so the next request fetches the gap
+  const firstSeq = delta.operations?.length ? Math.min(...delta.operations.map(op => op.seq)) : Infinity;
+  const hasGap = !delta.reset && firstSeq > log.version + 1 && firstSeq !== Infinity;
+  const version = delta.reset ? delta.version : hasGap ? log.version : Math.max(log.version, delta.version ?? 0);
+
+  return { operations: [...operations, ...pending.values()], version };
+}
+
+/**
+ * Keeps a collaboration room's canvas operation log in sync with the server.
+ * Local operations show up immediately and are posted in small batches; the
+ * server answers with the operations this client hasn't seen, which are also
+ * what live events and the polling fallback deliver.
+ *
+ * @param {string} collabSessionId - collaboration room to sync
+ * @returns {{
+ *   canvasState: {operations: Array, version: number}|null,
+ *   loadCanvas: Function, applyCanvasDelta: Function,
+ *   queueOperations: Function, canvasVersionRef: Object
+ * }}
+ */
+export function useCanvasSync(collabSessionId) {
+  const [canvasState, setCanvasState] = useState(null);
+  const logRef = useRef({ operations: [], version: 0 });
+  const canvasVersionRef = useRef(0);
+  const pendingRef = useRef([]);
+  const flushTimeoutRef = useRef(null);
+
+  const commit = (log) => {
+    logRef.current = log;
+    canvasVersionRef.current = log.version;
+    setCanvasState(log);
+  };
+
+  const loadCanvas = (storedCanvasState) => {
+    pendingRef.current = [];
+    commit(toLog(storedCanvasState));
+  };
+
+  const applyCanvasDelta = (delta, accepted = []) => {
+    if (!delta) return;
+    commit(mergeDelta(logRef.current, delta, accepted));
+  };
+
+  const flush = async () => {
+    const batch = pendingRef.current;
+    if (batch.length === 0) return;
+    pendingRef.current = [];
+
+    try {
+      const response = await sendCanvasOperations(collabSessionId, batch, canvasVersionRef.current);
+      applyCanvasDelta(response, response.accepted);
+    } catch (error) {
+      // Keep the batch for the next flush; ids make the retry idempotent
+      pendingRef.current = [...batch, ...pendingRef.current];
+    }
+  };
+
+  const queueOperations = (operations) => {
+    const log = logRef.current;
+    commit({ ...log, operations: [...log.operations, ...operations] });
+    pendingRef.current.push(...operations);
+
+    clearTimeout(flushTimeoutRef.current);
+    flushTimeoutRef.current = setTimeout(flush, FLUSH_DELAY_MS);
+  };
+
+  useEffect(() => () => clearTimeout(flushTimeoutRef.current), [collabSessionId]);
+
+  return { canvasState, loadCanvas, applyCanvasDelta, queueOperations, canvasVersionRef };
+}
@@ -16,19 +16,22 @@ const api = axios.create({
 });
 
 /**
- * Create a new session
+ * Create a new session (a previous session code carries the learner profile over)
  */
-export async function createSession(schoolCode) {
-  const response = await api.post('/api/sessions', { school_code: schoolCode });
+export async function createSession(classCode, previousSessionCode = null) {
+  const response = await api.post('/api/sessions', {
+    class_code: classCode,
+    ...(previousSessionCode && { previous_session_code: previousSessionCode })
+  });
   return response.data;
 }
 
 /**
  * Get session by code
  */
-export async function getSession(sessionCode, schoolCode) {
+export async function getSession(sessionCode, classCode) {
   const response = await api.get(`/api/sessions/${sessionCode}`, {
-    params: { school_code: schoolCode }
+    params: { class_code: classCode }
   });
   return response.data;
 }
@@ -36,14 +39,30 @@ export async function getSession(sessionCode, schoolCode) {
 /**
  * Resume session (get or create)
  */
-export async function resumeSession(sessionCode, schoolCode) {
+export async function resumeSession(sessionCode, classCode) {
   const response = await api.post('/api/sessions', { 
     session_code: sessionCode,
-    school_code: schoolCode
+    class_code: classCode
   });
   return response.data;
 }
 
+/**
+ * Get the student's due reviews, each with a review problem
+ */
+export async function getReviewProblems(sessionCode) {
+  const response = await api.get(`/api/sessions/${sessionCode}/reviews`);
+  return response.data;
+}
+
+/**
+ * Get the assignments of the session's class, with the student's progress
+ */
+export async function getSessionAssignments(sessionCode) {
+  const response = await api.get(`/api/sessions/${sessionCode}/assignments`);
+  return response.data;
+}
+
 /**
  * Submit a text problem
  */
@@ -113,6 +132,17 @@ export async function selectProblem(sessionCode, problemText, imageKey = null) {
   return response.data;
 }
 
+/**
+ * Start a problem of one of the class's assignments
+ */
+export async function selectAssignmentProblem(sessionCode, assignmentId, problemIndex) {
+  const response = await api.post(`/api/sessions/${sessionCode}/problems/select`, {
+    assignment_id: assignmentId,
+    problem_index: problemIndex
+  });
+  return response.data;
+}
+
 /**
  * Send a chat message
  */
@@ -123,6 +153,64 @@ export async function sendChatMessage(sessionCode, message) {
   return response.data;
 }
 
+/**
+ * Send a chat message and stream the tutor reply (Server-Sent Events)
+ * Calls onToken with each text chunk as it arrives and resolves with the same
+ * body sendChatMessage returns. Errors mimic axios' shape (error.response.data)
+ * so callers can handle both the same way.
+ */
+export async function streamChatMessage(sessionCode, message, { onToken } = {}) {
+  const response = await fetch(`${API_BASE_URL}/api/sessions/${sessionCode}/chat/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream'
+    },
+    body: JSON.stringify({ message })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.response = { status: response.status, data };
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const event = block.match(/^event: (.+)$/m)?.[1];
+      const dataLine = block.match(/^data: (.+)$/m)?.[1];
+      if (!event || !dataLine) continue;
+      const data = JSON.parse(dataLine);
+
+      if (event === 'token') {
+        onToken?.(data.text);
+      } else if (event === 'done') {
+        return data;
+      } else if (event === 'error') {
+        const error = new Error(data.message);
+        error.response = { status: 500, data: { error: data } };
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Connection closed before the tutor finished replying');
+}
+
 /**
  * Submit MC answer
  */
@@ -151,8 +239,179 @@ export async function submitTransferAnswer(sessionCode, answer) {
 /**
  * Login to dashboard
  */
-export async function dashboardLogin(password) {
-  const response = await api.post('/api/dashboard/login', { password });
+export async function dashboardLogin(username, password) {
+  const response = await api.post('/api/dashboard/login', { username, password });
+  return response.data;
+}
+
+/**
+ * List the classes the logged-in account can see
+ */
+export async function listClasses(token) {
+  const response = await api.get('/api/dashboard/classes', {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Create a class ({ name, owner }; owner is only honoured for admins)
+ */
+export async function createClass(classInfo, token) {
+  const response = await api.post('/api/dashboard/classes', classInfo, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Replace a class's join code
+ */
+export async function rotateClassJoinCode(classId, token) {
+  const response = await api.post(`/api/dashboard/classes/${encodeURIComponent(classId)}/join-code`, {}, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Change a class's assessment settings ({ transfer_stage })
+ */
+export async function updateClassAssessment(classId, settings, token) {
+  const response = await api.put(`/api/dashboard/classes/${encodeURIComponent(classId)}/assessment`, settings, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Change a class's daily LLM token budget (null for the server default)
+ */
+export async function updateClassTokenBudget(classId, dailyTokenBudget, token) {
+  const response = await api.put(`/api/dashboard/classes/${encodeURIComponent(classId)}/token-budget`, {
+    daily_token_budget: dailyTokenBudget
+  }, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Get LLM token and cost usage of the caller's classes over the last `days` days
+ */
+export async function getUsageReport(days, token) {
+  const response = await api.get('/api/dashboard/usage', {
+    params: { days },
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * List the assignments of the caller's classes, with completion summaries
+ */
+export async function listAssignments(token) {
+  const response = await api.get('/api/dashboard/assignments', {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Create an assignment ({ class_id, title, problems, due_at, assessment_settings })
+ */
+export async function createAssignment(assignment, token) {
+  const response = await api.post('/api/dashboard/assignments', assignment, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Get an assignment's per-student completion and confidence report
+ */
+export async function getAssignmentReport(assignmentId, token) {
+  const response = await api.get(`/api/dashboard/assignments/${encodeURIComponent(assignmentId)}/report`, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Delete an assignment
+ */
+export async function deleteAssignment(assignmentId, token) {
+  const response = await api.delete(`/api/dashboard/assignments/${encodeURIComponent(assignmentId)}`, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * List dashboard accounts (admin only)
+ */
+export async function listAccounts(token) {
+  const response = await api.get('/api/dashboard/accounts', {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Create a dashboard account (admin only)
+ */
+export async function createAccount(account, token) {
+  const response = await api.post('/api/dashboard/accounts', account, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Disable or re-enable a dashboard account (admin only)
+ */
+export async function setAccountDisabled(username, disabled, token) {
+  const response = await api.patch(`/api/dashboard/accounts/${encodeURIComponent(username)}`, { disabled }, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Set the classes an observer account may see (admin only)
+ */
+export async function setAccountClasses(username, classIds, token) {
+  const response = await api.patch(`/api/dashboard/accounts/${encodeURIComponent(username)}`, { class_ids: classIds }, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
   return response.data;
 }
 
@@ -258,6 +517,34 @@ export async function startCollaboration(studentSessionId, problemText, selected
   return response.data;
 }
 
+/**
+ * Render an ended collaboration's whiteboard and attach it to the student's problem
+ */
+export async function exportCollaborationSnapshot(collabSessionId, token) {
+  const response = await api.post(
+    `/api/dashboard/collaboration/${collabSessionId}/snapshot`,
+    {},
+    {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    }
+  );
+  return response.data;
+}
+
+/**
+ * Get a collaboration's time-ordered messages and canvas operations for replay
+ */
+export async function getCollaborationReplay(collabSessionId, token) {
+  const response = await api.get(`/api/dashboard/collaboration/${collabSessionId}/replay`, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+}
+
 /**
  * Get collaboration session details
  */
@@ -278,11 +565,13 @@ export async function sendCollaborationMessage(collabSessionId, message, speaker
 }
 
 /**
- * Update collaboration canvas state
+ * Append canvas operations; resolves with the operations this client hasn't
+ * seen yet ({ operations, version, reset, accepted })
  */
-export async function updateCollaborationCanvas(collabSessionId, canvasState) {
+export async function sendCanvasOperations(collabSessionId, operations, since) {
   const response = await api.post(`/api/collaboration/${collabSessionId}/canvas`, {
-    canvasState
+    operations,
+    since
   });
   return response.data;
 }
@@ -290,13 +579,33 @@ export async function updateCollaborationCanvas(collabSessionId, canvasState) {
 /**
  * Poll for collaboration updates
  */
-export async function pollCollaborationUpdates(collabSessionId, sinceTimestamp) {
+export async function pollCollaborationUpdates(collabSessionId, sinceTimestamp, canvasSince = 0) {
   const response = await api.get(
-    `/api/collaboration/${collabSessionId}/updates?since=${encodeURIComponent(sinceTimestamp)}`
+    `/api/collaboration/${collabSessionId}/updates?since=${encodeURIComponent(sinceTimestamp)}&canvas_since=${canvasSince}`
   );
   return response.data;
 }
 
+/**
+ * Subscribe to live collaboration events (Server-Sent Events)
+ * onEvent receives (name, data) for 'ready', 'message', 'canvas', 'permission'
+ * and 'status'. onOpen fires on every (re)connect and onError whenever the
+ * stream drops, so callers can fall back to polling in between.
+ * @returns {Function|null} Close function, or null when EventSource is unavailable
+ */
+export function subscribeToCollaborationEvents(collabSessionId, { onOpen, onEvent, onError } = {}) {
+  if (typeof EventSource === 'undefined') return null;
+
+  const source = new EventSource(`${API_BASE_URL}/api/collaboration/${collabSessionId}/events`);
+  ['ready', 'message', 'canvas', 'permission', 'status'].forEach(name => {
+    source.addEventListener(name, (e) => onEvent?.(name, JSON.parse(e.data)));
+  });
+  source.onopen = () => onOpen?.();
+  source.onerror = () => onError?.(source.readyState === EventSource.CLOSED);
+
+  return () => source.close();
+}
+
 /**
  * Update drawing permission
  */
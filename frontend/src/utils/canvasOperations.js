@@ -0,0 +1,51 @@
+/**
+ * Canvas operation helpers shared by the live collaboration canvas and the
+ * dashboard replay player. Operations are { id, type, data } with type
+ * 'draw' (line segment), 'clear' or 'undo' (data.target_id).
+ */
+
+// Drawing surface size used by every collaboration canvas
+export const CANVAS_WIDTH = 800;
+export const CANVAS_HEIGHT = 600;
+
+/**
+ * Operations that are still on screen: everything after the last clear,
+ * minus the ones an undo has targeted
+ */
+export function visibleOperations(operations) {
+  const undone = new Set(
+    operations.filter(op => op.type === 'undo').map(op => op.data?.target_id)
+  );
+  const lastClear = operations.map(op => op.type).lastIndexOf('clear');
+  return operations
+    .slice(lastClear + 1)
+    .filter(op => op.type === 'draw' && !undone.has(op.id));
+}
+
+/**
+ * Draw a single 'draw' operation (clear and undo are handled by renderOperations)
+ */
+export function drawOperation(ctx, operation) {
+  if (!ctx || operation.type !== 'draw') return;
+
+  const { data } = operation;
+  ctx.strokeStyle = data.color || '#000000';
+  ctx.lineWidth = data.lineWidth || 3;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  ctx.moveTo(data.x0, data.y0);
+  ctx.lineTo(data.x1, data.y1);
+  ctx.stroke();
+}
+
+/**
+ * Wipe the canvas and draw what the operation list leaves visible
+ */
+export function renderOperations(ctx, operations) {
+  if (!ctx) return;
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  visibleOperations(operations).forEach(op => drawOperation(ctx, op));
+}